@@ -0,0 +1,105 @@
+<?php
+  /**
+   * @file accounts.php
+   * @description This script manages the accounts (wallets) money is kept in, such as a checking account,
+   * a credit card or a cash wallet. Every transaction can belong to one account, and each account's balance
+   * is its opening balance plus the amounts of its transactions. It is the endpoint for the '/accounts' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers; only the user's own accounts are visible.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all accounts, ordered by name.
+  // The number of transactions is included so the frontend knows which accounts can be deleted.
+  // Transactions in the Trash are not counted.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT a.*, (SELECT COUNT(*) FROM transactions t WHERE t.account_id = a.id AND t.deleted_at IS NULL) AS transaction_count FROM accounts a WHERE a.user_id = ? ORDER BY a.name");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to add a new account.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $openingBalance = isset($data['opening_balance']) && $data['opening_balance'] !== '' ? $data['opening_balance'] : 0;
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO accounts(user_id, name, type, opening_balance, color) VALUES (?, ?, ?, ?, ?)");
+      // 'issds': the user ID is an integer, the opening balance a double, everything else a string.
+      mysqli_stmt_bind_param($stmt, 'issds', $userId, $data['name'], $data['type'], $openingBalance, $data['color']);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update an existing account.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $openingBalance = isset($data['opening_balance']) && $data['opening_balance'] !== '' ? $data['opening_balance'] : 0;
+
+      $stmt = mysqli_prepare($cnx, "UPDATE accounts SET name=?, type=?, opening_balance=?, color=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'ssdsii', $data['name'], $data['type'], $openingBalance, $data['color'], $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove an account.
+  // An account that still has transactions is not deleted, because its balance would silently move to "Unassigned".
+  // Transactions in the Trash don't block it; if they are restored later, they show as "Unassigned".
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+
+      $check_stmt = mysqli_prepare($cnx, "SELECT id FROM transactions WHERE account_id = ? AND user_id = ? AND deleted_at IS NULL LIMIT 1");
+      mysqli_stmt_bind_param($check_stmt, 'ii', $data['id'], $userId);
+      mysqli_stmt_execute($check_stmt);
+      mysqli_stmt_store_result($check_stmt);
+      if (mysqli_stmt_num_rows($check_stmt) > 0) {
+          echo json_encode(['rezultat' => 'Eroare: This account still has transactions. Move or delete them first.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "DELETE FROM accounts WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
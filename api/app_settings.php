@@ -0,0 +1,62 @@
+<?php
+  /**
+   * @file app_settings.php
+   * @description This script stores application-wide preferences as key/value pairs, such as the base currency
+   * every summary is converted into. Each user has their own settings. It is the endpoint for the '/app_settings' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  // --- READ ---
+  // Handles GET requests. All settings are returned as a single JSON object, e.g. { "base_currency": "EUR" }.
+  function executaGET($cnx, $userId) {
+      $raspuns = new stdClass(); // An empty object (not an empty array) when no settings exist yet.
+      $stmt = mysqli_prepare($cnx, "SELECT setting_key, setting_value FROM app_settings WHERE user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns->{$linie['setting_key']} = $linie['setting_value'];
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests. The body is an object of the settings to change; each one is inserted or overwritten.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      if (!is_array($data) || count($data) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: No settings to save.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO app_settings(user_id, setting_key, setting_value) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)");
+      foreach ($data as $key => $value) {
+          mysqli_stmt_bind_param($stmt, 'iss', $userId, $key, $value);
+          if (!mysqli_stmt_execute($stmt)) {
+              echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+              return;
+          }
+      }
+      echo json_encode(['rezultat' => "OK"]);
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
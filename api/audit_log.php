@@ -0,0 +1,105 @@
+<?php
+  /**
+   * @file audit_log.php
+   * @description This script reads the audit history written by jurnal.php: one entry per added, changed, deleted,
+   * restored or removed transaction, category, budget rule or schedule, with the row's values before and after.
+   * It is the read-only endpoint for the '/audit_log' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes ENTITATI_JURNAL.
+  require 'jurnal.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // The largest page the endpoint returns.
+  const MARIME_MAXIMA_PAGINA = 100;
+
+  // --- READ ---
+  /**
+   * @function executaGET
+   * @description Handles GET requests to list the user's history, newest first, one page at a time.
+   * Optional query parameters:
+   * - 'entity_type' (a key of ENTITATI_JURNAL) and 'entity_id': one item's history. For a transaction that is part of
+   *   a transfer between accounts, the history of both rows is returned, including the rows the transfer had before it was edited.
+   * - 'action': 'create', 'update', 'delete', 'restore' or 'purge'.
+   * - 'date_from' and 'date_to' ("YYYY-MM-DD"): the days the changes were made.
+   * - 'page' (1-based, default 1) and 'page_size' (default 25).
+   * Responds with { rows, total, page, page_size }; every row has 'before_values' and 'after_values' decoded (null when absent).
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   */
+  function executaGET($cnx, $userId) {
+      $conditii = ['l.user_id = ?'];
+      $types = 'i';
+      $params = [$userId];
+
+      if (!empty($_GET['entity_type']) && array_key_exists($_GET['entity_type'], ENTITATI_JURNAL)) {
+          $conditii[] = 'l.entity_type = ?';
+          $types .= 's';
+          $params[] = $_GET['entity_type'];
+
+          if (!empty($_GET['entity_id'])) {
+              $id = (int)$_GET['entity_id'];
+              if ($_GET['entity_type'] === 'transaction') {
+                  $conditii[] = '(l.entity_id = ? OR l.transfer_group = (SELECT t.transfer_group FROM transactions t WHERE t.id = ? AND t.user_id = l.user_id))';
+                  $types .= 'ii';
+                  array_push($params, $id, $id);
+              } else {
+                  $conditii[] = 'l.entity_id = ?';
+                  $types .= 'i';
+                  $params[] = $id;
+              }
+          }
+      }
+      if (!empty($_GET['action'])) {
+          $conditii[] = 'l.action = ?';
+          $types .= 's';
+          $params[] = $_GET['action'];
+      }
+      if (!empty($_GET['date_from'])) {
+          $conditii[] = 'l.created_at >= ?';
+          $types .= 's';
+          $params[] = $_GET['date_from'];
+      }
+      if (!empty($_GET['date_to'])) {
+          // The whole last day is included.
+          $conditii[] = 'l.created_at < ? + INTERVAL 1 DAY';
+          $types .= 's';
+          $params[] = $_GET['date_to'];
+      }
+      $where = 'WHERE ' . implode(' AND ', $conditii);
+
+      $page = isset($_GET['page']) ? max(1, (int)$_GET['page']) : 1;
+      $pageSize = isset($_GET['page_size']) ? min(MARIME_MAXIMA_PAGINA, max(1, (int)$_GET['page_size'])) : 25;
+      $offset = ($page - 1) * $pageSize;
+
+      $stmt = mysqli_prepare($cnx, "SELECT COUNT(*) AS total FROM audit_log l $where");
+      mysqli_stmt_bind_param($stmt, $types, ...$params);
+      mysqli_stmt_execute($stmt);
+      $total = (int)mysqli_fetch_assoc(mysqli_stmt_get_result($stmt))['total'];
+
+      $stmt = mysqli_prepare($cnx, "SELECT l.* FROM audit_log l $where ORDER BY l.created_at DESC, l.id DESC LIMIT $pageSize OFFSET $offset");
+      mysqli_stmt_bind_param($stmt, $types, ...$params);
+      mysqli_stmt_execute($stmt);
+      $rez = mysqli_stmt_get_result($stmt);
+      $rows = [];
+      while ($linie = mysqli_fetch_assoc($rez)) {
+          $linie['before_values'] = $linie['before_values'] !== null ? json_decode($linie['before_values'], true) : null;
+          $linie['after_values'] = $linie['after_values'] !== null ? json_decode($linie['after_values'], true) : null;
+          $rows[] = $linie;
+      }
+      mysqli_free_result($rez);
+
+      echo json_encode(['rows' => $rows, 'total' => $total, 'page' => $page, 'page_size' => $pageSize]);
+  }
+
+  // Main request router. The history can only be read; it is written by the other endpoints.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
@@ -0,0 +1,198 @@
+<?php
+  /**
+   * @file auth.php
+   * @description This script handles user accounts: registration, login, logout and reading the logged-in user.
+   * Logging in returns a token the frontend sends with every other request (see sesiune.php).
+   * Each user has a separate tracker: every table has a 'user_id' and the other endpoints only see the user's own rows.
+   * It is the endpoint for the '/auth' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the token helpers.
+  require 'sesiune.php';
+
+  // The tables that hold a user's data. Rows written before user accounts existed have no 'user_id';
+  // the first user to register takes them over.
+  const TABELE_UTILIZATOR = [
+      'accounts', 'app_settings', 'audit_log', 'budget_rules', 'categorization_rules', 'categories', 'category_budgets',
+      'exchange_rates', 'import_profiles', 'recurring_expenses', 'recurring_incomes', 'savings_goals', 'transactions',
+  ];
+
+  // The categories every new tracker starts with: [name, description, color, type].
+  const CATEGORII_INITIALE = [
+      ['Rent', 'Monthly rent or mortgage payments.', '#D32F2F', 'Needs'],
+      ['Groceries', 'Food and household supplies from supermarkets.', '#388E3C', 'Needs'],
+      ['Utilities (Gas, Electric, Water)', 'Monthly bills like gas, electricity, water, and internet.', '#06294b', 'Needs'],
+      ['Transport', 'Costs for public transport, fuel, and car maintenance.', '#F57C00', 'Needs'],
+      ['Eating Out', 'Expenses from restaurants, cafes, and take-away food.', '#e57bbe', 'Wants'],
+      ['Entertainment', 'Spending on leisure like movies, concerts, and events.', '#7B1FA2', 'Wants'],
+      ['Shopping (Non-essential)', 'Purchases for non-essential items like clothing and gadgets.', '#0ee1c9', 'Wants'],
+      ['General Savings', 'General contributions to savings accounts or investments.', '#b8d9ea', 'Savings'],
+      ['Salary', 'Primary income from employment.', '#d1c323', 'Income'],
+  ];
+
+  // The shortest password accepted.
+  const LUNGIME_MINIMA_PAROLA = 8;
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  /**
+   * @function pregatesteTracker
+   * @description Gives a new user something to start from. The first user takes over the rows written before
+   * user accounts existed, if there are any; everyone else (or a first user on an empty install) gets the starter
+   * categories, the 50/30/20 budget rule and EUR as the base currency.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The new user.
+   */
+  function pregatesteTracker($cnx, $userId) {
+      $utilizatori = (int)mysqli_fetch_assoc(mysqli_query($cnx, "SELECT COUNT(*) AS total FROM users"))['total'];
+      $fara = (int)mysqli_fetch_assoc(mysqli_query($cnx, "SELECT COUNT(*) AS total FROM categories WHERE user_id IS NULL"))['total'];
+      if ($utilizatori === 1 && $fara > 0) {
+          foreach (TABELE_UTILIZATOR as $table) {
+              $stmt = mysqli_prepare($cnx, "UPDATE $table SET user_id = ? WHERE user_id IS NULL");
+              mysqli_stmt_bind_param($stmt, 'i', $userId);
+              mysqli_stmt_execute($stmt);
+          }
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO categories(user_id, name, description, color, type, is_predefined) VALUES (?, ?, ?, ?, ?, 1)");
+      foreach (CATEGORII_INITIALE as $categorie) {
+          mysqli_stmt_bind_param($stmt, 'issss', $userId, $categorie[0], $categorie[1], $categorie[2], $categorie[3]);
+          mysqli_stmt_execute($stmt);
+      }
+      $stmt = mysqli_prepare($cnx, "INSERT INTO budget_rules(user_id, name, start_date, end_date, needs_ratio, wants_ratio, savings_ratio, is_default) VALUES (?, 'Default Rule', '2000-01-01', NULL, 0.5, 0.3, 0.2, 1)");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO app_settings(user_id, setting_key, setting_value) VALUES (?, 'base_currency', 'EUR')");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+  }
+
+  /**
+   * @function deschideSesiune
+   * @description Logs a user in: stores the hash of a new random token and sends the token back with the user.
+   * Expired logins are cleaned up at the same time.
+   * @param mysqli $cnx The active database connection.
+   * @param array $utilizator { id, name, email }.
+   */
+  function deschideSesiune($cnx, $utilizator) {
+      mysqli_query($cnx, "DELETE FROM user_sessions WHERE expires_at <= NOW()");
+
+      $token = bin2hex(random_bytes(32));
+      $hash = hash('sha256', $token);
+      $zile = ZILE_SESIUNE;
+      $stmt = mysqli_prepare($cnx, "INSERT INTO user_sessions(token_hash, user_id, expires_at) VALUES (?, ?, NOW() + INTERVAL ? DAY)");
+      mysqli_stmt_bind_param($stmt, 'sii', $hash, $utilizator['id'], $zile);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'token' => $token, 'user' => $utilizator]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- READ (GET) ---
+  // Handles GET requests for the logged-in user: { id, name, email }, or HTTP 401 when the token is missing or expired.
+  function executaGET($cnx) {
+      $utilizator = gasesteUtilizator($cnx, citesteToken());
+      if ($utilizator === null) {
+          http_response_code(401);
+          echo json_encode(['rezultat' => 'Eroare: Please log in.']);
+          return;
+      }
+      echo json_encode($utilizator);
+  }
+
+  // --- REGISTER (POST ?action=register) ---
+  // Handles POST requests that create an account: { name, email, password }. The new user is logged in right away.
+  function executaREGISTER($cnx) {
+      $data = citeste();
+      $name = isset($data['name']) ? trim($data['name']) : '';
+      $email = isset($data['email']) ? strtolower(trim($data['email'])) : '';
+      $password = isset($data['password']) ? $data['password'] : '';
+
+      if ($name === '' || !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+          echo json_encode(['rezultat' => 'Eroare: Enter your name and a valid email address.']);
+          return;
+      }
+      if (strlen($password) < LUNGIME_MINIMA_PAROLA) {
+          echo json_encode(['rezultat' => 'Eroare: The password needs at least ' . LUNGIME_MINIMA_PAROLA . ' characters.']);
+          return;
+      }
+
+      $check_stmt = mysqli_prepare($cnx, "SELECT id FROM users WHERE email = ?");
+      mysqli_stmt_bind_param($check_stmt, 's', $email);
+      mysqli_stmt_execute($check_stmt);
+      mysqli_stmt_store_result($check_stmt);
+      if (mysqli_stmt_num_rows($check_stmt) > 0) {
+          echo json_encode(['rezultat' => 'Eroare: An account with this email already exists.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $hash = password_hash($password, PASSWORD_DEFAULT);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO users(name, email, password_hash) VALUES (?, ?, ?)");
+      mysqli_stmt_bind_param($stmt, 'sss', $name, $email, $hash);
+      if (!mysqli_stmt_execute($stmt)) {
+          $error = mysqli_error($cnx);
+          mysqli_rollback($cnx);
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+          return;
+      }
+      $userId = mysqli_stmt_insert_id($stmt);
+      pregatesteTracker($cnx, $userId);
+      mysqli_commit($cnx);
+
+      deschideSesiune($cnx, ['id' => $userId, 'name' => $name, 'email' => $email]);
+  }
+
+  // --- LOGIN (POST ?action=login) ---
+  // Handles POST requests that log in: { email, password }. The same message is given for an unknown email
+  // and a wrong password, so the form can't be used to find out who has an account.
+  function executaLOGIN($cnx) {
+      $data = citeste();
+      $email = isset($data['email']) ? strtolower(trim($data['email'])) : '';
+      $password = isset($data['password']) ? $data['password'] : '';
+
+      $stmt = mysqli_prepare($cnx, "SELECT id, name, email, password_hash FROM users WHERE email = ?");
+      mysqli_stmt_bind_param($stmt, 's', $email);
+      mysqli_stmt_execute($stmt);
+      $utilizator = mysqli_fetch_assoc(mysqli_stmt_get_result($stmt));
+      if (!$utilizator || !password_verify($password, $utilizator['password_hash'])) {
+          echo json_encode(['rezultat' => 'Eroare: Wrong email or password.']);
+          return;
+      }
+
+      deschideSesiune($cnx, ['id' => (int)$utilizator['id'], 'name' => $utilizator['name'], 'email' => $utilizator['email']]);
+  }
+
+  // --- LOGOUT (DELETE) ---
+  // Handles DELETE requests that log out: the token sent with the request stops working.
+  function executaDELETE($cnx) {
+      $token = citesteToken();
+      if ($token !== null) {
+          $hash = hash('sha256', $token);
+          $stmt = mysqli_prepare($cnx, "DELETE FROM user_sessions WHERE token_hash = ?");
+          mysqli_stmt_bind_param($stmt, 's', $hash);
+          mysqli_stmt_execute($stmt);
+      }
+      echo json_encode(['rezultat' => "OK"]);
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $action = isset($_GET['action']) ? $_GET['action'] : '';
+  switch ($metoda) {
+      case 'GET': executaGET($cnx); break;
+      case 'POST':
+          if ($action == 'register') executaREGISTER($cnx);
+          elseif ($action == 'login') executaLOGIN($cnx);
+          break;
+      case 'DELETE': executaDELETE($cnx); break;
+  }
+  mysqli_close($cnx);
+?>
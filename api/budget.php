@@ -1,6 +1,9 @@
 <?php
 // Include the database connection script.
 require 'conectare.php';
+// Include the logged-in user and audit history helpers.
+require 'sesiune.php';
+require 'jurnal.php';
 
 // Helper function to read the JSON request body.
 function citeste() {
@@ -9,10 +12,12 @@ function citeste() {
 
 // --- READ ---
 // Handles GET requests to fetch all budget rules.
-function executaGET($cnx) {
+function executaGET($cnx, $userId) {
     $raspuns = [];
-    $cda = "SELECT * FROM budget_rules ORDER BY start_date DESC";
-    if ($rez = mysqli_query($cnx, $cda)) {
+    $stmt = mysqli_prepare($cnx, "SELECT * FROM budget_rules WHERE user_id = ? ORDER BY start_date DESC");
+    mysqli_stmt_bind_param($stmt, 'i', $userId);
+    mysqli_stmt_execute($stmt);
+    if ($rez = mysqli_stmt_get_result($stmt)) {
         while ($linie = mysqli_fetch_assoc($rez)) {
             // Convert ratios from the database (e.g., 0.5) back to percentages (e.g., 50)
             // for easier handling on the frontend.
@@ -28,23 +33,25 @@ function executaGET($cnx) {
 
 // --- CREATE ---
 // Handles POST requests to add a new budget rule.
-function executaPOST($cnx) {
+function executaPOST($cnx, $userId) {
     $data = citeste();
     // Handle optional end_date. If it's empty, set it to NULL for the database.
     $endDate = !empty($data['end_date']) ? $data['end_date'] : null;
     
-    $stmt = mysqli_prepare($cnx, "INSERT INTO budget_rules(name, start_date, end_date, needs_ratio, wants_ratio, savings_ratio) VALUES (?, ?, ?, ?, ?, ?)");
+    $stmt = mysqli_prepare($cnx, "INSERT INTO budget_rules(user_id, name, start_date, end_date, needs_ratio, wants_ratio, savings_ratio) VALUES (?, ?, ?, ?, ?, ?, ?)");
     
     // Convert percentages from the frontend (e.g., 50) to decimal values (e.g., 0.5) for the database.
     $needs = $data['needs_ratio'] / 100;
     $wants = $data['wants_ratio'] / 100;
     $savings = $data['savings_ratio'] / 100;
     
-    // Bind parameters: 'sss' for strings (name, dates), 'ddd' for doubles (ratios).
-    mysqli_stmt_bind_param($stmt, 'sssddd', $data['name'], $data['start_date'], $endDate, $needs, $wants, $savings);
+    // Bind parameters: 'i' for the user, 'sss' for strings (name, dates), 'ddd' for doubles (ratios).
+    mysqli_stmt_bind_param($stmt, 'isssddd', $userId, $data['name'], $data['start_date'], $endDate, $needs, $wants, $savings);
     
     if (mysqli_stmt_execute($stmt)) {
-        echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+        $id = mysqli_stmt_insert_id($stmt);
+        jurnalizeaza($cnx, $userId, 'budget_rule', 'create', [], citesteStare($cnx, $userId, 'budget_rule', [$id]));
+        echo json_encode(['rezultat' => "OK", 'id' => $id]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
     }
@@ -52,21 +59,23 @@ function executaPOST($cnx) {
 
 // --- UPDATE ---
 // Handles PATCH requests to update a budget rule.
-function executaPATCH($cnx) {
+function executaPATCH($cnx, $userId) {
     $data = citeste();
     $endDate = !empty($data['end_date']) ? $data['end_date'] : null;
+    $before = citesteStare($cnx, $userId, 'budget_rule', [$data['id']]);
 
-    $stmt = mysqli_prepare($cnx, "UPDATE budget_rules SET name=?, start_date=?, end_date=?, needs_ratio=?, wants_ratio=?, savings_ratio=? WHERE id=?");
+    $stmt = mysqli_prepare($cnx, "UPDATE budget_rules SET name=?, start_date=?, end_date=?, needs_ratio=?, wants_ratio=?, savings_ratio=? WHERE id=? AND user_id=?");
     
     // Also convert percentages to decimals on update.
     $needs = $data['needs_ratio'] / 100;
     $wants = $data['wants_ratio'] / 100;
     $savings = $data['savings_ratio'] / 100;
 
-    // Bind parameters: 'sssdddi' includes an integer 'i' for the WHERE id clause.
-    mysqli_stmt_bind_param($stmt, 'sssdddi', $data['name'], $data['start_date'], $endDate, $needs, $wants, $savings, $data['id']);
+    // Bind parameters: 'sssdddii' ends with two integers for the WHERE clause (the rule and its user).
+    mysqli_stmt_bind_param($stmt, 'sssdddii', $data['name'], $data['start_date'], $endDate, $needs, $wants, $savings, $data['id'], $userId);
 
     if (mysqli_stmt_execute($stmt)) {
+        jurnalizeaza($cnx, $userId, 'budget_rule', 'update', $before, citesteStare($cnx, $userId, 'budget_rule', [$data['id']]));
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -75,11 +84,13 @@ function executaPATCH($cnx) {
 
 // --- DELETE ---
 // Handles DELETE requests to remove a budget rule.
-function executaDELETE($cnx) {
+function executaDELETE($cnx, $userId) {
     $data = citeste();
-    $stmt = mysqli_prepare($cnx, "DELETE FROM budget_rules WHERE id = ?");
-    mysqli_stmt_bind_param($stmt, 'i', $data['id']);
+    $before = citesteStare($cnx, $userId, 'budget_rule', [$data['id']]);
+    $stmt = mysqli_prepare($cnx, "DELETE FROM budget_rules WHERE id = ? AND user_id = ?");
+    mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
     if (mysqli_stmt_execute($stmt)) {
+        jurnalizeaza($cnx, $userId, 'budget_rule', 'delete', $before, []);
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -88,11 +99,12 @@ function executaDELETE($cnx) {
 
 // Main request router.
 $metoda = $_SERVER['REQUEST_METHOD'];
+$userId = cereUtilizator($cnx);
 switch ($metoda) {
-    case 'GET': executaGET($cnx); break;
-    case 'POST': executaPOST($cnx); break;
-    case 'PATCH': executaPATCH($cnx); break;
-    case 'DELETE': executaDELETE($cnx); break;
+    case 'GET': executaGET($cnx, $userId); break;
+    case 'POST': executaPOST($cnx, $userId); break;
+    case 'PATCH': executaPATCH($cnx, $userId); break;
+    case 'DELETE': executaDELETE($cnx, $userId); break;
 }
 mysqli_close($cnx);
 ?>
\ No newline at end of file
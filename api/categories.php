@@ -1,14 +1,19 @@
 <?php
   // Include the database connection.
   require 'conectare.php';
+  // Include the logged-in user and audit history helpers.
+  require 'sesiune.php';
+  require 'jurnal.php';
 
   // --- READ ---
   // Handles GET requests to fetch all categories.
-  function executaGET($cnx) {
+  function executaGET($cnx, $userId) {
       $raspuns = [];
-      // Selects all categories, ordered by type (e.g., 'Income', 'Expense') and then by name.
-      $cda = "SELECT * FROM categories ORDER BY type, name";
-      if ($rez = mysqli_query($cnx, $cda)) {
+      // Selects the user's categories that are not in the Trash, ordered by type (e.g., 'Income', 'Expense') and then by name.
+      $stmt = mysqli_prepare($cnx, "SELECT * FROM categories WHERE user_id = ? AND deleted_at IS NULL ORDER BY type, name");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
           while ($linie = mysqli_fetch_assoc($rez)) {
               $raspuns[] = $linie;
           }
@@ -19,7 +24,7 @@
 
   // --- CREATE ---
   // Handles POST requests to add a new category.
-  function executaPOST($cnx) {
+  function executaPOST($cnx, $userId) {
       $data = json_decode(file_get_contents('php://input'), true);
       $name = $data['name'];
       $type = $data['type'];
@@ -27,12 +32,14 @@
       $color = $data['color'];
 
       // When a user creates a category, 'is_predefined' is hardcoded to 0 (false).
-      $stmt = mysqli_prepare($cnx, "INSERT INTO categories(name, type, description, color, is_predefined) VALUES (?, ?, ?, ?, 0)");
-      // 'ssss' for four string parameters.
-      mysqli_stmt_bind_param($stmt, 'ssss', $name, $type, $description, $color);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO categories(user_id, name, type, description, color, is_predefined) VALUES (?, ?, ?, ?, ?, 0)");
+      // 'i' for the user, then 'ssss' for four string parameters.
+      mysqli_stmt_bind_param($stmt, 'issss', $userId, $name, $type, $description, $color);
 
       if (mysqli_stmt_execute($stmt)) {
-          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+          $id = mysqli_stmt_insert_id($stmt);
+          jurnalizeaza($cnx, $userId, 'category', 'create', [], citesteStare($cnx, $userId, 'category', [$id]));
+          echo json_encode(['rezultat' => "OK", 'id' => $id]);
       } else {
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
       }
@@ -40,7 +47,7 @@
 
   // --- UPDATE ---
   // Handles PATCH requests to update a category.
-  function executaPATCH($cnx) {
+  function executaPATCH($cnx, $userId) {
       $data = json_decode(file_get_contents('php://input'), true);
       $id = $data['id'];
       $name = $data['name'];
@@ -50,10 +57,12 @@
 
       // NOTE: The original restriction "AND is_predefined = 0" was removed.
       // This now allows ANY category to be edited, including ones that were predefined in the system.
-      $stmt = mysqli_prepare($cnx, "UPDATE categories SET name = ?, type = ?, description = ?, color = ? WHERE id = ?");
-      mysqli_stmt_bind_param($stmt, 'ssssi', $name, $type, $description, $color, $id);
+      $before = citesteStare($cnx, $userId, 'category', [$id]);
+      $stmt = mysqli_prepare($cnx, "UPDATE categories SET name = ?, type = ?, description = ?, color = ? WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ssssii', $name, $type, $description, $color, $id, $userId);
 
       if (mysqli_stmt_execute($stmt)) {
+          jurnalizeaza($cnx, $userId, 'category', 'update', $before, citesteStare($cnx, $userId, 'category', [$id]));
           echo json_encode(['rezultat' => "OK"]);
       } else {
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -61,18 +70,21 @@
   }
   
   // --- DELETE ---
-  // Handles DELETE requests to remove a category.
-  function executaDELETE($cnx) {
+  // Handles DELETE requests to remove a category. The category is moved to the Trash (deleted_at is set):
+  // while it is there, its transactions show as uncategorized and its rules, budgets and schedules are hidden.
+  // trash.php restores it within 30 days, or removes it for good, which also removes its rules, budgets and schedules.
+  function executaDELETE($cnx, $userId) {
       $data = json_decode(file_get_contents('php://input'), true);
       $id = $data['id'];
 
       // NOTE: The original restriction "AND is_predefined = 0" was removed.
       // This now allows ANY category to be deleted.
-      // WARNING: Deleting a category that is in use by transactions could cause issues (foreign key constraints).
-      $stmt = mysqli_prepare($cnx, "DELETE FROM categories WHERE id = ?");
-      mysqli_stmt_bind_param($stmt, 'i', $id);
+      $before = citesteStare($cnx, $userId, 'category', [$id]);
+      $stmt = mysqli_prepare($cnx, "UPDATE categories SET deleted_at = NOW() WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $id, $userId);
 
       if (mysqli_stmt_execute($stmt)) {
+          jurnalizeaza($cnx, $userId, 'category', 'delete', $before, citesteStare($cnx, $userId, 'category', [$id]));
           echo json_encode(['rezultat' => "OK"]);
       } else {
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -81,11 +93,12 @@
 
   // Main request router.
   $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
   switch ($metoda) {
-      case 'GET': executaGET($cnx); break;
-      case 'POST': executaPOST($cnx); break;
-      case 'PATCH': executaPATCH($cnx); break;
-      case 'DELETE': executaDELETE($cnx); break;
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
   }
   mysqli_close($cnx);
 ?>
\ No newline at end of file
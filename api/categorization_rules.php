@@ -0,0 +1,121 @@
+<?php
+  /**
+   * @file categorization_rules.php
+   * @description This script manages the auto-categorization rules. Each rule maps a description pattern,
+   * an amount range and/or a transaction type (Income/Expense) to a category. The frontend evaluates the rules
+   * to pre-select a category in the transaction form and to categorize imported rows.
+   * It is the endpoint for the '/categorization_rules' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  /**
+   * @function normalizeazaRegula
+   * @description Converts the optional fields of a rule into the values stored in the database:
+   * empty strings become NULL, and an unknown match or transaction type falls back to the default.
+   * @param array $data The decoded request body.
+   * @return array The normalized values.
+   */
+  function normalizeazaRegula($data) {
+      $matchTypes = ['contains', 'starts_with', 'exact', 'regex'];
+      $transactionTypes = ['Any', 'Income', 'Expense'];
+      return [
+          'pattern' => isset($data['pattern']) && $data['pattern'] !== '' ? $data['pattern'] : null,
+          'match_type' => in_array($data['match_type'] ?? '', $matchTypes) ? $data['match_type'] : 'contains',
+          'amount_min' => isset($data['amount_min']) && $data['amount_min'] !== '' ? $data['amount_min'] : null,
+          'amount_max' => isset($data['amount_max']) && $data['amount_max'] !== '' ? $data['amount_max'] : null,
+          'transaction_type' => in_array($data['transaction_type'] ?? '', $transactionTypes) ? $data['transaction_type'] : 'Any',
+          'priority' => isset($data['priority']) && $data['priority'] !== '' ? (int)$data['priority'] : 100,
+          'is_active' => !isset($data['is_active']) || !empty($data['is_active']) ? 1 : 0,
+      ];
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all rules with their category name and type, in evaluation order.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT r.*, c.name as category_name, c.type as category_type FROM categorization_rules r JOIN categories c ON r.category_id = c.id AND c.deleted_at IS NULL WHERE r.user_id = ? ORDER BY r.priority, r.id");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to add a new rule.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $r = normalizeazaRegula($data);
+      if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO categorization_rules(user_id, name, pattern, match_type, amount_min, amount_max, transaction_type, category_id, priority, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+      // The amounts are bound as strings so that NULL stays NULL instead of becoming 0.
+      mysqli_stmt_bind_param($stmt, 'issssssiii', $userId, $data['name'], $r['pattern'], $r['match_type'], $r['amount_min'], $r['amount_max'], $r['transaction_type'], $data['category_id'], $r['priority'], $r['is_active']);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update a rule.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $r = normalizeazaRegula($data);
+      if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "UPDATE categorization_rules SET name=?, pattern=?, match_type=?, amount_min=?, amount_max=?, transaction_type=?, category_id=?, priority=?, is_active=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'ssssssiiiii', $data['name'], $r['pattern'], $r['match_type'], $r['amount_min'], $r['amount_max'], $r['transaction_type'], $data['category_id'], $r['priority'], $r['is_active'], $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove a rule.
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $stmt = mysqli_prepare($cnx, "DELETE FROM categorization_rules WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
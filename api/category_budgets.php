@@ -0,0 +1,103 @@
+<?php
+  /**
+   * @file category_budgets.php
+   * @description This script manages the per-category budget envelopes: a fixed monthly limit for one category
+   * (e.g., Groceries 400 a month), starting from a given month, with optional rollover of the unspent amount.
+   * Limits are in the base currency. The frontend compares them with the spending of the selected period.
+   * It is the endpoint for the '/category_budgets' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all envelopes with their category name, type and color.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT b.*, c.name as category_name, c.type as category_type, c.color as category_color FROM category_budgets b JOIN categories c ON b.category_id = c.id AND c.deleted_at IS NULL WHERE b.user_id = ? ORDER BY c.type, c.name");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to add an envelope. Each category can have only one (UNIQUE key on category_id).
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $rollover = !empty($data['rollover']) ? 1 : 0;
+      if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO category_budgets(user_id, category_id, monthly_limit, start_date, rollover) VALUES (?, ?, ?, ?, ?)");
+      mysqli_stmt_bind_param($stmt, 'iidsi', $userId, $data['category_id'], $data['monthly_limit'], $data['start_date'], $rollover);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } elseif (mysqli_errno($cnx) === 1062) {
+          echo json_encode(['rezultat' => 'Eroare: This category already has a budget. Edit the existing one instead.']);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update an existing envelope.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $rollover = !empty($data['rollover']) ? 1 : 0;
+      if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+          return;
+      }
+
+      $stmt = mysqli_prepare($cnx, "UPDATE category_budgets SET category_id=?, monthly_limit=?, start_date=?, rollover=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'idsiii', $data['category_id'], $data['monthly_limit'], $data['start_date'], $rollover, $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } elseif (mysqli_errno($cnx) === 1062) {
+          echo json_encode(['rezultat' => 'Eroare: This category already has a budget.']);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove an envelope.
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $stmt = mysqli_prepare($cnx, "DELETE FROM category_budgets WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
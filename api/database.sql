@@ -23,12 +23,65 @@ SET time_zone = "+00:00";
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `accounts`
+--
+
+CREATE TABLE `accounts` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `name` varchar(100) NOT NULL,
+  `type` enum('Checking','Savings','Credit Card','Cash','Other') NOT NULL DEFAULT 'Checking',
+  `opening_balance` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `color` varchar(7) DEFAULT '#6C757D'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `app_settings`
+--
+
+CREATE TABLE `app_settings` (
+  `user_id` int(11) DEFAULT NULL,
+  `setting_key` varchar(50) NOT NULL,
+  `setting_value` text DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `app_settings`
+--
+
+INSERT INTO `app_settings` (`setting_key`, `setting_value`) VALUES
+('base_currency', 'EUR');
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `audit_log`
+--
+
+CREATE TABLE `audit_log` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `entity_type` varchar(30) NOT NULL,
+  `entity_id` int(11) NOT NULL,
+  `transfer_group` varchar(32) DEFAULT NULL,
+  `action` enum('create','update','delete','restore','purge') NOT NULL,
+  `before_values` longtext DEFAULT NULL,
+  `after_values` longtext DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `budget_rules`
 --
 
 CREATE TABLE `budget_rules` (
   `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
   `name` varchar(255) NOT NULL,
   `start_date` date NOT NULL,
   `end_date` date DEFAULT NULL,
@@ -47,17 +100,39 @@ INSERT INTO `budget_rules` (`id`, `name`, `start_date`, `end_date`, `needs_ratio
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `categorization_rules`
+--
+
+CREATE TABLE `categorization_rules` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `name` varchar(100) NOT NULL,
+  `pattern` varchar(255) DEFAULT NULL,
+  `match_type` enum('contains','starts_with','exact','regex') NOT NULL DEFAULT 'contains',
+  `amount_min` decimal(10,2) DEFAULT NULL,
+  `amount_max` decimal(10,2) DEFAULT NULL,
+  `transaction_type` enum('Any','Income','Expense') NOT NULL DEFAULT 'Any',
+  `category_id` int(11) NOT NULL,
+  `priority` int(11) NOT NULL DEFAULT 100,
+  `is_active` tinyint(1) NOT NULL DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `categories`
 --
 
 CREATE TABLE `categories` (
   `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
   `name` varchar(100) NOT NULL,
   `description` text DEFAULT NULL,
   `color` varchar(7) DEFAULT '#CCCCCC',
   `type` enum('Needs','Wants','Savings','Income') NOT NULL,
-  `is_predefined` tinyint(1) DEFAULT 0
+  `is_predefined` tinyint(1) DEFAULT 0,
+  `deleted_at` datetime DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -81,20 +156,138 @@ INSERT INTO `categories` (`id`, `name`, `description`, `color`, `type`, `is_pred
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `category_budgets`
+--
+
+CREATE TABLE `category_budgets` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `category_id` int(11) NOT NULL,
+  `monthly_limit` decimal(10,2) NOT NULL,
+  `start_date` date NOT NULL,
+  `rollover` tinyint(1) NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `exchange_rates`
+--
+
+CREATE TABLE `exchange_rates` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `rate_date` date NOT NULL,
+  `from_currency` char(3) NOT NULL,
+  `to_currency` char(3) NOT NULL,
+  `rate` decimal(18,8) NOT NULL COMMENT 'Value of 1 unit of from_currency in to_currency'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `household_members`
+--
+
+CREATE TABLE `household_members` (
+  `household_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `role` enum('owner','member','viewer') NOT NULL DEFAULT 'member',
+  `default_share` decimal(5,2) DEFAULT NULL,
+  `joined_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `household_settlements`
+--
+
+CREATE TABLE `household_settlements` (
+  `id` int(11) NOT NULL,
+  `household_id` int(11) NOT NULL,
+  `from_user_id` int(11) NOT NULL,
+  `to_user_id` int(11) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'EUR',
+  `settled_on` date NOT NULL,
+  `note` varchar(255) DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `households`
+--
+
+CREATE TABLE `households` (
+  `id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `import_profiles`
+--
+
+CREATE TABLE `import_profiles` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `name` varchar(100) NOT NULL,
+  `delimiter` varchar(2) NOT NULL DEFAULT ',',
+  `has_header` tinyint(1) NOT NULL DEFAULT 1,
+  `date_format` varchar(20) NOT NULL DEFAULT 'YYYY-MM-DD',
+  `decimal_separator` varchar(1) DEFAULT NULL,
+  `date_column` varchar(100) NOT NULL,
+  `description_column` varchar(100) NOT NULL,
+  `amount_column` varchar(100) NOT NULL,
+  `category_column` varchar(100) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recurring_amounts`
+--
+
+CREATE TABLE `recurring_amounts` (
+  `id` int(11) NOT NULL,
+  `recurring_income_id` int(11) DEFAULT NULL,
+  `recurring_expense_id` int(11) DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `valid_from` date NOT NULL COMMENT 'The schedule uses this amount from this date until the next revision',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `recurring_expenses`
 --
 
 CREATE TABLE `recurring_expenses` (
   `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
   `description` varchar(255) NOT NULL,
   `amount` decimal(10,2) NOT NULL,
   `category_id` int(11) NOT NULL,
   `recurrence_day` int(2) NOT NULL,
+  `frequency` enum('daily','weekly','biweekly','monthly','quarterly','yearly','last_business_day') NOT NULL DEFAULT 'monthly',
+  `interval_count` int(2) NOT NULL DEFAULT 1 COMMENT 'Repeats every N days, weeks, months, quarters or years',
+  `weekday` tinyint(1) DEFAULT NULL COMMENT 'Day of the week for weekly patterns (1 = Monday ... 7 = Sunday)',
   `start_date` date NOT NULL,
   `end_date` date NOT NULL,
   `contract_end_date` date DEFAULT NULL,
-  `last_processed_date` date DEFAULT NULL
+  `notice_days` int(3) NOT NULL DEFAULT 0 COMMENT 'Notice needed to cancel before the contract ends, in days',
+  `renewal_months` int(3) DEFAULT NULL COMMENT 'When set, the contract renews on its own for this many months unless cancelled in time',
+  `reminder_days` int(3) NOT NULL DEFAULT 30 COMMENT 'How many days ahead to remind of the cancellation deadline and the renewal',
+  `last_processed_date` date DEFAULT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'EUR'
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -117,13 +310,18 @@ INSERT INTO `recurring_expenses` (`id`, `description`, `amount`, `category_id`,
 
 CREATE TABLE `recurring_incomes` (
   `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
   `description` varchar(255) NOT NULL,
   `amount` decimal(10,2) NOT NULL,
   `category_id` int(11) NOT NULL,
   `recurrence_day` int(11) NOT NULL COMMENT 'Day of the month (1-31)',
+  `frequency` enum('daily','weekly','biweekly','monthly','quarterly','yearly','last_business_day') NOT NULL DEFAULT 'monthly',
+  `interval_count` int(2) NOT NULL DEFAULT 1 COMMENT 'Repeats every N days, weeks, months, quarters or years',
+  `weekday` tinyint(1) DEFAULT NULL COMMENT 'Day of the week for weekly patterns (1 = Monday ... 7 = Sunday)',
   `start_date` date NOT NULL,
   `end_date` date NOT NULL,
-  `last_processed_date` date DEFAULT NULL
+  `last_processed_date` date DEFAULT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'EUR'
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -137,19 +335,66 @@ INSERT INTO `recurring_incomes` (`id`, `description`, `amount`, `category_id`, `
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `recurring_skips`
+--
+
+CREATE TABLE `recurring_skips` (
+  `id` int(11) NOT NULL,
+  `recurring_income_id` int(11) DEFAULT NULL,
+  `recurring_expense_id` int(11) DEFAULT NULL,
+  `occurrence_date` date NOT NULL COMMENT 'An occurrence the user skipped; it is never generated',
+  `skipped_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `savings_goal_categories`
+--
+
+CREATE TABLE `savings_goal_categories` (
+  `goal_id` int(11) NOT NULL,
+  `category_id` int(11) NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `savings_goals`
+--
+
+CREATE TABLE `savings_goals` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `name` varchar(100) NOT NULL,
+  `target_amount` decimal(10,2) NOT NULL,
+  `target_date` date DEFAULT NULL,
+  `color` varchar(7) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `transactions`
 --
 
 CREATE TABLE `transactions` (
   `id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
   `description` varchar(255) NOT NULL,
   `amount` decimal(10,2) NOT NULL,
   `type` enum('Income','Expense') NOT NULL,
   `category_id` int(11) DEFAULT NULL,
   `transaction_date` date NOT NULL,
   `recurring_income_id` int(11) DEFAULT NULL,
-  `recurring_expense_id` int(11) DEFAULT NULL
+  `recurring_expense_id` int(11) DEFAULT NULL,
+  `account_id` int(11) DEFAULT NULL,
+  `transfer_group` varchar(32) DEFAULT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'EUR',
+  `goal_id` int(11) DEFAULT NULL,
+  `household_id` int(11) DEFAULT NULL,
+  `deleted_at` datetime DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -317,35 +562,197 @@ INSERT INTO `transactions` (`id`, `description`, `amount`, `type`, `category_id`
 (213, 'Contract Based Income', 1000.00, 'Income', 13, '2025-07-15', 3, NULL),
 (214, 'Contract Based Income', 1000.00, 'Income', 13, '2025-07-15', 3, NULL);
 
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `transaction_categories`
+--
+
+CREATE TABLE `transaction_categories` (
+  `transaction_id` int(11) NOT NULL,
+  `category_id` int(11) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `position` tinyint(4) NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `transaction_splits`
+--
+
+CREATE TABLE `transaction_splits` (
+  `transaction_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `percent` decimal(5,2) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `users`
+--
+
+CREATE TABLE `users` (
+  `id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `password_hash` varchar(255) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `user_sessions`
+--
+
+CREATE TABLE `user_sessions` (
+  `token_hash` char(64) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `expires_at` datetime NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
 --
 -- Indexes for dumped tables
 --
 
+--
+-- Indexes for table `accounts`
+--
+ALTER TABLE `accounts`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `app_settings`
+--
+ALTER TABLE `app_settings`
+  ADD UNIQUE KEY `user_setting` (`user_id`,`setting_key`);
+
+--
+-- Indexes for table `audit_log`
+--
+ALTER TABLE `audit_log`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `entity` (`entity_type`,`entity_id`),
+  ADD KEY `transfer_group` (`transfer_group`),
+  ADD KEY `created_at` (`created_at`),
+  ADD KEY `user_id` (`user_id`);
+
 --
 -- Indexes for table `budget_rules`
 --
 ALTER TABLE `budget_rules`
-  ADD PRIMARY KEY (`id`);
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `categorization_rules`
+--
+ALTER TABLE `categorization_rules`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `category_id` (`category_id`),
+  ADD KEY `user_id` (`user_id`);
 
 --
 -- Indexes for table `categories`
 --
 ALTER TABLE `categories`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `deleted_at` (`deleted_at`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `category_budgets`
+--
+ALTER TABLE `category_budgets`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `category_id` (`category_id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `exchange_rates`
+--
+ALTER TABLE `exchange_rates`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `rate_per_day` (`user_id`,`rate_date`,`from_currency`,`to_currency`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `household_members`
+--
+ALTER TABLE `household_members`
+  ADD PRIMARY KEY (`household_id`,`user_id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `household_settlements`
+--
+ALTER TABLE `household_settlements`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `household_id` (`household_id`);
+
+--
+-- Indexes for table `households`
+--
+ALTER TABLE `households`
   ADD PRIMARY KEY (`id`);
 
+--
+-- Indexes for table `import_profiles`
+--
+ALTER TABLE `import_profiles`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `recurring_amounts`
+--
+ALTER TABLE `recurring_amounts`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `recurring_income_id` (`recurring_income_id`,`valid_from`),
+  ADD UNIQUE KEY `recurring_expense_id` (`recurring_expense_id`,`valid_from`);
+
 --
 -- Indexes for table `recurring_expenses`
 --
 ALTER TABLE `recurring_expenses`
   ADD PRIMARY KEY (`id`),
-  ADD KEY `category_id` (`category_id`);
+  ADD KEY `category_id` (`category_id`),
+  ADD KEY `user_id` (`user_id`);
 
 --
 -- Indexes for table `recurring_incomes`
 --
 ALTER TABLE `recurring_incomes`
   ADD PRIMARY KEY (`id`),
-  ADD KEY `category_id` (`category_id`);
+  ADD KEY `category_id` (`category_id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `recurring_skips`
+--
+ALTER TABLE `recurring_skips`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `recurring_income_id` (`recurring_income_id`,`occurrence_date`),
+  ADD UNIQUE KEY `recurring_expense_id` (`recurring_expense_id`,`occurrence_date`);
+
+--
+-- Indexes for table `savings_goal_categories`
+--
+ALTER TABLE `savings_goal_categories`
+  ADD PRIMARY KEY (`goal_id`,`category_id`),
+  ADD UNIQUE KEY `category_id` (`category_id`);
+
+--
+-- Indexes for table `savings_goals`
+--
+ALTER TABLE `savings_goals`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `user_id` (`user_id`);
 
 --
 -- Indexes for table `transactions`
@@ -354,24 +761,112 @@ ALTER TABLE `transactions`
   ADD PRIMARY KEY (`id`),
   ADD KEY `category_id` (`category_id`),
   ADD KEY `fk_recurring_income` (`recurring_income_id`),
-  ADD KEY `fk_recurring_expense` (`recurring_expense_id`);
+  ADD KEY `fk_recurring_expense` (`recurring_expense_id`),
+  ADD KEY `fk_account` (`account_id`),
+  ADD KEY `transfer_group` (`transfer_group`),
+  ADD KEY `fk_goal` (`goal_id`),
+  ADD KEY `deleted_at` (`deleted_at`),
+  ADD KEY `user_id` (`user_id`),
+  ADD KEY `fk_household` (`household_id`);
+
+--
+-- Indexes for table `transaction_categories`
+--
+ALTER TABLE `transaction_categories`
+  ADD PRIMARY KEY (`transaction_id`,`category_id`),
+  ADD KEY `category_id` (`category_id`);
+
+--
+-- Indexes for table `transaction_splits`
+--
+ALTER TABLE `transaction_splits`
+  ADD PRIMARY KEY (`transaction_id`,`user_id`),
+  ADD KEY `user_id` (`user_id`);
+
+--
+-- Indexes for table `users`
+--
+ALTER TABLE `users`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `email` (`email`);
+
+--
+-- Indexes for table `user_sessions`
+--
+ALTER TABLE `user_sessions`
+  ADD PRIMARY KEY (`token_hash`),
+  ADD KEY `user_id` (`user_id`);
 
 --
 -- AUTO_INCREMENT for dumped tables
 --
 
+--
+-- AUTO_INCREMENT for table `accounts`
+--
+ALTER TABLE `accounts`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `audit_log`
+--
+ALTER TABLE `audit_log`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `budget_rules`
 --
 ALTER TABLE `budget_rules`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=7;
 
+--
+-- AUTO_INCREMENT for table `categorization_rules`
+--
+ALTER TABLE `categorization_rules`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `categories`
 --
 ALTER TABLE `categories`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=17;
 
+--
+-- AUTO_INCREMENT for table `category_budgets`
+--
+ALTER TABLE `category_budgets`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `exchange_rates`
+--
+ALTER TABLE `exchange_rates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `household_settlements`
+--
+ALTER TABLE `household_settlements`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `households`
+--
+ALTER TABLE `households`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `import_profiles`
+--
+ALTER TABLE `import_profiles`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `recurring_amounts`
+--
+ALTER TABLE `recurring_amounts`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `recurring_expenses`
 --
@@ -384,16 +879,66 @@ ALTER TABLE `recurring_expenses`
 ALTER TABLE `recurring_incomes`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=4;
 
+--
+-- AUTO_INCREMENT for table `recurring_skips`
+--
+ALTER TABLE `recurring_skips`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `savings_goals`
+--
+ALTER TABLE `savings_goals`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `transactions`
 --
 ALTER TABLE `transactions`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=215;
 
+--
+-- AUTO_INCREMENT for table `users`
+--
+ALTER TABLE `users`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- Constraints for dumped tables
 --
 
+--
+-- Constraints for table `categorization_rules`
+--
+ALTER TABLE `categorization_rules`
+  ADD CONSTRAINT `categorization_rules_ibfk_1` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `category_budgets`
+--
+ALTER TABLE `category_budgets`
+  ADD CONSTRAINT `category_budgets_ibfk_1` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `household_members`
+--
+ALTER TABLE `household_members`
+  ADD CONSTRAINT `household_members_ibfk_1` FOREIGN KEY (`household_id`) REFERENCES `households` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `household_members_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `household_settlements`
+--
+ALTER TABLE `household_settlements`
+  ADD CONSTRAINT `household_settlements_ibfk_1` FOREIGN KEY (`household_id`) REFERENCES `households` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recurring_amounts`
+--
+ALTER TABLE `recurring_amounts`
+  ADD CONSTRAINT `recurring_amounts_ibfk_1` FOREIGN KEY (`recurring_income_id`) REFERENCES `recurring_incomes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `recurring_amounts_ibfk_2` FOREIGN KEY (`recurring_expense_id`) REFERENCES `recurring_expenses` (`id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `recurring_expenses`
 --
@@ -406,13 +951,49 @@ ALTER TABLE `recurring_expenses`
 ALTER TABLE `recurring_incomes`
   ADD CONSTRAINT `recurring_incomes_ibfk_1` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `recurring_skips`
+--
+ALTER TABLE `recurring_skips`
+  ADD CONSTRAINT `recurring_skips_ibfk_1` FOREIGN KEY (`recurring_income_id`) REFERENCES `recurring_incomes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `recurring_skips_ibfk_2` FOREIGN KEY (`recurring_expense_id`) REFERENCES `recurring_expenses` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `savings_goal_categories`
+--
+ALTER TABLE `savings_goal_categories`
+  ADD CONSTRAINT `savings_goal_categories_ibfk_1` FOREIGN KEY (`goal_id`) REFERENCES `savings_goals` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `savings_goal_categories_ibfk_2` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `transactions`
 --
 ALTER TABLE `transactions`
+  ADD CONSTRAINT `fk_account` FOREIGN KEY (`account_id`) REFERENCES `accounts` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_goal` FOREIGN KEY (`goal_id`) REFERENCES `savings_goals` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_recurring_expense` FOREIGN KEY (`recurring_expense_id`) REFERENCES `recurring_expenses` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `fk_recurring_income` FOREIGN KEY (`recurring_income_id`) REFERENCES `recurring_incomes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_household` FOREIGN KEY (`household_id`) REFERENCES `households` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `transactions_ibfk_1` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+--
+-- Constraints for table `transaction_categories`
+--
+ALTER TABLE `transaction_categories`
+  ADD CONSTRAINT `transaction_categories_ibfk_1` FOREIGN KEY (`transaction_id`) REFERENCES `transactions` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `transaction_categories_ibfk_2` FOREIGN KEY (`category_id`) REFERENCES `categories` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `transaction_splits`
+--
+ALTER TABLE `transaction_splits`
+  ADD CONSTRAINT `transaction_splits_ibfk_1` FOREIGN KEY (`transaction_id`) REFERENCES `transactions` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `user_sessions`
+--
+ALTER TABLE `user_sessions`
+  ADD CONSTRAINT `user_sessions_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
 COMMIT;
 
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;
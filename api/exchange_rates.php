@@ -0,0 +1,128 @@
+<?php
+  /**
+   * @file exchange_rates.php
+   * @description This script manages the locally maintained exchange-rate table. Each row says what one unit of
+   * 'from_currency' was worth in 'to_currency' on 'rate_date'. The frontend converts every transaction into the
+   * base currency with the rate for (or closest before) the transaction's date. It is the endpoint for the '/exchange_rates' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all rates, newest first.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT * FROM exchange_rates WHERE user_id = ? ORDER BY rate_date DESC, from_currency, to_currency");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to add one rate. A rate for the same day and currency pair is overwritten.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $from = strtoupper(trim($data['from_currency']));
+      $to = strtoupper(trim($data['to_currency']));
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO exchange_rates(user_id, rate_date, from_currency, to_currency, rate) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE rate = VALUES(rate)");
+      mysqli_stmt_bind_param($stmt, 'isssd', $userId, $data['rate_date'], $from, $to, $data['rate']);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- BULK CREATE (POST ?action=bulk) ---
+  // Handles the CSV import of many rates at once. All rows are saved in one database transaction;
+  // existing rates for the same day and currency pair are overwritten.
+  function executaBULK($cnx, $userId) {
+      $data = citeste();
+      $rows = isset($data['rates']) && is_array($data['rates']) ? $data['rates'] : [];
+      if (count($rows) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: No rates to import.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO exchange_rates(user_id, rate_date, from_currency, to_currency, rate) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE rate = VALUES(rate)");
+      foreach ($rows as $row) {
+          $from = strtoupper(trim($row['from_currency']));
+          $to = strtoupper(trim($row['to_currency']));
+          mysqli_stmt_bind_param($stmt, 'isssd', $userId, $row['rate_date'], $from, $to, $row['rate']);
+          if (!mysqli_stmt_execute($stmt)) {
+              $error = mysqli_error($cnx);
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+              return;
+          }
+      }
+      mysqli_commit($cnx);
+      echo json_encode(['rezultat' => "OK", 'count' => count($rows)]);
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update an existing rate.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $from = strtoupper(trim($data['from_currency']));
+      $to = strtoupper(trim($data['to_currency']));
+
+      $stmt = mysqli_prepare($cnx, "UPDATE exchange_rates SET rate_date=?, from_currency=?, to_currency=?, rate=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'sssdii', $data['rate_date'], $from, $to, $data['rate'], $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove a rate.
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $stmt = mysqli_prepare($cnx, "DELETE FROM exchange_rates WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $action = isset($_GET['action']) ? $_GET['action'] : '';
+  $userId = cereUtilizator($cnx);
+
+  // A special route for the CSV import.
+  if ($metoda == 'POST' && $action == 'bulk') {
+      executaBULK($cnx, $userId);
+  }
+  else {
+      switch ($metoda) {
+          case 'GET': executaGET($cnx, $userId); break;
+          case 'POST': executaPOST($cnx, $userId); break;
+          case 'PATCH': executaPATCH($cnx, $userId); break;
+          case 'DELETE': executaDELETE($cnx, $userId); break;
+      }
+  }
+  mysqli_close($cnx);
+?>
@@ -0,0 +1,91 @@
+<?php
+  /**
+   * @file gospodarii.php
+   * @description Helpers for the shared household ledgers. A household groups several users; each one has a role:
+   * an 'owner' manages the household (its name, members, roles and default split), a 'member' also adds shared
+   * expenses and settle-ups, and a 'viewer' can only read. A shared expense stays in the tracker of the user who paid it
+   * (transactions.household_id), and 'transaction_splits' records how much of it each member owes.
+   * A household's rules are its name, members, roles and default split. Budget rules, category budgets and the other
+   * settings are not shared: every member keeps their own.
+   * It is included by households.php and transactions.php after sesiune.php and has no route of its own.
+   */
+
+  // The roles a member can have, from the most to the least rights.
+  const ROLURI_GOSPODARIE = ['owner', 'member', 'viewer'];
+
+  // The roles that can add shared expenses and settle-ups.
+  const ROLURI_CONTRIBUTIE = ['owner', 'member'];
+
+  /**
+   * @function rolInGospodarie
+   * @description Reads a user's role in a household.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The user.
+   * @param int $householdId The household.
+   * @return string|null 'owner', 'member' or 'viewer', or null if the user isn't a member.
+   */
+  function rolInGospodarie($cnx, $userId, $householdId) {
+      $stmt = mysqli_prepare($cnx, "SELECT role FROM household_members WHERE household_id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $householdId, $userId);
+      mysqli_stmt_execute($stmt);
+      $linie = mysqli_fetch_assoc(mysqli_stmt_get_result($stmt));
+      return $linie ? $linie['role'] : null;
+  }
+
+  /**
+   * @function verificaImpartire
+   * @description Checks the household part of a transaction before it is saved: { household_id, splits }, where
+   * 'splits' is a list of { user_id, amount, percent } (percent is only kept to show the split the way it was entered).
+   * Only expenses can be shared, by a user who may contribute to the household, between its members,
+   * and the shares must add up to the amount. Without a 'household_id' there is nothing to check.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $data The transaction data.
+   * @return string|null An error message, or null if the split can be saved.
+   */
+  function verificaImpartire($cnx, $userId, $data) {
+      if (empty($data['household_id'])) return null;
+      if (!in_array(rolInGospodarie($cnx, $userId, $data['household_id']), ROLURI_CONTRIBUTIE, true)) {
+          return 'You can\'t add expenses to this household.';
+      }
+      if (!isset($data['type']) || $data['type'] !== 'Expense') return 'Only expenses can be split with a household.';
+
+      $splits = isset($data['splits']) && is_array($data['splits']) ? $data['splits'] : [];
+      if (count($splits) === 0) return 'Choose how the expense is split.';
+      $total = 0;
+      foreach ($splits as $split) {
+          if (!isset($split['user_id'], $split['amount']) || $split['amount'] < 0) return 'Every share needs a member and an amount.';
+          if (rolInGospodarie($cnx, (int)$split['user_id'], $data['household_id']) === null) return 'Expenses can only be split between members of the household.';
+          $total += $split['amount'];
+      }
+      if (abs($total - abs($data['amount'])) > 0.01) return 'The shares must add up to the amount.';
+      return null;
+  }
+
+  /**
+   * @function scrieImpartire
+   * @description Saves the household part of a transaction checked by verificaImpartire: sets its household
+   * and replaces its shares. Without a 'household_id' the transaction stops being shared.
+   * @param mysqli $cnx The active database connection.
+   * @param int $transactionId The transaction's ID.
+   * @param array $data The transaction data.
+   */
+  function scrieImpartire($cnx, $transactionId, $data) {
+      $householdId = !empty($data['household_id']) ? $data['household_id'] : null;
+      $stmt = mysqli_prepare($cnx, "UPDATE transactions SET household_id = ? WHERE id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $householdId, $transactionId);
+      mysqli_stmt_execute($stmt);
+
+      $stmt = mysqli_prepare($cnx, "DELETE FROM transaction_splits WHERE transaction_id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $transactionId);
+      mysqli_stmt_execute($stmt);
+      if ($householdId === null) return;
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transaction_splits(transaction_id, user_id, amount, percent) VALUES (?, ?, ?, ?)");
+      foreach ($data['splits'] as $split) {
+          $percent = isset($split['percent']) && $split['percent'] !== '' ? $split['percent'] : null;
+          mysqli_stmt_bind_param($stmt, 'iidd', $transactionId, $split['user_id'], $split['amount'], $percent);
+          mysqli_stmt_execute($stmt);
+      }
+  }
+?>
@@ -0,0 +1,341 @@
+<?php
+  /**
+   * @file households.php
+   * @description This script manages the shared household ledgers (see gospodarii.php for the roles):
+   * the households themselves, their members, the shared ledger with its "who owes whom" settle-ups,
+   * and the shares of a split expense. It is the endpoint for the '/households' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+  // Includes the household roles and split helpers.
+  require 'gospodarii.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  /**
+   * @function interogheaza
+   * @description Runs a SELECT with bound parameters and returns every row as an associative array.
+   * @param mysqli $cnx The active database connection.
+   * @param string $cda The SQL query.
+   * @param string $types The parameter types.
+   * @param array $params The parameter values.
+   * @return array The rows.
+   */
+  function interogheaza($cnx, $cda, $types, $params) {
+      $stmt = mysqli_prepare($cnx, $cda);
+      mysqli_stmt_bind_param($stmt, $types, ...$params);
+      mysqli_stmt_execute($stmt);
+      return mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC);
+  }
+
+  /**
+   * @function cereRol
+   * @description Checks that the user has one of the roles in a household, and answers with an error if not.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param int $householdId The household.
+   * @param array $roluri The roles allowed.
+   * @return bool True if the request can go on.
+   */
+  function cereRol($cnx, $userId, $householdId, $roluri) {
+      if (in_array(rolInGospodarie($cnx, $userId, $householdId), $roluri, true)) return true;
+      echo json_encode(['rezultat' => 'Eroare: You don\'t have the rights to do this in the household.']);
+      return false;
+  }
+
+  /**
+   * @function numarProprietari
+   * @description Counts the owners of a household, so it is never left without one.
+   * @param mysqli $cnx The active database connection.
+   * @param int $householdId The household.
+   * @return int The number of owners.
+   */
+  function numarProprietari($cnx, $householdId) {
+      return (int)interogheaza($cnx, "SELECT COUNT(*) AS total FROM household_members WHERE household_id = ? AND role = 'owner'", 'i', [$householdId])[0]['total'];
+  }
+
+  // --- READ (GET) ---
+  // Handles GET requests for the user's households: { id, name, my_role, members }, where every member is
+  // { user_id, name, email, role, default_share }.
+  function executaGET($cnx, $userId) {
+      $households = interogheaza($cnx, "SELECT h.id, h.name, m.role AS my_role FROM households h JOIN household_members m ON m.household_id = h.id WHERE m.user_id = ? ORDER BY h.name", 'i', [$userId]);
+      foreach ($households as &$household) {
+          $household['members'] = interogheaza($cnx,
+              "SELECT m.user_id, u.name, u.email, m.role, m.default_share FROM household_members m JOIN users u ON u.id = m.user_id WHERE m.household_id = ? ORDER BY u.name",
+              'i', [$household['id']]);
+      }
+      unset($household);
+      echo json_encode($households);
+  }
+
+  // --- LEDGER (GET ?action=ledger&id=) ---
+  // Handles GET requests for a household's shared ledger: { expenses, settlements }. Every expense has the member
+  // who paid it ('paid_by') and its 'splits'; expenses in the payer's Trash are left out. Names are included,
+  // so people who have since left the household still show up. The balances are worked out by the frontend.
+  function executaLEDGER($cnx, $userId) {
+      $householdId = isset($_GET['id']) ? (int)$_GET['id'] : 0;
+      if (!cereRol($cnx, $userId, $householdId, ROLURI_GOSPODARIE)) return;
+
+      $expenses = interogheaza($cnx,
+          "SELECT t.id, t.user_id AS paid_by, u.name AS paid_by_name, t.description, ABS(t.amount) AS amount, t.currency, t.transaction_date "
+          . "FROM transactions t JOIN users u ON u.id = t.user_id WHERE t.household_id = ? AND t.deleted_at IS NULL ORDER BY t.transaction_date DESC, t.id DESC",
+          'i', [$householdId]);
+      $splits = interogheaza($cnx,
+          "SELECT s.transaction_id, s.user_id, u.name, s.amount, s.percent FROM transaction_splits s JOIN transactions t ON t.id = s.transaction_id JOIN users u ON u.id = s.user_id "
+          . "WHERE t.household_id = ? AND t.deleted_at IS NULL ORDER BY u.name",
+          'i', [$householdId]);
+      $perExpense = [];
+      foreach ($splits as $split) {
+          $perExpense[$split['transaction_id']][] = $split;
+      }
+      foreach ($expenses as &$expense) {
+          $expense['splits'] = isset($perExpense[$expense['id']]) ? $perExpense[$expense['id']] : [];
+      }
+      unset($expense);
+
+      $settlements = interogheaza($cnx,
+          "SELECT s.id, s.from_user_id, f.name AS from_name, s.to_user_id, t.name AS to_name, s.amount, s.currency, s.settled_on, s.note "
+          . "FROM household_settlements s JOIN users f ON f.id = s.from_user_id JOIN users t ON t.id = s.to_user_id WHERE s.household_id = ? ORDER BY s.settled_on DESC, s.id DESC",
+          'i', [$householdId]);
+
+      echo json_encode(['expenses' => $expenses, 'settlements' => $settlements]);
+  }
+
+  // --- SPLITS (GET ?action=splits&transaction_id=) ---
+  // Handles GET requests for the shares of one of the user's own transactions: [{ user_id, amount, percent }].
+  function executaSPLITS($cnx, $userId) {
+      $transactionId = isset($_GET['transaction_id']) ? (int)$_GET['transaction_id'] : 0;
+      echo json_encode(interogheaza($cnx,
+          "SELECT s.user_id, s.amount, s.percent FROM transaction_splits s JOIN transactions t ON t.id = s.transaction_id WHERE t.id = ? AND t.user_id = ?",
+          'ii', [$transactionId, $userId]));
+  }
+
+  // --- CREATE (POST) ---
+  // Handles POST requests to create a household: { name }. The user who creates it is its first owner.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $name = isset($data['name']) ? trim($data['name']) : '';
+      if ($name === '') {
+          echo json_encode(['rezultat' => 'Eroare: Enter a name for the household.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO households(name) VALUES (?)");
+      mysqli_stmt_bind_param($stmt, 's', $name);
+      mysqli_stmt_execute($stmt);
+      $id = mysqli_stmt_insert_id($stmt);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO household_members(household_id, user_id, role) VALUES (?, ?, 'owner')");
+      mysqli_stmt_bind_param($stmt, 'ii', $id, $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK", 'id' => $id]);
+      } else {
+          $error = mysqli_error($cnx);
+          mysqli_rollback($cnx);
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+      }
+  }
+
+  // --- UPDATE (PATCH) ---
+  // Handles PATCH requests from an owner to change a household's rules: { id, name, default_shares }, where
+  // 'default_shares' maps member IDs to the percentage of a shared expense they take by default (an empty
+  // map means an equal split). The percentages must add up to 100.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $householdId = isset($data['id']) ? (int)$data['id'] : 0;
+      if (!cereRol($cnx, $userId, $householdId, ['owner'])) return;
+
+      $name = isset($data['name']) ? trim($data['name']) : '';
+      $shares = isset($data['default_shares']) && is_array($data['default_shares']) ? array_filter($data['default_shares'], 'is_numeric') : [];
+      if ($name === '') {
+          echo json_encode(['rezultat' => 'Eroare: Enter a name for the household.']);
+          return;
+      }
+      if (count($shares) > 0 && abs(array_sum($shares) - 100) > 0.01) {
+          echo json_encode(['rezultat' => 'Eroare: The default split must add up to 100%.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "UPDATE households SET name = ? WHERE id = ?");
+      mysqli_stmt_bind_param($stmt, 'si', $name, $householdId);
+      mysqli_stmt_execute($stmt);
+      $stmt = mysqli_prepare($cnx, "UPDATE household_members SET default_share = NULL WHERE household_id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $householdId);
+      mysqli_stmt_execute($stmt);
+      $stmt = mysqli_prepare($cnx, "UPDATE household_members SET default_share = ? WHERE household_id = ? AND user_id = ?");
+      foreach ($shares as $memberId => $share) {
+          mysqli_stmt_bind_param($stmt, 'dii', $share, $householdId, $memberId);
+          mysqli_stmt_execute($stmt);
+      }
+      mysqli_commit($cnx);
+      echo json_encode(['rezultat' => "OK"]);
+  }
+
+  // --- DELETE (DELETE) ---
+  // Handles DELETE requests from an owner to delete a household. Its members and settle-ups go with it; the shared
+  // expenses stay in their payers' trackers as ordinary expenses (ON DELETE SET NULL), without their shares.
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $householdId = isset($data['id']) ? (int)$data['id'] : 0;
+      if (!cereRol($cnx, $userId, $householdId, ['owner'])) return;
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "DELETE s FROM transaction_splits s JOIN transactions t ON t.id = s.transaction_id WHERE t.household_id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $householdId);
+      mysqli_stmt_execute($stmt);
+      $stmt = mysqli_prepare($cnx, "DELETE FROM households WHERE id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $householdId);
+      if (mysqli_stmt_execute($stmt)) {
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          $error = mysqli_error($cnx);
+          mysqli_rollback($cnx);
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+      }
+  }
+
+  // --- MEMBERS (POST/PATCH/DELETE ?action=member) ---
+  // Handles the member list, which only owners can change:
+  // - POST { household_id, email, role } adds a registered user;
+  // - PATCH { household_id, user_id, role } changes a member's role;
+  // - DELETE { household_id, user_id } removes a member. Anyone can also remove themselves (leave the household).
+  // A household always keeps at least one owner.
+  function executaMEMBER($cnx, $userId, $metoda) {
+      $data = citeste();
+      $householdId = isset($data['household_id']) ? (int)$data['household_id'] : 0;
+      $role = isset($data['role']) ? $data['role'] : 'member';
+      if ($metoda !== 'DELETE' && !in_array($role, ROLURI_GOSPODARIE, true)) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown role.']);
+          return;
+      }
+
+      if ($metoda === 'POST') {
+          if (!cereRol($cnx, $userId, $householdId, ['owner'])) return;
+          $email = isset($data['email']) ? strtolower(trim($data['email'])) : '';
+          $users = interogheaza($cnx, "SELECT id FROM users WHERE email = ?", 's', [$email]);
+          if (count($users) === 0) {
+              echo json_encode(['rezultat' => 'Eroare: Nobody has registered with this email.']);
+              return;
+          }
+          $stmt = mysqli_prepare($cnx, "INSERT INTO household_members(household_id, user_id, role) VALUES (?, ?, ?)");
+          mysqli_stmt_bind_param($stmt, 'iis', $householdId, $users[0]['id'], $role);
+          if (mysqli_stmt_execute($stmt)) {
+              echo json_encode(['rezultat' => "OK"]);
+          } else {
+              $error = mysqli_errno($cnx) === 1062 ? 'This person is already a member.' : mysqli_error($cnx);
+              echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+          }
+          return;
+      }
+
+      $memberId = isset($data['user_id']) ? (int)$data['user_id'] : 0;
+      $currentRole = rolInGospodarie($cnx, $memberId, $householdId);
+      if ($currentRole === null) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown member.']);
+          return;
+      }
+      if (!($metoda === 'DELETE' && $memberId === $userId) && !cereRol($cnx, $userId, $householdId, ['owner'])) return;
+      $removesOwner = $currentRole === 'owner' && ($metoda === 'DELETE' || $role !== 'owner');
+      if ($removesOwner && numarProprietari($cnx, $householdId) === 1) {
+          echo json_encode(['rezultat' => 'Eroare: A household needs at least one owner. Make someone else an owner first.']);
+          return;
+      }
+
+      if ($metoda === 'PATCH') {
+          $stmt = mysqli_prepare($cnx, "UPDATE household_members SET role = ? WHERE household_id = ? AND user_id = ?");
+          mysqli_stmt_bind_param($stmt, 'sii', $role, $householdId, $memberId);
+      } else {
+          $stmt = mysqli_prepare($cnx, "DELETE FROM household_members WHERE household_id = ? AND user_id = ?");
+          mysqli_stmt_bind_param($stmt, 'ii', $householdId, $memberId);
+      }
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- SETTLE-UPS (POST/DELETE ?action=settle) ---
+  // Handles the payments members make to each other to even out the shared expenses; owners and members only.
+  // - POST { household_id, from_user_id, to_user_id, amount, currency, settled_on, note } records one;
+  // - DELETE { id } removes one recorded by mistake.
+  function executaSETTLE($cnx, $userId, $metoda) {
+      $data = citeste();
+
+      if ($metoda === 'DELETE') {
+          $rows = interogheaza($cnx, "SELECT household_id FROM household_settlements WHERE id = ?", 'i', [isset($data['id']) ? (int)$data['id'] : 0]);
+          if (count($rows) === 0) {
+              echo json_encode(['rezultat' => 'Eroare: Unknown settle-up.']);
+              return;
+          }
+          if (!cereRol($cnx, $userId, (int)$rows[0]['household_id'], ROLURI_CONTRIBUTIE)) return;
+          $stmt = mysqli_prepare($cnx, "DELETE FROM household_settlements WHERE id = ?");
+          mysqli_stmt_bind_param($stmt, 'i', $data['id']);
+          if (mysqli_stmt_execute($stmt)) {
+              echo json_encode(['rezultat' => "OK"]);
+          } else {
+              echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+          }
+          return;
+      }
+
+      $householdId = isset($data['household_id']) ? (int)$data['household_id'] : 0;
+      if (!cereRol($cnx, $userId, $householdId, ROLURI_CONTRIBUTIE)) return;
+      $from = isset($data['from_user_id']) ? (int)$data['from_user_id'] : 0;
+      $to = isset($data['to_user_id']) ? (int)$data['to_user_id'] : 0;
+      if ($from === $to || rolInGospodarie($cnx, $from, $householdId) === null || rolInGospodarie($cnx, $to, $householdId) === null) {
+          echo json_encode(['rezultat' => 'Eroare: A settle-up is between two different members.']);
+          return;
+      }
+      if (empty($data['amount']) || $data['amount'] <= 0 || empty($data['settled_on'])) {
+          echo json_encode(['rezultat' => 'Eroare: Enter a positive amount and a date.']);
+          return;
+      }
+
+      $currency = !empty($data['currency']) ? strtoupper(substr(trim($data['currency']), 0, 3)) : 'EUR';
+      $note = !empty($data['note']) ? $data['note'] : null;
+      $stmt = mysqli_prepare($cnx, "INSERT INTO household_settlements(household_id, from_user_id, to_user_id, amount, currency, settled_on, note, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+      mysqli_stmt_bind_param($stmt, 'iiidsssi', $householdId, $from, $to, $data['amount'], $currency, $data['settled_on'], $note, $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $action = isset($_GET['action']) ? $_GET['action'] : '';
+  $userId = cereUtilizator($cnx);
+
+  if ($metoda == 'GET' && $action == 'ledger') {
+      executaLEDGER($cnx, $userId);
+  }
+  elseif ($metoda == 'GET' && $action == 'splits') {
+      executaSPLITS($cnx, $userId);
+  }
+  elseif ($action == 'member') {
+      executaMEMBER($cnx, $userId, $metoda);
+  }
+  elseif ($action == 'settle') {
+      executaSETTLE($cnx, $userId, $metoda);
+  }
+  else {
+      switch ($metoda) {
+          case 'GET': executaGET($cnx, $userId); break;
+          case 'POST': executaPOST($cnx, $userId); break;
+          case 'PATCH': executaPATCH($cnx, $userId); break;
+          case 'DELETE': executaDELETE($cnx, $userId); break;
+      }
+  }
+  mysqli_close($cnx);
+?>
@@ -0,0 +1,101 @@
+<?php
+  /**
+   * @file import_profiles.php
+   * @description This script manages the saved CSV import profiles. A profile remembers how one bank's
+   * CSV export is laid out (delimiter, date format, decimal separator and which column holds which field), so the next
+   * import from the same bank can be mapped in one click. It is the endpoint for the '/import_profiles' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  // The decimal separator of the amounts: ',' or '.', or null to have the import guess it.
+  function separatorZecimal($data) {
+      return isset($data['decimal_separator']) && in_array($data['decimal_separator'], ['.', ','], true) ? $data['decimal_separator'] : null;
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all import profiles, ordered by name.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT * FROM import_profiles WHERE user_id = ? ORDER BY name");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to save a new import profile.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      // The category column is optional: some banks don't export one.
+      $categoryColumn = !empty($data['category_column']) ? $data['category_column'] : null;
+      $hasHeader = !empty($data['has_header']) ? 1 : 0;
+      $decimalSeparator = separatorZecimal($data);
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO import_profiles(user_id, name, delimiter, has_header, date_format, decimal_separator, date_column, description_column, amount_column, category_column) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+      // 'ississssss': the user ID and the header flag are integers, everything else is a string.
+      mysqli_stmt_bind_param($stmt, 'ississssss', $userId, $data['name'], $data['delimiter'], $hasHeader, $data['date_format'], $decimalSeparator, $data['date_column'], $data['description_column'], $data['amount_column'], $categoryColumn);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update an existing import profile.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $categoryColumn = !empty($data['category_column']) ? $data['category_column'] : null;
+      $hasHeader = !empty($data['has_header']) ? 1 : 0;
+      $decimalSeparator = separatorZecimal($data);
+
+      $stmt = mysqli_prepare($cnx, "UPDATE import_profiles SET name=?, delimiter=?, has_header=?, date_format=?, decimal_separator=?, date_column=?, description_column=?, amount_column=?, category_column=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'ssissssssii', $data['name'], $data['delimiter'], $hasHeader, $data['date_format'], $decimalSeparator, $data['date_column'], $data['description_column'], $data['amount_column'], $categoryColumn, $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove an import profile.
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $stmt = mysqli_prepare($cnx, "DELETE FROM import_profiles WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
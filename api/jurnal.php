@@ -0,0 +1,73 @@
+<?php
+  /**
+   * @file jurnal.php
+   * @description Helpers that write the audit history ('audit_log' table). Every endpoint that adds, changes or deletes
+   * transactions, categories, budget rules or schedules includes this file and records each row it touched,
+   * with the row's values before and after the change, and the user who made it. The history is read through audit_log.php.
+   * It is included by the endpoints after conectare.php and has no route of its own.
+   */
+
+  // The tables the history covers, by the 'entity_type' stored with each entry.
+  const ENTITATI_JURNAL = [
+      'transaction' => 'transactions',
+      'category' => 'categories',
+      'budget_rule' => 'budget_rules',
+      'recurring_income' => 'recurring_incomes',
+      'recurring_expense' => 'recurring_expenses',
+  ];
+
+  /**
+   * @function citesteStare
+   * @description Reads the current values of some rows, to record them before or after a change.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user; other users' rows are never read.
+   * @param string $entity A key of ENTITATI_JURNAL.
+   * @param array $ids The row IDs.
+   * @return array The rows that exist, keyed by ID.
+   */
+  function citesteStare($cnx, $userId, $entity, $ids) {
+      $ids = array_values(array_unique(array_map('intval', $ids)));
+      if (count($ids) === 0) return [];
+
+      $table = ENTITATI_JURNAL[$entity];
+      $stmt = mysqli_prepare($cnx, "SELECT * FROM $table WHERE user_id = ? AND id IN (" . implode(', ', array_fill(0, count($ids), '?')) . ")");
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids) + 1), $userId, ...$ids);
+      mysqli_stmt_execute($stmt);
+      $rez = mysqli_stmt_get_result($stmt);
+      $stare = [];
+      while ($linie = mysqli_fetch_assoc($rez)) {
+          $stare[(int)$linie['id']] = $linie;
+      }
+      mysqli_free_result($rez);
+      return $stare;
+  }
+
+  /**
+   * @function jurnalizeaza
+   * @description Writes one history entry per row touched by a change. An 'update' that left a row as it was
+   * is not recorded. For transactions, the entry also keeps the 'transfer_group', so the history of a transfer
+   * between accounts survives the rewrite of its two rows.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The user who made the change.
+   * @param string $entity A key of ENTITATI_JURNAL.
+   * @param string $action 'create', 'update', 'delete' (moved to the Trash, or removed when there is no Trash),
+   * 'restore' (brought back from the Trash) or 'purge' (removed from the Trash for good).
+   * @param array $before The rows before the change, keyed by ID (see citesteStare); empty for a 'create'.
+   * @param array $after The rows after the change, keyed by ID; empty when they were removed.
+   */
+  function jurnalizeaza($cnx, $userId, $entity, $action, $before, $after) {
+      $stmt = mysqli_prepare($cnx, "INSERT INTO audit_log(user_id, entity_type, entity_id, transfer_group, action, before_values, after_values) VALUES (?, ?, ?, ?, ?, ?, ?)");
+      foreach (array_unique(array_merge(array_keys($before), array_keys($after))) as $id) {
+          $inainte = isset($before[$id]) ? $before[$id] : null;
+          $dupa = isset($after[$id]) ? $after[$id] : null;
+          if ($action === 'update' && $inainte == $dupa) continue;
+
+          $rand = $dupa !== null ? $dupa : $inainte;
+          $group = !empty($rand['transfer_group']) ? $rand['transfer_group'] : null;
+          $inainteJson = $inainte !== null ? json_encode($inainte) : null;
+          $dupaJson = $dupa !== null ? json_encode($dupa) : null;
+          mysqli_stmt_bind_param($stmt, 'isissss', $userId, $entity, $id, $group, $action, $inainteJson, $dupaJson);
+          mysqli_stmt_execute($stmt);
+      }
+  }
+?>
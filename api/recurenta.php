@@ -0,0 +1,479 @@
+<?php
+  /**
+   * @file recurenta.php
+   * @description Helpers for the recurrence pattern of the recurring incomes and expenses. A schedule repeats
+   * 'daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly' or on the 'last_business_day' of the month,
+   * every 'interval_count' of those units (e.g. every 2 months). Weekly patterns can fall on a given 'weekday'
+   * (1 = Monday ... 7 = Sunday); monthly, quarterly and yearly ones fall on 'recurrence_day', counting the months
+   * from the month of 'start_date'. The same rules are followed by src/utils/recurrence.js for the projections.
+   * Due occurrences wait in the "Upcoming & pending" panel until the user approves (optionally with another amount)
+   * or skips them; a skipped occurrence is kept in 'recurring_skips' so it is never generated again.
+   * A schedule's amount can change over time (a price rise, a new tariff): 'recurring_amounts' keeps dated revisions,
+   * and each occurrence uses the amount valid on its date (the schedule's own 'amount' before the first revision).
+   * It is included by recurring_incomes.php and recurring_expenses.php after sesiune.php; the handlers at the end
+   * serve both, given the schedule table ('recurring_incomes' or 'recurring_expenses').
+   */
+
+  // The patterns a schedule can follow; schedules saved before patterns existed are 'monthly'.
+  const FRECVENTE = ['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly', 'last_business_day'];
+
+  // The column that links a generated transaction (or a skipped occurrence) to its schedule, by schedule table.
+  const COLOANE_PROGRAM = ['recurring_incomes' => 'recurring_income_id', 'recurring_expenses' => 'recurring_expense_id'];
+
+  // The audit history's name for the schedules of each table (see ENTITATI_JURNAL in jurnal.php).
+  const ENTITATI_PROGRAM = ['recurring_incomes' => 'recurring_income', 'recurring_expenses' => 'recurring_expense'];
+
+  // How far ahead the panel can look for upcoming occurrences, in days.
+  const ZILE_PREVIZUALIZARE = 366;
+
+  /**
+   * @function recurentaDin
+   * @description Reads the recurrence fields of a schedule sent by the client, with the defaults older clients rely on:
+   * monthly, every 1, no weekday, and the day of the start date when no day of the month is given.
+   * A weekday is only kept for the weekly patterns.
+   * @param array $data The schedule data.
+   * @return array [frequency, interval_count, weekday, recurrence_day]
+   */
+  function recurentaDin($data) {
+      $frecventa = !empty($data['frequency']) ? $data['frequency'] : 'monthly';
+      $interval = isset($data['interval_count']) && $data['interval_count'] !== '' ? (int)$data['interval_count'] : 1;
+      $ziSaptamana = in_array($frecventa, ['weekly', 'biweekly'], true) && isset($data['weekday']) && $data['weekday'] !== '' ? (int)$data['weekday'] : null;
+      $zi = !empty($data['recurrence_day']) ? (int)$data['recurrence_day'] : (int)date('j', strtotime($data['start_date']));
+      return [$frecventa, $interval, $ziSaptamana, $zi];
+  }
+
+  /**
+   * @function verificaRecurenta
+   * @description Checks the recurrence pattern of a schedule before it is saved.
+   * @param array $data The schedule data.
+   * @return string|null An error message, or null if the pattern can be saved.
+   */
+  function verificaRecurenta($data) {
+      if (empty($data['start_date']) || empty($data['end_date']) || $data['end_date'] < $data['start_date']) {
+          return 'The schedule needs a start date and an end date on or after it.';
+      }
+      [$frecventa, $interval, $ziSaptamana, $zi] = recurentaDin($data);
+      if (!in_array($frecventa, FRECVENTE, true)) return 'Unknown repeat pattern.';
+      if ($interval < 1 || $interval > 99) return 'The interval must be between 1 and 99.';
+      if ($ziSaptamana !== null && ($ziSaptamana < 1 || $ziSaptamana > 7)) return 'Unknown day of the week.';
+      if ($zi < 1 || $zi > 31) return 'The day of the month must be between 1 and 31.';
+      return null;
+  }
+
+  /**
+   * @function aparitia
+   * @description The date of a schedule's n-th occurrence (counting from 0), before the start and end dates are applied.
+   * A day of the month the month doesn't have (e.g. the 31st in February) falls on the month's last day, and the
+   * last business day is the last Monday to Friday of the month.
+   * @param array $rule The schedule, as stored.
+   * @param DateTimeImmutable $start The schedule's start date.
+   * @param int $n Which occurrence.
+   * @return DateTimeImmutable The occurrence date.
+   */
+  function aparitia($rule, $start, $n) {
+      $pas = max(1, (int)$rule['interval_count']);
+      switch ($rule['frequency']) {
+          case 'daily':
+              return $start->modify('+' . ($n * $pas) . ' days');
+          case 'weekly':
+          case 'biweekly':
+              // The first occurrence is the first chosen weekday on or after the start date.
+              $primul = $start;
+              if (!empty($rule['weekday'])) {
+                  $primul = $start->modify('+' . (((int)$rule['weekday'] - (int)$start->format('N') + 7) % 7) . ' days');
+              }
+              $zile = $rule['frequency'] === 'biweekly' ? 14 : 7;
+              return $primul->modify('+' . ($n * $pas * $zile) . ' days');
+      }
+
+      $luni = ['quarterly' => 3, 'yearly' => 12][$rule['frequency']] ?? 1;
+      $luna = $start->modify('first day of this month')->modify('+' . ($n * $pas * $luni) . ' months');
+      if ($rule['frequency'] === 'last_business_day') {
+          $zi = $luna->modify('last day of this month');
+          while ((int)$zi->format('N') >= 6) $zi = $zi->modify('-1 day');
+          return $zi;
+      }
+      $zi = min((int)$rule['recurrence_day'], (int)$luna->format('t'));
+      return $luna->setDate((int)$luna->format('Y'), (int)$luna->format('n'), $zi);
+  }
+
+  /**
+   * @function dateRecurente
+   * @description Lists the dates a schedule generates a transaction on, from its start date up to a given date.
+   * @param array $rule The schedule, as stored.
+   * @param string|null $dupa Only dates after this one ('Y-m-d'), e.g. the last processed date; null for all of them.
+   * @param string $panaLa The last date to include ('Y-m-d'), e.g. the earlier of today and the schedule's end date.
+   * @return array The dates, as 'Y-m-d' strings, in order.
+   */
+  function dateRecurente($rule, $dupa, $panaLa) {
+      $start = new DateTimeImmutable($rule['start_date']);
+      $date = [];
+      // The occurrences only move forward, so the first one past $panaLa ends the list.
+      for ($n = 0; ($data = aparitia($rule, $start, $n)->format('Y-m-d')) <= $panaLa; $n++) {
+          // A monthly occurrence can fall before the start date in the first month (e.g. the 10th, starting on the 25th).
+          if ($data >= $rule['start_date'] && ($dupa === null || $data > $dupa)) $date[] = $data;
+      }
+      return $date;
+  }
+
+  /**
+   * @function dateFolosite
+   * @description The occurrence dates of a schedule that were already dealt with: generated (including transactions
+   * in the Trash, so deleting one doesn't bring it back) or skipped.
+   * @param mysqli $cnx The active database connection.
+   * @param string $tabel The schedule table.
+   * @param int $scheduleId The schedule.
+   * @return array The dates ('Y-m-d') as keys.
+   */
+  function dateFolosite($cnx, $tabel, $scheduleId) {
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $stmt = mysqli_prepare($cnx, "SELECT transaction_date AS d FROM transactions WHERE $coloana = ? UNION SELECT occurrence_date FROM recurring_skips WHERE $coloana = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $scheduleId, $scheduleId);
+      mysqli_stmt_execute($stmt);
+      $date = [];
+      foreach (mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC) as $linie) $date[$linie['d']] = true;
+      return $date;
+  }
+
+  /**
+   * @function cuSalturi
+   * @description Adds 'skipped_dates' (the occurrences the user skipped, as 'Y-m-d' strings) to each schedule,
+   * so the projections can leave them out.
+   * @param mysqli $cnx The active database connection.
+   * @param string $tabel The schedule table.
+   * @param array $rows The schedules.
+   * @return array The schedules, with their skipped dates.
+   */
+  function cuSalturi($cnx, $tabel, $rows) {
+      if (count($rows) === 0) return $rows;
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $ids = array_map(function ($r) { return (int)$r['id']; }, $rows);
+      $stmt = mysqli_prepare($cnx, "SELECT $coloana AS schedule_id, occurrence_date FROM recurring_skips WHERE $coloana IN (" . implode(', ', array_fill(0, count($ids), '?')) . ") ORDER BY occurrence_date");
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+      mysqli_stmt_execute($stmt);
+      $salturi = [];
+      foreach (mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC) as $linie) {
+          $salturi[$linie['schedule_id']][] = $linie['occurrence_date'];
+      }
+      return array_map(function ($r) use ($salturi) {
+          $r['skipped_dates'] = $salturi[$r['id']] ?? [];
+          return $r;
+      }, $rows);
+  }
+
+  /**
+   * @function reviziiSuma
+   * @description Reads the amount revisions of some schedules.
+   * @param mysqli $cnx The active database connection.
+   * @param string $tabel The schedule table.
+   * @param array $ids The schedules' IDs.
+   * @return array [schedule_id => [{ id, amount, valid_from }, ...]], each list from the oldest revision.
+   */
+  function reviziiSuma($cnx, $tabel, $ids) {
+      if (count($ids) === 0) return [];
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $stmt = mysqli_prepare($cnx, "SELECT id, $coloana AS schedule_id, amount, valid_from FROM recurring_amounts WHERE $coloana IN (" . implode(', ', array_fill(0, count($ids), '?')) . ") ORDER BY valid_from");
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+      mysqli_stmt_execute($stmt);
+      $revizii = [];
+      foreach (mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC) as $linie) {
+          $revizii[$linie['schedule_id']][] = ['id' => (int)$linie['id'], 'amount' => $linie['amount'], 'valid_from' => $linie['valid_from']];
+      }
+      return $revizii;
+  }
+
+  /**
+   * @function sumaLaData
+   * @description The amount of a schedule valid on a date: the latest revision from on or before it, or the schedule's amount.
+   * @param array $rule The schedule.
+   * @param array $revizii Its revisions, from the oldest (see reviziiSuma).
+   * @param string $data The date ('Y-m-d').
+   * @return string The amount.
+   */
+  function sumaLaData($rule, $revizii, $data) {
+      $suma = $rule['amount'];
+      foreach ($revizii as $revizie) {
+          if ($revizie['valid_from'] > $data) break;
+          $suma = $revizie['amount'];
+      }
+      return $suma;
+  }
+
+  /**
+   * @function cuRevizii
+   * @description Adds 'amount_history' (the schedule's amount revisions, see reviziiSuma) to each schedule.
+   * @param mysqli $cnx The active database connection.
+   * @param string $tabel The schedule table.
+   * @param array $rows The schedules.
+   * @return array The schedules, with their amount history.
+   */
+  function cuRevizii($cnx, $tabel, $rows) {
+      $revizii = reviziiSuma($cnx, $tabel, array_map(function ($r) { return (int)$r['id']; }, $rows));
+      return array_map(function ($r) use ($revizii) {
+          $r['amount_history'] = $revizii[$r['id']] ?? [];
+          return $r;
+      }, $rows);
+  }
+
+  /**
+   * @function aparitiiInAsteptare
+   * @description The "dry run" of the processors: every occurrence of the user's schedules up to a date that hasn't been
+   * generated, skipped or processed yet (after 'last_processed_date'). Schedules whose category is gone (or in the Trash)
+   * are left out until it is back. Each occurrence has the amount valid on its date.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   * @param string $panaLa The last date to include ('Y-m-d').
+   * @param int|null $scheduleId Only this schedule, or null for all of them.
+   * @return array { id, description, amount, currency, category_id, category_name, transaction_date, due }, by date.
+   */
+  function aparitiiInAsteptare($cnx, $userId, $tabel, $panaLa, $scheduleId = null) {
+      $sql = "SELECT r.*, c.name AS category_name FROM $tabel r JOIN categories c ON c.id = r.category_id AND c.deleted_at IS NULL WHERE r.user_id = ? AND r.start_date <= ?";
+      $parametri = [$userId, $panaLa];
+      if ($scheduleId !== null) {
+          $sql .= " AND r.id = ?";
+          $parametri[] = $scheduleId;
+      }
+      $stmt = mysqli_prepare($cnx, $sql);
+      mysqli_stmt_bind_param($stmt, 'is' . ($scheduleId !== null ? 'i' : ''), ...$parametri);
+      mysqli_stmt_execute($stmt);
+
+      $azi = date('Y-m-d');
+      $aparitii = [];
+      $rules = mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC);
+      $revizii = reviziiSuma($cnx, $tabel, array_map(function ($r) { return (int)$r['id']; }, $rules));
+      foreach ($rules as $rule) {
+          $folosite = dateFolosite($cnx, $tabel, $rule['id']);
+          foreach (dateRecurente($rule, $rule['last_processed_date'], min($panaLa, $rule['end_date'])) as $data) {
+              if (isset($folosite[$data])) continue;
+              $aparitii[] = [
+                  'id' => (int)$rule['id'],
+                  'description' => $rule['description'],
+                  'amount' => sumaLaData($rule, $revizii[$rule['id']] ?? [], $data),
+                  'currency' => $rule['currency'],
+                  'category_id' => (int)$rule['category_id'],
+                  'category_name' => $rule['category_name'],
+                  'transaction_date' => $data,
+                  'due' => $data <= $azi,
+              ];
+          }
+      }
+      usort($aparitii, function ($a, $b) { return strcmp($a['transaction_date'], $b['transaction_date']); });
+      return $aparitii;
+  }
+
+  /**
+   * @function genereazaTranzactie
+   * @description Creates the transaction of one occurrence, linked to its schedule, and records it in the audit history
+   * like any other new transaction. Expenses are stored as negative amounts.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   * @param array $aparitie The occurrence, as listed by aparitiiInAsteptare.
+   * @param float $suma The amount (its sign is ignored).
+   * @return int The new transaction's ID.
+   */
+  function genereazaTranzactie($cnx, $userId, $tabel, $aparitie, $suma) {
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $cheltuiala = $tabel === 'recurring_expenses';
+      $suma = $cheltuiala ? -abs($suma) : abs($suma);
+      $tip = $cheltuiala ? 'Expense' : 'Income';
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transactions(user_id, description, amount, type, category_id, transaction_date, $coloana, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+      mysqli_stmt_bind_param($stmt, 'isdsisis', $userId, $aparitie['description'], $suma, $tip, $aparitie['category_id'], $aparitie['transaction_date'], $aparitie['id'], $aparitie['currency']);
+      mysqli_stmt_execute($stmt);
+      $id = mysqli_stmt_insert_id($stmt);
+      jurnalizeaza($cnx, $userId, 'transaction', 'create', [], citesteStare($cnx, $userId, 'transaction', [$id]));
+      return $id;
+  }
+
+  /**
+   * @function gasesteAparitia
+   * @description Finds the occurrence a request is about ({ id, transaction_date }) among the ones still waiting.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   * @param array $data The request data.
+   * @return array|null The occurrence, or null if it isn't waiting (not a date of the schedule, or already dealt with).
+   */
+  function gasesteAparitia($cnx, $userId, $tabel, $data) {
+      if (empty($data['id']) || empty($data['transaction_date'])) return null;
+      foreach (aparitiiInAsteptare($cnx, $userId, $tabel, $data['transaction_date'], (int)$data['id']) as $aparitie) {
+          if ($aparitie['transaction_date'] === $data['transaction_date']) return $aparitie;
+      }
+      return null;
+  }
+
+  /**
+   * @function executaPrevizualizare
+   * @description GET ?action=pending&until=Y-m-d: the occurrences waiting up to 'until' (today by default, at most
+   * ZILE_PREVIZUALIZARE days ahead), without creating anything. 'due' tells the pending ones from the upcoming ones.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   */
+  function executaPrevizualizare($cnx, $userId, $tabel) {
+      $azi = date('Y-m-d');
+      $limita = date('Y-m-d', strtotime('+' . ZILE_PREVIZUALIZARE . ' days'));
+      $panaLa = !empty($_GET['until']) && strtotime($_GET['until']) ? date('Y-m-d', strtotime($_GET['until'])) : $azi;
+      echo json_encode(aparitiiInAsteptare($cnx, $userId, $tabel, min(max($panaLa, $azi), $limita)));
+  }
+
+  /**
+   * @function executaAprobare
+   * @description POST ?action=approve with { id, transaction_date, amount }: creates the transaction of a due occurrence,
+   * with the given amount (the schedule's amount when it is left out).
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   */
+  function executaAprobare($cnx, $userId, $tabel) {
+      $data = json_decode(file_get_contents('php://input'), true);
+      $aparitie = gasesteAparitia($cnx, $userId, $tabel, $data);
+      if ($aparitie === null || !$aparitie['due']) {
+          echo json_encode(['rezultat' => 'Eroare: This occurrence isn\'t due, or was already generated or skipped.']);
+          return;
+      }
+      $suma = isset($data['amount']) && $data['amount'] !== '' ? (float)$data['amount'] : (float)$aparitie['amount'];
+      if ($suma == 0) {
+          echo json_encode(['rezultat' => 'Eroare: The amount can\'t be zero.']);
+          return;
+      }
+      echo json_encode(['rezultat' => "OK", 'id' => genereazaTranzactie($cnx, $userId, $tabel, $aparitie, $suma)]);
+  }
+
+  /**
+   * @function executaSaltul
+   * @description POST ?action=skip with { id, transaction_date }: remembers that an occurrence (due or upcoming)
+   * should not be generated. The audit history records it as a change of the schedule's 'skipped_dates'.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   */
+  function executaSaltul($cnx, $userId, $tabel) {
+      $data = json_decode(file_get_contents('php://input'), true);
+      $aparitie = gasesteAparitia($cnx, $userId, $tabel, $data);
+      if ($aparitie === null) {
+          echo json_encode(['rezultat' => 'Eroare: This occurrence was already generated or skipped.']);
+          return;
+      }
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $entitate = ENTITATI_PROGRAM[$tabel];
+      $before = cuSalturi($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$aparitie['id']]));
+      $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_skips ($coloana, occurrence_date) VALUES (?, ?)");
+      mysqli_stmt_bind_param($stmt, 'is', $aparitie['id'], $aparitie['transaction_date']);
+      if (mysqli_stmt_execute($stmt)) {
+          jurnalizeaza($cnx, $userId, $entitate, 'update', $before, cuSalturi($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$aparitie['id']])));
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  /**
+   * @function sumaLaEditare
+   * @description Decides how an edit of a schedule applies a changed amount. Once the schedule has started, its past
+   * keeps the amount it had: the schedule's own amount stays, and the new one becomes a revision from today (see
+   * adaugaRevizie). Before the start the amount is simply replaced; a schedule that has ended can no longer change it.
+   * @param array $inainte The schedule as stored.
+   * @param array $data The schedule data sent by the client.
+   * @return array|string [the amount to save on the schedule, the date of the revision or null], or an error message.
+   */
+  function sumaLaEditare($inainte, $data) {
+      $azi = date('Y-m-d');
+      $suma = (float)$data['amount'];
+      if (round($suma, 2) === round((float)$inainte['amount'], 2) || $data['start_date'] >= $azi) {
+          return [$suma, null];
+      }
+      if ($data['end_date'] < $azi) {
+          return 'This schedule has ended; its amount can no longer change.';
+      }
+      return [(float)$inainte['amount'], $azi];
+  }
+
+  /**
+   * @function adaugaRevizie
+   * @description Saves a schedule's amount from a date on. A revision on the same date is replaced.
+   * @param mysqli $cnx The active database connection.
+   * @param string $tabel The schedule table.
+   * @param int $scheduleId The schedule.
+   * @param float $suma The new amount.
+   * @param string $deLa The date it applies from.
+   * @return bool Whether it was saved.
+   */
+  function adaugaRevizie($cnx, $tabel, $scheduleId, $suma, $deLa) {
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_amounts ($coloana, amount, valid_from) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE amount = VALUES(amount)");
+      $suma = abs($suma);
+      mysqli_stmt_bind_param($stmt, 'ids', $scheduleId, $suma, $deLa);
+      return mysqli_stmt_execute($stmt);
+  }
+
+  /**
+   * @function executaRevizie
+   * @description POST ?action=revision with { id, amount, valid_from }: the schedule's amount changes from that date on
+   * (e.g. a subscription going from 12.99 to 15.49 in September). A revision on the same date is replaced.
+   * Transactions already recorded keep their amounts; the occurrences still waiting use the new one.
+   * The audit history records it as a change of the schedule's 'amount_history'.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   */
+  function executaRevizie($cnx, $userId, $tabel) {
+      $data = json_decode(file_get_contents('php://input'), true);
+      $stmt = mysqli_prepare($cnx, "SELECT start_date, end_date FROM $tabel WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      mysqli_stmt_execute($stmt);
+      $rule = mysqli_fetch_assoc(mysqli_stmt_get_result($stmt));
+      if (!$rule) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown schedule.']);
+          return;
+      }
+      $suma = isset($data['amount']) ? abs((float)$data['amount']) : 0;
+      $deLa = isset($data['valid_from']) ? $data['valid_from'] : '';
+      if ($suma <= 0) {
+          echo json_encode(['rezultat' => 'Eroare: The amount must be greater than zero.']);
+          return;
+      }
+      if (!strtotime($deLa) || $deLa <= $rule['start_date'] || $deLa > $rule['end_date']) {
+          echo json_encode(['rezultat' => 'Eroare: The new amount must start after the schedule starts and before it ends.']);
+          return;
+      }
+      $entitate = ENTITATI_PROGRAM[$tabel];
+      $before = cuRevizii($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$data['id']]));
+      if (adaugaRevizie($cnx, $tabel, $data['id'], $suma, $deLa)) {
+          jurnalizeaza($cnx, $userId, $entitate, 'update', $before, cuRevizii($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$data['id']])));
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  /**
+   * @function executaStergereRevizie
+   * @description DELETE ?action=revision with { id } (the revision's): the previous amount applies again from its date.
+   * The audit history records it as a change of the schedule's 'amount_history'.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $tabel The schedule table.
+   */
+  function executaStergereRevizie($cnx, $userId, $tabel) {
+      $data = json_decode(file_get_contents('php://input'), true);
+      $coloana = COLOANE_PROGRAM[$tabel];
+      $entitate = ENTITATI_PROGRAM[$tabel];
+      // The schedule the revision belongs to, if it is the user's.
+      $stmt = mysqli_prepare($cnx, "SELECT a.$coloana AS schedule_id FROM recurring_amounts a JOIN $tabel r ON r.id = a.$coloana WHERE a.id = ? AND r.user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      mysqli_stmt_execute($stmt);
+      $revizie = mysqli_fetch_assoc(mysqli_stmt_get_result($stmt));
+      $before = $revizie ? cuRevizii($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$revizie['schedule_id']])) : [];
+
+      $stmt = mysqli_prepare($cnx, "DELETE a FROM recurring_amounts a JOIN $tabel r ON r.id = a.$coloana WHERE a.id = ? AND r.user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt) && mysqli_stmt_affected_rows($stmt) > 0) {
+          jurnalizeaza($cnx, $userId, $entitate, 'update', $before, cuRevizii($cnx, $tabel, citesteStare($cnx, $userId, $entitate, [$revizie['schedule_id']])));
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: Unknown amount change.']);
+      }
+  }
+?>
@@ -2,113 +2,93 @@
 /**
  * @file recurring_expenses.php
  * @description This script manages recurring expenses. It provides functionality to:
- * 1. Process and automatically create transactions for due recurring expenses (special action).
+ * 1. Preview the transactions due recurring expenses would create, approve or skip them one by one, or
+ *    create all of them at once (special actions, see recurenta.php).
  * 2. CRUD (Create, Read, Update, Delete) the recurring expense rules themselves.
  * It acts as a RESTful API endpoint for the '/recurring_expenses' resource.
  */
 
 // Include the database connection file. This is essential for any database operations.
 require 'conectare.php';
+// Include the audit history helpers.
+require 'jurnal.php';
+// Include the logged-in user helpers.
+require 'sesiune.php';
+// Include the recurrence pattern helpers.
+require 'recurenta.php';
 
 // --- 1. SPECIAL ACTION: PROCESS RECURRING EXPENSES ---
 /**
  * @function processRecurringExpenses
- * @description This is the core logic for automation. It finds all active recurring expense rules
- * and creates the actual transaction records in the 'transactions' table for any past due dates
- * that haven't been processed yet. This should be triggered periodically (e.g., once a day).
+ * @description Creates the actual transaction records in the 'transactions' table for every due occurrence
+ * of the recurring expense rules that is still waiting, at the rules' amounts. It backs the "Approve all" button
+ * of the review panel; ?action=pending previews the same occurrences without creating anything.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function processRecurringExpenses($cnx) {
-    // Get today's date with the time set to midnight for consistent comparisons.
-    $today = new DateTime();
-    $today->setTime(0, 0, 0);
+function processRecurringExpenses($cnx, $userId) {
+    $today_str = date('Y-m-d');
     $added_count = 0; // A counter for the number of new transactions created.
 
-    // Fetch all recurring expense rules that have already started.
-    $query = "SELECT * FROM recurring_expenses WHERE start_date <= ?";
-    $stmt = mysqli_prepare($cnx, $query);
-    $today_str = $today->format('Y-m-d');
-    
-    mysqli_stmt_bind_param($stmt, 's', $today_str);
-    mysqli_stmt_execute($stmt);
-    $result = mysqli_stmt_get_result($stmt);
-
-    // Loop through each recurring expense rule found.
-    while ($rule = mysqli_fetch_assoc($result)) {
-        // A safety check to ensure the category assigned to the rule still exists.
-        $cat_id = $rule['category_id'];
-        $check_cat_q = "SELECT id FROM categories WHERE id = ?";
-        $check_cat_stmt = mysqli_prepare($cnx, $check_cat_q);
-        mysqli_stmt_bind_param($check_cat_stmt, 'i', $cat_id);
-        mysqli_stmt_execute($check_cat_stmt);
-        mysqli_stmt_store_result($check_cat_stmt);
-
-        // Only proceed if the category is valid.
-        if (mysqli_stmt_num_rows($check_cat_stmt) > 0) {
-            $end_date_obj = new DateTime($rule['end_date']);
-            
-            // The 'cursor_date' is our starting point for generating transactions.
-            // If we've processed this rule before, start from the month after 'last_processed_date'.
-            // Otherwise, start from the rule's 'start_date'.
-            $cursor_date = $rule['last_processed_date'] ? (new DateTime($rule['last_processed_date']))->modify('first day of next month') : new DateTime($rule['start_date']);
-
-            // Loop through each month from the cursor date until today's date.
-            while ($cursor_date <= $today && $cursor_date <= $end_date_obj) {
-                // Construct the potential transaction date for the current month in the loop.
-                $transaction_date_obj = new DateTime($cursor_date->format('Y-m-') . $rule['recurrence_day']);
+    // Create the transaction of every occurrence that is due by today and still waiting (see aparitiiInAsteptare in
+    // recurenta.php): not generated before, not skipped in the review panel, and in a category that still exists.
+    foreach (aparitiiInAsteptare($cnx, $userId, 'recurring_expenses', $today_str) as $occurrence) {
+        genereazaTranzactie($cnx, $userId, 'recurring_expenses', $occurrence, $occurrence['amount']);
+        $added_count++;
+    }
 
-                // Handle cases where the recurrence day is invalid for the month (e.g., day 31 in February).
-                // If the month of the constructed date doesn't match the cursor's month, it means the day was too high.
-                // In this case, we use the last day of the cursor's month instead.
-                if ($transaction_date_obj->format('m') != $cursor_date->format('m')) {
-                    $transaction_date_obj = new DateTime($cursor_date->format('Y-m-t')); // 't' gives the last day of the month.
-                }
+    // After processing, update the rules' 'last_processed_date' to today (the ones whose category is in the Trash
+    // keep theirs, so they catch up once it is restored).
+    // This prevents the same transactions from being created again next time the script runs.
+    $update_stmt = mysqli_prepare($cnx, "UPDATE recurring_expenses r JOIN categories c ON c.id = r.category_id AND c.deleted_at IS NULL SET r.last_processed_date = ? WHERE r.user_id = ? AND r.start_date <= ?");
+    mysqli_stmt_bind_param($update_stmt, 'sis', $today_str, $userId, $today_str);
+    mysqli_stmt_execute($update_stmt);
 
-                // Only create the transaction if its calculated date is in the past or is today.
-                if ($transaction_date_obj <= $today) {
-                    $transaction_date_str = $transaction_date_obj->format('Y-m-d');
-                    
-                    // Prepare to insert the new transaction. Note the 'recurring_expense_id' column.
-                    // This creates a direct link between the generated transaction and the rule that created it.
-                    $trans_stmt = mysqli_prepare($cnx, "INSERT INTO transactions(description, amount, type, category_id, transaction_date, recurring_expense_id) VALUES (?, ?, 'Expense', ?, ?, ?)");
-                    
-                    $negative_amount = -abs($rule['amount']); // Ensure expense amounts are stored as negative numbers.
-                    
-                    // Bind the parameters, including the rule's ID, to the INSERT statement.
-                    mysqli_stmt_bind_param($trans_stmt, 'sdisi', $rule['description'], $negative_amount, $rule['category_id'], $transaction_date_str, $rule['id']);
-                    mysqli_stmt_execute($trans_stmt);
-                    $added_count++;
-                }
-                // Move the cursor to the first day of the next month to continue the loop.
-                $cursor_date->modify('first day of next month');
-            }
-            // After processing the rule, update its 'last_processed_date' to today.
-            // This prevents the same transactions from being created again next time the script runs.
-            $update_stmt = mysqli_prepare($cnx, "UPDATE recurring_expenses SET last_processed_date = ? WHERE id = ?");
-            mysqli_stmt_bind_param($update_stmt, 'si', $today_str, $rule['id']);
-            mysqli_stmt_execute($update_stmt);
-        }
-    }
     // Return a status message to the client.
     echo json_encode(['status' => 'processed', 'added_expenses' => $added_count]);
 }
 
+/**
+ * @function contractDin
+ * @description Reads and checks a schedule's contract terms from a request: the notice period, the length of an
+ * automatic renewal (none when empty) and how many days ahead to remind of them.
+ * @param array $data The request body.
+ * @return array [notice_days, renewal_months or null, reminder_days], or a string with the error.
+ */
+function contractDin($data) {
+    $notice = isset($data['notice_days']) && $data['notice_days'] !== '' ? (int)$data['notice_days'] : 0;
+    $renewal = isset($data['renewal_months']) && $data['renewal_months'] !== '' && $data['renewal_months'] !== null ? (int)$data['renewal_months'] : null;
+    $reminder = isset($data['reminder_days']) && $data['reminder_days'] !== '' ? (int)$data['reminder_days'] : 30;
+    if ($notice < 0 || $notice > 365 || $reminder < 0 || $reminder > 365) {
+        return 'The notice period and the reminder must be between 0 and 365 days.';
+    }
+    if ($renewal !== null && ($renewal < 1 || $renewal > 120)) {
+        return 'A contract renews for 1 to 120 months.';
+    }
+    return [$notice, $renewal, $reminder];
+}
+
 // --- 2. READ (GET) ---
 /**
  * @function getRecurringExpenses
  * @description Handles HTTP GET requests. Fetches and returns all recurring expense rules from the database.
  * It joins with the 'categories' table to include the category name in the response.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function getRecurringExpenses($cnx) {
+function getRecurringExpenses($cnx, $userId) {
     $raspuns = [];
-    $query = "SELECT r.*, c.name as category_name FROM recurring_expenses r JOIN categories c ON r.category_id = c.id ORDER BY r.id DESC";
-    if ($rez = mysqli_query($cnx, $query)) {
+    $query = "SELECT r.*, c.name as category_name FROM recurring_expenses r JOIN categories c ON r.category_id = c.id AND c.deleted_at IS NULL WHERE r.user_id = ? ORDER BY r.id DESC";
+    $stmt = mysqli_prepare($cnx, $query);
+    mysqli_stmt_bind_param($stmt, 'i', $userId);
+    mysqli_stmt_execute($stmt);
+    if ($rez = mysqli_stmt_get_result($stmt)) {
         while ($linie = mysqli_fetch_assoc($rez)) {
             $raspuns[] = $linie;
         }
     }
-    echo json_encode($raspuns);
+    // Each schedule lists the occurrences the user skipped and its amount history (see recurenta.php).
+    echo json_encode(cuRevizii($cnx, 'recurring_expenses', cuSalturi($cnx, 'recurring_expenses', $raspuns)));
 }
 
 // --- 3. CREATE (POST) ---
@@ -116,14 +96,35 @@ function getRecurringExpenses($cnx) {
  * @function addRecurringExpense
  * @description Handles HTTP POST requests. Adds a new recurring expense rule to the database.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function addRecurringExpense($cnx) {
+function addRecurringExpense($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
     $contract_date = !empty($data['contract_end_date']) ? $data['contract_end_date'] : null;
-    $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_expenses (description, amount, category_id, recurrence_day, start_date, end_date, contract_end_date) VALUES (?, ?, ?, ?, ?, ?, ?)");
-    mysqli_stmt_bind_param($stmt, 'sdiisss', $data['description'], $data['amount'], $data['category_id'], $data['recurrence_day'], $data['start_date'], $data['end_date'], $contract_date);
+    // Schedules without a currency (older clients) are in EUR.
+    $currency = !empty($data['currency']) ? strtoupper($data['currency']) : 'EUR';
+    if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+        echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+        return;
+    }
+    $patternError = verificaRecurenta($data);
+    if ($patternError !== null) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $patternError]);
+        return;
+    }
+    $terms = contractDin($data);
+    if (is_string($terms)) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $terms]);
+        return;
+    }
+    [$frequency, $interval, $weekday, $day] = recurentaDin($data);
+    [$notice, $renewal, $reminder] = $terms;
+    $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_expenses (user_id, description, amount, category_id, recurrence_day, frequency, interval_count, weekday, start_date, end_date, contract_end_date, notice_days, renewal_months, reminder_days, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+    mysqli_stmt_bind_param($stmt, 'isdiisiisssiiis', $userId, $data['description'], $data['amount'], $data['category_id'], $day, $frequency, $interval, $weekday, $data['start_date'], $data['end_date'], $contract_date, $notice, $renewal, $reminder, $currency);
     if (mysqli_stmt_execute($stmt)) {
-        echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+        $id = mysqli_stmt_insert_id($stmt);
+        jurnalizeaza($cnx, $userId, 'recurring_expense', 'create', [], citesteStare($cnx, $userId, 'recurring_expense', [$id]));
+        echo json_encode(['rezultat' => "OK", 'id' => $id]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
     }
@@ -133,25 +134,48 @@ function addRecurringExpense($cnx) {
 /**
  * @function updateRecurringExpense
  * @description Handles HTTP PATCH requests. Updates an existing recurring expense rule.
- * Crucially, it first deletes all transactions previously generated by this rule
- * and then resets 'last_processed_date' to NULL. This forces the system to regenerate
- * all transactions for the rule with the updated details the next time the processing script runs.
+ * The transactions the rule has already recorded, and its 'last_processed_date', are left as they are: the edit
+ * applies only to the occurrences not recorded yet (see aparitiiInAsteptare in recurenta.php).
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function updateRecurringExpense($cnx) {
+function updateRecurringExpense($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
     $contract_date = !empty($data['contract_end_date']) ? $data['contract_end_date'] : null;
+    // Schedules without a currency (older clients) are in EUR.
+    $currency = !empty($data['currency']) ? strtoupper($data['currency']) : 'EUR';
     
-    // Step 1: Delete all transactions linked to this specific recurring expense ID.
-    // This is more reliable than matching by description.
-    $delete_trans_stmt = mysqli_prepare($cnx, "DELETE FROM transactions WHERE recurring_expense_id = ?");
-    mysqli_stmt_bind_param($delete_trans_stmt, 'i', $data['id']);
-    mysqli_stmt_execute($delete_trans_stmt);
-    
-    // Step 2: Update the rule itself and set 'last_processed_date' to NULL to force a full reprocessing.
-    $stmt = mysqli_prepare($cnx, "UPDATE recurring_expenses SET description=?, amount=?, category_id=?, recurrence_day=?, start_date=?, end_date=?, contract_end_date=?, last_processed_date=NULL WHERE id=?");
-    mysqli_stmt_bind_param($stmt, 'sdiisssi', $data['description'], $data['amount'], $data['category_id'], $data['recurrence_day'], $data['start_date'], $data['end_date'], $contract_date, $data['id']);
-    if (mysqli_stmt_execute($stmt)) {
+    // With the amount history, so a new amount the edit turns into a revision shows in the audit history.
+    $before = cuRevizii($cnx, 'recurring_expenses', citesteStare($cnx, $userId, 'recurring_expense', [$data['id']]));
+    if (count($before) === 0 || !apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+        echo json_encode(['rezultat' => 'Eroare: Unknown schedule or category.']);
+        return;
+    }
+    $patternError = verificaRecurenta($data);
+    if ($patternError !== null) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $patternError]);
+        return;
+    }
+    $terms = contractDin($data);
+    if (is_string($terms)) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $terms]);
+        return;
+    }
+
+    // A changed amount leaves the past alone: from today on, it is a revision (see sumaLaEditare in recurenta.php).
+    $amount = sumaLaEditare($before[$data['id']], $data);
+    if (is_string($amount)) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $amount]);
+        return;
+    }
+    [$amount, $revisionFrom] = $amount;
+
+    [$frequency, $interval, $weekday, $day] = recurentaDin($data);
+    [$notice, $renewal, $reminder] = $terms;
+    $stmt = mysqli_prepare($cnx, "UPDATE recurring_expenses SET description=?, amount=?, category_id=?, recurrence_day=?, frequency=?, interval_count=?, weekday=?, start_date=?, end_date=?, contract_end_date=?, notice_days=?, renewal_months=?, reminder_days=?, currency=? WHERE id=? AND user_id=?");
+    mysqli_stmt_bind_param($stmt, 'sdiisiisssiiisii', $data['description'], $amount, $data['category_id'], $day, $frequency, $interval, $weekday, $data['start_date'], $data['end_date'], $contract_date, $notice, $renewal, $reminder, $currency, $data['id'], $userId);
+    if (mysqli_stmt_execute($stmt) && ($revisionFrom === null || adaugaRevizie($cnx, 'recurring_expenses', $data['id'], $data['amount'], $revisionFrom))) {
+        jurnalizeaza($cnx, $userId, 'recurring_expense', 'update', $before, cuRevizii($cnx, 'recurring_expenses', citesteStare($cnx, $userId, 'recurring_expense', [$data['id']])));
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -165,15 +189,18 @@ function updateRecurringExpense($cnx) {
  * The corresponding transactions are deleted automatically by the database thanks to an
  * 'ON DELETE CASCADE' foreign key constraint on the 'recurring_expense_id' column.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function deleteRecurringExpense($cnx) {
+function deleteRecurringExpense($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
     $id = $data['id'];
+    $before = citesteStare($cnx, $userId, 'recurring_expense', [$id]);
     
     // We only need to delete the rule. The database handles the rest.
-    $stmt = mysqli_prepare($cnx, "DELETE FROM recurring_expenses WHERE id = ?");
-    mysqli_stmt_bind_param($stmt, 'i', $id);
+    $stmt = mysqli_prepare($cnx, "DELETE FROM recurring_expenses WHERE id = ? AND user_id = ?");
+    mysqli_stmt_bind_param($stmt, 'ii', $id, $userId);
     if (mysqli_stmt_execute($stmt)) {
+        jurnalizeaza($cnx, $userId, 'recurring_expense', 'delete', $before, []);
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -184,18 +211,36 @@ function deleteRecurringExpense($cnx) {
 // This block determines which function to call based on the HTTP request method and any 'action' parameter.
 $metoda = $_SERVER['REQUEST_METHOD'];
 $action = isset($_GET['action']) ? $_GET['action'] : '';
+$userId = cereUtilizator($cnx);
 
 // A special route for the processing action. It uses POST for safety, as it modifies data.
 if ($metoda == 'POST' && $action == 'process') {
-    processRecurringExpenses($cnx);
+    processRecurringExpenses($cnx, $userId);
+}
+// The review panel's routes: the dry run, and approving or skipping a single occurrence.
+elseif ($metoda == 'GET' && $action == 'pending') {
+    executaPrevizualizare($cnx, $userId, 'recurring_expenses');
+}
+elseif ($metoda == 'POST' && $action == 'approve') {
+    executaAprobare($cnx, $userId, 'recurring_expenses');
+}
+elseif ($metoda == 'POST' && $action == 'skip') {
+    executaSaltul($cnx, $userId, 'recurring_expenses');
+}
+// Dated changes of the amount.
+elseif ($metoda == 'POST' && $action == 'revision') {
+    executaRevizie($cnx, $userId, 'recurring_expenses');
+}
+elseif ($metoda == 'DELETE' && $action == 'revision') {
+    executaStergereRevizie($cnx, $userId, 'recurring_expenses');
 } 
 // The standard RESTful routes for CRUD operations.
 else {
     switch ($metoda) {
-        case 'GET': getRecurringExpenses($cnx); break;
-        case 'POST': addRecurringExpense($cnx); break;
-        case 'PATCH': updateRecurringExpense($cnx); break; // Using PATCH for updates is a common convention.
-        case 'DELETE': deleteRecurringExpense($cnx); break;
+        case 'GET': getRecurringExpenses($cnx, $userId); break;
+        case 'POST': addRecurringExpense($cnx, $userId); break;
+        case 'PATCH': updateRecurringExpense($cnx, $userId); break; // Using PATCH for updates is a common convention.
+        case 'DELETE': deleteRecurringExpense($cnx, $userId); break;
     }
 }
 
@@ -4,75 +4,42 @@
  * @description This script manages recurring incomes. Its structure and logic are almost identical
  * to recurring_expenses.php, but it handles positive income values.
  * It provides functionality to:
- * 1. Process and automatically create transactions for due recurring incomes.
+ * 1. Preview, approve, skip or create all the transactions of due recurring incomes.
  * 2. CRUD (Create, Read, Update, Delete) the recurring income rules.
  * It acts as a RESTful API endpoint for the '/recurring_incomes' resource.
  */
 
 require 'conectare.php';
+// Include the audit history helpers.
+require 'jurnal.php';
+// Include the logged-in user helpers.
+require 'sesiune.php';
+// Include the recurrence pattern helpers.
+require 'recurenta.php';
 
 // --- 1. SPECIAL ACTION: PROCESS RECURRING INCOMES ---
 /**
  * @function processRecurringIncomes
- * @description Automatically creates transaction records for any due recurring incomes
- * that have not yet been processed. This is the income counterpart to processRecurringExpenses.
+ * @description Creates transaction records for every due recurring income occurrence
+ * that is still waiting. This is the income counterpart to processRecurringExpenses.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function processRecurringIncomes($cnx) {
-    $today = new DateTime();
-    $today->setTime(0, 0, 0);
+function processRecurringIncomes($cnx, $userId) {
+    $today_str = date('Y-m-d');
     $added_count = 0;
 
-    $query = "SELECT * FROM recurring_incomes WHERE start_date <= ?";
-    $stmt = mysqli_prepare($cnx, $query);
-    $today_str = $today->format('Y-m-d');
-    
-    mysqli_stmt_bind_param($stmt, 's', $today_str);
-    mysqli_stmt_execute($stmt);
-    $result = mysqli_stmt_get_result($stmt);
-
-    while ($rule = mysqli_fetch_assoc($result)) {
-        // Safety check for category existence.
-        $cat_id = $rule['category_id'];
-        $check_cat_q = "SELECT id FROM categories WHERE id = ?";
-        $check_cat_stmt = mysqli_prepare($cnx, $check_cat_q);
-        mysqli_stmt_bind_param($check_cat_stmt, 'i', $cat_id);
-        mysqli_stmt_execute($check_cat_stmt);
-        mysqli_stmt_store_result($check_cat_stmt);
-
-        if (mysqli_stmt_num_rows($check_cat_stmt) > 0) {
-            $end_date_obj = new DateTime($rule['end_date']);
-            // Determine the starting point for transaction generation.
-            $cursor_date = $rule['last_processed_date'] ? (new DateTime($rule['last_processed_date']))->modify('first day of next month') : new DateTime($rule['start_date']);
+    // Create every due occurrence that is still waiting (see aparitiiInAsteptare in recurenta.php).
+    foreach (aparitiiInAsteptare($cnx, $userId, 'recurring_incomes', $today_str) as $occurrence) {
+        genereazaTranzactie($cnx, $userId, 'recurring_incomes', $occurrence, $occurrence['amount']);
+        $added_count++;
+    }
 
-            // Loop through each month that needs processing.
-            while ($cursor_date <= $today && $cursor_date <= $end_date_obj) {
-                $transaction_date_obj = new DateTime($cursor_date->format('Y-m-') . $rule['recurrence_day']);
-                
-                // Handle invalid days of the month (e.g., day 30 in a February).
-                if ($transaction_date_obj->format('m') != $cursor_date->format('m')) {
-                    $transaction_date_obj = new DateTime($cursor_date->format('Y-m-t'));
-                }
+    // Update the 'last_processed_date' to prevent reprocessing.
+    $update_stmt = mysqli_prepare($cnx, "UPDATE recurring_incomes r JOIN categories c ON c.id = r.category_id AND c.deleted_at IS NULL SET r.last_processed_date = ? WHERE r.user_id = ? AND r.start_date <= ?");
+    mysqli_stmt_bind_param($update_stmt, 'sis', $today_str, $userId, $today_str);
+    mysqli_stmt_execute($update_stmt);
 
-                if ($transaction_date_obj <= $today) {
-                    $transaction_date_str = $transaction_date_obj->format('Y-m-d');
-                    
-                    // Prepare to insert a new 'Income' transaction, linking it with 'recurring_income_id'.
-                    $trans_stmt = mysqli_prepare($cnx, "INSERT INTO transactions(description, amount, type, category_id, transaction_date, recurring_income_id) VALUES (?, ?, 'Income', ?, ?, ?)");
-                    
-                    // Bind parameters. The amount is positive for income.
-                    mysqli_stmt_bind_param($trans_stmt, 'sdisi', $rule['description'], $rule['amount'], $rule['category_id'], $transaction_date_str, $rule['id']);
-                    mysqli_stmt_execute($trans_stmt);
-                    $added_count++;
-                }
-                $cursor_date->modify('first day of next month');
-            }
-            // Update the 'last_processed_date' to prevent reprocessing.
-            $update_stmt = mysqli_prepare($cnx, "UPDATE recurring_incomes SET last_processed_date = ? WHERE id = ?");
-            mysqli_stmt_bind_param($update_stmt, 'si', $today_str, $rule['id']);
-            mysqli_stmt_execute($update_stmt);
-        }
-    }
     // Return a status message.
     echo json_encode(['status' => 'processed', 'added' => $added_count]);
 }
@@ -82,16 +49,21 @@ function processRecurringIncomes($cnx) {
  * @function getRecurringIncomes
  * @description Handles HTTP GET requests. Fetches and returns all recurring income rules.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function getRecurringIncomes($cnx) {
+function getRecurringIncomes($cnx, $userId) {
     $raspuns = [];
-    $query = "SELECT r.*, c.name as category_name FROM recurring_incomes r JOIN categories c ON r.category_id = c.id ORDER BY r.id DESC";
-    if ($rez = mysqli_query($cnx, $query)) {
+    $query = "SELECT r.*, c.name as category_name FROM recurring_incomes r JOIN categories c ON r.category_id = c.id AND c.deleted_at IS NULL WHERE r.user_id = ? ORDER BY r.id DESC";
+    $stmt = mysqli_prepare($cnx, $query);
+    mysqli_stmt_bind_param($stmt, 'i', $userId);
+    mysqli_stmt_execute($stmt);
+    if ($rez = mysqli_stmt_get_result($stmt)) {
         while ($linie = mysqli_fetch_assoc($rez)) {
             $raspuns[] = $linie;
         }
     }
-    echo json_encode($raspuns);
+    // Each schedule lists the occurrences the user skipped and its amount history (see recurenta.php).
+    echo json_encode(cuRevizii($cnx, 'recurring_incomes', cuSalturi($cnx, 'recurring_incomes', $raspuns)));
 }
 
 // --- 3. CREATE (POST) ---
@@ -99,13 +71,28 @@ function getRecurringIncomes($cnx) {
  * @function addRecurringIncome
  * @description Handles HTTP POST requests. Adds a new recurring income rule.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function addRecurringIncome($cnx) {
+function addRecurringIncome($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
-    $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_incomes (description, amount, category_id, recurrence_day, start_date, end_date) VALUES (?, ?, ?, ?, ?, ?)");
-    mysqli_stmt_bind_param($stmt, 'sdiiss', $data['description'], $data['amount'], $data['category_id'], $data['recurrence_day'], $data['start_date'], $data['end_date']);
+    // Schedules without a currency (older clients) are in EUR.
+    $currency = !empty($data['currency']) ? strtoupper($data['currency']) : 'EUR';
+    if (!apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+        echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+        return;
+    }
+    $patternError = verificaRecurenta($data);
+    if ($patternError !== null) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $patternError]);
+        return;
+    }
+    [$frequency, $interval, $weekday, $day] = recurentaDin($data);
+    $stmt = mysqli_prepare($cnx, "INSERT INTO recurring_incomes (user_id, description, amount, category_id, recurrence_day, frequency, interval_count, weekday, start_date, end_date, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+    mysqli_stmt_bind_param($stmt, 'isdiisiisss', $userId, $data['description'], $data['amount'], $data['category_id'], $day, $frequency, $interval, $weekday, $data['start_date'], $data['end_date'], $currency);
     if (mysqli_stmt_execute($stmt)) {
-        echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+        $id = mysqli_stmt_insert_id($stmt);
+        jurnalizeaza($cnx, $userId, 'recurring_income', 'create', [], citesteStare($cnx, $userId, 'recurring_income', [$id]));
+        echo json_encode(['rezultat' => "OK", 'id' => $id]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
     }
@@ -114,22 +101,42 @@ function addRecurringIncome($cnx) {
 // --- 4. UPDATE (PATCH) ---
 /**
  * @function updateRecurringIncome
- * @description Handles HTTP PATCH requests. Updates an existing recurring income rule
- * and deletes its previously generated transactions to allow for regeneration.
+ * @description Handles HTTP PATCH requests. Updates an existing recurring income rule.
+ * The transactions the rule has already recorded, and its 'last_processed_date', are left as they are: the edit
+ * applies only to the occurrences not recorded yet (see aparitiiInAsteptare in recurenta.php).
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function updateRecurringIncome($cnx) {
+function updateRecurringIncome($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
+    // Schedules without a currency (older clients) are in EUR.
+    $currency = !empty($data['currency']) ? strtoupper($data['currency']) : 'EUR';
 
-    // Step 1: Delete all transactions linked to this rule's ID.
-    $delete_trans_stmt = mysqli_prepare($cnx, "DELETE FROM transactions WHERE recurring_income_id = ?");
-    mysqli_stmt_bind_param($delete_trans_stmt, 'i', $data['id']);
-    mysqli_stmt_execute($delete_trans_stmt);
-    
-    // Step 2: Update the rule and reset 'last_processed_date' to NULL to trigger regeneration.
-    $stmt = mysqli_prepare($cnx, "UPDATE recurring_incomes SET description=?, amount=?, category_id=?, recurrence_day=?, start_date=?, end_date=?, last_processed_date=NULL WHERE id=?");
-    mysqli_stmt_bind_param($stmt, 'sdiissi', $data['description'], $data['amount'], $data['category_id'], $data['recurrence_day'], $data['start_date'], $data['end_date'], $data['id']);
-    if (mysqli_stmt_execute($stmt)) {
+    // With the amount history, so a new amount the edit turns into a revision shows in the audit history.
+    $before = cuRevizii($cnx, 'recurring_incomes', citesteStare($cnx, $userId, 'recurring_income', [$data['id']]));
+    if (count($before) === 0 || !apartinUtilizatorului($cnx, $userId, ['categories' => $data['category_id']])) {
+        echo json_encode(['rezultat' => 'Eroare: Unknown schedule or category.']);
+        return;
+    }
+    $patternError = verificaRecurenta($data);
+    if ($patternError !== null) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $patternError]);
+        return;
+    }
+
+    // A changed amount leaves the past alone: from today on, it is a revision (see sumaLaEditare in recurenta.php).
+    $amount = sumaLaEditare($before[$data['id']], $data);
+    if (is_string($amount)) {
+        echo json_encode(['rezultat' => 'Eroare: ' . $amount]);
+        return;
+    }
+    [$amount, $revisionFrom] = $amount;
+
+    [$frequency, $interval, $weekday, $day] = recurentaDin($data);
+    $stmt = mysqli_prepare($cnx, "UPDATE recurring_incomes SET description=?, amount=?, category_id=?, recurrence_day=?, frequency=?, interval_count=?, weekday=?, start_date=?, end_date=?, currency=? WHERE id=? AND user_id=?");
+    mysqli_stmt_bind_param($stmt, 'sdiisiisssii', $data['description'], $amount, $data['category_id'], $day, $frequency, $interval, $weekday, $data['start_date'], $data['end_date'], $currency, $data['id'], $userId);
+    if (mysqli_stmt_execute($stmt) && ($revisionFrom === null || adaugaRevizie($cnx, 'recurring_incomes', $data['id'], $data['amount'], $revisionFrom))) {
+        jurnalizeaza($cnx, $userId, 'recurring_income', 'update', $before, cuRevizii($cnx, 'recurring_incomes', citesteStare($cnx, $userId, 'recurring_income', [$data['id']])));
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -142,14 +149,17 @@ function updateRecurringIncome($cnx) {
  * @description Handles HTTP DELETE requests. Deletes a recurring income rule.
  * Associated transactions are deleted automatically via 'ON DELETE CASCADE' in the database.
  * @param mysqli $cnx The active database connection.
+ * @param int $userId The logged-in user.
  */
-function deleteRecurringIncome($cnx) {
+function deleteRecurringIncome($cnx, $userId) {
     $data = json_decode(file_get_contents('php://input'), true);
     $id = $data['id'];
+    $before = citesteStare($cnx, $userId, 'recurring_income', [$id]);
     
-    $stmt = mysqli_prepare($cnx, "DELETE FROM recurring_incomes WHERE id = ?");
-    mysqli_stmt_bind_param($stmt, 'i', $id);
+    $stmt = mysqli_prepare($cnx, "DELETE FROM recurring_incomes WHERE id = ? AND user_id = ?");
+    mysqli_stmt_bind_param($stmt, 'ii', $id, $userId);
     if (mysqli_stmt_execute($stmt)) {
+        jurnalizeaza($cnx, $userId, 'recurring_income', 'delete', $before, []);
         echo json_encode(['rezultat' => "OK"]);
     } else {
         echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -160,18 +170,36 @@ function deleteRecurringIncome($cnx) {
 // Directs the incoming request to the correct function based on the HTTP method.
 $metoda = $_SERVER['REQUEST_METHOD'];
 $action = isset($_GET['action']) ? $_GET['action'] : '';
+$userId = cereUtilizator($cnx);
 
 // Special route for the processing action.
 if ($metoda == 'POST' && $action == 'process') {
-    processRecurringIncomes($cnx);
+    processRecurringIncomes($cnx, $userId);
+}
+// Review panel routes (see recurenta.php).
+elseif ($metoda == 'GET' && $action == 'pending') {
+    executaPrevizualizare($cnx, $userId, 'recurring_incomes');
+}
+elseif ($metoda == 'POST' && $action == 'approve') {
+    executaAprobare($cnx, $userId, 'recurring_incomes');
+}
+elseif ($metoda == 'POST' && $action == 'skip') {
+    executaSaltul($cnx, $userId, 'recurring_incomes');
+}
+// Dated changes of the amount.
+elseif ($metoda == 'POST' && $action == 'revision') {
+    executaRevizie($cnx, $userId, 'recurring_incomes');
+}
+elseif ($metoda == 'DELETE' && $action == 'revision') {
+    executaStergereRevizie($cnx, $userId, 'recurring_incomes');
 } 
 // Standard RESTful routes.
 else {
     switch ($metoda) {
-        case 'GET': getRecurringIncomes($cnx); break;
-        case 'POST': addRecurringIncome($cnx); break;
-        case 'PATCH': updateRecurringIncome($cnx); break;
-        case 'DELETE': deleteRecurringIncome($cnx); break;
+        case 'GET': getRecurringIncomes($cnx, $userId); break;
+        case 'POST': addRecurringIncome($cnx, $userId); break;
+        case 'PATCH': updateRecurringIncome($cnx, $userId); break;
+        case 'DELETE': deleteRecurringIncome($cnx, $userId); break;
     }
 }
 mysqli_close($cnx);
@@ -0,0 +1,157 @@
+<?php
+  /**
+   * @file savings_goals.php
+   * @description This script manages the savings goals, such as "Emergency fund 5000 by June" or "Car".
+   * A goal has a target amount (in the base currency), an optional deadline, and is linked to one or more
+   * Savings categories; a category belongs to at most one goal. Transfers to and withdrawals from savings
+   * can also be tied to a goal directly (transactions.goal_id). The frontend computes each goal's progress.
+   * It is the endpoint for the '/savings_goals' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  /**
+   * @function scrieCategorii
+   * @description Replaces the Savings categories linked to a goal.
+   * @param mysqli $cnx The active database connection.
+   * @param int $goalId The goal's ID.
+   * @param array $categoryIds The IDs of the linked categories.
+   * @return bool True on success.
+   */
+  function scrieCategorii($cnx, $goalId, $categoryIds) {
+      $delete_stmt = mysqli_prepare($cnx, "DELETE FROM savings_goal_categories WHERE goal_id = ?");
+      mysqli_stmt_bind_param($delete_stmt, 'i', $goalId);
+      if (!mysqli_stmt_execute($delete_stmt)) return false;
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO savings_goal_categories(goal_id, category_id) VALUES (?, ?)");
+      foreach (array_unique($categoryIds) as $categoryId) {
+          mysqli_stmt_bind_param($stmt, 'ii', $goalId, $categoryId);
+          if (!mysqli_stmt_execute($stmt)) return false;
+      }
+      return true;
+  }
+
+  /**
+   * @function categoriiProprii
+   * @description Checks that every category a goal is linked to belongs to the user.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $categoryIds The IDs of the linked categories.
+   * @return bool True if they all do.
+   */
+  function categoriiProprii($cnx, $userId, $categoryIds) {
+      foreach ($categoryIds as $categoryId) {
+          if (!apartinUtilizatorului($cnx, $userId, ['categories' => $categoryId])) return false;
+      }
+      return true;
+  }
+
+  /**
+   * @function anuleaza
+   * @description Rolls back a failed save and returns the error message to report.
+   * @param mysqli $cnx The active database connection.
+   * @return string The error message.
+   */
+  function anuleaza($cnx) {
+      $error = mysqli_errno($cnx) === 1062 ? 'One of these categories already belongs to another goal.' : mysqli_error($cnx);
+      mysqli_rollback($cnx);
+      return $error;
+  }
+
+  // --- READ ---
+  // Handles GET requests to fetch all goals, each with the list of its linked category IDs.
+  function executaGET($cnx, $userId) {
+      $raspuns = [];
+      $stmt = mysqli_prepare($cnx, "SELECT g.*, GROUP_CONCAT(gc.category_id) AS category_ids FROM savings_goals g LEFT JOIN savings_goal_categories gc ON gc.goal_id = g.id WHERE g.user_id = ? GROUP BY g.id ORDER BY g.target_date IS NULL, g.target_date, g.name");
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              // GROUP_CONCAT returns "3,7" (or NULL); the frontend expects an array.
+              $linie['category_ids'] = $linie['category_ids'] ? explode(',', $linie['category_ids']) : [];
+              $raspuns[] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+      echo json_encode($raspuns);
+  }
+
+  // --- CREATE ---
+  // Handles POST requests to add a goal and its category links, in one database transaction.
+  function executaPOST($cnx, $userId) {
+      $data = citeste();
+      $targetDate = !empty($data['target_date']) ? $data['target_date'] : null;
+      $categoryIds = isset($data['category_ids']) && is_array($data['category_ids']) ? $data['category_ids'] : [];
+      if (!categoriiProprii($cnx, $userId, $categoryIds)) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "INSERT INTO savings_goals(user_id, name, target_amount, target_date, color) VALUES (?, ?, ?, ?, ?)");
+      mysqli_stmt_bind_param($stmt, 'isdss', $userId, $data['name'], $data['target_amount'], $targetDate, $data['color']);
+
+      if (mysqli_stmt_execute($stmt) && scrieCategorii($cnx, mysqli_stmt_insert_id($stmt), $categoryIds)) {
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . anuleaza($cnx)]);
+      }
+  }
+
+  // --- UPDATE ---
+  // Handles PATCH requests to update a goal and replace its category links.
+  function executaPATCH($cnx, $userId) {
+      $data = citeste();
+      $targetDate = !empty($data['target_date']) ? $data['target_date'] : null;
+      $categoryIds = isset($data['category_ids']) && is_array($data['category_ids']) ? $data['category_ids'] : [];
+      if (!apartinUtilizatorului($cnx, $userId, ['savings_goals' => $data['id']]) || !categoriiProprii($cnx, $userId, $categoryIds)) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown goal or category.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $stmt = mysqli_prepare($cnx, "UPDATE savings_goals SET name=?, target_amount=?, target_date=?, color=? WHERE id=? AND user_id=?");
+      mysqli_stmt_bind_param($stmt, 'sdssii', $data['name'], $data['target_amount'], $targetDate, $data['color'], $data['id'], $userId);
+
+      if (mysqli_stmt_execute($stmt) && scrieCategorii($cnx, $data['id'], $categoryIds)) {
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . anuleaza($cnx)]);
+      }
+  }
+
+  // --- DELETE ---
+  // Handles DELETE requests to remove a goal. Its category links are removed with it (ON DELETE CASCADE),
+  // and transactions tied to it keep their category but lose the goal (ON DELETE SET NULL).
+  function executaDELETE($cnx, $userId) {
+      $data = citeste();
+      $stmt = mysqli_prepare($cnx, "DELETE FROM savings_goals WHERE id = ? AND user_id = ?");
+      mysqli_stmt_bind_param($stmt, 'ii', $data['id'], $userId);
+      if (mysqli_stmt_execute($stmt)) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': executaPOST($cnx, $userId); break;
+      case 'PATCH': executaPATCH($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId); break;
+  }
+  mysqli_close($cnx);
+?>
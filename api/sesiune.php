@@ -0,0 +1,88 @@
+<?php
+  /**
+   * @file sesiune.php
+   * @description Helpers for the logged-in user. Logging in (auth.php) gives the frontend a random token, which it
+   * sends back with every request as "Authorization: Bearer <token>". Only a hash of the token is stored
+   * ('user_sessions' table), so a copy of the database can't be used to log in.
+   * Every data endpoint includes this file after conectare.php and calls cereUtilizator() before anything else;
+   * every row it reads or writes is then limited to that user's 'user_id'.
+   */
+
+  // How many days a login lasts.
+  const ZILE_SESIUNE = 30;
+
+  /**
+   * @function citesteToken
+   * @description Reads the token from the Authorization header. Apache doesn't always pass the header on to PHP,
+   * so the request headers are read directly when it is missing from $_SERVER.
+   * @return string|null The token, or null when the request has none.
+   */
+  function citesteToken() {
+      $antet = '';
+      if (!empty($_SERVER['HTTP_AUTHORIZATION'])) {
+          $antet = $_SERVER['HTTP_AUTHORIZATION'];
+      } elseif (!empty($_SERVER['REDIRECT_HTTP_AUTHORIZATION'])) {
+          $antet = $_SERVER['REDIRECT_HTTP_AUTHORIZATION'];
+      } elseif (function_exists('getallheaders')) {
+          $antete = array_change_key_case(getallheaders(), CASE_LOWER);
+          $antet = isset($antete['authorization']) ? $antete['authorization'] : '';
+      }
+      return preg_match('/^Bearer\s+([a-f0-9]{64})$/i', trim($antet), $potrivire) ? strtolower($potrivire[1]) : null;
+  }
+
+  /**
+   * @function gasesteUtilizator
+   * @description Finds the user a token belongs to, if the login hasn't expired.
+   * @param mysqli $cnx The active database connection.
+   * @param string|null $token The token from the request.
+   * @return array|null { id, name, email }, or null.
+   */
+  function gasesteUtilizator($cnx, $token) {
+      if ($token === null) return null;
+      $hash = hash('sha256', $token);
+      $stmt = mysqli_prepare($cnx, "SELECT u.id, u.name, u.email FROM user_sessions s JOIN users u ON u.id = s.user_id WHERE s.token_hash = ? AND s.expires_at > NOW()");
+      mysqli_stmt_bind_param($stmt, 's', $hash);
+      mysqli_stmt_execute($stmt);
+      $utilizator = mysqli_fetch_assoc(mysqli_stmt_get_result($stmt));
+      return $utilizator ? $utilizator : null;
+  }
+
+  /**
+   * @function cereUtilizator
+   * @description Returns the logged-in user's ID. A request without a valid token is answered with
+   * HTTP 401 and the script stops, so the endpoint never runs for an anonymous visitor.
+   * @param mysqli $cnx The active database connection.
+   * @return int The user ID.
+   */
+  function cereUtilizator($cnx) {
+      $utilizator = gasesteUtilizator($cnx, citesteToken());
+      if ($utilizator === null) {
+          http_response_code(401);
+          echo json_encode(['rezultat' => 'Eroare: Please log in.']);
+          mysqli_close($cnx);
+          exit;
+      }
+      return (int)$utilizator['id'];
+  }
+
+  /**
+   * @function apartinUtilizatorului
+   * @description Checks that the rows a request refers to (a category, an account, a goal...) belong to the user,
+   * so nobody can attach their data to another user's rows. Empty IDs are allowed, since those links are optional.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $referinte The rows to check, as [table => id], e.g. ['categories' => 4, 'accounts' => null].
+   * @return bool True if every given row exists and belongs to the user.
+   */
+  function apartinUtilizatorului($cnx, $userId, $referinte) {
+      foreach ($referinte as $table => $id) {
+          if (empty($id)) continue;
+          $stmt = mysqli_prepare($cnx, "SELECT id FROM $table WHERE id = ? AND user_id = ?");
+          mysqli_stmt_bind_param($stmt, 'ii', $id, $userId);
+          mysqli_stmt_execute($stmt);
+          mysqli_stmt_store_result($stmt);
+          if (mysqli_stmt_num_rows($stmt) === 0) return false;
+      }
+      return true;
+  }
+?>
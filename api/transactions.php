@@ -8,6 +8,12 @@
 
   // Includes the database connection and common headers script.
   require 'conectare.php';
+  // Includes the audit history helpers (citesteStare, jurnalizeaza).
+  require 'jurnal.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+  // Includes the household split helpers (verificaImpartire, scrieImpartire).
+  require 'gospodarii.php';
 
   /**
    * @function citeste
@@ -20,94 +26,920 @@
       return json_decode(file_get_contents('php://input'), true);
   }
 
+  /**
+   * @function citesteMoneda
+   * @description Reads the 3-letter currency code of a transaction, defaulting to EUR for clients that don't send one.
+   * @param array $row The transaction data.
+   * @return string The upper-case currency code.
+   */
+  function citesteMoneda($row) {
+      return !empty($row['currency']) ? strtoupper(substr(trim($row['currency']), 0, 3)) : 'EUR';
+  }
+
+  /**
+   * @function referinteProprii
+   * @description Checks that the category, account and savings goal a transaction refers to belong to the user.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $row The transaction data.
+   * @return bool True if they all do (missing ones are allowed).
+   */
+  function referinteProprii($cnx, $userId, $row) {
+      return apartinUtilizatorului($cnx, $userId, [
+          'categories' => isset($row['category_id']) ? $row['category_id'] : null,
+          'accounts' => isset($row['account_id']) ? $row['account_id'] : null,
+          'savings_goals' => isset($row['goal_id']) ? $row['goal_id'] : null,
+      ]);
+  }
+
+  /**
+   * @function verificaLinii
+   * @description Checks the category lines of a transaction split across several categories: 'category_lines' is a list
+   * of { category_id, amount } with positive amounts. A split has at least two lines, each in a different category of
+   * the user that fits the transaction's type (as in the 'recategorize' batch), adding up to the amount.
+   * Without lines the transaction has a single category and there is nothing to check.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $data The transaction data.
+   * @return string|null An error message, or null if the lines can be saved.
+   */
+  function verificaLinii($cnx, $userId, $data) {
+      $linii = isset($data['category_lines']) && is_array($data['category_lines']) ? $data['category_lines'] : [];
+      if (count($linii) === 0) return null;
+      if (count($linii) < 2) return 'A split needs at least two categories.';
+
+      $folosite = [];
+      $total = 0;
+      foreach ($linii as $linie) {
+          if (empty($linie['category_id']) || !isset($linie['amount']) || $linie['amount'] <= 0) return 'Every line needs a category and an amount greater than zero.';
+          if (isset($folosite[$linie['category_id']])) return 'Each category can only be used once.';
+          $folosite[$linie['category_id']] = true;
+          $categorie = interogheaza($cnx, "SELECT type FROM categories WHERE id = ? AND user_id = ?", 'ii', [$linie['category_id'], $userId]);
+          if (count($categorie) === 0) return 'Unknown category.';
+          $tip = $categorie[0]['type'];
+          if ($tip !== 'Savings' && ($tip === 'Income') !== ($data['type'] === 'Income')) return 'Every category must fit the transaction\'s type.';
+          $total += $linie['amount'];
+      }
+      if (abs($total - abs($data['amount'])) > 0.01) return 'The category lines must add up to the amount.';
+      return null;
+  }
+
+  /**
+   * @function categoriaPrincipala
+   * @description The category stored on the transaction itself: the first line's category for a split transaction,
+   * so the lists, filters and rules that only know one category still see it.
+   * @param array $data The transaction data.
+   * @return int|null The category ID.
+   */
+  function categoriaPrincipala($data) {
+      if (!empty($data['category_lines']) && is_array($data['category_lines'])) return $data['category_lines'][0]['category_id'];
+      return isset($data['category_id']) ? $data['category_id'] : null;
+  }
+
+  /**
+   * @function scrieLinii
+   * @description Replaces the category lines of a transaction (see verificaLinii). An empty list leaves it with a single category.
+   * @param mysqli $cnx The active database connection.
+   * @param int $transactionId The transaction's ID.
+   * @param array $data The transaction data.
+   */
+  function scrieLinii($cnx, $transactionId, $data) {
+      $stmt = mysqli_prepare($cnx, "DELETE FROM transaction_categories WHERE transaction_id = ?");
+      mysqli_stmt_bind_param($stmt, 'i', $transactionId);
+      mysqli_stmt_execute($stmt);
+
+      $linii = isset($data['category_lines']) && is_array($data['category_lines']) ? $data['category_lines'] : [];
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transaction_categories(transaction_id, category_id, amount, position) VALUES (?, ?, ?, ?)");
+      foreach (array_values($linii) as $pozitie => $linie) {
+          $amount = abs($linie['amount']);
+          mysqli_stmt_bind_param($stmt, 'iidi', $transactionId, $linie['category_id'], $amount, $pozitie);
+          mysqli_stmt_execute($stmt);
+      }
+  }
+
+  /**
+   * @function citesteLinii
+   * @description Reads the category lines of some of the user's transactions, in the order they were entered.
+   * A category in the Trash is left out, as in the list, so its line shows as uncategorized.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $ids The transactions whose lines are read.
+   * @return array The lines ({ category_id, category_name, category_type, amount }), keyed by transaction ID.
+   */
+  function citesteLinii($cnx, $userId, $ids) {
+      $linii = [];
+      if (count($ids) === 0) return $linii;
+      $rows = interogheaza($cnx,
+          "SELECT l.transaction_id, l.category_id, c.name AS category_name, c.type AS category_type, l.amount FROM transaction_categories l "
+          . "JOIN transactions t ON t.id = l.transaction_id LEFT JOIN categories c ON c.id = l.category_id AND c.deleted_at IS NULL "
+          . "WHERE t.user_id = ? AND l.transaction_id IN (" . listaSemne($ids) . ") ORDER BY l.transaction_id, l.position",
+          'i' . str_repeat('i', count($ids)), array_merge([$userId], $ids));
+      foreach ($rows as $row) {
+          $id = $row['transaction_id'];
+          unset($row['transaction_id']);
+          $linii[$id][] = $row;
+      }
+      return $linii;
+  }
+
+  /**
+   * @function cuLinii
+   * @description Adds 'category_lines' to every transaction: its lines when it is split across several categories,
+   * otherwise an empty list.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $rows The transactions.
+   * @return array The transactions with their lines.
+   */
+  function cuLinii($cnx, $userId, $rows) {
+      $linii = citesteLinii($cnx, $userId, array_map(function ($row) { return (int)$row['id']; }, $rows));
+      foreach ($rows as &$row) {
+          $row['category_lines'] = isset($linii[$row['id']]) ? $linii[$row['id']] : [];
+      }
+      unset($row);
+      return $rows;
+  }
+
   // --- 1. READ (GET) ---
+
+  // The columns the list can be sorted by, mapped to their SQL expressions. Anything else falls back to the date.
+  const COLOANE_SORTARE = [
+      'date' => 't.transaction_date',
+      'amount' => 't.amount',
+      'description' => 't.description',
+      'category' => 'c.name',
+      'account' => 'a.name',
+  ];
+
+  // The largest page the paginated list returns.
+  const MARIME_MAXIMA_PAGINA = 500;
+
+  // The tables the list is read from; the filters can refer to the category ('c') and the account ('a').
+  // A category in the Trash is left out, so its transactions show as uncategorized until it is restored.
+  const SURSA_LISTA = "FROM transactions t LEFT JOIN categories c ON t.category_id = c.id AND c.deleted_at IS NULL LEFT JOIN accounts a ON t.account_id = a.id";
+
+  // The category types that can be filtered on, as in the categories.type column.
+  const TIPURI_CATEGORIE = ['Needs', 'Wants', 'Savings', 'Income'];
+
+  /**
+   * @function citesteLista
+   * @description Splits a comma-separated query-string value ("3,7,none") into its non-empty items.
+   * @param array $query The query-string parameters.
+   * @param string $cheie The parameter name.
+   * @return array The items, or an empty array if the parameter is missing.
+   */
+  function citesteLista($query, $cheie) {
+      if (!isset($query[$cheie]) || $query[$cheie] === '') return [];
+      return array_values(array_filter(array_map('trim', explode(',', $query[$cheie])), 'strlen'));
+  }
+
+  /**
+   * @function construiesteFiltru
+   * @description Turns the query-string filters into a WHERE clause with its prepared-statement parameters.
+   * Supported filters:
+   * - id: one or more comma-separated transaction IDs.
+   * - transfer_group: the two rows of a transfer between accounts.
+   * - date_from, date_to: YYYY-MM-DD, inclusive.
+   * - category_id, account_id: one or more comma-separated IDs; 'none' matches transactions without one.
+   * - category_type: one or more of Needs, Wants, Savings and Income, comma-separated.
+   *   A transaction split across several categories matches the category and type of any of its lines.
+   * - type: 'Income' or 'Expense'.
+   * - recurring: 'recurring' for transactions generated by a schedule, 'manual' for the others.
+   * - amount_min, amount_max: a range on the amount's absolute value, in the transaction's own currency.
+   * - q: text searched in the description, category name and account name.
+   * Empty filters are ignored. Transactions in the Trash (deleted_at set) and other users' transactions never match.
+   * @param array $query The query-string parameters ($_GET).
+   * @param int $userId The logged-in user.
+   * @return array [string $where, string $types, array $params].
+   */
+  function construiesteFiltru($query, $userId) {
+      $conditii = ['t.user_id = ?', 't.deleted_at IS NULL'];
+      $types = 'i';
+      $params = [$userId];
+
+      $ids = array_map('intval', citesteLista($query, 'id'));
+      if (count($ids) > 0) { $conditii[] = 't.id IN (' . listaSemne($ids) . ')'; $types .= str_repeat('i', count($ids)); array_push($params, ...$ids); }
+      if (!empty($query['transfer_group'])) { $conditii[] = 't.transfer_group = ?'; $types .= 's'; $params[] = $query['transfer_group']; }
+      if (!empty($query['date_from'])) { $conditii[] = 't.transaction_date >= ?'; $types .= 's'; $params[] = $query['date_from']; }
+      if (!empty($query['date_to'])) { $conditii[] = 't.transaction_date <= ?'; $types .= 's'; $params[] = $query['date_to']; }
+      foreach (['category_id' => 't.category_id', 'account_id' => 't.account_id'] as $cheie => $coloana) {
+          $valori = citesteLista($query, $cheie);
+          if (count($valori) === 0) continue;
+          $ids = array_values(array_filter($valori, function ($v) { return $v !== 'none'; }));
+          $variante = [];
+          if (count($ids) > 0) {
+              $variante[] = "$coloana IN (" . implode(',', array_fill(0, count($ids), '?')) . ")";
+              $types .= str_repeat('i', count($ids));
+              array_push($params, ...$ids);
+              if ($cheie === 'category_id') {
+                  $variante[] = "EXISTS (SELECT 1 FROM transaction_categories l WHERE l.transaction_id = t.id AND l.category_id IN (" . implode(',', array_fill(0, count($ids), '?')) . "))";
+                  $types .= str_repeat('i', count($ids));
+                  array_push($params, ...$ids);
+              }
+          }
+          if (in_array('none', $valori, true)) $variante[] = "$coloana IS NULL";
+          $conditii[] = '(' . implode(' OR ', $variante) . ')';
+      }
+      $tipuri = array_values(array_intersect(citesteLista($query, 'category_type'), TIPURI_CATEGORIE));
+      if (count($tipuri) > 0) {
+          $semne = implode(',', array_fill(0, count($tipuri), '?'));
+          $conditii[] = "(c.type IN ($semne) OR EXISTS (SELECT 1 FROM transaction_categories l JOIN categories lc ON lc.id = l.category_id AND lc.deleted_at IS NULL WHERE l.transaction_id = t.id AND lc.type IN ($semne)))";
+          $types .= str_repeat('s', count($tipuri) * 2);
+          array_push($params, ...$tipuri, ...$tipuri);
+      }
+      if (!empty($query['type']) && in_array($query['type'], ['Income', 'Expense'], true)) {
+          $conditii[] = 't.type = ?'; $types .= 's'; $params[] = $query['type'];
+      }
+      if (isset($query['recurring']) && $query['recurring'] === 'recurring') {
+          $conditii[] = '(t.recurring_income_id IS NOT NULL OR t.recurring_expense_id IS NOT NULL)';
+      } elseif (isset($query['recurring']) && $query['recurring'] === 'manual') {
+          $conditii[] = 't.recurring_income_id IS NULL AND t.recurring_expense_id IS NULL';
+      }
+      if (isset($query['amount_min']) && is_numeric($query['amount_min'])) { $conditii[] = 'ABS(t.amount) >= ?'; $types .= 'd'; $params[] = (float)$query['amount_min']; }
+      if (isset($query['amount_max']) && is_numeric($query['amount_max'])) { $conditii[] = 'ABS(t.amount) <= ?'; $types .= 'd'; $params[] = (float)$query['amount_max']; }
+      if (isset($query['q']) && trim($query['q']) !== '') {
+          $text = '%' . trim($query['q']) . '%';
+          $conditii[] = '(t.description LIKE ? OR c.name LIKE ? OR a.name LIKE ?)';
+          $types .= 'sss';
+          array_push($params, $text, $text, $text);
+      }
+
+      $where = 'WHERE ' . implode(' AND ', $conditii);
+      return [$where, $types, $params];
+  }
+
+  /**
+   * @function interogheaza
+   * @description Runs a SELECT with bound parameters and returns every row as an associative array.
+   * @param mysqli $cnx The active database connection.
+   * @param string $cda The SQL query.
+   * @param string $types The parameter types ('' when there are none).
+   * @param array $params The parameter values.
+   * @return array The rows.
+   */
+  function interogheaza($cnx, $cda, $types, $params) {
+      $stmt = mysqli_prepare($cnx, $cda);
+      if ($types !== '') mysqli_stmt_bind_param($stmt, $types, ...$params);
+      mysqli_stmt_execute($stmt);
+      $rez = mysqli_stmt_get_result($stmt);
+      $rows = [];
+      while ($linie = mysqli_fetch_assoc($rez)) {
+          $rows[] = $linie;
+      }
+      mysqli_free_result($rez);
+      return $rows;
+  }
+
   /**
    * @function executaGET
-   * @description Handles HTTP GET requests to fetch all transactions.
+   * @description Handles HTTP GET requests to fetch transactions, optionally filtered (see construiesteFiltru) and sorted
+   * ('sort' = date, amount, description, category or account; 'order' = asc or desc, newest first by default).
+   * Without a 'page' parameter every matching transaction is returned as an array.
+   * With 'page' (1-based) and 'page_size', only that page is returned, as { rows, total, page, page_size }.
    * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
    */
-    function executaGET($cnx) {
-        $raspuns = [];
-        
+    function executaGET($cnx, $userId) {
         // This SQL query is the heart of the data retrieval for the main dashboard.
         // It selects all columns from the transactions table (aliased as 't').
         // It uses a LEFT JOIN to also fetch the category name and type from the 'categories' table ('c').
         // A LEFT JOIN is used so that if a transaction's category was deleted, the transaction itself will still appear.
         // It also explicitly selects the 'recurring_income_id' and 'recurring_expense_id' so the frontend can identify recurring transactions.
-        $cda = "SELECT t.id, t.description, t.amount, t.type, t.category_id, t.transaction_date, t.recurring_income_id, t.recurring_expense_id, c.name as category_name, c.type as category_type FROM transactions t LEFT JOIN categories c ON t.category_id = c.id ORDER BY t.transaction_date DESC, t.id DESC";
-        
-        if ($rez = mysqli_query($cnx, $cda)) {
-            while ($linie = mysqli_fetch_assoc($rez)) {
-                $raspuns[] = $linie;
-            }
-            mysqli_free_result($rez); // Free the memory used by the result set.
+        // A second LEFT JOIN adds the account name; 'transfer_group' links the two rows of a transfer between accounts,
+        // and 'transfer_peer_account_name' names the account on the other side, so a page can show it without the other row.
+        // 'currency' is the currency the amount was entered in; the frontend converts it into the base currency.
+        // 'goal_id' is the savings goal a transfer to (or withdrawal from) savings was made for, if any.
+        // 'household_id' is the household an expense is shared with, if any (its shares are read from households.php).
+        // 'category_lines' lists the categories of a transaction split across several of them (see cuLinii).
+        $from = SURSA_LISTA;
+        list($where, $types, $params) = construiesteFiltru($_GET, $userId);
+
+        $coloana = (isset($_GET['sort']) && array_key_exists($_GET['sort'], COLOANE_SORTARE)) ? COLOANE_SORTARE[$_GET['sort']] : COLOANE_SORTARE['date'];
+        $directie = (isset($_GET['order']) && strtolower($_GET['order']) === 'asc') ? 'ASC' : 'DESC';
+        // The ID breaks ties, so rows never swap places between pages.
+        $orderBy = "ORDER BY $coloana $directie, t.id $directie";
+
+        $cda = "SELECT t.id, t.description, t.amount, t.type, t.category_id, t.transaction_date, t.recurring_income_id, t.recurring_expense_id, t.account_id, t.transfer_group, t.currency, t.goal_id, t.household_id, c.name as category_name, c.type as category_type, a.name as account_name, "
+             . "(SELECT pa.name FROM transactions p LEFT JOIN accounts pa ON p.account_id = pa.id WHERE t.transfer_group IS NOT NULL AND p.transfer_group = t.transfer_group AND p.user_id = t.user_id AND p.id <> t.id LIMIT 1) as transfer_peer_account_name "
+             . "$from $where $orderBy";
+
+        if (!isset($_GET['page'])) {
+            // Encode the final array of transactions into JSON format and send it as the response.
+            echo json_encode(cuLinii($cnx, $userId, interogheaza($cnx, $cda, $types, $params)));
+            return;
         }
-        // Encode the final array of transactions into JSON format and send it as the response.
-        echo json_encode($raspuns);
+
+        $page = max(1, (int)$_GET['page']);
+        $pageSize = isset($_GET['page_size']) ? min(MARIME_MAXIMA_PAGINA, max(1, (int)$_GET['page_size'])) : 20;
+        $total = interogheaza($cnx, "SELECT COUNT(*) AS total $from $where", $types, $params)[0]['total'];
+        $offset = ($page - 1) * $pageSize;
+        $rows = cuLinii($cnx, $userId, interogheaza($cnx, "$cda LIMIT $pageSize OFFSET $offset", $types, $params));
+
+        echo json_encode(['rows' => $rows, 'total' => (int)$total, 'page' => $page, 'page_size' => $pageSize]);
     }
 
+  // --- 1b. SUMMARY (GET ?action=summary) ---
+
+  /**
+   * @function construiesteIndexCursuri
+   * @description Loads the user's exchange rates, indexed like buildRateIndex in src/utils/currency.js:
+   * every rate under "FROM>TO" and, inverted, under "TO>FROM", each list sorted by date.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @return array The index.
+   */
+  function construiesteIndexCursuri($cnx, $userId) {
+      $index = [];
+      foreach (interogheaza($cnx, "SELECT rate_date, from_currency, to_currency, rate FROM exchange_rates WHERE user_id = ? AND rate > 0 ORDER BY rate_date", 'i', [$userId]) as $linie) {
+          $from = strtoupper($linie['from_currency']);
+          $to = strtoupper($linie['to_currency']);
+          $index["$from>$to"][] = ['date' => $linie['rate_date'], 'rate' => (float)$linie['rate']];
+          $index["$to>$from"][] = ['date' => $linie['rate_date'], 'rate' => 1 / (float)$linie['rate']];
+      }
+      return $index;
+  }
+
+  // Picks the latest rate on or before the date, or the earliest one if the date is older than every stored rate.
+  function cursLaData($list, $date) {
+      $chosen = $list[0];
+      foreach ($list as $entry) {
+          if ($entry['date'] > $date) break;
+          $chosen = $entry;
+      }
+      return $chosen['rate'];
+  }
+
+  /**
+   * @function gasesteCurs
+   * @description The rate converting one unit of $from into $to on a date, like findRate in src/utils/currency.js:
+   * the pair itself, or else through one intermediate currency.
+   * @return float|null The rate, or null if the currencies can't be converted.
+   */
+  function gasesteCurs($index, $from, $to, $date) {
+      if ($from === $to) return 1.0;
+      if (isset($index["$from>$to"])) return cursLaData($index["$from>$to"], $date);
+      foreach ($index as $key => $list) {
+          list($keyFrom, $middle) = explode('>', $key);
+          if ($keyFrom === $from && isset($index["$middle>$to"])) {
+              return cursLaData($list, $date) * cursLaData($index["$middle>$to"], $date);
+          }
+      }
+      return null;
+  }
+
+  /**
+   * @function executaSUMMARY
+   * @description Handles GET requests for the Dashboard's summary figures of a period (date_from to date_to, inclusive),
+   * so the Dashboard doesn't need every transaction to show them. All amounts are in the base currency (app_settings),
+   * each converted with the rate of its date. The classification matches classifyTransaction in src/utils/trends.js:
+   * transfers between accounts are neither income nor spending, an Expense in a Savings category is money saved,
+   * and an Income in a Savings category is a withdrawal.
+   * Returns { base_currency, balance, accounts, savings_pot, income, spent, savings, needs, wants, categories,
+   * transaction_count, years, currencies, missing_currencies }: the balances, the savings pot and `currencies` (the
+   * number of transactions recorded in each currency) are as of date_to, the other figures cover the period, and
+   * `categories` is the period's expenses per category.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   */
+  function executaSUMMARY($cnx, $userId) {
+      $dateFrom = !empty($_GET['date_from']) ? $_GET['date_from'] : '0000-01-01';
+      $dateTo = !empty($_GET['date_to']) ? $_GET['date_to'] : '9999-12-31';
+
+      $baseCurrency = 'EUR';
+      foreach (interogheaza($cnx, "SELECT setting_value FROM app_settings WHERE user_id = ? AND setting_key = 'base_currency'", 'i', [$userId]) as $linie) {
+          $baseCurrency = $linie['setting_value'];
+      }
+      $index = construiesteIndexCursuri($cnx, $userId);
+
+      // Every account starts from its opening balance; transactions without a (known) account are "Unassigned".
+      $accounts = [];
+      foreach (interogheaza($cnx, "SELECT id, name, type, color, opening_balance FROM accounts WHERE user_id = ? ORDER BY name", 'i', [$userId]) as $a) {
+          $accounts[$a['id']] = ['id' => $a['id'], 'name' => $a['name'], 'type' => $a['type'], 'color' => $a['color'], 'balance' => (float)$a['opening_balance'], 'transaction_count' => 0];
+      }
+      $unassigned = ['id' => null, 'name' => 'Unassigned', 'type' => 'Other', 'color' => '#CCCCCC', 'balance' => 0.0, 'transaction_count' => 0];
+
+      // Rows are summed per currency and date (so each group has a single exchange rate), and per everything the figures depend on.
+      // A transaction split across several categories is counted once per line, each in its own category; 'count' only
+      // counts its first line, so the transaction counts stay right, while 'line_count' counts every line.
+      $categorie = "COALESCE(l.category_id, t.category_id)";
+      $grupuri = interogheaza($cnx,
+          "SELECT t.currency, t.transaction_date, t.account_id, t.type, $categorie AS category_id, c.name AS category_name, c.type AS category_type, c.color AS category_color, (t.transfer_group IS NOT NULL) AS is_transfer, "
+          . "SUM(IF(l.transaction_id IS NULL, t.amount, SIGN(t.amount) * l.amount)) AS total, SUM(l.transaction_id IS NULL OR l.position = 0) AS count, COUNT(*) AS line_count "
+          . "FROM transactions t LEFT JOIN transaction_categories l ON l.transaction_id = t.id LEFT JOIN categories c ON c.id = $categorie AND c.deleted_at IS NULL "
+          . "WHERE t.user_id = ? AND t.transaction_date <= ? AND t.deleted_at IS NULL "
+          . "GROUP BY t.currency, t.transaction_date, t.account_id, t.type, $categorie, is_transfer",
+          'is', [$userId, $dateTo]);
+
+      // The total balance starts, like each account's, from the opening balances.
+      $summary = ['balance' => array_sum(array_column($accounts, 'balance')), 'savings_pot' => 0.0, 'income' => 0.0, 'spent' => 0.0, 'savings' => 0.0, 'needs' => 0.0, 'wants' => 0.0, 'transaction_count' => 0];
+      $categories = [];
+      $currencies = [];
+      $missing = [];
+      foreach ($grupuri as $g) {
+          $currency = $g['currency'] ?: 'EUR';
+          $rate = gasesteCurs($index, $currency, $baseCurrency, $g['transaction_date']);
+          if ($rate === null) { $missing[$currency] = true; $rate = 1.0; }
+          $amount = (float)$g['total'] * $rate;
+
+          // Balances and the savings pot count everything up to the end of the period.
+          $summary['balance'] += $amount;
+          if ($g['account_id'] !== null && isset($accounts[$g['account_id']])) {
+              $accounts[$g['account_id']]['balance'] += $amount;
+              $accounts[$g['account_id']]['transaction_count'] += (int)$g['count'];
+          } else {
+              $unassigned['balance'] += $amount;
+              $unassigned['transaction_count'] += (int)$g['count'];
+          }
+          if ($g['category_type'] === 'Savings') $summary['savings_pot'] -= $amount;
+          $currencies[$currency] = (isset($currencies[$currency]) ? $currencies[$currency] : 0) + (int)$g['count'];
+
+          // The rest only counts within the period.
+          if ($g['transaction_date'] < $dateFrom) continue;
+          $summary['transaction_count'] += (int)$g['count'];
+          // The same rules as classifyTransaction in src/utils/trends.js; a change here must be made there too.
+          if ($g['is_transfer']) continue;
+          if ($g['type'] === 'Income') {
+              if ($g['category_type'] !== 'Savings') $summary['income'] += $amount;
+              continue;
+          }
+          if ($g['category_type'] === 'Savings') {
+              $summary['savings'] -= $amount;
+          } else {
+              $summary['spent'] -= $amount;
+              if ($g['category_type'] === 'Needs') $summary['needs'] -= $amount;
+              if ($g['category_type'] === 'Wants') $summary['wants'] -= $amount;
+          }
+          $key = $g['category_id'] !== null ? $g['category_id'] : 'none';
+          if (!isset($categories[$key])) {
+              $categories[$key] = ['category_id' => $g['category_id'], 'name' => $g['category_name'] ?: 'Uncategorized', 'type' => $g['category_type'], 'color' => $g['category_color'] ?: '#CCCCCC', 'total' => 0.0, 'count' => 0];
+          }
+          $categories[$key]['total'] -= $amount;
+          $categories[$key]['count'] += (int)$g['line_count'];
+      }
+
+      $accountList = array_values($accounts);
+      if ($unassigned['transaction_count'] > 0) $accountList[] = $unassigned;
+      $categoryList = array_values($categories);
+      usort($categoryList, function ($a, $b) { return $b['total'] <=> $a['total']; });
+
+      // The years that have transactions, for the Dashboard's year dropdown.
+      $years = array_map(function ($row) { return (int)$row['year']; }, interogheaza($cnx, "SELECT DISTINCT YEAR(transaction_date) AS year FROM transactions WHERE user_id = ? AND deleted_at IS NULL ORDER BY year DESC", 'i', [$userId]));
+
+      echo json_encode(array_merge($summary, [
+          'base_currency' => $baseCurrency,
+          'accounts' => $accountList,
+          'categories' => $categoryList,
+          'years' => $years,
+          'currencies' => (object)$currencies,
+          'missing_currencies' => array_keys($missing),
+      ]));
+  }
+
   // --- 2. CREATE (POST) ---
   /**
    * @function executaPOST
-   * @description Handles HTTP POST requests to add a new manual transaction.
+   * @description Handles HTTP POST requests to add a new manual transaction. An expense can be shared with a household
+   * by sending 'household_id' and 'splits' (see verificaImpartire in gospodarii.php), and split across several categories
+   * by sending 'category_lines' (see verificaLinii).
    * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
    */
-  function executaPOST($cnx) {
+  function executaPOST($cnx, $userId) {
       // Get the transaction data from the request body.
       $data = citeste();
+      if (!referinteProprii($cnx, $userId, $data)) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown category, account or savings goal.']);
+          return;
+      }
+      $splitError = verificaImpartire($cnx, $userId, $data);
+      if ($splitError === null) $splitError = verificaLinii($cnx, $userId, $data);
+      if ($splitError !== null) {
+          echo json_encode(['rezultat' => 'Eroare: ' . $splitError]);
+          return;
+      }
+      $categoryId = categoriaPrincipala($data);
+      // The account is optional; a transaction without one is shown as "Unassigned".
+      $accountId = !empty($data['account_id']) ? $data['account_id'] : null;
+      $currency = citesteMoneda($data);
+      // The savings goal is also optional.
+      $goalId = !empty($data['goal_id']) ? $data['goal_id'] : null;
       
       // Use a prepared statement to prevent SQL injection, a critical security practice.
       // The '?' are placeholders for the actual data.
-      $stmt = mysqli_prepare($cnx, "INSERT INTO transactions(description, amount, type, category_id, transaction_date) VALUES (?, ?, ?, ?, ?)");
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transactions(user_id, description, amount, type, category_id, transaction_date, account_id, currency, goal_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)");
       
       // Bind the variables from the $data array to the prepared statement.
-      // 'sdsis' specifies the data type for each parameter: s=string, d=double, i=integer.
-      mysqli_stmt_bind_param($stmt, 'sdsis', $data['description'], $data['amount'], $data['type'], $data['category_id'], $data['transaction_date']);
+      // 'isdsisisi' specifies the data type for each parameter: s=string, d=double, i=integer.
+      mysqli_stmt_bind_param($stmt, 'isdsisisi', $userId, $data['description'], $data['amount'], $data['type'], $categoryId, $data['transaction_date'], $accountId, $currency, $goalId);
       
       if (mysqli_stmt_execute($stmt)) {
+          $id = mysqli_stmt_insert_id($stmt);
+          if (!empty($data['household_id'])) scrieImpartire($cnx, $id, $data);
+          if (!empty($data['category_lines'])) scrieLinii($cnx, $id, $data);
+          jurnalizeaza($cnx, $userId, 'transaction', 'create', [], citesteStare($cnx, $userId, 'transaction', [$id]));
           // If successful, send a success response including the ID of the newly created record.
-          echo json_encode(['rezultat' => "OK", 'id' => mysqli_stmt_insert_id($stmt)]);
+          echo json_encode(['rezultat' => "OK", 'id' => $id]);
       } else {
           // If it fails, send an error message from the database.
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
       }
   }
 
+  // --- 2b. BULK CREATE (POST ?action=bulk) ---
+  /**
+   * @function executaBULK
+   * @description Handles HTTP POST requests that add many transactions at once (e.g., a CSV bank-statement import).
+   * The body is a JSON object with a 'transactions' array. All rows are inserted inside a single database
+   * transaction, so either the whole import is saved or none of it is.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   */
+  function executaBULK($cnx, $userId) {
+      $data = citeste();
+      $rows = isset($data['transactions']) && is_array($data['transactions']) ? $data['transactions'] : [];
+
+      if (count($rows) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: No transactions to import.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+
+      // The statement is prepared once and executed for every row.
+      // 'transfer_group', 'goal_id' and 'category_lines' are only sent when restoring a backup, so both rows of a transfer
+      // stay linked, savings transfers keep their goal and split transactions keep their lines.
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transactions(user_id, description, amount, type, category_id, transaction_date, account_id, transfer_group, currency, goal_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+      $ids = [];
+
+      foreach ($rows as $row) {
+          if (!referinteProprii($cnx, $userId, $row)) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: Unknown category, account or savings goal.']);
+              return;
+          }
+          $linesError = verificaLinii($cnx, $userId, $row);
+          if ($linesError !== null) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: ' . $linesError]);
+              return;
+          }
+          $categoryId = categoriaPrincipala($row);
+          $accountId = !empty($row['account_id']) ? $row['account_id'] : null;
+          $transferGroup = !empty($row['transfer_group']) ? $row['transfer_group'] : null;
+          $currency = citesteMoneda($row);
+          $goalId = !empty($row['goal_id']) ? $row['goal_id'] : null;
+          mysqli_stmt_bind_param($stmt, 'isdsisissi', $userId, $row['description'], $row['amount'], $row['type'], $categoryId, $row['transaction_date'], $accountId, $transferGroup, $currency, $goalId);
+          if (!mysqli_stmt_execute($stmt)) {
+              // One bad row aborts the whole import, leaving the table untouched.
+              $error = mysqli_error($cnx);
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+              return;
+          }
+          $ids[] = mysqli_stmt_insert_id($stmt);
+          if (!empty($row['category_lines'])) scrieLinii($cnx, end($ids), $row);
+      }
+
+      jurnalizeaza($cnx, $userId, 'transaction', 'create', [], citesteStare($cnx, $userId, 'transaction', $ids));
+      mysqli_commit($cnx);
+      echo json_encode(['rezultat' => "OK", 'ids' => $ids]);
+  }
+
+  // --- 2c. BATCH CHANGES (POST ?action=batch) ---
+
+  /**
+   * @function listaSemne
+   * @description Returns "?, ?, ?" with one placeholder per value, for an IN (...) clause.
+   * @param array $values The values.
+   * @return string The placeholders.
+   */
+  function listaSemne($values) {
+      return implode(', ', array_fill(0, count($values), '?'));
+  }
+
+  /**
+   * @function cuPereche
+   * @description Adds the other row of every transfer between accounts in the list, so both rows of a transfer
+   * always change together. Other users' transactions are left out.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $ids The transaction IDs.
+   * @return array The IDs, with the transfer peers added.
+   */
+  function cuPereche($cnx, $userId, $ids) {
+      $cda = "SELECT p.id FROM transactions p WHERE p.user_id = ? AND (p.id IN (" . listaSemne($ids) . ") "
+           . "OR p.transfer_group IN (SELECT t.transfer_group FROM transactions t WHERE t.id IN (" . listaSemne($ids) . ") AND t.transfer_group IS NOT NULL))";
+      $params = array_merge([$userId], $ids, $ids);
+      return array_map('intval', array_column(interogheaza($cnx, $cda, str_repeat('i', count($params)), $params), 'id'));
+  }
+
+  /**
+   * @function valoriAnterioare
+   * @description Reads the fields a batch change can modify, so the change can be undone (see the 'revert' operation).
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $ids The transaction IDs.
+   * @return array One { id, category_id, goal_id, transaction_date, category_lines } per transaction.
+   */
+  function valoriAnterioare($cnx, $userId, $ids) {
+      return cuLinii($cnx, $userId, interogheaza($cnx, "SELECT id, category_id, goal_id, transaction_date FROM transactions WHERE id IN (" . listaSemne($ids) . ")", str_repeat('i', count($ids)), $ids));
+  }
+
+  /**
+   * @function executaREVERT
+   * @description Puts back the values read by valoriAnterioare, which undoes a 'recategorize' or 'change_date' batch.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $rows The rows, as returned in the batch's 'previous'.
+   * @return string|null An error message, or null on success.
+   */
+  function executaREVERT($cnx, $userId, $rows) {
+      $stmt = mysqli_prepare($cnx, "UPDATE transactions SET category_id = ?, goal_id = ?, transaction_date = ? WHERE id = ? AND user_id = ?");
+      foreach ($rows as $row) {
+          if (!referinteProprii($cnx, $userId, $row) || !apartinUtilizatorului($cnx, $userId, ['transactions' => $row['id']])) return 'Unknown transaction, category or savings goal.';
+          $linii = isset($row['category_lines']) && is_array($row['category_lines']) ? $row['category_lines'] : [];
+          foreach ($linii as $linie) {
+              if (!apartinUtilizatorului($cnx, $userId, ['categories' => $linie['category_id']])) return 'Unknown transaction, category or savings goal.';
+          }
+          $categoryId = !empty($row['category_id']) ? $row['category_id'] : null;
+          $goalId = !empty($row['goal_id']) ? $row['goal_id'] : null;
+          mysqli_stmt_bind_param($stmt, 'iisii', $categoryId, $goalId, $row['transaction_date'], $row['id'], $userId);
+          if (!mysqli_stmt_execute($stmt)) return mysqli_error($cnx);
+          // A recategorized transaction loses its category lines, so they are put back too.
+          if (isset($row['category_lines'])) scrieLinii($cnx, $row['id'], $row);
+      }
+      return null;
+  }
+
+  /**
+   * @function executaBATCH
+   * @description Handles HTTP POST requests that change many transactions at once, from the Dashboard's bulk actions.
+   * The body is { operation, ids } or { operation, filters }: 'ids' lists the selected transactions, while 'filters'
+   * (the table's query-string filters, see construiesteFiltru) selects every transaction matching them.
+   * Operations:
+   * - 'recategorize' with 'category_id': moves the transactions to the category. Transfers between accounts, and rows
+   *   whose type doesn't fit the category (an expense into an Income category, or the reverse), are skipped.
+   *   A transaction split across several categories moves to the category as a whole.
+   *   A transaction leaving the Savings categories also leaves its savings goal.
+   * - 'change_date' with 'transaction_date': moves the transactions to the date, together with the other row of a transfer.
+   * - 'delete': moves the transactions to the Trash, together with the other row of a transfer.
+   * - 'revert' with 'rows': undoes a 'recategorize' or 'change_date' batch with the 'previous' values it returned.
+   * Everything happens in one database transaction. Responds with { rezultat, updated, skipped, ids, previous }:
+   * 'ids' are the transactions that changed and 'previous' their values before the change.
+   * Only the user's own transactions are changed.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   */
+  function executaBATCH($cnx, $userId) {
+      $data = citeste();
+      $operation = isset($data['operation']) ? $data['operation'] : '';
+
+      if ($operation === 'revert') {
+          $rows = isset($data['rows']) && is_array($data['rows']) ? $data['rows'] : [];
+          mysqli_begin_transaction($cnx);
+          $before = citesteStare($cnx, $userId, 'transaction', array_column($rows, 'id'));
+          $error = executaREVERT($cnx, $userId, $rows);
+          if ($error !== null) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+              return;
+          }
+          jurnalizeaza($cnx, $userId, 'transaction', 'update', $before, citesteStare($cnx, $userId, 'transaction', array_column($rows, 'id')));
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK", 'updated' => count($rows), 'skipped' => 0, 'ids' => array_column($rows, 'id'), 'previous' => []]);
+          return;
+      }
+
+      if (isset($data['filters']) && is_array($data['filters'])) {
+          list($where, $types, $params) = construiesteFiltru($data['filters'], $userId);
+          $ids = array_map('intval', array_column(interogheaza($cnx, "SELECT t.id " . SURSA_LISTA . " $where", $types, $params), 'id'));
+      } else {
+          $ids = isset($data['ids']) && is_array($data['ids']) ? array_values(array_unique(array_map('intval', $data['ids']))) : [];
+      }
+      if (count($ids) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: No transactions selected.']);
+          return;
+      }
+
+      mysqli_begin_transaction($cnx);
+      $selected = count($ids);
+
+      if ($operation === 'recategorize') {
+          if (empty($data['category_id'])) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: Choose a category.']);
+              return;
+          }
+          // Only rows that fit the category are changed: Income categories take income, Needs and Wants take expenses,
+          // and Savings takes both (money moved into and out of savings).
+          $params = array_merge([(int)$data['category_id'], $userId], $ids);
+          $ids = array_map('intval', array_column(interogheaza($cnx,
+              "SELECT t.id FROM transactions t JOIN categories c ON c.id = ? AND c.user_id = t.user_id WHERE t.user_id = ? AND t.id IN (" . listaSemne($ids) . ") AND t.transfer_group IS NULL AND (c.type = 'Savings' OR (c.type = 'Income') = (t.type = 'Income'))",
+              str_repeat('i', count($params)), $params), 'id'));
+          if (count($ids) === 0) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => "OK", 'updated' => 0, 'skipped' => $selected, 'ids' => [], 'previous' => []]);
+              return;
+          }
+          $previous = valoriAnterioare($cnx, $userId, $ids);
+          $stmt = mysqli_prepare($cnx, "UPDATE transactions t JOIN categories c ON c.id = ? SET t.category_id = c.id, t.goal_id = IF(c.type = 'Savings', t.goal_id, NULL) WHERE t.id IN (" . listaSemne($ids) . ")");
+          mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids) + 1), $data['category_id'], ...$ids);
+      } elseif ($operation === 'change_date') {
+          if (empty($data['transaction_date'])) {
+              mysqli_rollback($cnx);
+              echo json_encode(['rezultat' => 'Eroare: Choose a date.']);
+              return;
+          }
+          $ids = cuPereche($cnx, $userId, $ids);
+          $previous = valoriAnterioare($cnx, $userId, $ids);
+          $stmt = mysqli_prepare($cnx, "UPDATE transactions SET transaction_date = ? WHERE id IN (" . listaSemne($ids) . ")");
+          mysqli_stmt_bind_param($stmt, 's' . str_repeat('i', count($ids)), $data['transaction_date'], ...$ids);
+      } elseif ($operation === 'delete') {
+          // Deleted transactions go to the Trash; trash.php restores them or removes them for good.
+          $ids = cuPereche($cnx, $userId, $ids);
+          $previous = [];
+          $stmt = mysqli_prepare($cnx, "UPDATE transactions SET deleted_at = NOW() WHERE id IN (" . listaSemne($ids) . ")");
+          mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+      } else {
+          mysqli_rollback($cnx);
+          echo json_encode(['rezultat' => 'Eroare: Unknown operation.']);
+          return;
+      }
+
+      $before = citesteStare($cnx, $userId, 'transaction', $ids);
+      if (!mysqli_stmt_execute($stmt)) {
+          $error = mysqli_error($cnx);
+          mysqli_rollback($cnx);
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+          return;
+      }
+      if ($operation === 'recategorize') {
+          $stmt = mysqli_prepare($cnx, "DELETE FROM transaction_categories WHERE transaction_id IN (" . listaSemne($ids) . ")");
+          mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+          mysqli_stmt_execute($stmt);
+      }
+
+      jurnalizeaza($cnx, $userId, 'transaction', $operation === 'delete' ? 'delete' : 'update', $before, citesteStare($cnx, $userId, 'transaction', $ids));
+      mysqli_commit($cnx);
+      // 'updated' can exceed the selection when the other rows of transfers were included.
+      $updated = count($ids);
+      echo json_encode(['rezultat' => "OK", 'updated' => $updated, 'skipped' => max(0, $selected - $updated), 'ids' => $ids, 'previous' => $previous]);
+  }
+
   // --- 3. UPDATE (PATCH) ---
   /**
    * @function executaPATCH
-   * @description Handles HTTP PATCH requests to update an existing manual transaction.
+   * @description Handles HTTP PATCH requests to update an existing manual transaction. When the body has a 'household_id'
+   * key, the household split is replaced too (an empty one stops sharing the expense); otherwise it is left as it is.
+   * The category lines work the same way with 'category_lines', except that lines left out of an edit that changes
+   * the amount are dropped, since they would no longer add up.
    * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
    */
-  function executaPATCH($cnx) {
+  function executaPATCH($cnx, $userId) {
       $data = citeste();
+      $accountId = !empty($data['account_id']) ? $data['account_id'] : null;
+      $currency = citesteMoneda($data);
+      $goalId = !empty($data['goal_id']) ? $data['goal_id'] : null;
       
-      $stmt = mysqli_prepare($cnx, "UPDATE transactions SET description=?, amount=?, type=?, category_id=?, transaction_date=? WHERE id=?");
+      $before = citesteStare($cnx, $userId, 'transaction', [$data['id']]);
+      if (count($before) === 0 || !referinteProprii($cnx, $userId, $data)) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown transaction, category, account or savings goal.']);
+          return;
+      }
+      if (!array_key_exists('category_lines', $data) && abs(abs($before[$data['id']]['amount']) - abs($data['amount'])) > 0.005) {
+          $data['category_lines'] = [];
+      }
+      $splitError = verificaImpartire($cnx, $userId, $data);
+      if ($splitError === null) $splitError = verificaLinii($cnx, $userId, $data);
+      if ($splitError !== null) {
+          echo json_encode(['rezultat' => 'Eroare: ' . $splitError]);
+          return;
+      }
+      $categoryId = categoriaPrincipala($data);
+      $stmt = mysqli_prepare($cnx, "UPDATE transactions SET description=?, amount=?, type=?, category_id=?, transaction_date=?, account_id=?, currency=?, goal_id=? WHERE id=? AND user_id=?");
       
-      // Bind parameters. The final 'i' is for the integer ID in the WHERE clause.
-      mysqli_stmt_bind_param($stmt, 'sdsisi', $data['description'], $data['amount'], $data['type'], $data['category_id'], $data['transaction_date'], $data['id']);
+      // Bind parameters. The final two 'i's are for the transaction and user IDs in the WHERE clause.
+      mysqli_stmt_bind_param($stmt, 'sdsisisiii', $data['description'], $data['amount'], $data['type'], $categoryId, $data['transaction_date'], $accountId, $currency, $goalId, $data['id'], $userId);
       
       if (mysqli_stmt_execute($stmt)) {
+          if (array_key_exists('household_id', $data)) scrieImpartire($cnx, $data['id'], $data);
+          if (array_key_exists('category_lines', $data)) scrieLinii($cnx, $data['id'], $data);
+          jurnalizeaza($cnx, $userId, 'transaction', 'update', $before, citesteStare($cnx, $userId, 'transaction', [$data['id']]));
           echo json_encode(['rezultat' => "OK"]);
       } else {
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
       }
   }
 
+  // --- 3b. TRANSFERS BETWEEN ACCOUNTS (POST/PATCH ?action=transfer) ---
+  /**
+   * @function scrieTransfer
+   * @description Writes the two rows of a transfer: an 'Expense' leaving the source account and an 'Income'
+   * arriving in the destination account, linked by the same 'transfer_group'. Transfer rows have no category,
+   * so the frontend can leave them out of spending and income. Both rows are written in one database transaction.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user; both accounts must be theirs.
+   * @param array $data { description, amount, currency, transaction_date, from_account_id, to_account_id }.
+   * @param string $group The transfer group to write; existing rows of this group are replaced.
+   * @param array $ids Receives the IDs of the two rows written.
+   * @return string|null An error message, or null on success.
+   */
+  function scrieTransfer($cnx, $userId, $data, $group, &$ids = []) {
+      if (empty($data['from_account_id']) || empty($data['to_account_id']) || $data['from_account_id'] == $data['to_account_id']) {
+          return 'A transfer needs two different accounts.';
+      }
+      if (!apartinUtilizatorului($cnx, $userId, ['accounts' => $data['from_account_id']]) || !apartinUtilizatorului($cnx, $userId, ['accounts' => $data['to_account_id']])) {
+          return 'Unknown account.';
+      }
+      $amount = abs($data['amount']);
+      $negativeAmount = -$amount;
+      $currency = citesteMoneda($data);
+
+      mysqli_begin_transaction($cnx);
+
+      // Editing a transfer rewrites both rows, so the old pair is removed first.
+      $delete_stmt = mysqli_prepare($cnx, "DELETE FROM transactions WHERE transfer_group = ? AND user_id = ?");
+      mysqli_stmt_bind_param($delete_stmt, 'si', $group, $userId);
+      mysqli_stmt_execute($delete_stmt);
+
+      $stmt = mysqli_prepare($cnx, "INSERT INTO transactions(user_id, description, amount, type, category_id, transaction_date, account_id, transfer_group, currency) VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?)");
+      $legs = [
+          ['amount' => $negativeAmount, 'type' => 'Expense', 'account_id' => $data['from_account_id']],
+          ['amount' => $amount, 'type' => 'Income', 'account_id' => $data['to_account_id']],
+      ];
+      foreach ($legs as $leg) {
+          mysqli_stmt_bind_param($stmt, 'isdssiss', $userId, $data['description'], $leg['amount'], $leg['type'], $data['transaction_date'], $leg['account_id'], $group, $currency);
+          if (!mysqli_stmt_execute($stmt)) {
+              $error = mysqli_error($cnx);
+              mysqli_rollback($cnx);
+              return $error;
+          }
+          $ids[] = mysqli_stmt_insert_id($stmt);
+      }
+
+      mysqli_commit($cnx);
+      return null;
+  }
+
+  /**
+   * @function executaTRANSFER
+   * @description Handles POST (create) and PATCH (update) requests for a transfer between two accounts.
+   * A PATCH must include the 'transfer_group' of the transfer being edited. Editing rewrites both rows under new IDs,
+   * so the history pairs each old row with the new row of the same type (the leaving and the arriving money).
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $metoda The HTTP method.
+   */
+  function executaTRANSFER($cnx, $userId, $metoda) {
+      $data = citeste();
+      $group = ($metoda == 'PATCH' && !empty($data['transfer_group'])) ? $data['transfer_group'] : uniqid('tr', true);
+      $previousLegs = array_column(interogheaza($cnx, "SELECT * FROM transactions WHERE transfer_group = ? AND user_id = ?", 'si', [$group, $userId]), null, 'type');
+      if ($metoda == 'PATCH' && count($previousLegs) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown transfer.']);
+          return;
+      }
+
+      $ids = [];
+      $error = scrieTransfer($cnx, $userId, $data, $group, $ids);
+      if ($error === null) {
+          $after = citesteStare($cnx, $userId, 'transaction', $ids);
+          $before = [];
+          foreach ($after as $id => $leg) {
+              if (isset($previousLegs[$leg['type']])) $before[$id] = $previousLegs[$leg['type']];
+          }
+          jurnalizeaza($cnx, $userId, 'transaction', count($before) > 0 ? 'update' : 'create', $before, $after);
+          echo json_encode(['rezultat' => "OK", 'transfer_group' => $group, 'ids' => $ids]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+      }
+  }
+
   // --- 4. DELETE (DELETE) ---
   /**
    * @function executaDELETE
-   * @description Handles HTTP DELETE requests to remove a manual transaction.
+   * @description Handles HTTP DELETE requests to remove a manual transaction. The transaction is moved to the Trash
+   * (deleted_at is set), where trash.php can restore it for 30 days before removing it for good.
+   * Deleting either row of a transfer between accounts deletes both rows.
    * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
    */
-  function executaDELETE($cnx) {
+  function executaDELETE($cnx, $userId) {
       $data = citeste();
+      $ids = cuPereche($cnx, $userId, [(int)$data['id']]);
+      if (count($ids) === 0) {
+          echo json_encode(['rezultat' => 'Eroare: Unknown transaction.']);
+          return;
+      }
+      $before = citesteStare($cnx, $userId, 'transaction', $ids);
       
-      $stmt = mysqli_prepare($cnx, "DELETE FROM transactions WHERE id = ?");
+      // The IDs already include the other row of a transfer (see cuPereche).
+      $stmt = mysqli_prepare($cnx, "UPDATE transactions SET deleted_at = NOW() WHERE id IN (" . listaSemne($ids) . ")");
       
-      mysqli_stmt_bind_param($stmt, 'i', $data['id']);
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
       
       if (mysqli_stmt_execute($stmt)) {
+          jurnalizeaza($cnx, $userId, 'transaction', 'delete', $before, citesteStare($cnx, $userId, 'transaction', $ids));
           echo json_encode(['rezultat' => "OK"]);
       } else {
           echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
@@ -115,16 +947,37 @@
   }
 
   // --- 5. Main Request Router ---
-  // This part checks the HTTP method of the request (GET, POST, PATCH, DELETE).
+  // This part checks the HTTP method of the request (GET, POST, PATCH, DELETE) and any 'action' parameter.
   $metoda = $_SERVER['REQUEST_METHOD'];
+  $action = isset($_GET['action']) ? $_GET['action'] : '';
+  // Every route works on the logged-in user's transactions only.
+  $userId = cereUtilizator($cnx);
   
+  // A special route for the Dashboard's aggregated figures.
+  if ($metoda == 'GET' && $action == 'summary') {
+      executaSUMMARY($cnx, $userId);
+  }
+  // A special route for bulk inserts, used by the CSV import.
+  elseif ($metoda == 'POST' && $action == 'bulk') {
+      executaBULK($cnx, $userId);
+  }
+  // A special route for the Dashboard's bulk actions.
+  elseif ($metoda == 'POST' && $action == 'batch') {
+      executaBATCH($cnx, $userId);
+  }
+  // A special route for creating and editing transfers between accounts.
+  elseif (($metoda == 'POST' || $metoda == 'PATCH') && $action == 'transfer') {
+      executaTRANSFER($cnx, $userId, $metoda);
+  }
   // The switch statement calls the appropriate function based on the request method.
   // This is a common pattern for building simple REST APIs in PHP.
-  switch ($metoda) {
-      case 'GET': executaGET($cnx); break;
-      case 'POST': executaPOST($cnx); break;
-      case 'PATCH': executaPATCH($cnx); break;
-      case 'DELETE': executaDELETE($cnx); break;
+  else {
+      switch ($metoda) {
+          case 'GET': executaGET($cnx, $userId); break;
+          case 'POST': executaPOST($cnx, $userId); break;
+          case 'PATCH': executaPATCH($cnx, $userId); break;
+          case 'DELETE': executaDELETE($cnx, $userId); break;
+      }
   }
   
   // Close the database connection after the operation is complete to free up resources.
@@ -0,0 +1,203 @@
+<?php
+  /**
+   * @file trash.php
+   * @description This script manages the Trash. Deleting a transaction or a category only sets its 'deleted_at'
+   * column, which hides it everywhere else; from here it can be restored, or removed for good.
+   * Items are kept for ZILE_PASTRARE days and then removed automatically the next time the Trash is opened.
+   * It is the endpoint for the '/trash' resource.
+   */
+
+  // Includes the database connection and common headers script.
+  require 'conectare.php';
+  // Includes the audit history helpers; restoring and removing items is recorded like any other change.
+  require 'jurnal.php';
+  // Includes the logged-in user helpers.
+  require 'sesiune.php';
+
+  // How many days a deleted item can still be restored.
+  const ZILE_PASTRARE = 30;
+
+  // The tables the Trash holds, by the 'kind' the frontend sends.
+  const TABELE = ['transaction' => 'transactions', 'category' => 'categories'];
+
+  // Helper function to read the JSON request body.
+  function citeste() {
+      return json_decode(file_get_contents('php://input'), true);
+  }
+
+  /**
+   * @function citesteSelectia
+   * @description Reads { kind, ids } from the request body. For transactions, the other row of every transfer
+   * between accounts is added, so both rows are always restored or removed together. Other users' rows are left out.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param array $data The request body.
+   * @return array|null [string $kind, array $ids], or null if the selection is invalid.
+   */
+  function citesteSelectia($cnx, $userId, $data) {
+      $kind = isset($data['kind']) ? $data['kind'] : '';
+      $ids = isset($data['ids']) && is_array($data['ids']) ? array_values(array_unique(array_map('intval', $data['ids']))) : [];
+      if (!array_key_exists($kind, TABELE) || count($ids) === 0) return null;
+
+      $semne = implode(', ', array_fill(0, count($ids), '?'));
+      if ($kind !== 'transaction') {
+          $stmt = mysqli_prepare($cnx, "SELECT id FROM categories WHERE user_id = ? AND id IN ($semne)");
+          $params = array_merge([$userId], $ids);
+      } else {
+          $stmt = mysqli_prepare($cnx, "SELECT p.id FROM transactions p WHERE p.user_id = ? AND (p.id IN ($semne) OR p.transfer_group IN (SELECT t.transfer_group FROM transactions t WHERE t.id IN ($semne) AND t.transfer_group IS NOT NULL))");
+          $params = array_merge([$userId], $ids, $ids);
+      }
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($params)), ...$params);
+      mysqli_stmt_execute($stmt);
+      $rez = mysqli_stmt_get_result($stmt);
+      $all = [];
+      while ($linie = mysqli_fetch_assoc($rez)) {
+          $all[] = (int)$linie['id'];
+      }
+      mysqli_free_result($rez);
+      return count($all) > 0 ? [$kind, $all] : null;
+  }
+
+  /**
+   * @function stergeDefinitiv
+   * @description Removes items of one kind for good, recording each one in the audit history.
+   * Only the user's items that are in the Trash are removed.
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   * @param string $kind 'transaction' or 'category'.
+   * @param string $conditie The SQL condition selecting the items, besides being in the Trash.
+   * @param string $types The bind types for the condition's placeholders.
+   * @param array $params The condition's values.
+   * @return string|null An error message, or null on success.
+   */
+  function stergeDefinitiv($cnx, $userId, $kind, $conditie, $types, $params) {
+      $table = TABELE[$kind];
+      $stmt = mysqli_prepare($cnx, "SELECT id FROM $table WHERE user_id = ? AND deleted_at IS NOT NULL AND $conditie");
+      mysqli_stmt_bind_param($stmt, 'i' . $types, $userId, ...$params);
+      mysqli_stmt_execute($stmt);
+      $ids = array_map('intval', array_column(mysqli_fetch_all(mysqli_stmt_get_result($stmt), MYSQLI_ASSOC), 'id'));
+      if (count($ids) === 0) return null;
+
+      $before = citesteStare($cnx, $userId, $kind, $ids);
+      $stmt = mysqli_prepare($cnx, "DELETE FROM $table WHERE id IN (" . implode(', ', array_fill(0, count($ids), '?')) . ")");
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+      if (!mysqli_stmt_execute($stmt)) return mysqli_error($cnx);
+      jurnalizeaza($cnx, $userId, $kind, 'purge', $before, []);
+      return null;
+  }
+
+  /**
+   * @function curataExpirate
+   * @description Removes for good every item of the user's that has been in the Trash longer than ZILE_PASTRARE days.
+   * Removing a category also removes its rules, budgets and schedules, and leaves its transactions uncategorized
+   * (the foreign keys' ON DELETE actions).
+   * @param mysqli $cnx The active database connection.
+   * @param int $userId The logged-in user.
+   */
+  function curataExpirate($cnx, $userId) {
+      foreach (array_keys(TABELE) as $kind) {
+          stergeDefinitiv($cnx, $userId, $kind, "deleted_at < NOW() - INTERVAL ? DAY", 'i', [ZILE_PASTRARE]);
+      }
+  }
+
+  // --- READ ---
+  // Handles GET requests to list the Trash: { retention_days, transactions, categories }, most recently deleted first.
+  // Every item has its 'deleted_at'; categories also have the number of transactions that still use them.
+  function executaGET($cnx, $userId) {
+      curataExpirate($cnx, $userId);
+      $raspuns = ['retention_days' => ZILE_PASTRARE, 'transactions' => [], 'categories' => []];
+
+      $cda = "SELECT t.id, t.description, t.amount, t.type, t.transaction_date, t.currency, t.transfer_group, t.deleted_at, c.name AS category_name, a.name AS account_name "
+           . "FROM transactions t LEFT JOIN categories c ON t.category_id = c.id LEFT JOIN accounts a ON t.account_id = a.id "
+           . "WHERE t.user_id = ? AND t.deleted_at IS NOT NULL ORDER BY t.deleted_at DESC, t.id DESC";
+      $stmt = mysqli_prepare($cnx, $cda);
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns['transactions'][] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+
+      $cda = "SELECT c.id, c.name, c.type, c.color, c.deleted_at, (SELECT COUNT(*) FROM transactions t WHERE t.category_id = c.id AND t.deleted_at IS NULL) AS transaction_count "
+           . "FROM categories c WHERE c.user_id = ? AND c.deleted_at IS NOT NULL ORDER BY c.deleted_at DESC, c.id DESC";
+      $stmt = mysqli_prepare($cnx, $cda);
+      mysqli_stmt_bind_param($stmt, 'i', $userId);
+      mysqli_stmt_execute($stmt);
+      if ($rez = mysqli_stmt_get_result($stmt)) {
+          while ($linie = mysqli_fetch_assoc($rez)) {
+              $raspuns['categories'][] = $linie;
+          }
+          mysqli_free_result($rez);
+      }
+
+      echo json_encode($raspuns);
+  }
+
+  // --- RESTORE (POST ?action=restore) ---
+  // Handles POST requests to bring items back: { kind: 'transaction' | 'category', ids }.
+  function executaRESTORE($cnx, $userId) {
+      $selectie = citesteSelectia($cnx, $userId, citeste());
+      if ($selectie === null) {
+          echo json_encode(['rezultat' => 'Eroare: Nothing to restore.']);
+          return;
+      }
+      list($kind, $ids) = $selectie;
+
+      $before = citesteStare($cnx, $userId, $kind, $ids);
+      $stmt = mysqli_prepare($cnx, "UPDATE " . TABELE[$kind] . " SET deleted_at = NULL WHERE id IN (" . implode(', ', array_fill(0, count($ids), '?')) . ")");
+      mysqli_stmt_bind_param($stmt, str_repeat('i', count($ids)), ...$ids);
+      if (mysqli_stmt_execute($stmt)) {
+          jurnalizeaza($cnx, $userId, $kind, 'restore', $before, citesteStare($cnx, $userId, $kind, $ids));
+          echo json_encode(['rezultat' => "OK", 'restored' => mysqli_stmt_affected_rows($stmt)]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . mysqli_error($cnx)]);
+      }
+  }
+
+  // --- PURGE (DELETE) ---
+  // Handles DELETE requests to remove items for good: { kind, ids }, or every item with ?action=empty.
+  // Only items that are in the Trash can be removed here.
+  function executaDELETE($cnx, $userId, $action) {
+      if ($action === 'empty') {
+          mysqli_begin_transaction($cnx);
+          foreach (array_keys(TABELE) as $kind) {
+              $error = stergeDefinitiv($cnx, $userId, $kind, '1', '', []);
+              if ($error !== null) {
+                  mysqli_rollback($cnx);
+                  echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+                  return;
+              }
+          }
+          mysqli_commit($cnx);
+          echo json_encode(['rezultat' => "OK"]);
+          return;
+      }
+
+      $selectie = citesteSelectia($cnx, $userId, citeste());
+      if ($selectie === null) {
+          echo json_encode(['rezultat' => 'Eroare: Nothing to remove.']);
+          return;
+      }
+      list($kind, $ids) = $selectie;
+
+      $error = stergeDefinitiv($cnx, $userId, $kind, "id IN (" . implode(', ', array_fill(0, count($ids), '?')) . ")", str_repeat('i', count($ids)), $ids);
+      if ($error === null) {
+          echo json_encode(['rezultat' => "OK"]);
+      } else {
+          echo json_encode(['rezultat' => 'Eroare: ' . $error]);
+      }
+  }
+
+  // Main request router.
+  $metoda = $_SERVER['REQUEST_METHOD'];
+  $action = isset($_GET['action']) ? $_GET['action'] : '';
+  $userId = cereUtilizator($cnx);
+  switch ($metoda) {
+      case 'GET': executaGET($cnx, $userId); break;
+      case 'POST': if ($action == 'restore') executaRESTORE($cnx, $userId); break;
+      case 'DELETE': executaDELETE($cnx, $userId, $action); break;
+  }
+  mysqli_close($cnx);
+?>
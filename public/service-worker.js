@@ -0,0 +1,51 @@
+// public/service-worker.js
+
+// Makes the app installable and lets it start without a network connection by caching the app shell
+// (index.html, the JavaScript and CSS bundles, icons). The data itself is not cached here: apiService.js keeps the
+// last API responses in IndexedDB, and API requests (the PHP files, on another origin) pass straight through.
+const CACHE_NAME = 'financial-tracker-shell-v1';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(['./', './index.html', './manifest.json'])));
+  self.skipWaiting();
+});
+
+// Removes the caches of older versions of this file.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.endsWith('.php')) return;
+
+  // Pages: the network first, so a new build is picked up; offline, the cached index.html (routing happens in the app).
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put('./index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  // Bundles and icons: the cache first. Their file names change with every build, so a cached copy is never stale.
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
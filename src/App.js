@@ -1,43 +1,120 @@
 // Import core React hooks.
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 
 // Import components from 'react-bootstrap'.
-import { Container, Navbar, Nav, Spinner, Alert, Button } from "react-bootstrap";
+import { Container, Navbar, Nav, Spinner, Alert, Button, Badge } from "react-bootstrap";
 
 // Import components from 'react-router-dom'.
-import { Routes, Route, NavLink } from "react-router-dom";
+import { Routes, Route, NavLink, Navigate } from "react-router-dom";
 
 // Import the custom page components.
 import Dashboard from "./components/Dashboard";
 import TransactionForm from "./components/TransactionForm";
 import BudgetSetup from "./components/BudgetSetup";
 import Categories from "./components/Categories";
+import ImportTransactions from "./components/ImportTransactions";
+import Settings from "./components/Settings";
+import CategorizationRules from "./components/CategorizationRules";
+import Accounts from "./components/Accounts";
+import ExchangeRates from "./components/ExchangeRates";
+import Forecast from "./components/Forecast";
+import SavingsGoals from "./components/SavingsGoals";
+import Trash from "./components/Trash";
+import Activity from "./components/Activity";
+import Households from "./components/Households";
+import Subscriptions from "./components/Subscriptions";
+import NotificationCenter from "./components/NotificationCenter";
+import UndoToast from "./components/UndoToast";
+import SyncConflictModal from "./components/SyncConflictModal";
+import Login from "./components/Login";
+import ProtectedRoute from "./components/ProtectedRoute";
 import NotFound from "./components/NotFound";
 
 // Import all the functions needed from apiService.
 import {
   getAllTransactions,
+  getTransactionSummary,
   getAllCategories,
   getAllBudgetRules,
+  getAllCategoryBudgets,
+  getAllSavingsGoals,
   getAllRecurringIncomes,
   getAllRecurringExpenses,
-  processRecurringIncomes,
-  processRecurringExpenses
+  getAllCategorizationRules,
+  getAllAccounts,
+  getAppSettings,
+  getAllExchangeRates,
+  getAllHouseholds,
+  getPendingRecurringIncomes,
+  getPendingRecurringExpenses,
+  getAuthToken,
+  setAuthToken,
+  setUnauthorizedHandler,
+  getCurrentUser,
+  logout,
+  checkConnection,
+  setOfflineUser,
+  setConnectionHandler,
+  isOffline
 } from './services/apiService';
 
+// Import the offline sync and the local store it uses.
+import { syncQueuedChanges } from './services/syncService';
+import { clearOfflineData } from './services/offlineStore';
+
+// Import the currency conversion helper.
+import { DEFAULT_CURRENCY, convertTransactions } from './utils/currency';
+// Import the total of the account balances, shown on the forecast and in the notifications.
+import { totalBalance } from './utils/accounts';
+// Import the helpers for the review window of the recurring schedules.
+import { UPCOMING_DAYS } from './utils/recurrence';
+import { toDateString } from './utils/forecast';
+// Import the contract reminders, counted on the Subscriptions link.
+import { subscriptionAlerts } from './utils/subscriptions';
+// Import the events listed by the notification center.
+import { buildNotifications, notificationQueries, DEFAULT_LARGE_TRANSACTION } from './utils/notifications';
+
 /**
  * App component is the root component of the application.
  * Manages main state, handles data fetching, and sets up routing.
+ * Every page except login and registration needs a logged-in user; the data is loaded after login
+ * and cleared on logout, and the server only ever returns the logged-in user's rows.
  */
 export default function App() {
   // --- STATE MANAGEMENT ---
+  // The logged-in user ({ id, name, email }), or null.
+  const [currentUser, setCurrentUser] = useState(null);
+  // False until a stored login token has been checked with the server.
+  const [authChecked, setAuthChecked] = useState(false);
+  // The recent transactions the notifications and the forecast need (see notificationQueries); every other page
+  // loads the transactions it shows itself.
   const [transactions, setTransactions] = useState([]);
+  // The summary figures as of today (see executaSUMMARY): the account balances, the number of transactions in
+  // each currency, the currencies without an exchange rate and the number of transactions recorded.
+  const [summary, setSummary] = useState(null);
   const [categories, setCategories] = useState([]);
   const [budgetSettings, setBudgetSettings] = useState([]);
+  const [categoryBudgets, setCategoryBudgets] = useState([]);
+  const [savingsGoals, setSavingsGoals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [recurringIncomes, setRecurringIncomes] = useState([]);
   const [recurringExpenses, setRecurringExpenses] = useState([]);
+  // The schedules' occurrences waiting for review (due) or coming up soon, each with its `kind` ('income' or 'expense').
+  const [recurringOccurrences, setRecurringOccurrences] = useState([]);
+  const [categorizationRules, setCategorizationRules] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  // The households the user belongs to, with their members (see Households.js).
+  const [households, setHouseholds] = useState([]);
+  // The currency every summary, chart and budget target is shown in.
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  // The other app settings: the large-transaction threshold and the notifications already read.
+  const [appSettings, setAppSettings] = useState({});
+  // { offline, queued }: whether the API can't be reached, and how many changes made offline wait to be sent.
+  const [connection, setConnection] = useState({ offline: false, queued: 0 });
+  // The sync conflict waiting for the user's decision: { conflict, resolve }, or null.
+  const [pendingConflict, setPendingConflict] = useState(null);
 
 
   // --- DATA FETCHING LOGIC ---
@@ -53,43 +130,73 @@ export default function App() {
 
     const fetchData = async () => {
       try {
-        // 2. Call the processing functions. They are now clean one-liners.
-        // The service handles the 'method: POST' and URL.
-        await Promise.all([
-          processRecurringIncomes(),
-          processRecurringExpenses()
-        ]);
-        
-        // 3. Fetch all application data in parallel.
+        // 2. Fetch all application data in parallel.
+        // The recurring schedules are not processed here: their due occurrences are only previewed, and the user
+        // approves or skips them in the "Upcoming & pending" panel on the Dashboard.
+        const today = new Date();
+        const until = toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + UPCOMING_DAYS));
         // No more URLs, .ok checks, or .json() calls!
         const [
-          transactionsData, 
+          summaryData, 
           categoriesData, 
           budgetData, 
           recIncomesData, 
-          recExpensesData
+          recExpensesData,
+          rulesData,
+          accountsData,
+          settingsData,
+          ratesData,
+          categoryBudgetsData,
+          goalsData,
+          householdsData,
+          pendingIncomesData,
+          pendingExpensesData
         ] = await Promise.all([
-          getAllTransactions(),
+          getTransactionSummary(undefined, toDateString(today)),
           getAllCategories(),
           getAllBudgetRules(),
           getAllRecurringIncomes(),
-          getAllRecurringExpenses()
+          getAllRecurringExpenses(),
+          getAllCategorizationRules(),
+          getAllAccounts(),
+          getAppSettings(),
+          getAllExchangeRates(),
+          getAllCategoryBudgets(),
+          getAllSavingsGoals(),
+          getAllHouseholds(),
+          getPendingRecurringIncomes(until),
+          getPendingRecurringExpenses(until)
         ]);
+        // The recent transactions depend on the category budgets (their rollover reaches back before this month).
+        const transactionsData = (await Promise.all(notificationQueries(categoryBudgetsData, today).map(q => getAllTransactions(q)))).flat();
 
-        // 4. Update the application's state with the clean data.
+        // 3. Update the application's state with the clean data.
         setTransactions(transactionsData);
+        setSummary(summaryData);
         setCategories(categoriesData);
         setBudgetSettings(budgetData);
         setRecurringIncomes(recIncomesData);
         setRecurringExpenses(recExpensesData);
+        setCategorizationRules(rulesData);
+        setAccounts(accountsData);
+        setExchangeRates(ratesData);
+        setCategoryBudgets(categoryBudgetsData);
+        setSavingsGoals(goalsData);
+        setHouseholds(householdsData);
+        setRecurringOccurrences([
+          ...pendingIncomesData.map(o => ({ ...o, kind: 'income' })),
+          ...pendingExpensesData.map(o => ({ ...o, kind: 'expense' }))
+        ].sort((a, b) => a.transaction_date.localeCompare(b.transaction_date)));
+        setBaseCurrency(settingsData.base_currency || DEFAULT_CURRENCY);
+        setAppSettings(settingsData);
 
       } catch (err) {
-        // 5. The apiService throws an error, which we catch here.
+        // 4. The apiService throws an error, which we catch here.
         console.error("Data fetching failed:", err);
         // Update the error message.
         setError("Failed to load data from the server. Please ensure XAMPP is running and the API is accessible.");
       } finally {
-        // 6. Hide the loading spinner.
+        // 5. Hide the loading spinner.
         setLoading(false);
       }
     };
@@ -97,43 +204,241 @@ export default function App() {
     fetchData();
   }, []); // The empty dependency array [] is correct.
 
+  // The last change the user saved, shown in the undo toast: { id, change, undone }, or null.
+  const [lastChange, setLastChange] = useState(null);
+
   /**
-   * This useEffect hook runs once on component mount.
+   * handleDataChange is given to the pages that create, update or delete transactions and categories.
+   * Besides reloading the data, it shows the change in the undo toast.
+   * @param {object} [change] - The change (see undoService.js), if it can be undone.
    */
-  useEffect(() => {
+  const handleDataChange = useCallback((change) => {
+    // A change made offline is only queued, so there is nothing on the server to undo yet.
+    if (change && !isOffline()) setLastChange({ id: Date.now(), change, undone: false });
     triggerReload();
   }, [triggerReload]);
 
+  /**
+   * Undoes the change in the toast, or redoes it if it was just undone, then reloads the data.
+   */
+  const handleToggleUndo = async () => {
+    const { change, undone } = lastChange;
+    try {
+      await (undone ? change.redo() : change.undo());
+      setLastChange({ ...lastChange, undone: !undone });
+    } catch (err) {
+      console.error("Undo failed:", err);
+      alert(`Could not ${undone ? 'redo' : 'undo'} the change: ${err.message}`);
+    }
+    triggerReload();
+  };
+
+  /**
+   * The recent transactions with their value in the base currency added as `base_amount`,
+   * converted with the exchange rate of the transaction's date.
+   */
+  const { transactions: convertedTransactions } = useMemo(
+    () => convertTransactions(transactions, exchangeRates, baseCurrency),
+    [transactions, exchangeRates, baseCurrency]
+  );
+
+  // Today's total balance of all accounts, opening balances included, in the base currency.
+  const todayBalance = useMemo(
+    () => (summary ? totalBalance(summary.accounts) : 0),
+    [summary]
+  );
+
+  // The contracts whose cancellation deadline, renewal or end is near (see utils/subscriptions.js).
+  const contractAlerts = useMemo(() => subscriptionAlerts(recurringExpenses), [recurringExpenses]);
+
+  // The notification center's events, worked out from the loaded data (see utils/notifications.js).
+  const largeTransaction = parseFloat(appSettings.large_transaction_threshold) || DEFAULT_LARGE_TRANSACTION;
+  const notifications = useMemo(() => buildNotifications({
+    transactions: convertedTransactions, balance: todayBalance, budgetSettings, categoryBudgets, accounts, recurringIncomes, recurringExpenses,
+    recurringOccurrences, exchangeRates, baseCurrency, largeTransaction
+  }), [convertedTransactions, todayBalance, budgetSettings, categoryBudgets, accounts, recurringIncomes, recurringExpenses, recurringOccurrences, exchangeRates, baseCurrency, largeTransaction]);
+
+  // --- AUTHENTICATION ---
+
+  /**
+   * On mount, checks whether the stored login token is still valid. Any request answered with 401
+   * later on (an expired login) logs the user out as well.
+   */
+  useEffect(() => {
+    setUnauthorizedHandler(() => setCurrentUser(null));
+    setConnectionHandler(setConnection);
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+    getCurrentUser()
+      .then(user => setCurrentUser(user))
+      .catch(err => console.error("Session check failed:", err))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  /**
+   * Loads the data whenever a user logs in, and clears it on logout,
+   * so the next user never sees the previous user's data.
+   */
+  const userId = currentUser ? currentUser.id : null;
+  useEffect(() => {
+    setOfflineUser(userId);
+    if (userId !== null) {
+      triggerReload();
+      return;
+    }
+    setTransactions([]);
+    setSummary(null);
+    setCategories([]);
+    setBudgetSettings([]);
+    setCategoryBudgets([]);
+    setSavingsGoals([]);
+    setRecurringIncomes([]);
+    setRecurringExpenses([]);
+    setCategorizationRules([]);
+    setAccounts([]);
+    setExchangeRates([]);
+    setHouseholds([]);
+    setRecurringOccurrences([]);
+    setBaseCurrency(DEFAULT_CURRENCY);
+    setAppSettings({});
+    setLastChange(null);
+    setLoading(true);
+  }, [userId, triggerReload]);
+
+  // Called by the Login page with the server's { token, user }.
+  const handleLogin = ({ token, user }) => {
+    setAuthToken(token);
+    setCurrentUser(user);
+  };
+
+  const handleLogout = async () => {
+    if (connection.queued > 0 && !window.confirm(`${connection.queued} change(s) made offline haven't been saved to the server yet and will be lost. Log out anyway?`)) return;
+    try {
+      await logout();
+    } catch (err) {
+      // The token is forgotten below either way.
+      console.error("Logout failed:", err);
+    }
+    setAuthToken(null);
+    setCurrentUser(null);
+    // The cached data and queued changes belong to this user.
+    clearOfflineData(userId).catch(err => console.error("Could not clear the offline data:", err));
+  };
+
+  // --- OFFLINE SYNC ---
+
+  // Asks the user about a sync conflict; resolves with 'mine' or 'theirs' once they have chosen (see SyncConflictModal).
+  const resolveConflict = useCallback((conflict) => new Promise(resolve => setPendingConflict({ conflict, resolve })), []);
+
+  const handleResolveConflict = (choice) => {
+    pendingConflict.resolve(choice);
+    setPendingConflict(null);
+  };
+
+  // Only one sync runs at a time, even when several triggers fire together.
+  const syncing = useRef(false);
+
+  /**
+   * Checks whether the API can be reached again and, if so, sends the changes made offline and reloads the data.
+   */
+  const syncNow = useCallback(async () => {
+    if (userId === null || syncing.current) return;
+    syncing.current = true;
+    try {
+      await checkConnection();
+      const { errors } = await syncQueuedChanges(userId, resolveConflict);
+      if (errors.length > 0) alert("Error: some changes made offline were refused by the server:\n" + errors.join("\n"));
+      triggerReload();
+    } catch (err) {
+      // Still offline; the changes stay queued for the next try.
+      console.error("Sync failed:", err);
+    } finally {
+      syncing.current = false;
+    }
+  }, [userId, resolveConflict, triggerReload]);
+
+  /**
+   * Syncs when the browser reports the network is back, every 30 seconds while the API can't be reached
+   * (the network can be fine while the server is down), and whenever changes are waiting while online.
+   */
+  useEffect(() => {
+    window.addEventListener('online', syncNow);
+    const timer = connection.offline ? setInterval(syncNow, 30000) : null;
+    if (!connection.offline && connection.queued > 0) syncNow();
+    return () => {
+      window.removeEventListener('online', syncNow);
+      if (timer) clearInterval(timer);
+    };
+  }, [syncNow, connection]);
+
   // --- JSX RENDERING LOGIC ---
   // (This part remains exactly the same as your original file)
   return (
     <>
       {/* Navbar provides consistent navigation across all pages. */}
-      <Navbar bg="dark" variant="dark" expand="lg" className="shadow-sm" sticky="top">
+      <Navbar bg="dark" variant="dark" expand="lg" className="shadow-sm d-print-none" sticky="top">
         <Container>
           <Navbar.Brand as={NavLink} to="/">💰 Financial Tracker</Navbar.Brand>
           <Navbar.Toggle aria-controls="basic-navbar-nav" />
           <Navbar.Collapse id="basic-navbar-nav">
-            <Nav className="ms-auto">
-              <Nav.Link as={NavLink} to="/" end>Dashboard</Nav.Link>
-              <Nav.Link as={NavLink} to="/add-transaction">Add Transaction</Nav.Link>
-              <Nav.Link as={NavLink} to="/budget-setup">Budgeting</Nav.Link>
-              <Nav.Link as={NavLink} to="/categories">Categories</Nav.Link>
-            </Nav>
+            {currentUser ? (
+              <Nav className="ms-auto align-items-lg-center">
+                <Nav.Link as={NavLink} to="/" end>Dashboard</Nav.Link>
+                <Nav.Link as={NavLink} to="/forecast">Forecast</Nav.Link>
+                <Nav.Link as={NavLink} to="/subscriptions">
+                  Subscriptions{contractAlerts.length > 0 && <Badge bg="warning" text="dark" className="ms-1" title="Contract reminders">{contractAlerts.length}</Badge>}
+                </Nav.Link>
+                <Nav.Link as={NavLink} to="/add-transaction">Add Transaction</Nav.Link>
+                <Nav.Link as={NavLink} to="/import">Import</Nav.Link>
+                <Nav.Link as={NavLink} to="/accounts">Accounts</Nav.Link>
+                <Nav.Link as={NavLink} to="/goals">Goals</Nav.Link>
+                <Nav.Link as={NavLink} to="/households">Household</Nav.Link>
+                <Nav.Link as={NavLink} to="/budget-setup">Budgeting</Nav.Link>
+                <Nav.Link as={NavLink} to="/categories">Categories</Nav.Link>
+                <Nav.Link as={NavLink} to="/currencies">Currencies</Nav.Link>
+                <Nav.Link as={NavLink} to="/rules">Rules</Nav.Link>
+                <Nav.Link as={NavLink} to="/activity">Activity</Nav.Link>
+                <Nav.Link as={NavLink} to="/trash">Trash</Nav.Link>
+                <Nav.Link as={NavLink} to="/settings">Settings</Nav.Link>
+                {(connection.offline || connection.queued > 0) && (
+                  <Navbar.Text className="ms-lg-3">
+                    <Badge bg={connection.offline ? "warning" : "info"} text="dark">
+                      {connection.offline ? "Offline" : "Syncing"}{connection.queued > 0 ? ` · ${connection.queued} change${connection.queued === 1 ? '' : 's'} waiting` : ''}
+                    </Badge>
+                  </Navbar.Text>
+                )}
+                {!loading && <NotificationCenter notifications={notifications} savedReadIds={appSettings.notifications_read} />}
+                <Navbar.Text className="ms-lg-3 me-2">{currentUser.name}</Navbar.Text>
+                <Button variant="outline-light" size="sm" onClick={handleLogout}>Log Out</Button>
+              </Nav>
+            ) : (
+              <Nav className="ms-auto">
+                <Nav.Link as={NavLink} to="/login">Log In</Nav.Link>
+                <Nav.Link as={NavLink} to="/register">Register</Nav.Link>
+              </Nav>
+            )}
           </Navbar.Collapse>
         </Container>
       </Navbar>
       
       {/* Main content area */}
       <Container className="py-4">
+        {currentUser && connection.offline && !loading && !error && (
+            <Alert variant="warning" className="d-print-none">
+                You are offline: showing the data last loaded from the server. Changes you make are kept on this device
+                and saved as soon as the server can be reached.
+            </Alert>
+        )}
         {/* Conditional Rendering Logic */}
-        {loading ? (
+        {!authChecked || (currentUser && loading) ? (
              // 1. Show loading spinner
              <div className="text-center p-5">
                 <Spinner animation="border" variant="primary" />
                 <p className="mt-2">Loading data...</p>
             </div>
-        ) : error ? (
+        ) : currentUser && error ? (
             // 2. Show error message
             <Alert variant="danger">
                 <h4>Application Error</h4>
@@ -143,15 +448,34 @@ export default function App() {
         ) : (
         // 3. Show application routes
         <Routes>
-          <Route path="/" element={<Dashboard transactions={transactions} budgetSettings={budgetSettings} triggerReload={triggerReload} categories={categories} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} />} />
-          <Route path="/add-transaction" element={<TransactionForm categories={categories} onFormSubmit={triggerReload} transactions={transactions} />} />
-          <Route path="/edit/:id" element={<TransactionForm categories={categories} onFormSubmit={triggerReload} transactions={transactions} />} />
-          <Route path="/budget-setup" element={<BudgetSetup settings={budgetSettings} onSettingsSaved={triggerReload} categories={categories} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} />} />
-          <Route path="/categories" element={<Categories categories={categories} onDataChanged={triggerReload} />} />
-          <Route path="*" element={<NotFound />} />
+          <Route path="/login" element={currentUser ? <Navigate to="/" replace /> : <Login mode="login" onLogin={handleLogin} />} />
+          <Route path="/register" element={currentUser ? <Navigate to="/" replace /> : <Login mode="register" onLogin={handleLogin} />} />
+          <Route element={<ProtectedRoute user={currentUser} />}>
+            <Route path="/" element={<Dashboard budgetSettings={budgetSettings} triggerReload={handleDataChange} categories={categories} accounts={accounts} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} categoryBudgets={categoryBudgets} savingsGoals={savingsGoals} baseCurrency={baseCurrency} exchangeRates={exchangeRates} recurringOccurrences={recurringOccurrences} />} />
+            <Route path="/forecast" element={<Forecast transactions={convertedTransactions} balance={todayBalance} accounts={accounts} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} exchangeRates={exchangeRates} baseCurrency={baseCurrency} />} />
+            <Route path="/subscriptions" element={<Subscriptions recurringExpenses={recurringExpenses} exchangeRates={exchangeRates} baseCurrency={baseCurrency} />} />
+            <Route path="/add-transaction" element={<TransactionForm categories={categories} accounts={accounts} onFormSubmit={handleDataChange} categorizationRules={categorizationRules} savingsGoals={savingsGoals} baseCurrency={baseCurrency} exchangeRates={exchangeRates} households={households} />} />
+            <Route path="/edit/:id" element={<TransactionForm categories={categories} accounts={accounts} onFormSubmit={handleDataChange} categorizationRules={categorizationRules} savingsGoals={savingsGoals} baseCurrency={baseCurrency} exchangeRates={exchangeRates} households={households} />} />
+            <Route path="/import" element={<ImportTransactions categories={categories} accounts={accounts} categorizationRules={categorizationRules} baseCurrency={baseCurrency} onImportComplete={triggerReload} />} />
+            <Route path="/accounts" element={<Accounts accounts={accounts} balances={summary ? summary.accounts : []} baseCurrency={baseCurrency} onDataChanged={triggerReload} />} />
+            <Route path="/households" element={<Households households={households} currentUser={currentUser} baseCurrency={baseCurrency} onDataChanged={triggerReload} />} />
+            <Route path="/goals" element={<SavingsGoals goals={savingsGoals} categories={categories} exchangeRates={exchangeRates} baseCurrency={baseCurrency} onDataChanged={triggerReload} />} />
+            <Route path="/budget-setup" element={<BudgetSetup settings={budgetSettings} onSettingsSaved={triggerReload} categories={categories} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} categoryBudgets={categoryBudgets} baseCurrency={baseCurrency} />} />
+            <Route path="/categories" element={<Categories categories={categories} onDataChanged={handleDataChange} />} />
+            <Route path="/activity" element={<Activity categories={categories} accounts={accounts} savingsGoals={savingsGoals} />} />
+            <Route path="/trash" element={<Trash baseCurrency={baseCurrency} onDataChanged={triggerReload} />} />
+            <Route path="/currencies" element={<ExchangeRates exchangeRates={exchangeRates} baseCurrency={baseCurrency} currenciesInUse={summary ? summary.currencies : {}} missingCurrencies={summary ? summary.missing_currencies : []} onDataChanged={triggerReload} />} />
+            <Route path="/rules" element={<CategorizationRules rules={categorizationRules} categories={categories} onDataChanged={triggerReload} />} />
+            <Route path="/settings" element={<Settings transactionCount={summary ? summary.transaction_count : 0} categories={categories} budgetSettings={budgetSettings} recurringIncomes={recurringIncomes} recurringExpenses={recurringExpenses} categorizationRules={categorizationRules} accounts={accounts} exchangeRates={exchangeRates} baseCurrency={baseCurrency} categoryBudgets={categoryBudgets} savingsGoals={savingsGoals} largeTransaction={largeTransaction} onDataChanged={triggerReload} />} />
+            <Route path="*" element={<NotFound />} />
+          </Route>
         </Routes>
         )}
       </Container>
+
+      {/* The undo toast lives outside the page area, so it survives the reload that follows every change. */}
+      <UndoToast entry={lastChange} onToggle={handleToggleUndo} onClose={() => setLastChange(null)} />
+      <SyncConflictModal conflict={pendingConflict && pendingConflict.conflict} onResolve={handleResolveConflict} />
     </>
   );
 }
\ No newline at end of file
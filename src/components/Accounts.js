@@ -0,0 +1,177 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState } from 'react';
+import { Card, Form, Button, Row, Col, Badge, Table, Modal } from 'react-bootstrap';
+// Import icons for the edit and delete buttons.
+import { BsPencil, BsTrash } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import { addAccount, updateAccount, deleteAccount } from '../services/apiService';
+// Import the account types shared with the Dashboard.
+import { ACCOUNT_TYPES } from '../utils/accounts';
+import { formatMoney } from '../utils/currency';
+
+// The values of the "Add New Account" form when it is empty.
+const EMPTY_ACCOUNT = { name: '', type: 'Checking', opening_balance: '', color: '#6C757D' };
+
+/**
+ * The Accounts component manages the accounts (wallets) money is kept in, such as a checking account,
+ * a credit card or a cash wallet. It shows each account's current balance and allows adding, editing and deleting accounts.
+ * @param {object} props - Component props.
+ * @param {Array} props.accounts - The list of accounts passed down from App.js.
+ * @param {Array} props.balances - Today's balance of every account ({ id, name, type, color, balance, transaction_count }),
+ * including the "Unassigned" entry if some transactions have no account, as worked out by the summary endpoint.
+ * @param {string} props.baseCurrency - The currency balances are shown in. Opening balances are entered in it too.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const Accounts = ({ accounts, balances = [], baseCurrency, onDataChanged }) => {
+    // --- STATE MANAGEMENT (useState) ---
+    const [newAccount, setNewAccount] = useState(EMPTY_ACCOUNT);
+    // The account currently being edited in the modal, or null when not editing.
+    const [editingAccount, setEditingAccount] = useState(null);
+
+    // --- DERIVED STATE ---
+    const totalBalance = balances.reduce((sum, b) => sum + b.balance, 0);
+
+    // --- EVENT HANDLERS (CRUD Operations) ---
+    const handleAddAccount = async (e) => {
+        e.preventDefault();
+        if (!newAccount.name) { alert('Please enter an account name.'); return; }
+
+        try {
+            const data = await addAccount(newAccount);
+            if (data.rezultat === "OK") {
+                setNewAccount(EMPTY_ACCOUNT);
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to add account:", error);
+            alert("An error occurred while adding the account.");
+        }
+    };
+
+    const handleUpdateAccount = async (e) => {
+        e.preventDefault();
+        try {
+            const data = await updateAccount(editingAccount);
+            if (data.rezultat === "OK") {
+                setEditingAccount(null);
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to update account:", error);
+            alert("An error occurred while updating the account.");
+        }
+    };
+
+    const handleDeleteAccount = async (id) => {
+        if (!window.confirm("Are you sure you want to delete this account?")) return;
+        try {
+            const data = await deleteAccount(id);
+            if (data.rezultat === "OK") {
+                onDataChanged();
+            } else {
+                // The backend refuses to delete an account that still has transactions.
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to delete account:", error);
+            alert("An error occurred while deleting the account.");
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Row>
+                {/* Section for adding a new account */}
+                <Col md={12} className="mb-4">
+                    <Card>
+                        <Card.Header as="h4">Add New Account</Card.Header>
+                        <Card.Body>
+                            <Form onSubmit={handleAddAccount}>
+                                <Row className="align-items-end g-3">
+                                    <Col md={4}><Form.Group><Form.Label htmlFor="new-acc-name">Name</Form.Label><Form.Control id="new-acc-name" type="text" placeholder="e.g., Main Checking" value={newAccount.name} onChange={e => setNewAccount({...newAccount, name: e.target.value})} required /></Form.Group></Col>
+                                    <Col md={2}><Form.Group><Form.Label htmlFor="new-acc-type">Type</Form.Label><Form.Select id="new-acc-type" value={newAccount.type} onChange={e => setNewAccount({...newAccount, type: e.target.value})}>{ACCOUNT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}</Form.Select></Form.Group></Col>
+                                    <Col md={3}><Form.Group><Form.Label htmlFor="new-acc-balance">Opening Balance ({baseCurrency})</Form.Label><Form.Control id="new-acc-balance" type="number" step="0.01" placeholder="0.00" value={newAccount.opening_balance} onChange={e => setNewAccount({...newAccount, opening_balance: e.target.value})} /></Form.Group></Col>
+                                    <Col md={1}><Form.Group><Form.Label htmlFor="new-acc-color">Color</Form.Label><Form.Control id="new-acc-color" type="color" value={newAccount.color} onChange={e => setNewAccount({...newAccount, color: e.target.value})} /></Form.Group></Col>
+                                    <Col md={2}><Button variant="success" type="submit" className="w-100">Add Account</Button></Col>
+                                </Row>
+                                <Form.Text muted>A credit card usually starts with a negative opening balance (the amount owed).</Form.Text>
+                            </Form>
+                        </Card.Body>
+                    </Card>
+                </Col>
+
+                {/* Section for managing existing accounts */}
+                <Col md={12}>
+                    <Card>
+                        <Card.Header as="h4">Manage Accounts</Card.Header>
+                        <Card.Body>
+                            <Table striped bordered hover responsive size="sm">
+                                <thead>
+                                    <tr><th>Name</th><th>Type</th><th className="text-end">Opening Balance</th><th className="text-end">Transactions</th><th className="text-end">Current Balance</th><th>Actions</th></tr>
+                                </thead>
+                                <tbody>
+                                    {balances.map(b => {
+                                        const account = accounts.find(a => String(a.id) === String(b.id));
+                                        return (
+                                            <tr key={b.id ?? 'unassigned'}>
+                                                <td><span className="d-inline-block rounded-circle me-2" style={{ width: '12px', height: '12px', backgroundColor: b.color || '#CCCCCC' }}></span>{b.name}</td>
+                                                <td><Badge bg="secondary" pill>{b.type}</Badge></td>
+                                                <td className="text-end">{account ? formatMoney(account.opening_balance, baseCurrency) : '—'}</td>
+                                                <td className="text-end">{b.transaction_count}</td>
+                                                <td className={`text-end fw-bold ${b.balance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(b.balance, baseCurrency)}</td>
+                                                <td>
+                                                    {/* The "Unassigned" entry is not a real account, so it can't be edited or deleted. */}
+                                                    {account && (
+                                                        <>
+                                                            <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setEditingAccount(account)} title="Edit"><BsPencil /></Button>
+                                                            <Button variant="outline-danger" size="sm" onClick={() => handleDeleteAccount(account.id)} title="Delete" disabled={b.transaction_count > 0}><BsTrash /></Button>
+                                                        </>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    {balances.length === 0 && <tr><td colSpan={6} className="text-center text-muted">No accounts yet.</td></tr>}
+                                </tbody>
+                                {balances.length > 0 && (
+                                    <tfoot>
+                                        <tr><th colSpan={4}>Total</th><th className={`text-end ${totalBalance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(totalBalance, baseCurrency)}</th><th></th></tr>
+                                    </tfoot>
+                                )}
+                            </Table>
+                        </Card.Body>
+                    </Card>
+                </Col>
+            </Row>
+
+            {/* The Edit Modal is only rendered while an account is being edited. */}
+            {editingAccount && (
+                <Modal show onHide={() => setEditingAccount(null)} centered>
+                    <Modal.Header closeButton><Modal.Title>Edit Account</Modal.Title></Modal.Header>
+                    <Modal.Body>
+                        <Form onSubmit={handleUpdateAccount}>
+                            <Form.Group className="mb-3"><Form.Label htmlFor="edit-acc-name">Name</Form.Label><Form.Control id="edit-acc-name" type="text" value={editingAccount.name} onChange={(e) => setEditingAccount({...editingAccount, name: e.target.value})} required /></Form.Group>
+                            <Row>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="edit-acc-type">Type</Form.Label><Form.Select id="edit-acc-type" value={editingAccount.type} onChange={(e) => setEditingAccount({...editingAccount, type: e.target.value})}>{ACCOUNT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}</Form.Select></Form.Group></Col>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="edit-acc-balance">Opening Balance ({baseCurrency})</Form.Label><Form.Control id="edit-acc-balance" type="number" step="0.01" value={editingAccount.opening_balance} onChange={(e) => setEditingAccount({...editingAccount, opening_balance: e.target.value})} /></Form.Group></Col>
+                                <Col xs="auto"><Form.Group><Form.Label htmlFor="edit-acc-color">Color</Form.Label><Form.Control id="edit-acc-color" type="color" value={editingAccount.color || '#6C757D'} onChange={(e) => setEditingAccount({...editingAccount, color: e.target.value})} /></Form.Group></Col>
+                            </Row>
+                            <div className="text-end mt-4">
+                                <Button variant="secondary" onClick={() => setEditingAccount(null)} className="me-2">Cancel</Button>
+                                <Button variant="primary" type="submit">Save Changes</Button>
+                            </div>
+                        </Form>
+                    </Modal.Body>
+                </Modal>
+            )}
+        </>
+    );
+};
+
+export default Accounts;
@@ -0,0 +1,143 @@
+// Import core React hooks and the Bootstrap components used on the page.
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Form, Row, Col, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+
+// Import the specific functions we need from the apiService.
+import { getAuditLog } from '../services/apiService';
+import { ENTITY_LABELS, ACTION_LABELS, ACTION_VARIANTS, formatTimestamp, describeEntity } from '../utils/audit';
+import ChangeList from './ChangeList';
+
+// How many entries are shown per page.
+const PAGE_SIZE = 25;
+
+// The filters when the page opens: everything, newest first.
+const EMPTY_FILTERS = { entity_type: '', action: '', date_from: '', date_to: '' };
+
+// A simple, reusable component for rendering pagination controls.
+const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
+    if (totalPages <= 1) return null;
+    return (
+        <div className="d-flex justify-content-center align-items-center mt-4">
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage - 1)} disabled={currentPage === 1} className="me-3">&laquo; Previous</Button>
+            <span className="text-muted small">Page {currentPage} of {totalPages}</span>
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage + 1)} disabled={currentPage === totalPages} className="ms-3">Next &raquo;</Button>
+        </div>
+    );
+};
+
+/**
+ * The Activity page browses the audit history: every transaction, category, budget rule and schedule that was
+ * added, changed, deleted, restored or removed for good, with what changed and when.
+ * The history is written by the server, so the page fetches it itself, one page at a time.
+ * @param {object} props - Component props.
+ * @param {Array} props.categories - All categories, for showing category names instead of IDs.
+ * @param {Array} props.accounts - All accounts, for showing account names instead of IDs.
+ * @param {Array} props.savingsGoals - All savings goals, for showing goal names instead of IDs.
+ */
+const Activity = ({ categories, accounts, savingsGoals }) => {
+    // --- STATE MANAGEMENT ---
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState(null);
+
+    const lookups = { categories, accounts, savingsGoals };
+
+    // --- DATA FETCHING ---
+    // Reloads whenever the filters or the page change. A response that arrives after a newer request was made is ignored.
+    useEffect(() => {
+        let isCurrent = true;
+        setHistory(null);
+        getAuditLog({ ...filters, page: currentPage, page_size: PAGE_SIZE })
+            .then(data => {
+                if (!isCurrent) return;
+                setHistory(data);
+                setError(null);
+            })
+            .catch(err => {
+                if (!isCurrent) return;
+                console.error("Failed to load the activity:", err);
+                setError('Failed to load the activity. Please try again.');
+            });
+        return () => { isCurrent = false; };
+    }, [filters, currentPage]);
+
+    // --- EVENT HANDLERS ---
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setCurrentPage(1);
+    };
+
+    const handleResetFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setCurrentPage(1);
+    };
+
+    const totalPages = history ? Math.ceil(history.total / PAGE_SIZE) : 0;
+
+    // --- JSX RENDERING ---
+    return (
+        <Card>
+            <Card.Header as="h4">Activity</Card.Header>
+            <Card.Body>
+                <p className="text-muted">Every change to transactions, categories, budget rules and recurring schedules, newest first.</p>
+
+                {/* Filters */}
+                <Row className="g-2 mb-3 align-items-end">
+                    <Form.Group as={Col} md={3} controlId="activityEntityType">
+                        <Form.Label className="small">What</Form.Label>
+                        <Form.Select size="sm" name="entity_type" value={filters.entity_type} onChange={handleFilterChange}>
+                            <option value="">Everything</option>
+                            {Object.entries(ENTITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}s</option>)}
+                        </Form.Select>
+                    </Form.Group>
+                    <Form.Group as={Col} md={3} controlId="activityAction">
+                        <Form.Label className="small">Action</Form.Label>
+                        <Form.Select size="sm" name="action" value={filters.action} onChange={handleFilterChange}>
+                            <option value="">Any action</option>
+                            {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </Form.Select>
+                    </Form.Group>
+                    <Form.Group as={Col} md={2} controlId="activityDateFrom">
+                        <Form.Label className="small">From</Form.Label>
+                        <Form.Control size="sm" type="date" name="date_from" value={filters.date_from} onChange={handleFilterChange} />
+                    </Form.Group>
+                    <Form.Group as={Col} md={2} controlId="activityDateTo">
+                        <Form.Label className="small">To</Form.Label>
+                        <Form.Control size="sm" type="date" name="date_to" value={filters.date_to} onChange={handleFilterChange} />
+                    </Form.Group>
+                    <Col md={2}>
+                        <Button variant="outline-secondary" size="sm" className="w-100" onClick={handleResetFilters}>Reset</Button>
+                    </Col>
+                </Row>
+
+                {error && <Alert variant="danger">{error}</Alert>}
+
+                <Table striped hover responsive size="sm">
+                    <thead><tr><th>When</th><th>Action</th><th>Item</th><th>Changes</th></tr></thead>
+                    <tbody>
+                        {!history && !error && (
+                            <tr><td colSpan="4" className="text-center p-4"><Spinner animation="border" size="sm" variant="primary" /></td></tr>
+                        )}
+                        {history && history.rows.length === 0 && (
+                            <tr><td colSpan="4" className="text-center text-muted p-4">No activity matches these filters.</td></tr>
+                        )}
+                        {history && history.rows.map(entry => (
+                            <tr key={entry.id}>
+                                <td className="text-nowrap">{formatTimestamp(entry.created_at)}</td>
+                                <td><Badge bg={ACTION_VARIANTS[entry.action] || 'secondary'}>{ACTION_LABELS[entry.action] || entry.action}</Badge></td>
+                                <td>{describeEntity(entry)}</td>
+                                <td><ChangeList entry={entry} lookups={lookups} /></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+
+                <ModernPagination totalPages={totalPages} currentPage={currentPage} onPageChange={setCurrentPage} />
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default Activity;
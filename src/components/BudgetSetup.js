@@ -2,15 +2,23 @@
 import React, { useState, useMemo } from 'react';
 import { Card, Form, Button, InputGroup, Row, Col, Alert, Modal, ListGroup, Badge } from 'react-bootstrap';
 // Import icons to provide clear visual cues for actions like add, edit, delete, and stop.
-import { BsPlus, BsPencil, BsTrash, BsStopCircle } from 'react-icons/bs';
+import { BsPlus, BsPencil, BsTrash, BsStopCircle, BsGraphUpArrow } from 'react-icons/bs';
 
 // Import all the functions we need for this file
 import {
     addRecurringIncome, updateRecurringIncome, deleteRecurringIncome,
     addRecurringExpense, updateRecurringExpense, deleteRecurringExpense,
-    addBudgetRule, updateBudgetRule, deleteBudgetRule
+    addBudgetRule, updateBudgetRule, deleteBudgetRule,
+    addCategoryBudget, updateCategoryBudget, deleteCategoryBudget
 } from '../services/apiService';
-
+// Import the currency helpers for the schedule amounts.
+import { COMMON_CURRENCIES, DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+// Import the recurrence pattern helpers for the schedule form and list.
+import { RECURRENCE_PATTERNS, WEEKDAYS, usesDayOfMonth, usesWeekday, describeRecurrence, nextOccurrence, amountOn, yearOverYearChange } from '../utils/recurrence';
+import { toDateString } from '../utils/forecast';
+// Import the dialog that records a schedule's price changes.
+import ScheduleAmountModal from './ScheduleAmountModal';
+import { DEFAULT_REMINDER_DAYS } from '../utils/subscriptions';
 
 // A helper utility function to format date strings into a human-readable format.
 const formatDate = (dateString) => {
@@ -20,6 +28,9 @@ const formatDate = (dateString) => {
   return new Intl.DateTimeFormat('en-GB', options).format(date);
 };
 
+// A short month and year for the amount history, e.g. "Sep 2025".
+const formatMonth = (dateString) => new Intl.DateTimeFormat('en-GB', { month: 'short', year: 'numeric' }).format(new Date(dateString + 'T00:00:00'));
+
 // A reusable pagination component, also used in other parts of the application.
 const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
     if (totalPages <= 1) return null;
@@ -36,13 +47,20 @@ const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
  * ScheduleManager is a highly reusable component for managing any list of recurring items.
  * It handles its own state for filtering, pagination, and modal-based CRUD operations.
  * Its behavior is customized via props like 'title' and 'itemType'.
+ * Each schedule has its own currency; new ones default to the base currency.
+ * Each schedule also has a repeat pattern (see utils/recurrence.js): daily, weekly, every two weeks, monthly, quarterly,
+ * yearly or on the last business day of the month, every N of those units, on a day of the week or of the month.
+ * Its amount can change over time (see ScheduleAmountModal): the list shows the amount valid today, the earlier
+ * ones, and how much more or less it costs than a year ago.
  */
-const ScheduleManager = ({ title, itemType, categories, onDataChanged, items }) => {
+const ScheduleManager = ({ title, itemType, categories, onDataChanged, items, baseCurrency = DEFAULT_CURRENCY }) => {
     // --- STATE MANAGEMENT ---
     // (State logic remains unchanged)
     const [showModal, setShowModal] = useState(false);
     const [isEditing, setIsEditing] = useState(false);
     const [currentItem, setCurrentItem] = useState(null);
+    // The schedule whose amount is being changed; looked up in `items` so the dialog shows the reloaded history.
+    const [amountScheduleId, setAmountScheduleId] = useState(null);
 
     // State for the filter controls.
     const [statusFilter, setStatusFilter] = useState('active');
@@ -64,10 +82,11 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
     const resetForm = () => {
         setIsEditing(false);
         setCurrentItem({
-            id: null, description: '', amount: '', category_id: '', recurrence_day: '15',
+            id: null, description: '', amount: '', currency: baseCurrency, category_id: '', recurrence_day: '15',
+            frequency: 'monthly', interval_count: '1', weekday: '',
             start_date: new Date().toISOString().slice(0, 10),
             end_date: new Date().toISOString().slice(0, 10),
-            contract_end_date: ''
+            contract_end_date: '', notice_days: '0', renewal_months: '', reminder_days: String(DEFAULT_REMINDER_DAYS)
         });
     };
     
@@ -119,7 +138,11 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
     const handleOpenModal = (item = null) => {
         // If an item is passed, we're editing.
         if (item) {
-            const itemToEdit = {...item, contract_end_date: item.contract_end_date || ''};
+            const itemToEdit = {
+                ...item, contract_end_date: item.contract_end_date || '', currency: item.currency || DEFAULT_CURRENCY,
+                notice_days: item.notice_days ?? '0', renewal_months: item.renewal_months || '', reminder_days: item.reminder_days ?? String(DEFAULT_REMINDER_DAYS),
+                frequency: item.frequency || 'monthly', interval_count: item.interval_count || '1', weekday: item.weekday || ''
+            };
             setIsEditing(true);
             setCurrentItem(itemToEdit);
         
@@ -132,15 +155,20 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
 
     const handleCloseModal = () => { setShowModal(false); resetForm(); };
     const handleFormChange = (e) => { setCurrentItem({...currentItem, [e.target.name]: e.target.value }); };
+    // Once a schedule has started, a new amount only applies from a date on (see ScheduleAmountModal), so the past keeps
+    // its amounts; before the start it is simply replaced. The server decides the same way (sumaLaEditare in api/recurenta.php).
+    const amountLocked = isEditing && currentItem?.start_date < toDateString(new Date());
 
     const handleSubmit = async (e) => {
         e.preventDefault();
 
         try {
-            if (isEditing) {
-                await updateItem(currentItem); // Use the dynamic update function
-            } else {
-                await addItem(currentItem); // Use the dynamic add function
+            // Use the dynamic update or add function.
+            const result = isEditing ? await updateItem(currentItem) : await addItem(currentItem);
+            // The server checks the repeat pattern; keep the form open so it can be corrected.
+            if (result.rezultat !== 'OK') {
+                alert("Error: " + result.rezultat);
+                return;
             }
             onDataChanged();
             handleCloseModal();
@@ -180,7 +208,8 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
             const updatedItem = { ...item, end_date: today.toISOString().slice(0, 10) };
             
             try {
-                await updateItem(updatedItem); // Use the dynamic update function
+                const result = await updateItem(updatedItem); // Use the dynamic update function
+                if (result.rezultat !== 'OK') alert("Error: " + result.rezultat);
                 onDataChanged();
             } catch (error) {
                 console.error(`Failed to stop ${itemType} schedule:`, error);
@@ -195,6 +224,19 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
         : categories.filter(c => ['Needs', 'Wants', 'Savings'].includes(c.type))) : [];
 
     // --- JSX RENDERING ---
+    // The change in cost against a year ago, e.g. "+19% YoY"; for an expense a rise is bad news, for an income good news.
+    const renderYearOverYear = (item) => {
+        const yoy = yearOverYearChange(item);
+        if (!yoy) return null;
+        const good = (yoy.change > 0) === (itemType === 'income');
+        const perYear = `${yoy.perYear > 0 ? '+' : '-'}${formatMoney(Math.abs(yoy.perYear), item.currency)} a year`;
+        return (
+            <Badge bg={good ? 'success' : 'danger'} className="ms-2 align-middle" title={`${formatMoney(yoy.before, item.currency)} a year ago, ${formatMoney(yoy.now, item.currency)} now (${perYear})`}>
+                {yoy.change > 0 ? '+' : ''}{Math.round(yoy.change * 100)}% YoY
+            </Badge>
+        );
+    };
+
     return (
         <Card className="h-100">
             <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
@@ -248,15 +290,26 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
                         <ListGroup.Item key={item.id}>
                             <div className="d-flex justify-content-between">
                                 <div>
-                                    <strong>€{item.amount}</strong> for '{item.description}'
+                                    <strong>{formatMoney(amountOn(item, toDateString(new Date())), item.currency)}</strong> for '{item.description}'
                                     <Badge bg={item.status === 'active' ? 'success' : 'secondary'} className="ms-2 align-middle text-capitalize">{item.status}</Badge>
+                                    {renderYearOverYear(item)}
                                 </div>
                                 <div className="text-nowrap">
+                                    <Button variant="outline-secondary" size="sm" className="me-2" onClick={() => setAmountScheduleId(item.id)} title="Change amount"><BsGraphUpArrow /></Button>
                                     <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleOpenModal(item)} title="Edit"><BsPencil /></Button>
                                     <Button variant="outline-warning" size="sm" className="me-2" onClick={() => handleStopClick(item)} title="Stop"><BsStopCircle /></Button>
                                     <Button variant="outline-danger" size="sm" onClick={() => handleDelete(item.id)} title="Delete"><BsTrash /></Button>
                                 </div>
                             </div>
+                            {item.amount_history?.length > 0 && (
+                                <><small className="text-muted">
+                                    {[{ amount: item.amount, valid_from: item.start_date }, ...item.amount_history]
+                                        .map(r => `${formatMoney(r.amount, item.currency)} from ${formatMonth(r.valid_from)}`).join(' · ')}
+                                </small><br/></>
+                            )}
+                            <small>{describeRecurrence(item)}</small>
+                            {item.status === 'active' && nextOccurrence(item) && <small className="text-muted"> &middot; Next: {formatDate(toDateString(nextOccurrence(item)))}</small>}
+                            <br/>
                             <small className="text-muted">From: {formatDate(item.start_date)} To: {formatDate(item.end_date)}</small>
                             {item.contract_end_date && <><br/><small className="text-danger fw-bold">Contract ends: {formatDate(item.contract_end_date)}</small></>}
                         </ListGroup.Item>
@@ -271,20 +324,56 @@ const ScheduleManager = ({ title, itemType, categories, onDataChanged, items })
                 <Modal.Body>
                     <Form onSubmit={handleSubmit}>
                          <Form.Group className="mb-2"><Form.Label>Description</Form.Label><Form.Control name="description" type="text" placeholder="e.g., Monthly Salary" value={currentItem?.description || ''} onChange={handleFormChange} required /></Form.Group>
-                         <Form.Group className="mb-2"><Form.Label>Amount (€)</Form.Label><InputGroup><Form.Control name="amount" type="number" step="0.01" placeholder="100.00" value={currentItem?.amount || ''} onChange={handleFormChange} required /></InputGroup></Form.Group>
+                         <Form.Group className="mb-2"><Form.Label>{isEditing && currentItem?.amount_history?.length > 0 ? 'Starting Amount' : 'Amount'}</Form.Label><InputGroup><Form.Control name="amount" type="number" step="0.01" placeholder="100.00" value={currentItem?.amount || ''} onChange={handleFormChange} readOnly={amountLocked} required /><Form.Select name="currency" aria-label="Currency" value={currentItem?.currency || baseCurrency} onChange={handleFormChange} style={{ maxWidth: '6.5rem' }}>{Array.from(new Set([baseCurrency, ...COMMON_CURRENCIES, currentItem?.currency || baseCurrency])).map(code => <option key={code} value={code}>{code}</option>)}</Form.Select></InputGroup>
+                             {amountLocked && <Form.Text muted>A new amount applies from a date on, so the occurrences before it keep theirs: use <Button variant="link" size="sm" className="p-0 align-baseline" onClick={() => { const id = currentItem.id; handleCloseModal(); setAmountScheduleId(id); }}>Change amount</Button>.</Form.Text>}</Form.Group>
                          <Form.Group className="mb-2"><Form.Label>Category</Form.Label><Form.Select name="category_id" value={currentItem?.category_id || ''} onChange={handleFormChange} required><option value="">Select...</option>{relevantCategories.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}</Form.Select></Form.Group>
-                         <Form.Group className="mb-2"><Form.Label>Day of Month (1-31)</Form.Label><Form.Control name="recurrence_day" type="number" min="1" max="31" value={currentItem?.recurrence_day || ''} onChange={handleFormChange} required /></Form.Group>
+                         <Row>
+                            <Col xs={7}><Form.Group className="mb-2"><Form.Label>Repeats</Form.Label><Form.Select name="frequency" value={currentItem?.frequency || 'monthly'} onChange={handleFormChange}>{RECURRENCE_PATTERNS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}</Form.Select></Form.Group></Col>
+                            <Col xs={5}><Form.Group className="mb-2"><Form.Label>Every</Form.Label><InputGroup><Form.Control name="interval_count" type="number" min="1" max="99" value={currentItem?.interval_count || ''} onChange={handleFormChange} required /><InputGroup.Text>{(RECURRENCE_PATTERNS.find(p => p.value === currentItem?.frequency) || RECURRENCE_PATTERNS[3]).unit}(s)</InputGroup.Text></InputGroup></Form.Group></Col>
+                         </Row>
+                         {usesDayOfMonth(currentItem?.frequency || 'monthly') && (
+                             <Form.Group className="mb-2">
+                                 <Form.Label>Day of Month (1-31)</Form.Label>
+                                 <Form.Control name="recurrence_day" type="number" min="1" max="31" value={currentItem?.recurrence_day || ''} onChange={handleFormChange} required />
+                                 <Form.Text muted>{currentItem?.frequency === 'monthly' ? 'Months with fewer days use their last day.' : 'Counted from the month of the start date; months with fewer days use their last day.'}</Form.Text>
+                             </Form.Group>
+                         )}
+                         {usesWeekday(currentItem?.frequency) && (
+                             <Form.Group className="mb-2">
+                                 <Form.Label>Day of Week</Form.Label>
+                                 <Form.Select name="weekday" value={currentItem?.weekday || ''} onChange={handleFormChange}>
+                                     <option value="">Same as the start date</option>
+                                     {WEEKDAYS.map((day, index) => <option key={day} value={index + 1}>{day}</option>)}
+                                 </Form.Select>
+                             </Form.Group>
+                         )}
                          <Row>
                             <Col><Form.Group className="mb-2"><Form.Label>Active From</Form.Label><Form.Control name="start_date" type="date" value={currentItem?.start_date || ''} onChange={handleFormChange} required /></Form.Group></Col>
                             <Col><Form.Group className="mb-2"><Form.Label>Active To</Form.Label><Form.Control name="end_date" type="date" value={currentItem?.end_date || ''} onChange={handleFormChange} required /></Form.Group></Col>
                          </Row>
                         {itemType === 'expense' && (
                              <Form.Group className="mt-2"><Form.Label>Contractual End Date (Optional)</Form.Label><Form.Control name="contract_end_date" type="date" value={currentItem?.contract_end_date || ''} onChange={handleFormChange} /></Form.Group>
+                        )}
+                        {itemType === 'expense' && currentItem?.contract_end_date && (
+                             <><Row className="mt-2">
+                                <Col><Form.Group><Form.Label>Notice (days)</Form.Label><Form.Control name="notice_days" type="number" min="0" max="365" value={currentItem?.notice_days ?? ''} onChange={handleFormChange} /></Form.Group></Col>
+                                <Col><Form.Group><Form.Label>Renews for (months)</Form.Label><Form.Control name="renewal_months" type="number" min="1" max="120" placeholder="Doesn't renew" value={currentItem?.renewal_months || ''} onChange={handleFormChange} /></Form.Group></Col>
+                                <Col><Form.Group><Form.Label>Remind (days ahead)</Form.Label><Form.Control name="reminder_days" type="number" min="0" max="365" value={currentItem?.reminder_days ?? ''} onChange={handleFormChange} /></Form.Group></Col>
+                             </Row>
+                             <Form.Text muted>Reminders of the last day to cancel and of the renewal show on the Subscriptions page.</Form.Text></>
                         )}
                          <div className="text-end mt-3"><Button variant="primary" type="submit">{isEditing ? 'Save Changes' : 'Add Schedule'}</Button></div>
                     </Form>
                 </Modal.Body>
             </Modal>
+
+            {/* Dialog for recording a change of a schedule's amount */}
+            <ScheduleAmountModal
+                schedule={(items || []).find(item => item.id === amountScheduleId) || null}
+                itemType={itemType}
+                onClose={() => setAmountScheduleId(null)}
+                onDataChanged={onDataChanged}
+            />
         </Card>
     );
 };
@@ -429,11 +518,139 @@ const BudgetRuleManager = ({ budgetRules, onDataChanged }) => {
     );
 }
 
+/**
+ * CategoryBudgetManager manages the per-category budget envelopes: a fixed monthly limit for one category
+ * (e.g., Groceries 400 a month), shown next to the budgeting rule on the Dashboard.
+ * With rollover enabled, the unspent part of each month is added to the next month's limit.
+ */
+const CategoryBudgetManager = ({ categoryBudgets, categories, onDataChanged, baseCurrency = DEFAULT_CURRENCY }) => {
+    // Standard state for modal CRUD operations.
+    const [showModal, setShowModal] = useState(false);
+    const [currentItem, setCurrentItem] = useState(null);
+    const [notification, setNotification] = useState({ show: false, message: '', variant: 'danger' });
+    const [currentPage, setCurrentPage] = useState(1);
+    const itemsPerPage = 8;
+
+    const { currentBudgets, totalPages } = useMemo(() => {
+        const indexOfLastItem = currentPage * itemsPerPage;
+        return {
+            currentBudgets: categoryBudgets.slice(indexOfLastItem - itemsPerPage, indexOfLastItem),
+            totalPages: Math.ceil(categoryBudgets.length / itemsPerPage)
+        };
+    }, [categoryBudgets, currentPage]);
+
+    // Only spending categories can have an envelope, and only one each.
+    const spendingCategories = (categories || []).filter(c => ['Needs', 'Wants', 'Savings'].includes(c.type));
+    const availableCategories = spendingCategories.filter(c =>
+        String(c.id) === String(currentItem?.category_id) || !categoryBudgets.some(b => String(b.category_id) === String(c.id))
+    );
+
+    const handleOpenModal = (item = null) => {
+        // The form works with a "YYYY-MM" month; the database stores the first day of that month.
+        setCurrentItem(item
+            ? { ...item, start_month: item.start_date.slice(0, 7), rollover: Boolean(Number(item.rollover)) }
+            : { id: null, category_id: '', monthly_limit: '', start_month: new Date().toISOString().slice(0, 7), rollover: false });
+        setNotification({ show: false });
+        setShowModal(true);
+    };
+    const handleCloseModal = () => { setShowModal(false); setCurrentItem(null); };
+    const handleFormChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setCurrentItem({ ...currentItem, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!(parseFloat(currentItem.monthly_limit) > 0)) {
+            setNotification({ show: true, message: 'The monthly limit must be greater than zero.', variant: 'danger' });
+            return;
+        }
+        const budgetData = {
+            id: currentItem.id,
+            category_id: parseInt(currentItem.category_id),
+            monthly_limit: parseFloat(currentItem.monthly_limit),
+            start_date: `${currentItem.start_month}-01`,
+            rollover: currentItem.rollover ? 1 : 0,
+        };
+        try {
+            const data = currentItem.id ? await updateCategoryBudget(budgetData) : await addCategoryBudget(budgetData);
+            if (data.rezultat !== "OK") {
+                setNotification({ show: true, message: data.rezultat, variant: 'danger' });
+                return;
+            }
+            onDataChanged();
+            handleCloseModal();
+        } catch (error) {
+            console.error("Failed to save category budget:", error);
+            setNotification({ show: true, message: error.message || 'An error occurred.', variant: 'danger' });
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm(`Are you sure you want to delete this category budget?`)) return;
+        try {
+            await deleteCategoryBudget(id);
+            onDataChanged();
+        } catch (error) {
+            console.error("Failed to delete category budget:", error);
+            alert("Failed to delete category budget.");
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <Card>
+            <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+                Category Budgets
+                <Button variant="primary" size="sm" onClick={() => handleOpenModal()} disabled={categoryBudgets.length >= spendingCategories.length}><BsPlus /> Add Category Budget</Button>
+            </Card.Header>
+            <Card.Body className="d-flex flex-column">
+                <p className="text-muted">Set a fixed monthly limit for individual categories. The Dashboard shows how much of each limit is used in the selected period.</p>
+                <ListGroup variant="flush" className="flex-grow-1">
+                    {currentBudgets.length > 0 ? currentBudgets.map(budget => (
+                        <ListGroup.Item key={budget.id}>
+                            <div className="d-flex justify-content-between">
+                                <div>
+                                    <span className="d-inline-block rounded-circle me-2" style={{ width: '10px', height: '10px', backgroundColor: budget.category_color || '#CCCCCC' }}></span>
+                                    <strong>{budget.category_name}</strong>: {formatMoney(budget.monthly_limit, baseCurrency)} / month
+                                    {Number(budget.rollover) === 1 && <Badge bg="info" className="ms-2">Rollover</Badge>}
+                                </div>
+                                <div className="text-nowrap">
+                                    <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleOpenModal(budget)} title="Edit"><BsPencil /></Button>
+                                    <Button variant="outline-danger" size="sm" onClick={() => handleDelete(budget.id)} title="Delete"><BsTrash /></Button>
+                                </div>
+                            </div>
+                            <small className="text-muted">Since {new Intl.DateTimeFormat('en-GB', { month: 'long', year: 'numeric' }).format(new Date(budget.start_date + 'T00:00:00'))}</small>
+                        </ListGroup.Item>
+                    )) : <p className="text-muted text-center p-3">No category budgets defined.</p>}
+                </ListGroup>
+                <ModernPagination totalPages={totalPages} currentPage={currentPage} onPageChange={setCurrentPage} />
+            </Card.Body>
+
+            <Modal show={showModal} onHide={handleCloseModal} centered>
+                <Modal.Header closeButton><Modal.Title>{currentItem?.id ? 'Edit' : 'Add'} Category Budget</Modal.Title></Modal.Header>
+                <Modal.Body>
+                    {notification.show && <Alert variant={notification.variant} onClose={() => setNotification({ show: false })} dismissible>{notification.message}</Alert>}
+                    <Form onSubmit={handleSubmit}>
+                        <Form.Group className="mb-3"><Form.Label>Category</Form.Label><Form.Select name="category_id" value={currentItem?.category_id || ''} onChange={handleFormChange} required><option value="">Select...</option>{availableCategories.map(c => <option key={c.id} value={c.id}>{c.name} ({c.type})</option>)}</Form.Select></Form.Group>
+                        <Row>
+                            <Col><Form.Group className="mb-3"><Form.Label>Monthly Limit ({baseCurrency})</Form.Label><Form.Control name="monthly_limit" type="number" step="0.01" min="0" placeholder="400.00" value={currentItem?.monthly_limit || ''} onChange={handleFormChange} required /></Form.Group></Col>
+                            <Col><Form.Group className="mb-3"><Form.Label>Starting Month</Form.Label><Form.Control name="start_month" type="month" value={currentItem?.start_month || ''} onChange={handleFormChange} required /></Form.Group></Col>
+                        </Row>
+                        <Form.Check type="switch" id="category-budget-rollover" name="rollover" label="Roll unspent amounts over to the next month" checked={Boolean(currentItem?.rollover)} onChange={handleFormChange} />
+                        <div className="text-end mt-3"><Button variant="primary" type="submit">{currentItem?.id ? 'Save Changes' : 'Add Budget'}</Button></div>
+                    </Form>
+                </Modal.Body>
+            </Modal>
+        </Card>
+    );
+};
+
 /**
  * BudgetSetup is the main page component that acts as a container or layout component.
  * Its primary job is to compose the other manager components into a single page.
  */
-const BudgetSetup = ({ settings, onSettingsSaved, categories, recurringIncomes, recurringExpenses }) => {
+const BudgetSetup = ({ settings, onSettingsSaved, categories, recurringIncomes, recurringExpenses, categoryBudgets = [], baseCurrency }) => {
     // It receives all necessary data from the main App component via props.
     const budgetRules = settings;
 
@@ -445,14 +662,20 @@ const BudgetSetup = ({ settings, onSettingsSaved, categories, recurringIncomes,
                     <BudgetRuleManager budgetRules={budgetRules} onDataChanged={onSettingsSaved} />
                 </Col>
             </Row>
+            <Row className="mb-4">
+                <Col>
+                    {/* It renders the CategoryBudgetManager for the per-category monthly limits. */}
+                    <CategoryBudgetManager categoryBudgets={categoryBudgets} categories={categories} onDataChanged={onSettingsSaved} baseCurrency={baseCurrency} />
+                </Col>
+            </Row>
             <Row>
                 <Col lg={6} className="mb-4 mb-lg-0">
                     {/* It renders an instance of ScheduleManager for Incomes. */}
-                    <ScheduleManager title="Scheduled Incomes" itemType="income" categories={categories} onDataChanged={onSettingsSaved} items={recurringIncomes} />
+                    <ScheduleManager title="Scheduled Incomes" itemType="income" categories={categories} onDataChanged={onSettingsSaved} items={recurringIncomes} baseCurrency={baseCurrency} />
                 </Col>
                 <Col lg={6}>
                     {/* It renders another instance of ScheduleManager for Expenses, demonstrating reusability. */}
-                    <ScheduleManager title="Scheduled Payments" itemType="expense" categories={categories} onDataChanged={onSettingsSaved} items={recurringExpenses} />
+                    <ScheduleManager title="Scheduled Payments" itemType="expense" categories={categories} onDataChanged={onSettingsSaved} items={recurringExpenses} baseCurrency={baseCurrency} />
                 </Col>
             </Row>
         </>
@@ -0,0 +1,61 @@
+// Import core React hooks and the Bootstrap components used by the toolbar.
+import React, { useState } from 'react';
+import { Form, Button, Dropdown, InputGroup } from 'react-bootstrap';
+// Import icons for the actions.
+import { BsTrash, BsDownload, BsX } from 'react-icons/bs';
+
+/**
+ * BulkActionsBar is the toolbar shown above the Dashboard's transactions table while rows are selected.
+ * It only collects the action's input (a category, a date); the Dashboard asks for confirmation and sends
+ * the whole selection to the server as one batched request.
+ * @param {object} props - Component props.
+ * @param {number} props.selectedCount - How many transactions are selected.
+ * @param {Array} props.categories - The categories offered by "Recategorize".
+ * @param {boolean} props.isWorking - True while a bulk action is running; the buttons are disabled meanwhile.
+ * @param {Function} props.onRecategorize - Called with the chosen category ID.
+ * @param {Function} props.onChangeDate - Called with the chosen date ("YYYY-MM-DD").
+ * @param {Function} props.onDelete - Called when "Delete" is clicked.
+ * @param {Function} props.onExport - Called with 'csv' or 'json'.
+ * @param {Function} props.onClear - Called when the selection is cleared.
+ */
+const BulkActionsBar = ({ selectedCount, categories, isWorking, onRecategorize, onChangeDate, onDelete, onExport, onClear }) => {
+    // --- STATE MANAGEMENT ---
+    const [categoryId, setCategoryId] = useState('');
+    const [date, setDate] = useState('');
+
+    // --- JSX RENDERING ---
+    return (
+        <div className="d-flex flex-wrap align-items-center gap-2 border rounded bg-light p-2 mb-2">
+            <strong className="me-2">{selectedCount} selected</strong>
+
+            {/* Recategorize */}
+            <InputGroup size="sm" style={{ width: 'auto' }}>
+                <Form.Select id="bulkCategorySelect" value={categoryId} onChange={e => setCategoryId(e.target.value)} disabled={isWorking}>
+                    <option value="">Move to category...</option>
+                    {categories.map(c => <option key={c.id} value={c.id}>{c.name} ({c.type})</option>)}
+                </Form.Select>
+                <Button variant="outline-primary" onClick={() => onRecategorize(categoryId)} disabled={!categoryId || isWorking}>Recategorize</Button>
+            </InputGroup>
+
+            {/* Change date */}
+            <InputGroup size="sm" style={{ width: 'auto' }}>
+                <Form.Control id="bulkDateInput" type="date" value={date} onChange={e => setDate(e.target.value)} disabled={isWorking} />
+                <Button variant="outline-primary" onClick={() => onChangeDate(date)} disabled={!date || isWorking}>Change Date</Button>
+            </InputGroup>
+
+            {/* Export */}
+            <Dropdown>
+                <Dropdown.Toggle variant="outline-secondary" size="sm" id="bulkExportMenu" disabled={isWorking}><BsDownload className="me-1" /> Export</Dropdown.Toggle>
+                <Dropdown.Menu>
+                    <Dropdown.Item onClick={() => onExport('csv')}>Selection as CSV</Dropdown.Item>
+                    <Dropdown.Item onClick={() => onExport('json')}>Selection as JSON</Dropdown.Item>
+                </Dropdown.Menu>
+            </Dropdown>
+
+            <Button variant="outline-danger" size="sm" onClick={onDelete} disabled={isWorking}><BsTrash className="me-1" /> Delete</Button>
+            <Button variant="link" size="sm" className="ms-auto text-decoration-none" onClick={onClear} disabled={isWorking}><BsX /> Clear selection</Button>
+        </div>
+    );
+};
+
+export default BulkActionsBar;
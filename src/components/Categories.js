@@ -6,6 +6,8 @@ import { BsPencil, BsTrash } from 'react-icons/bs';
 
 // Import the specific functions we need from the apiService
 import { addCategory, deleteCategory, updateCategory } from '../services/apiService';
+// Import the descriptions of each change, which let App.js offer to undo it.
+import { categoryCreated, categoryUpdated, categoryDeleted } from '../services/undoService';
 
 /**
  * A reusable pagination component. It's kept separate for clarity and reusability.
@@ -40,6 +42,7 @@ const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
  * @param {object} props - Component props.
  * @param {Array} props.categories - The full list of categories passed down from App.js.
  * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ * It is given the change that was made (see undoService.js), so App.js can offer to undo it.
  */
 const Categories = ({ categories, onDataChanged }) => {
     // --- STATE MANAGEMENT (useState) ---
@@ -76,7 +79,7 @@ const Categories = ({ categories, onDataChanged }) => {
             if (data.rezultat === "OK") {
                 // On success, reset the form fields and trigger a global data refresh.
                 setNewCategory({ name: '', description: '', color: '#CCCCCC', type: 'Wants' });
-                onDataChanged();
+                onDataChanged(categoryCreated(data.id, newCategory.name));
             } else {
                 alert("Error: " + data.rezultat); // Handle backend-specific error
             }
@@ -87,14 +90,12 @@ const Categories = ({ categories, onDataChanged }) => {
     };
 
     // Handles the click of a "Delete" button for a category.
-    const handleDeleteCategory = async (id) => {
-        // Use window.confirm as a simple way to get user confirmation before a destructive action.
-        if (!window.confirm("Are you sure you want to delete this category? This cannot be undone.")) return;
-        
+    // There is no confirmation: the category goes to the Trash, and the toast that follows can undo it.
+    const handleDeleteCategory = async (category) => {
         try {
-            const data = await deleteCategory(id); // Call the service
+            const data = await deleteCategory(category.id); // Call the service
             if (data.rezultat === "OK") {
-                onDataChanged(); // On success, just trigger a global data refresh.
+                onDataChanged(categoryDeleted(category)); // On success, trigger a global data refresh.
             } else {
                 alert("Error: " + data.rezultat);
             }
@@ -125,8 +126,9 @@ const Categories = ({ categories, onDataChanged }) => {
             const data = await updateCategory(editingCategory); // Call the service
             if (data.rezultat === "OK") {
                 // On success, close the modal and trigger a global data refresh.
+                const before = categories.find(c => c.id === editingCategory.id);
                 handleCloseEditModal();
-                onDataChanged();
+                onDataChanged(categoryUpdated(before, editingCategory));
             } else {
                 alert("Error: " + data.rezultat);
             }
@@ -196,7 +198,7 @@ const Categories = ({ categories, onDataChanged }) => {
                                             <td>
                                                 {/* The onClick handlers call the appropriate function with the current category's data. */}
                                                 <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleShowEditModal(cat)} title="Edit"><BsPencil /></Button>
-                                                <Button variant="outline-danger" size="sm" onClick={() => handleDeleteCategory(cat.id)} title="Delete"><BsTrash /></Button>
+                                                <Button variant="outline-danger" size="sm" onClick={() => handleDeleteCategory(cat)} title="Delete"><BsTrash /></Button>
                                             </td>
                                         </tr>
                                     ))}
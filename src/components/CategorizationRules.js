@@ -0,0 +1,281 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, Form, Button, Row, Col, Badge, Table, Modal, Alert, ListGroup } from 'react-bootstrap';
+// Import icons for the add, edit, delete and suggestion actions.
+import { BsPlus, BsPencil, BsTrash, BsLightbulb } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import { addCategorizationRule, updateCategorizationRule, deleteCategorizationRule, getAllTransactions } from '../services/apiService';
+// Import the rule engine, shared with TransactionForm and the CSV import.
+import { MATCH_TYPES, SUGGESTION_MONTHS, suggestCategory, learnRuleSuggestions, suggestionQuery } from '../utils/categorization';
+
+// The values of a new, empty rule.
+const EMPTY_RULE = {
+    id: null, name: '', pattern: '', match_type: 'contains', amount_min: '', amount_max: '',
+    transaction_type: 'Any', category_id: '', priority: '100', is_active: true
+};
+
+/**
+ * @function describeConditions
+ * @description Builds a short, readable summary of a rule's conditions, e.g. 'Expense, description contains "lidl", 10.00 – 200.00'.
+ * Amounts have no currency symbol because rules match the amount in the transaction's own currency.
+ * @param {Object} rule - The rule to describe.
+ * @returns {string} The summary.
+ */
+const describeConditions = (rule) => {
+    const parts = [];
+    if (rule.transaction_type && rule.transaction_type !== 'Any') parts.push(rule.transaction_type);
+    if (rule.pattern) parts.push(`description ${MATCH_TYPES[rule.match_type] || MATCH_TYPES.contains} "${rule.pattern}"`);
+    const hasMin = rule.amount_min !== null && rule.amount_min !== '';
+    const hasMax = rule.amount_max !== null && rule.amount_max !== '';
+    if (hasMin && hasMax) parts.push(`${parseFloat(rule.amount_min).toFixed(2)} – ${parseFloat(rule.amount_max).toFixed(2)}`);
+    else if (hasMin) parts.push(`at least ${parseFloat(rule.amount_min).toFixed(2)}`);
+    else if (hasMax) parts.push(`at most ${parseFloat(rule.amount_max).toFixed(2)}`);
+    return parts.length > 0 ? parts.join(', ') : 'Any transaction';
+};
+
+/**
+ * The CategorizationRules page manages the rules that pick a category automatically.
+ * A rule maps a description pattern, an amount range and/or Income/Expense to a category.
+ * The rules pre-select the category in TransactionForm and are applied to imported CSV rows.
+ * The page also learns rule suggestions from the transactions categorized by hand in the last SUGGESTION_MONTHS months.
+ * @param {object} props - Component props.
+ * @param {Array} props.rules - The categorization rules loaded by App.js.
+ * @param {Array} props.categories - The list of all categories.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const CategorizationRules = ({ rules, categories, onDataChanged }) => {
+    // --- STATE MANAGEMENT ---
+    const [showModal, setShowModal] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [currentItem, setCurrentItem] = useState(EMPTY_RULE);
+    const [notification, setNotification] = useState({ show: false, message: '', variant: 'danger' });
+    // State for the "Test Rules" box.
+    const [testInput, setTestInput] = useState({ description: '', amount: '', type: 'Expense' });
+    // The transactions the suggestions are learned from (see suggestionQuery).
+    const [history, setHistory] = useState([]);
+
+    // --- SERVER QUERIES ---
+    useEffect(() => {
+        let ignore = false;
+        getAllTransactions(suggestionQuery())
+            .then(rows => { if (!ignore) setHistory(rows); })
+            .catch(error => console.error("Failed to load the transactions to learn from:", error));
+        return () => { ignore = true; };
+    }, []);
+
+    // --- DERIVED STATE (useMemo) ---
+    // Learning walks every transaction loaded, so it only re-runs when the data changes.
+    const suggestions = useMemo(() => learnRuleSuggestions(history, rules), [history, rules]);
+
+    // The rule that would apply to the values typed in the test box.
+    const testResult = useMemo(() => {
+        if (!testInput.description && !testInput.amount) return null;
+        return suggestCategory(rules, testInput);
+    }, [rules, testInput]);
+
+    // Categories that fit the rule's transaction type, mirroring the choices TransactionForm offers.
+    const relevantCategories = categories.filter(c => {
+        if (currentItem.transaction_type === 'Expense') return ['Needs', 'Wants', 'Savings'].includes(c.type);
+        if (currentItem.transaction_type === 'Income') return ['Income', 'Savings'].includes(c.type);
+        return true;
+    });
+
+    // --- MODAL HANDLING LOGIC ---
+    const handleOpenModal = (item = null) => {
+        setNotification({ show: false });
+        if (item) {
+            setIsEditing(Boolean(item.id));
+            setCurrentItem({
+                ...EMPTY_RULE,
+                ...item,
+                pattern: item.pattern || '',
+                amount_min: item.amount_min ?? '',
+                amount_max: item.amount_max ?? '',
+                is_active: String(item.is_active) !== '0',
+            });
+        } else {
+            setIsEditing(false);
+            setCurrentItem(EMPTY_RULE);
+        }
+        setShowModal(true);
+    };
+
+    const handleCloseModal = () => setShowModal(false);
+    const handleFormChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setCurrentItem({ ...currentItem, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    // Turns a learned suggestion into a pre-filled "Add Rule" form.
+    const handleUseSuggestion = (suggestion) => handleOpenModal({
+        ...EMPTY_RULE,
+        name: `Auto: ${suggestion.pattern}`,
+        pattern: suggestion.pattern,
+        transaction_type: suggestion.transaction_type,
+        category_id: suggestion.category_id,
+    });
+
+    // --- EVENT HANDLERS (CRUD Operations) ---
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const hasCondition = currentItem.pattern.trim() || currentItem.amount_min !== '' || currentItem.amount_max !== '' || currentItem.transaction_type !== 'Any';
+        // Business Rule: a rule without conditions would categorize every transaction.
+        if (!hasCondition) {
+            setNotification({ show: true, message: 'Please set at least one condition (pattern, amount range or type).', variant: 'danger' });
+            return;
+        }
+        if (currentItem.match_type === 'regex') {
+            try { new RegExp(currentItem.pattern); } catch (error) {
+                setNotification({ show: true, message: `Invalid regular expression: ${error.message}`, variant: 'danger' });
+                return;
+            }
+        }
+        if (currentItem.amount_min !== '' && currentItem.amount_max !== '' && parseFloat(currentItem.amount_min) > parseFloat(currentItem.amount_max)) {
+            setNotification({ show: true, message: 'The minimum amount cannot be greater than the maximum.', variant: 'danger' });
+            return;
+        }
+
+        const ruleData = { ...currentItem, pattern: currentItem.pattern.trim(), is_active: currentItem.is_active ? 1 : 0 };
+        try {
+            const data = isEditing ? await updateCategorizationRule(ruleData) : await addCategorizationRule(ruleData);
+            if (data.rezultat === "OK") {
+                handleCloseModal();
+                onDataChanged();
+            } else {
+                setNotification({ show: true, message: "Error: " + data.rezultat, variant: 'danger' });
+            }
+        } catch (error) {
+            console.error("Failed to save categorization rule:", error);
+            setNotification({ show: true, message: 'An error occurred while saving the rule.', variant: 'danger' });
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm("Are you sure you want to delete this rule?")) return;
+        try {
+            const data = await deleteCategorizationRule(id);
+            if (data.rezultat === "OK") {
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to delete categorization rule:", error);
+            alert("An error occurred while deleting the rule.");
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Row>
+                {/* Section for managing the rules */}
+                <Col md={12} className="mb-4">
+                    <Card>
+                        <Card.Header as="h4" className="d-flex justify-content-between align-items-center">
+                            Auto-Categorization Rules
+                            <Button variant="success" size="sm" onClick={() => handleOpenModal()}><BsPlus /> Add Rule</Button>
+                        </Card.Header>
+                        <Card.Body>
+                            <p className="text-muted">Rules are checked in order of priority (lowest number first). The first matching rule picks the category when adding a transaction or importing a CSV file.</p>
+                            <Table striped bordered hover responsive size="sm">
+                                <thead>
+                                    <tr><th>Priority</th><th>Name</th><th>Conditions</th><th>Category</th><th>Status</th><th>Actions</th></tr>
+                                </thead>
+                                <tbody>
+                                    {rules.length > 0 ? rules.map(rule => (
+                                        <tr key={rule.id}>
+                                            <td>{rule.priority}</td>
+                                            <td>{rule.name}</td>
+                                            <td className="text-muted">{describeConditions(rule)}</td>
+                                            <td><Badge bg="secondary" pill>{rule.category_name}</Badge></td>
+                                            <td><Badge bg={String(rule.is_active) !== '0' ? 'success' : 'secondary'}>{String(rule.is_active) !== '0' ? 'Active' : 'Disabled'}</Badge></td>
+                                            <td className="text-nowrap">
+                                                <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleOpenModal(rule)} title="Edit"><BsPencil /></Button>
+                                                <Button variant="outline-danger" size="sm" onClick={() => handleDelete(rule.id)} title="Delete"><BsTrash /></Button>
+                                            </td>
+                                        </tr>
+                                    )) : (
+                                        <tr><td colSpan={6} className="text-center text-muted">No rules defined yet.</td></tr>
+                                    )}
+                                </tbody>
+                            </Table>
+                        </Card.Body>
+                    </Card>
+                </Col>
+
+                {/* Suggestions learned from history */}
+                <Col lg={7} className="mb-4">
+                    <Card className="h-100">
+                        <Card.Header as="h5"><BsLightbulb className="me-1" /> Suggested from Your History</Card.Header>
+                        <Card.Body>
+                            {suggestions.length > 0 ? (
+                                <ListGroup variant="flush">
+                                    {suggestions.slice(0, 10).map(s => (
+                                        <ListGroup.Item key={s.pattern} className="d-flex justify-content-between align-items-center">
+                                            <div>
+                                                Description contains <strong>"{s.pattern}"</strong> &rarr; <Badge bg="secondary" pill>{s.category_name}</Badge>
+                                                <div className="text-muted small">Seen {s.occurrences} times in the last {SUGGESTION_MONTHS} months, always (or almost always) in this category.</div>
+                                            </div>
+                                            <Button variant="outline-success" size="sm" onClick={() => handleUseSuggestion(s)}>Create Rule</Button>
+                                        </ListGroup.Item>
+                                    ))}
+                                </ListGroup>
+                            ) : <p className="text-muted mb-0">No new suggestions. Suggestions appear once a description has been categorized the same way at least 3 times in the last {SUGGESTION_MONTHS} months.</p>}
+                        </Card.Body>
+                    </Card>
+                </Col>
+
+                {/* A small sandbox for checking which rule applies */}
+                <Col lg={5} className="mb-4">
+                    <Card className="h-100">
+                        <Card.Header as="h5">Test Rules</Card.Header>
+                        <Card.Body>
+                            <Form.Group className="mb-2" controlId="ruleTestDescription"><Form.Label>Description</Form.Label><Form.Control type="text" placeholder="e.g., LIDL 1234" value={testInput.description} onChange={e => setTestInput({ ...testInput, description: e.target.value })} /></Form.Group>
+                            <Row>
+                                <Col><Form.Group className="mb-2" controlId="ruleTestAmount"><Form.Label>Amount</Form.Label><Form.Control type="number" step="0.01" value={testInput.amount} onChange={e => setTestInput({ ...testInput, amount: e.target.value })} /></Form.Group></Col>
+                                <Col><Form.Group className="mb-2" controlId="ruleTestType"><Form.Label>Type</Form.Label><Form.Select value={testInput.type} onChange={e => setTestInput({ ...testInput, type: e.target.value })}><option value="Expense">Expense</option><option value="Income">Income</option></Form.Select></Form.Group></Col>
+                            </Row>
+                            {(testInput.description || testInput.amount) && (
+                                testResult
+                                    ? <Alert variant="success" className="py-2 mb-0 small">Matched <strong>{testResult.name}</strong> &rarr; {testResult.category_name}</Alert>
+                                    : <Alert variant="secondary" className="py-2 mb-0 small">No rule matches.</Alert>
+                            )}
+                        </Card.Body>
+                    </Card>
+                </Col>
+            </Row>
+
+            {/* Modal for Adding/Editing a Rule */}
+            <Modal show={showModal} onHide={handleCloseModal} centered>
+                <Modal.Header closeButton><Modal.Title>{isEditing ? 'Edit' : 'Add'} Rule</Modal.Title></Modal.Header>
+                <Modal.Body>
+                    {notification.show && <Alert variant={notification.variant} onClose={() => setNotification({ show: false })} dismissible>{notification.message}</Alert>}
+                    <Form onSubmit={handleSubmit}>
+                        <Form.Group className="mb-2" controlId="ruleName"><Form.Label>Rule Name</Form.Label><Form.Control name="name" type="text" placeholder="e.g., Supermarkets" value={currentItem.name} onChange={handleFormChange} required /></Form.Group>
+                        <Row>
+                            <Col xs={5}><Form.Group className="mb-2" controlId="ruleMatchType"><Form.Label>Description</Form.Label><Form.Select name="match_type" value={currentItem.match_type} onChange={handleFormChange}>{Object.entries(MATCH_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}</Form.Select></Form.Group></Col>
+                            <Col><Form.Group className="mb-2" controlId="rulePattern"><Form.Label>Pattern (Optional)</Form.Label><Form.Control name="pattern" type="text" placeholder="e.g., lidl" value={currentItem.pattern} onChange={handleFormChange} /></Form.Group></Col>
+                        </Row>
+                        <Row>
+                            <Col><Form.Group className="mb-2" controlId="ruleAmountMin"><Form.Label>Min Amount</Form.Label><Form.Control name="amount_min" type="number" step="0.01" min="0" value={currentItem.amount_min} onChange={handleFormChange} /></Form.Group></Col>
+                            <Col><Form.Group className="mb-2" controlId="ruleAmountMax"><Form.Label>Max Amount</Form.Label><Form.Control name="amount_max" type="number" step="0.01" min="0" value={currentItem.amount_max} onChange={handleFormChange} /></Form.Group></Col>
+                        </Row>
+                        <Row>
+                            <Col><Form.Group className="mb-2" controlId="ruleType"><Form.Label>Applies To</Form.Label><Form.Select name="transaction_type" value={currentItem.transaction_type} onChange={handleFormChange}><option value="Any">Income & Expense</option><option value="Expense">Expense only</option><option value="Income">Income only</option></Form.Select></Form.Group></Col>
+                            <Col><Form.Group className="mb-2" controlId="ruleCategory"><Form.Label>Category</Form.Label><Form.Select name="category_id" value={currentItem.category_id} onChange={handleFormChange} required><option value="">Select...</option>{relevantCategories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}</Form.Select></Form.Group></Col>
+                        </Row>
+                        <Row className="align-items-end">
+                            <Col><Form.Group className="mb-2" controlId="rulePriority"><Form.Label>Priority</Form.Label><Form.Control name="priority" type="number" min="0" value={currentItem.priority} onChange={handleFormChange} required /></Form.Group></Col>
+                            <Col><Form.Check className="mb-3" type="switch" id="ruleActive" name="is_active" label="Active" checked={currentItem.is_active} onChange={handleFormChange} /></Col>
+                        </Row>
+                        <div className="text-end mt-3"><Button variant="primary" type="submit">{isEditing ? 'Save Changes' : 'Add Rule'}</Button></div>
+                    </Form>
+                </Modal.Body>
+            </Modal>
+        </>
+    );
+};
+
+export default CategorizationRules;
@@ -0,0 +1,69 @@
+// Import core React and the Bootstrap components used by the line editor.
+import React from 'react';
+import { Form, Row, Col, Button, InputGroup } from 'react-bootstrap';
+// Import the icon for the remove button.
+import { BsTrash } from 'react-icons/bs';
+
+// Import the money formatter.
+import { formatMoney } from '../utils/currency';
+
+/**
+ * CategoryLines is the part of TransactionForm that splits one transaction across several categories,
+ * e.g. a supermarket receipt that is part Groceries (Needs) and part Household (Wants).
+ * Each line has a category and an amount; the lines must add up to the transaction's amount.
+ * @param {object} props - Component props.
+ * @param {Array} props.lines - The lines being edited: [{ category_id, amount }], as strings.
+ * @param {Function} props.onChange - Called with the new lines.
+ * @param {Function} props.onCancel - Called to go back to a single category.
+ * @param {Array} props.categories - The categories the transaction's type can use.
+ * @param {string} props.amount - The amount entered in the form.
+ * @param {string} props.currency - The currency of the amount.
+ */
+const CategoryLines = ({ lines, onChange, onCancel, categories, amount, currency }) => {
+    const total = Math.abs(parseFloat(amount)) || 0;
+    const allocated = lines.reduce((sum, l) => sum + (parseFloat(l.amount) || 0), 0);
+    const remaining = Math.round((total - allocated) * 100) / 100;
+
+    // --- EVENT HANDLERS ---
+    const changeLine = (index, field, value) => onChange(lines.map((l, i) => (i === index ? { ...l, [field]: value } : l)));
+    const removeLine = (index) => onChange(lines.filter((l, i) => i !== index));
+    // A new line starts with whatever is left to allocate.
+    const addLine = () => onChange([...lines, { category_id: '', amount: remaining > 0 ? String(remaining) : '' }]);
+
+    // --- JSX RENDERING ---
+    return (
+        <div className="border rounded p-3 mb-3">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+                <strong>Category lines</strong>
+                <Button variant="link" size="sm" className="px-0" onClick={onCancel}>Use a single category</Button>
+            </div>
+            {lines.map((line, index) => (
+                <Row key={index} className="g-2 mb-2 align-items-center">
+                    <Col xs={6}>
+                        <Form.Select size="sm" value={line.category_id} onChange={(e) => changeLine(index, 'category_id', e.target.value)} aria-label={`Category of line ${index + 1}`}>
+                            <option value="">Select a category...</option>
+                            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </Form.Select>
+                    </Col>
+                    <Col xs={4}>
+                        <InputGroup size="sm">
+                            <Form.Control type="number" step="0.01" min="0" value={line.amount} onChange={(e) => changeLine(index, 'amount', e.target.value)} aria-label={`Amount of line ${index + 1}`} />
+                            <InputGroup.Text>{currency}</InputGroup.Text>
+                        </InputGroup>
+                    </Col>
+                    <Col xs={2} className="text-end">
+                        <Button variant="outline-danger" size="sm" onClick={() => removeLine(index)} disabled={lines.length <= 2} title="Remove line"><BsTrash /></Button>
+                    </Col>
+                </Row>
+            ))}
+            <div className="d-flex justify-content-between align-items-center">
+                <Button variant="outline-secondary" size="sm" onClick={addLine}>Add Line</Button>
+                {remaining === 0
+                    ? <Form.Text muted>The lines add up to the amount.</Form.Text>
+                    : <Form.Text className="text-danger">{remaining > 0 ? `${formatMoney(remaining, currency)} left to allocate.` : `${formatMoney(-remaining, currency)} over the amount.`}</Form.Text>}
+            </div>
+        </div>
+    );
+};
+
+export default CategoryLines;
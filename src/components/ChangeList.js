@@ -0,0 +1,38 @@
+// Import React and the history helpers.
+import React from 'react';
+
+import { listChanges, formatFieldValue } from '../utils/audit';
+
+/**
+ * ChangeList shows the fields one history entry changed, as "Field: before → after".
+ * Added items only show the new values, and items removed for good only the old ones.
+ * It is shared by the Activity page and the transaction history panel.
+ * @param {object} props - Component props.
+ * @param {object} props.entry - A history entry from the API.
+ * @param {object} props.lookups - { categories, accounts, savingsGoals }, for showing names instead of IDs.
+ */
+const ChangeList = ({ entry, lookups }) => {
+    const changes = listChanges(entry);
+    if (changes.length === 0) return null;
+
+    return (
+        <ul className="list-unstyled small mb-0">
+            {changes.map(change => (
+                <li key={change.field}>
+                    <span className="text-muted">{change.label}:</span>{' '}
+                    {entry.before_values && entry.after_values ? (
+                        <>
+                            <del className="text-danger">{formatFieldValue(change.field, change.before, lookups)}</del>
+                            {' → '}
+                            <span className="text-success">{formatFieldValue(change.field, change.after, lookups)}</span>
+                        </>
+                    ) : (
+                        formatFieldValue(change.field, entry.after_values ? change.after : change.before, lookups)
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default ChangeList;
@@ -5,28 +5,56 @@
  * Key Features:
  * - Interactive filtering by month, year, or custom date range.
  * - Dynamic charts to visualize spending habits and budget adherence.
- * - Calculation of financial metrics like cash balance, total spending, and savings.
+ * - Calculation of financial metrics like per-account balances, total spending, and savings.
+ * - Transfers between the user's own accounts move balances but never count as spending or income.
+ * - Every total is shown in the base currency; foreign-currency transactions are converted with the rate of their date.
  * - Application of user-defined budgeting rules (e.g., 50/30/20 rule).
- * - A paginated and filterable table of all transactions with edit/delete functionality.
- * - Optimized performance using React hooks like `useMemo` to prevent unnecessary recalculations.
+ * - Per-category budget envelopes with a warning when a category's limit is exceeded.
+ * - A paginated table of all transactions with edit/delete functionality, a text search, advanced filters and sortable columns.
+ *   The table's filters are kept in the page's query string, so a filtered view can be bookmarked and shared.
+ * - Bulk actions on the selected rows (recategorize, change date, delete, export), sent as one batched request.
+ * - Deleted transactions go to the Trash, and every change can be undone from the toast that follows it.
+ * - Export of the filtered transactions as CSV or JSON, and a printable (PDF) report for the selected period.
+ * - The summary figures come from the server's aggregate endpoint and the table from its paginated query,
+ *   so neither needs the whole transaction history.
  */
 
 // --- 1. IMPORTS ---
 // Import core React hooks for state management and performance optimization.
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 // Import layout components from React Bootstrap for a structured and responsive design.
-import { Row, Col, Card, Form, Button, Table, Badge, ProgressBar } from 'react-bootstrap';
+import { Row, Col, Card, Form, Button, Table, Badge, ProgressBar, Dropdown, Alert, Spinner, Collapse, InputGroup } from 'react-bootstrap';
 // Import specific chart components from 'react-chartjs-2', a React wrapper for the Chart.js library.
 import { Pie, Doughnut } from 'react-chartjs-2';
 // Import necessary modules from Chart.js itself. These are "tree-shakable," meaning only the parts we import will be included in the final application bundle.
 import { Chart as ChartJS, ArcElement, Tooltip, Legend } from 'chart.js';
 // Import the navigation hook from React Router to programmatically navigate to other pages (e.g., the edit transaction page).
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 // Import icons from the 'react-icons' library to add visual cues for actions like edit, delete, and recurring transactions.
-import { BsPencil, BsTrash, BsClockHistory } from 'react-icons/bs';
+import { BsPencil, BsTrash, BsClockHistory, BsDownload, BsPrinter, BsExclamationTriangle, BsCaretUpFill, BsCaretDownFill, BsFunnel } from 'react-icons/bs';
 
-// Import the specific function we need from the apiService
-import { deleteTransaction } from '../services/apiService';
+// Import the specific functions we need from the apiService. The table and the summary figures are queried from the server.
+import { deleteTransaction, getAllTransactions, getTransactionsPage, getTransactionSummary, runTransactionBatch } from '../services/apiService';
+// Import the helpers used by the export menu, and the printable report.
+import { toCsv } from '../utils/csv';
+import { downloadFile, todayStamp } from '../utils/download';
+import PeriodReport from './PeriodReport';
+import BulkActionsBar from './BulkActionsBar';
+// Import the descriptions of each change, which let App.js offer to undo it.
+import { transactionDeleted, transactionsBatchChanged } from '../services/undoService';
+// Import the account helpers shared with the Accounts page.
+import { isAccountTransfer, totalBalance, UNASSIGNED_ACCOUNT_NAME } from '../utils/accounts';
+// Import the helpers that format amounts in a currency and convert table rows into the base currency.
+import { DEFAULT_CURRENCY, formatMoney, convertTransactions } from '../utils/currency';
+import { toDateString } from '../utils/forecast';
+// Import the per-category envelope calculation.
+import { computeEnvelopes, envelopeQuery, toMonth, findActiveBudgetRule } from '../utils/budgets';
+// Import the savings goal progress calculation shared with the Goals page.
+import { computeGoalProgress, GOAL_QUERY } from '../utils/goals';
+import TrendCharts from './TrendCharts';
+import RecurringReview from './RecurringReview';
+// Import the helpers that keep the table's filters in the page's query string.
+import { CATEGORY_TYPES, EMPTY_TABLE_FILTERS, readTableFilters, toTableQuery, countPanelFilters } from '../utils/tableFilters';
 
 
 // --- 2. CHART.JS REGISTRATION ---
@@ -40,42 +68,6 @@ ChartJS.register(ArcElement, Tooltip, Legend);
 // --- 3. HELPER FUNCTIONS ---
 // These are small, reusable utility functions that keep the main component logic clean.
 
-/**
- * @function findActiveBudgetRule
- * @description Finds the correct budget rule to apply based on a given date. It filters rules by their start/end dates
- * and sorts them to find the most recent, applicable one. This allows for historical budget rules.
- * If no rule is found, it returns a default "Fallback Rule" (50/30/20) to prevent errors.
- * @param {Array} rules - An array of budget rule objects from the database.
- * @param {Date} periodDate - The start date of the period being analyzed.
- * @returns {Object} The active budget rule with ratios converted to decimals.
- */
-
-const findActiveBudgetRule = (rules, periodDate) => {
-    // First, convert percentage-based ratios (e.g., 50) to decimals (e.g., 0.5) for calculations.
-    const applicableRules = rules
-        .map(rule => ({
-            ...rule,
-            needs_ratio: rule.needs_ratio / 100,
-            wants_ratio: rule.wants_ratio / 100,
-            savings_ratio: rule.savings_ratio / 100,
-        }))
-        // Filter the rules to find ones that are active for the given periodDate.
-        .filter(rule => {
-            const startDate = new Date(rule.start_date + 'T00:00:00');
-            // Rule hasn't started yet.
-            if (startDate > periodDate) return false;
-            // Rule has a start date but no end date (i.e., it's ongoing), OR the period is before the rule's end date.
-            if (!rule.end_date || periodDate <= new Date(rule.end_date + 'T00:00:00')) {
-                return true;
-            }
-            return false;
-        });
-    // If multiple rules could apply, sort them by start date in descending order to pick the most recent one.
-    applicableRules.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
-    // Return the most recent applicable rule, or a default fallback rule if none were found.
-    return applicableRules[0] || { name: 'Fallback Rule', needs_ratio: 0.5, wants_ratio: 0.3, savings_ratio: 0.2 };
-};
-
 /**
  * @function getMonthName
  * @description Converts a month number (1-12) into its full English name (e.g., 1 -> "January").
@@ -119,18 +111,53 @@ const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
 };
 
 
+/**
+ * @function pluralize
+ * @description Writes a count with its noun, e.g. "1 transaction" or "3 transactions".
+ * @param {number} count - The count.
+ * @param {string} noun - The singular noun.
+ * @returns {string} The count and the noun.
+ */
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * @function SortableHeader
+ * @description A table header cell that sorts the table by its column when clicked, with an arrow on the sorted column.
+ * @param {Object} props - Contains the column, its label, the current sort and order, and the onSort handler.
+ * @returns {JSX.Element} The header cell.
+ */
+const SortableHeader = ({ column, label, sort, order, onSort }) => (
+    <th className="text-nowrap user-select-none" style={{ cursor: 'pointer' }} onClick={() => onSort(column)} aria-sort={sort === column ? (order === 'asc' ? 'ascending' : 'descending') : 'none'}>
+        {label}
+        {sort === column && (order === 'asc' ? <BsCaretUpFill className="ms-1" /> : <BsCaretDownFill className="ms-1" />)}
+    </th>
+);
+
+// The figures shown until the first summary arrives from the server.
+const EMPTY_SUMMARY = {
+    balance: 0, savings_pot: 0, income: 0, spent: 0, savings: 0, needs: 0, wants: 0, transaction_count: 0,
+    accounts: [], categories: [], years: [], missing_currencies: [],
+};
+
+
 // --- 4. MAIN DASHBOARD COMPONENT ---
 /**
  * @component Dashboard
  * @param {Object} props - The properties passed down to the component.
- * @param {Array} props.transactions - The master list of all transaction objects.
  * @param {Array} props.budgetSettings - The list of all budget rule objects.
  * @param {Function} props.triggerReload - A function passed from the parent to force a data refresh (e.g., after deleting a transaction).
+ * It is given the change that was made (see undoService.js), so App.js can offer to undo it.
  * @param {Array} props.categories - The list of all available spending categories and their associated colors.
+ * @param {Array} props.accounts - The list of accounts, with their opening balances.
  * @param {Array} props.recurringIncomes - (Not directly used in this version but available)
  * @param {Array} props.recurringExpenses - (Not directly used in this version but available)
+ * @param {Array} props.categoryBudgets - The per-category monthly limits (envelopes).
+ * @param {Array} props.savingsGoals - The savings goals, shown with their progress under the savings pot.
+ * @param {string} props.baseCurrency - The currency all totals, charts and budget targets are shown in.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to convert the loaded rows into the base currency.
+ * @param {Array} props.recurringOccurrences - The schedules' occurrences waiting for approval or coming up, for the "Upcoming & pending" panel.
  */
-const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, recurringIncomes, recurringExpenses }) => {
+const Dashboard = ({ budgetSettings, triggerReload, categories, accounts = [], recurringIncomes, recurringExpenses, categoryBudgets = [], savingsGoals = [], baseCurrency = DEFAULT_CURRENCY, exchangeRates = [], recurringOccurrences = [] }) => {
     // The `useNavigate` hook gives us a function to redirect the user to different routes.
     const navigate = useNavigate();
 
@@ -145,26 +172,122 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
     const [currentPage, setCurrentPage] = useState(1);
     const [itemsPerPage, setItemsPerPage] = useState(10);
 
-    // State for the transaction table's date range filter.
-    // We use two sets of state variables. `date...Input` holds the value in the HTML input fields.
-    // `filterDate...` holds the *applied* filter value. This prevents the table from re-filtering on every keystroke.
-    const [filterDateFrom, setFilterDateFrom] = useState('');
-    const [filterDateTo, setFilterDateTo] = useState('');
-    const [dateFromInput, setDateFromInput] = useState('');
-    const [dateToInput, setDateToInput] = useState('');
-    
+    // State for the transaction table's filters.
+    // The *applied* filters live in the page's query string (e.g. "/?q=rent&category_type=Needs"), so a filtered view
+    // can be bookmarked and shared. `filterInputs` holds the values in the form fields until "Go" applies them,
+    // which prevents the table from re-querying on every keystroke.
+    const [searchParams, setSearchParams] = useSearchParams();
+    const tableFilters = useMemo(() => readTableFilters(searchParams), [searchParams]);
+    const [filterInputs, setFilterInputs] = useState(tableFilters);
+    const [showMoreFilters, setShowMoreFilters] = useState(() => countPanelFilters(tableFilters) > 0);
+
+    // Data queried from the server: the period's aggregated figures, the current page of the table, and the transactions
+    // behind the category budgets and the savings goals. The trend charts load their own range.
+    const [summary, setSummary] = useState(null);
+    const [tablePage, setTablePage] = useState({ rows: [], total: 0 });
+    const [envelopeRows, setEnvelopeRows] = useState([]);
+    const [goalRows, setGoalRows] = useState([]);
+    const [isTableLoading, setIsTableLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+
+    // The rows ticked in the table, by ID, kept while paging through the results. `selectAllMatching` selects every
+    // transaction matching the filters instead, including those on pages that were never loaded.
+    const [selectedRows, setSelectedRows] = useState({});
+    const [selectAllMatching, setSelectAllMatching] = useState(false);
+    const [isBulkWorking, setIsBulkWorking] = useState(false);
+
+    // --- 6. SERVER QUERIES (useEffect) ---
+    // The first and last day of the selected period, as "YYYY-MM-DD".
+    const periodStart = toDateString(new Date(selectedYear, filterType === 'year' ? 0 : selectedMonth - 1, 1));
+    const periodEnd = toDateString(new Date(selectedYear, filterType === 'year' ? 12 : selectedMonth, 0)); // Day 0 of next month gives the last day of the current month.
+    // The same period as "YYYY-MM" months, for the category budgets.
+    const firstMonth = toMonth(selectedYear, filterType === 'year' ? 1 : selectedMonth);
+    const lastMonth = toMonth(selectedYear, filterType === 'year' ? 12 : selectedMonth);
+
+    // The table's filters, in the form the transactions endpoint expects.
+    const tableQuery = useMemo(() => toTableQuery(tableFilters), [tableFilters]);
+
+    // A link to a period, such as "/?period=2025-03" (a month) or "/?period=2025" (a year) from the notification center,
+    // opens the Dashboard on it. The parameter is then dropped from the URL, leaving the table's filters.
+    useEffect(() => {
+        if (!searchParams.has('period')) return;
+        const match = /^(\d{4})(?:-(\d{2}))?$/.exec(searchParams.get('period'));
+        if (match) {
+            setFilterType(match[2] ? 'month' : 'year');
+            setSelectedYear(Number(match[1]));
+            if (match[2]) setSelectedMonth(Number(match[2]));
+        }
+        setSearchParams(toTableQuery(readTableFilters(searchParams)), { replace: true });
+    }, [searchParams, setSearchParams]);
+
+    // Whenever the applied filters change (including through the browser's back button), the form follows them
+    // and the table goes back to its first page. A selection made under other filters no longer matches what the table shows, so it is cleared too.
+    useEffect(() => {
+        setFilterInputs(tableFilters);
+        setCurrentPage(1);
+        setSelectedRows({});
+        setSelectAllMatching(false);
+    }, [tableFilters]);
+
+    // Fetches the summary figures whenever the selected period changes.
+    // A response that arrives after the user has already picked another period is ignored.
+    useEffect(() => {
+        let ignore = false;
+        getTransactionSummary(periodStart, periodEnd)
+            .then(data => { if (!ignore) setSummary(data); })
+            .catch(() => { if (!ignore) setLoadError('Failed to load the summary for this period.'); });
+        return () => { ignore = true; };
+    }, [periodStart, periodEnd]);
+
+    // Fetches the current page of the table whenever a filter, the page or the page size changes.
+    useEffect(() => {
+        let ignore = false;
+        setIsTableLoading(true);
+        getTransactionsPage(tableQuery, currentPage, itemsPerPage)
+            .then(data => { if (!ignore) setTablePage(data); })
+            .catch(() => { if (!ignore) setLoadError('Failed to load the transactions.'); })
+            .finally(() => { if (!ignore) setIsTableLoading(false); });
+        return () => { ignore = true; };
+    }, [tableQuery, currentPage, itemsPerPage]);
+
+    // Fetches the expenses the category budgets of the period need (see envelopeQuery).
+    const envelopeFilters = useMemo(() => envelopeQuery(categoryBudgets, firstMonth, lastMonth), [categoryBudgets, firstMonth, lastMonth]);
+    useEffect(() => {
+        if (!envelopeFilters) return;
+        let ignore = false;
+        getAllTransactions(envelopeFilters)
+            .then(rows => { if (!ignore) setEnvelopeRows(rows); })
+            .catch(() => { if (!ignore) setLoadError('Failed to load the category budgets.'); });
+        return () => { ignore = true; };
+    }, [envelopeFilters]);
+
+    // Fetches the money moved into and out of savings, for the goals' progress.
+    useEffect(() => {
+        if (savingsGoals.length === 0) return;
+        let ignore = false;
+        getAllTransactions(GOAL_QUERY)
+            .then(rows => { if (!ignore) setGoalRows(rows); })
+            .catch(() => { if (!ignore) setLoadError('Failed to load the savings goals.'); });
+        return () => { ignore = true; };
+    }, [savingsGoals]);
+
+    // Until the first summary arrives, every figure shows as zero.
+    const periodData = summary || EMPTY_SUMMARY;
+    const missingCurrencies = periodData.missing_currencies;
+
     /**
      * @memo availableYears
-     * @description Calculates the unique years present in the transaction data.
-     * @dependency [transactions] - This calculation only re-runs if the `transactions` array changes.
-     * This prevents re-calculating the list of years every time the user selects a different month.
+     * @description The years that have transactions, as reported by the summary.
+     * @dependency [periodData.years, selectedYear]
      */
     const availableYears = useMemo(() => {
         // Use a Set to automatically handle uniqueness.
-        const years = new Set(transactions.map(t => new Date(t.transaction_date).getFullYear()));
+        const years = new Set(periodData.years);
+        // The selected year is always offered, even without transactions (e.g., a year picked on the trend charts).
+        years.add(selectedYear);
         // Convert the Set to an array and sort it in descending order for the dropdown.
         return Array.from(years).sort((a, b) => b - a);
-    }, [transactions]);
+    }, [periodData.years, selectedYear]);
 
     // --- 7. EVENT HANDLERS ---
     // These functions handle user interactions like clicks and form submissions.
@@ -178,122 +301,117 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
     
     /**
      * @function handleDelete
-     * @description Deletes a transaction after user confirmation.
-     * @param {number} id - The ID of the transaction to delete.
+     * @description Moves a transaction to the Trash. There is no confirmation: the toast that follows can undo it.
+     * @param {Object} transaction - The transaction to delete.
      */
 
-    const handleDelete = async (id) => {
-        // `window.confirm` is a simple way to ask for user confirmation.
-        if (!window.confirm("Are you sure you want to delete this transaction?")) return;
-        
+    const handleDelete = async (transaction) => {
         // Call the deleteTransaction service function and handle errors.
         try {
-            await deleteTransaction(id); // Call the service function
-            triggerReload(); // After deleting, call the function from the parent to refetch all data.
+            await deleteTransaction(transaction.id); // Call the service function
+            triggerReload(transactionDeleted(transaction)); // After deleting, call the function from the parent to refetch all data.
         } catch (error) {
             console.error("Failed to delete transaction:", error);
             alert("Failed to delete transaction. Please try again.");
         }
     };
 
+    /**
+     * @function applyFilters
+     * @description Writes the table's filters to the query string, which re-queries the table from its first page.
+     * @param {Object} filters - The filters, shaped like EMPTY_TABLE_FILTERS.
+     */
+    const applyFilters = (filters) => setSearchParams(toTableQuery(filters));
+
+    /**
+     * @function handleFilterInputChange
+     * @description Updates one field of the filter form without applying it.
+     * @param {string} key - The filter's name (see EMPTY_TABLE_FILTERS).
+     * @param {string|Array} value - The new value.
+     */
+    const handleFilterInputChange = (key, value) => setFilterInputs(prev => ({ ...prev, [key]: value }));
+
+    /**
+     * @function handleToggleListFilter
+     * @description Adds a value to, or removes it from, one of the multi-select filters (categories, category types).
+     * @param {string} key - 'category_id' or 'category_type'.
+     * @param {string} value - The value that was ticked or unticked.
+     */
+    const handleToggleListFilter = (key, value) => setFilterInputs(prev => ({
+        ...prev,
+        [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+
     /**
      * @function handleApplyFilters
-     * @description Applies the date range from the input fields to the transaction table filter state.
+     * @description Applies the values in the filter form. Submitting the form (Enter in the search box) does the same.
+     * @param {Event} [e] - The form's submit event.
      */
-    const handleApplyFilters = () => {
-        setFilterDateFrom(dateFromInput);
-        setFilterDateTo(dateToInput);
-        setCurrentPage(1); // Reset to the first page when filters change.
+    const handleApplyFilters = (e) => {
+        if (e) e.preventDefault();
+        applyFilters(filterInputs);
     };
 
     /**
      * @function handleResetFilters
-     * @description Clears the date range filters and resets the table view.
+     * @description Clears every filter and the sort order, and resets the table view.
      */
     const handleResetFilters = () => {
-        setFilterDateFrom('');
-        setFilterDateTo('');
-        setDateFromInput('');
-        setDateToInput('');
-        setCurrentPage(1);
+        setFilterInputs(EMPTY_TABLE_FILTERS);
+        applyFilters(EMPTY_TABLE_FILTERS);
+    };
+
+    /**
+     * @function handleSort
+     * @description Sorts the table by a column. Clicking the sorted column again reverses the order;
+     * a new column starts with the largest/latest value first for dates and amounts, and A to Z for text.
+     * @param {string} column - 'date', 'description', 'category', 'account' or 'amount'.
+     */
+    const handleSort = (column) => {
+        const order = tableFilters.sort === column
+            ? (tableFilters.order === 'asc' ? 'desc' : 'asc')
+            : (column === 'date' || column === 'amount' ? 'desc' : 'asc');
+        // Sorting keeps the applied filters, not any unapplied edits in the form.
+        applyFilters({ ...tableFilters, sort: column, order });
+    };
+
+    /**
+     * @function handleSelectTrendPeriod
+     * @description Switches the dashboard to the period of a bar clicked on the trend charts.
+     * @param {string} type - 'month' or 'year'.
+     * @param {number} year - The period's year.
+     * @param {number|null} month - The period's month (1 to 12), or null for a year.
+     */
+    const handleSelectTrendPeriod = (type, year, month) => {
+        setFilterType(type);
+        setSelectedYear(year);
+        if (month) setSelectedMonth(month);
+        window.scrollTo({ top: 0, behavior: 'smooth' }); // Bring the period's summary into view.
     };
 
     // --- 8. PRIMARY DATA CALCULATION (useMemo) ---
-    // This is the most critical `useMemo` block. It processes the entire `transactions` array in a SINGLE PASS
-    // to calculate all the necessary figures for the dashboard summaries and charts.
-    // This is significantly more efficient than iterating over the data multiple times for each metric.
+    // The server has already summed the period in a single pass (see `?action=summary` in transactions.php,
+    // which classifies transactions like the trend charts do). This block only applies the budget rule
+    // and prepares the figures for the summary cards and charts.
 
     const {
-        periodTransactions, // Transactions that fall within the selected month/year.
-        balanceAtPeriodEnd, // The final cash balance at the end of the selected period.
+        balanceAtPeriodEnd, // The final balance of all accounts together at the end of the selected period.
+        accountBalances,    // The balance of each account at the end of the selected period.
         totalSavingsPot,    // The cumulative total of all savings.
         periodSummary,      // Total money spent and saved within the period.
         incomeAllocation,   // Breakdown of spending against the budget rule (Needs, Wants, Savings).
         incomeSpentGauge    // Data for the "% of Income Spent" doughnut chart.
     } = useMemo(() => {
-        // Determine the start and end dates of the period based on the filter controls.
-        const periodStartDate = new Date(selectedYear, filterType === 'year' ? 0 : selectedMonth - 1, 1);
-        const periodEndDate = new Date(selectedYear, filterType === 'year' ? 12 : selectedMonth, 0); // Day 0 of next month gives the last day of the current month.
         // Find the budget rule that was active at the start of this period.
-        const activeRule = findActiveBudgetRule(budgetSettings, periodStartDate);
-
-        // Initialize accumulators for our single-pass calculation.
-        let runningBalance = 0;       // For calculating balance at a point in time.
-        let runningSavingsPot = 0;    // For calculating the total savings pot.
-        const periodTrans = [];         // To store transactions that happened *in* the period.
-        let periodSpent = 0;          // Total non-savings expenses in the period.
-        let periodSavings = 0;        // Total money moved to savings in the period.
-        let periodInc = 0;            // Total income in the period.
-        let periodNeedsActual = 0;    // Total "Needs" spending in the period.
-        let periodWantsActual = 0;    // Total "Wants" spending in the period.
-
-
-        // --- THE SINGLE PASS LOOP ---
-        // Iterate through ALL transactions once.
-        for (const t of transactions) {
-            const transactionDate = new Date(t.transaction_date + 'T00:00:00');
-            const amount = parseFloat(t.amount);
-
-            // --- Calculation 1: Historical Balance & Savings Pot ---
-            // These calculations run for every transaction *up to* the end of the selected period.
-            if (transactionDate <= periodEndDate) {
-                runningBalance += amount;
-                // Savings Pot: If it's a 'Savings' category transaction, it affects the pot.
-                // An expense to a savings category *increases* the pot (moves money from cash to savings).
-                if (t.category_type === 'Savings') {
-                    runningSavingsPot -= amount; // Amount is negative for expenses, so we subtract it.
-                }
-            }
+        const activeRule = findActiveBudgetRule(budgetSettings, new Date(periodStart + 'T00:00:00'));
 
-            // --- Calculation 2: In-Period Summary ---
-            // Check if the transaction falls *within* the selected period (month or year).
-            const isInPeriod = (filterType === 'year')
-                ? (transactionDate.getFullYear() === selectedYear)
-                : (transactionDate.getFullYear() === selectedYear && transactionDate.getMonth() + 1 === selectedMonth);
-
-            if (isInPeriod) {
-                periodTrans.push(t); // Add to our list of transactions for this period.
-
-                // Categorize the transaction's financial impact for the period.
-                if (t.type === 'Income' && t.category_type !== 'Savings') {
-                    periodInc += amount; // Add to period income.
-                } else if (t.type === 'Expense') {
-                    if (t.category_type === 'Savings') {
-                        // This is a transfer to savings.
-                        periodSavings -= amount; // Amount is negative, so this adds to savings.
-                    } else {
-                        // This is regular spending.
-                        periodSpent -= amount; // Amount is negative, so this adds to spending.
-                        // Track spending for budget allocation categories.
-                        if (t.category_type === 'Needs') periodNeedsActual -= amount;
-                        if (t.category_type === 'Wants') periodWantsActual -= amount;
-                    }
-                }
-            }
-        }
-        
-        // --- Post-Loop Calculations ---
-        // Now that the loop is done, we can calculate targets and percentages.
+        const periodInc = periodData.income;           // Total income in the period.
+        const periodSpent = periodData.spent;          // Total non-savings expenses in the period.
+        const periodSavings = periodData.savings;      // Total money moved to savings in the period.
+        const periodNeedsActual = periodData.needs;    // Total "Needs" spending in the period.
+        const periodWantsActual = periodData.wants;    // Total "Wants" spending in the period.
+
+        // --- Targets and percentages ---
         
         // Calculate the target amounts based on the period's income and the active budget rule.
         const needsTarget = periodInc * activeRule.needs_ratio;
@@ -315,8 +433,8 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
         const surplusAmount = isSurplusSpending ? periodSpent - periodInc : 0;
         const gaugeData = {
             isSurplus: isSurplusSpending,
-            surplusDetail: `Funded by €${periodInc.toFixed(2)} (income) + €${surplusAmount.toFixed(2)} (surplus)`,
-            centerText: isSurplusSpending ? `€${periodSpent.toFixed(2)}` : `${Math.round(percentageOfIncomeSpent)}%`,
+            surplusDetail: `Funded by ${formatMoney(periodInc, baseCurrency)} (income) + ${formatMoney(surplusAmount, baseCurrency)} (surplus)`,
+            centerText: isSurplusSpending ? formatMoney(periodSpent, baseCurrency) : `${Math.round(percentageOfIncomeSpent)}%`,
             chartData: {
                 datasets: [{
                     data: isSurplusSpending ? [100, 0] : [percentageOfIncomeSpent, 100 - percentageOfIncomeSpent],
@@ -328,21 +446,41 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
 
         // Return a single object containing all the calculated data.
         return {
-            periodTransactions: periodTrans,
-            balanceAtPeriodEnd: runningBalance,
-            totalSavingsPot: runningSavingsPot,
+            balanceAtPeriodEnd: totalBalance(periodData.accounts),
+            accountBalances: periodData.accounts.map(a => ({ ...a, transactionCount: a.transaction_count })),
+            totalSavingsPot: periodData.savings_pot,
             periodSummary: { totalSpent: periodSpent, savingsThisPeriod: periodSavings },
             incomeAllocation: allocation,
             incomeSpentGauge: gaugeData
         };
     // Dependencies: This entire block re-calculates ONLY if these values change.
-    }, [transactions, budgetSettings, filterType, selectedYear, selectedMonth]);
+    }, [periodData, budgetSettings, periodStart, baseCurrency]);
+
 
+    /**
+     * @memo envelopes
+     * @description Compares each category budget with the category's spending in the selected month or year.
+     * @dependency [categoryBudgets, envelopeRows, firstMonth, lastMonth, exchangeRates, baseCurrency]
+     */
+    const envelopes = useMemo(() => {
+        const rows = convertTransactions(envelopeRows, exchangeRates, baseCurrency).transactions;
+        return computeEnvelopes(categoryBudgets, rows, firstMonth, lastMonth);
+    }, [categoryBudgets, envelopeRows, firstMonth, lastMonth, exchangeRates, baseCurrency]);
+
+    /**
+     * @memo goalProgress
+     * @description Each savings goal's progress as of today (goals aren't tied to the selected period).
+     * @dependency [savingsGoals, goalRows, exchangeRates, baseCurrency]
+     */
+    const goalProgress = useMemo(
+        () => computeGoalProgress(savingsGoals, convertTransactions(goalRows, exchangeRates, baseCurrency).transactions),
+        [savingsGoals, goalRows, exchangeRates, baseCurrency]
+    );
 
     /**
      * @memo chartData
      * @description Prepares the data for the "Spending Distribution" Pie chart.
-     * @dependency [periodTransactions, categories] - Re-calculates only when the transactions for the selected period change, or when category definitions change.
+     * @dependency [periodData.categories, categories] - Re-calculates only when the period's category totals change, or when category definitions change.
      */
     const chartData = useMemo(() => {
         // Create a quick lookup map for category names to their assigned colors for efficiency.
@@ -351,58 +489,200 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
             return acc;
         }, {});
 
-        // Process the transactions for the current period to aggregate spending by category.
-        const spendingData = periodTransactions
-            .filter(t => t.type === 'Expense' && t.category_type !== 'Savings') // Only look at non-savings expenses.
-            .reduce((acc, t) => {
-                const categoryName = t.category_name || 'Uncategorized';
-                if (!acc[categoryName]) {
-                    // If we haven't seen this category yet, initialize it.
-                    acc[categoryName] = { total: 0, color: categoryColorMap[categoryName] || '#CCCCCC' }; // Use a default color if not found.
-                }
-                acc[categoryName].total += Math.abs(t.amount); // Add the transaction amount to the category's total.
-                return acc;
-            }, {});
-            
-        // Convert the aggregated data object into the format required by Chart.js.
-        const labels = Object.keys(spendingData);
-        if (labels.length === 0) return { labels: [], datasets: [{ data: [] }] }; // Handle case with no spending data.
-        const data = labels.map(label => spendingData[label].total);
-        const backgroundColor = labels.map(label => spendingData[label].color);
+        // The summary totals every expense category; only real spending goes in the pie.
+        const spending = periodData.categories.filter(c => c.type !== 'Savings');
+        if (spending.length === 0) return { labels: [], datasets: [{ data: [] }] }; // Handle case with no spending data.
 
-        return { labels, datasets: [{ data, backgroundColor }] };
-    }, [periodTransactions, categories]);
+        // Convert the category totals into the format required by Chart.js.
+        const labels = spending.map(c => c.name || 'Uncategorized');
+        const data = spending.map(c => c.total);
+        const backgroundColor = spending.map(c => c.color || categoryColorMap[c.name] || '#CCCCCC'); // Use a default color if not found.
 
-    /**
-     * @memo filteredTableTransactions
-     * @description Filters the main transactions list based on the user-selected date range for the table view.
-     * @dependency [transactions, filterDateFrom, filterDateTo] - Re-filters only when the master list or the date range changes.
-     */
-    const filteredTableTransactions = useMemo(() => {
-        // If no date filters are applied, return all transactions immediately.
-        if (!filterDateFrom && !filterDateTo) return transactions;
-        
-        return transactions.filter(t => {
-            const transactionDate = new Date(t.transaction_date + 'T00:00:00');
-            const start = filterDateFrom ? new Date(filterDateFrom + 'T00:00:00') : null;
-            const end = filterDateTo ? new Date(filterDateTo + 'T00:00:00') : null;
-            if (start && end) return transactionDate >= start && transactionDate <= end;
-            if (start) return transactionDate >= start;
-            if (end) return transactionDate <= end;
-            return true;
-        });
-    }, [transactions, filterDateFrom, filterDateTo]);
+        return { labels, datasets: [{ data, backgroundColor }] };
+    }, [periodData.categories, categories]);
 
     // --- 9. PAGINATION LOGIC ---
-    // Calculates which transactions to display on the current page of the table.
-    const indexOfLastItem = currentPage * itemsPerPage;
-    const indexOfFirstItem = indexOfLastItem - itemsPerPage;
-    const currentItems = filteredTableTransactions.slice(indexOfFirstItem, indexOfLastItem);
-    const totalPages = Math.ceil(filteredTableTransactions.length / itemsPerPage);
+    // The server returns only the current page; its rows are converted to the base currency for display.
+    const currentItems = useMemo(() => convertTransactions(tablePage.rows, exchangeRates, baseCurrency).transactions, [tablePage.rows, exchangeRates, baseCurrency]);
+    const totalPages = Math.ceil(tablePage.total / itemsPerPage);
     
     // A user-friendly label for the current period being viewed.
     const periodLabel = filterType === 'year' ? `${selectedYear}` : `${getMonthName(selectedMonth)}, ${selectedYear}`;
     
+    // --- EXPORT HANDLERS ---
+    // The export menu fetches every row matching the table's filters (not just the current page), so the export
+    // always matches the table. The bulk actions export only the selected rows.
+
+    /**
+     * @function fetchTableRows
+     * @description Loads all transactions matching the table's filters, with their amounts in the base currency.
+     * @returns {Promise<Array|null>} The rows, or null if they could not be loaded (the user has been told).
+     */
+    const fetchTableRows = async () => {
+        try {
+            const rows = await getAllTransactions(tableQuery);
+            return convertTransactions(rows, exchangeRates, baseCurrency).transactions;
+        } catch (error) {
+            console.error("Failed to load transactions for export:", error);
+            alert("Failed to load the transactions to export. Please try again.");
+            return null;
+        }
+    };
+
+    /**
+     * @function downloadTransactions
+     * @description Downloads transactions as a CSV file that opens in any spreadsheet program,
+     * or as a JSON file with every field the API returns.
+     * @param {Array} transactionsToExport - The transactions, with their base-currency amounts.
+     * @param {string} format - 'csv' or 'json'.
+     */
+    const downloadTransactions = (transactionsToExport, format) => {
+        if (format === 'json') {
+            downloadFile(JSON.stringify(transactionsToExport, null, 2), `transactions-${todayStamp()}.json`, 'application/json');
+            return;
+        }
+        const headers = ['Date', 'Description', 'Account', 'Category', 'Category Type', 'Type', 'Amount', 'Currency', `Amount (${baseCurrency})`, 'Recurring'];
+        const rows = transactionsToExport.map(t => [
+            t.transaction_date,
+            t.description,
+            t.account_name || UNASSIGNED_ACCOUNT_NAME,
+            // A split transaction lists the categories of all its lines.
+            t.category_lines && t.category_lines.length > 0 ? t.category_lines.map(l => l.category_name || 'Uncategorized').join(' / ') : t.category_name || '',
+            t.category_lines && t.category_lines.length > 0 ? t.category_lines.map(l => l.category_type || '').join(' / ') : t.category_type || '',
+            t.type,
+            parseFloat(t.amount).toFixed(2),
+            t.currency || DEFAULT_CURRENCY,
+            (t.base_amount ?? parseFloat(t.amount)).toFixed(2),
+            (t.recurring_income_id !== null || t.recurring_expense_id !== null) ? 'Yes' : 'No',
+        ]);
+        downloadFile(toCsv(headers, rows), `transactions-${todayStamp()}.csv`, 'text/csv');
+    };
+
+    /**
+     * @function handleExportTable
+     * @description Downloads every transaction matching the table's filters.
+     * @param {string} format - 'csv' or 'json'.
+     */
+    const handleExportTable = async (format) => {
+        const transactionsToExport = await fetchTableRows();
+        if (transactionsToExport) downloadTransactions(transactionsToExport, format);
+    };
+
+    // --- BULK ACTIONS ---
+    // Ticked rows (or every row matching the filters) are changed with one batched request, one confirmation
+    // and one reload, instead of one per row.
+
+    const selectedCount = selectAllMatching ? tablePage.total : Object.keys(selectedRows).length;
+    const isPageSelected = currentItems.length > 0 && currentItems.every(t => selectAllMatching || selectedRows[t.id]);
+
+    /**
+     * @function handleToggleRow
+     * @description Ticks or unticks one row. Unticking a row while every matching row is selected
+     * keeps the rest of the current page selected.
+     * @param {Object} transaction - The row's transaction.
+     */
+    const handleToggleRow = (transaction) => {
+        const base = selectAllMatching ? Object.fromEntries(currentItems.map(t => [t.id, t])) : selectedRows;
+        const next = { ...base };
+        if (next[transaction.id]) delete next[transaction.id];
+        else next[transaction.id] = transaction;
+        setSelectAllMatching(false);
+        setSelectedRows(next);
+    };
+
+    /**
+     * @function handleTogglePage
+     * @description Ticks every row on the current page, or unticks them all if they are already ticked.
+     */
+    const handleTogglePage = () => {
+        if (isPageSelected) {
+            const next = selectAllMatching ? {} : { ...selectedRows };
+            currentItems.forEach(t => { delete next[t.id]; });
+            setSelectAllMatching(false);
+            setSelectedRows(next);
+        } else {
+            setSelectedRows(prev => ({ ...prev, ...Object.fromEntries(currentItems.map(t => [t.id, t])) }));
+        }
+    };
+
+    // Clears the selection.
+    const handleClearSelection = () => {
+        setSelectedRows({});
+        setSelectAllMatching(false);
+    };
+
+    /**
+     * @function runBulkAction
+     * @description Asks for one confirmation, sends the whole selection in one request and reloads the data once.
+     * The outcome is shown in App.js's undo toast, which can revert the whole batch.
+     * @param {string} operation - 'recategorize', 'change_date' or 'delete'.
+     * @param {Object} values - The operation's input, e.g. { category_id } or { transaction_date }.
+     * @param {string} question - The confirmation question.
+     * @param {Function} describe - Builds the summary shown afterwards from the server's { updated, skipped }.
+     */
+    const runBulkAction = async (operation, values, question, describe) => {
+        if (!window.confirm(question)) return;
+        const selection = selectAllMatching ? { filters: tableQuery } : { ids: Object.keys(selectedRows) };
+
+        setIsBulkWorking(true);
+        try {
+            const result = await runTransactionBatch(operation, selection, values);
+            if (result.rezultat !== 'OK') {
+                alert(`The bulk action failed: ${result.rezultat}`);
+                return;
+            }
+            triggerReload(transactionsBatchChanged(describe(result), operation, values, result)); // A single reload for the whole batch.
+        } catch (error) {
+            console.error(`Bulk ${operation} failed:`, error);
+            alert("The bulk action failed. Please try again.");
+        } finally {
+            setIsBulkWorking(false);
+        }
+    };
+
+    const handleBulkRecategorize = (categoryId) => {
+        const category = categories.find(c => String(c.id) === String(categoryId));
+        if (!category) return;
+        runBulkAction('recategorize', { category_id: category.id },
+            `Move ${pluralize(selectedCount, 'selected transaction')} to "${category.name}"?`,
+            ({ updated, skipped }) => `Moved ${pluralize(updated, 'transaction')} to "${category.name}".` +
+                (skipped > 0 ? ` ${pluralize(skipped, 'transaction')} skipped: transfers between accounts, and rows whose type doesn't fit a ${category.type} category, keep their category.` : ''));
+    };
+
+    const handleBulkChangeDate = (date) => {
+        runBulkAction('change_date', { transaction_date: date },
+            `Change the date of ${pluralize(selectedCount, 'selected transaction')} to ${formatDate(date)}? Both rows of a transfer between accounts are moved together.`,
+            ({ updated }) => `Moved ${pluralize(updated, 'transaction')} to ${formatDate(date)}.`);
+    };
+
+    const handleBulkDelete = () => {
+        runBulkAction('delete', {},
+            `Delete ${pluralize(selectedCount, 'selected transaction')}? Both rows of a transfer between accounts are deleted together. They can be restored from the Trash for 30 days.`,
+            ({ updated }) => `Moved ${pluralize(updated, 'transaction')} to the Trash.`);
+    };
+
+    /**
+     * @function handleExportSelection
+     * @description Downloads the selected rows; when every matching row is selected, they are fetched first.
+     * @param {string} format - 'csv' or 'json'.
+     */
+    const handleExportSelection = async (format) => {
+        const transactionsToExport = selectAllMatching ? await fetchTableRows() : Object.values(selectedRows);
+        if (transactionsToExport) downloadTransactions(transactionsToExport, format);
+    };
+
+    /**
+     * @function handlePrintReport
+     * @description Opens the browser's print dialog. Only the hidden <PeriodReport> is visible when printing,
+     * so choosing "Save as PDF" there produces the period report. The document title becomes the suggested file name.
+     */
+    const handlePrintReport = () => {
+        const previousTitle = document.title;
+        document.title = `Financial Report - ${periodLabel}`;
+        window.print();
+        document.title = previousTitle;
+    };
+
     // --- 10. CHART.JS OPTIONS ---
     // These objects define the appearance and behavior of the charts.
 
@@ -430,7 +710,7 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                         const total = dataset.reduce((acc, currentValue) => acc + currentValue, 0);
                         const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
                         // Example output: "Groceries: €150.00 (25.5%)"
-                        return `${label}: €${value.toFixed(2)} (${percentage}%)`;
+                        return `${label}: ${formatMoney(value, baseCurrency)} (${percentage}%)`;
                     }
                 }
             }
@@ -452,9 +732,34 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
     // This is where the component's UI is defined using JSX (a syntax extension for JavaScript).
     // It looks like HTML but allows you to embed JavaScript logic and components.
     return (
-        <Card className="shadow-sm">
-            <Card.Header as="h3">Dashboard</Card.Header>
+        <>
+        {/* Scheduled transactions are only recorded once approved here. */}
+        <RecurringReview occurrences={recurringOccurrences} onDataChanged={() => triggerReload()} />
+        {/* The interactive dashboard is hidden when printing; the report below takes its place. */}
+        <Card className="shadow-sm d-print-none">
+            <Card.Header as="h3" className="d-flex justify-content-between align-items-center">
+                Dashboard
+                {/* Export menu */}
+                <Dropdown align="end">
+                    <Dropdown.Toggle variant="outline-secondary" size="sm" id="exportMenu"><BsDownload className="me-1" /> Export</Dropdown.Toggle>
+                    <Dropdown.Menu>
+                        <Dropdown.Header>Transactions table ({tablePage.total} rows)</Dropdown.Header>
+                        <Dropdown.Item onClick={() => handleExportTable('csv')}>Download as CSV</Dropdown.Item>
+                        <Dropdown.Item onClick={() => handleExportTable('json')}>Download as JSON</Dropdown.Item>
+                        <Dropdown.Divider />
+                        <Dropdown.Header>Report for {periodLabel}</Dropdown.Header>
+                        <Dropdown.Item onClick={handlePrintReport}><BsPrinter className="me-1" /> Print / Save as PDF</Dropdown.Item>
+                    </Dropdown.Menu>
+                </Dropdown>
+            </Card.Header>
             <Card.Body>
+                {loadError && <Alert variant="danger" onClose={() => setLoadError(null)} dismissible>{loadError}</Alert>}
+                {/* Transactions in a currency without an exchange rate are counted 1:1, which skews every total. */}
+                {missingCurrencies.length > 0 && (
+                    <Alert variant="warning">
+                        No exchange rate into {baseCurrency} for: <strong>{missingCurrencies.join(', ')}</strong>. These amounts are counted 1:1 until you add rates on the <Link to="/currencies">Currencies</Link> page.
+                    </Alert>
+                )}
                 {/* Main layout is a Row with two columns. */}
                 <Row>
                     {/* Left Column: Contains summary cards and filter controls. */}
@@ -482,21 +787,48 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                             
                             {/* Summary Cards */}
                             <Card body className="text-center mb-2 flex-grow-1">
-                                <h6 className="text-muted">Cash Balance <span className="fw-normal">(at end of {periodLabel})</span></h6>
-                                <p className={`fs-4 fw-bold ${balanceAtPeriodEnd >= 0 ? 'text-success' : 'text-danger'} mb-0`}>€{balanceAtPeriodEnd.toFixed(2)}</p>
+                                <h6 className="text-muted">Total Balance <span className="fw-normal">(at end of {periodLabel})</span></h6>
+                                <p className={`fs-4 fw-bold ${balanceAtPeriodEnd >= 0 ? 'text-success' : 'text-danger'} mb-0`}>{formatMoney(balanceAtPeriodEnd, baseCurrency)}</p>
                             </Card>
+                            {/* Per-account balances, only once accounts are in use. */}
+                            {accountBalances.length > 0 && (
+                                <Card body className="mb-2">
+                                    <h6 className="text-muted text-center">Account Balances</h6>
+                                    {accountBalances.map(b => (
+                                        <div key={b.id ?? 'unassigned'} className="d-flex justify-content-between small">
+                                            <span><span className="d-inline-block rounded-circle me-2" style={{ width: '10px', height: '10px', backgroundColor: b.color || '#CCCCCC' }}></span>{b.name}</span>
+                                            <span className={`fw-bold ${b.balance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(b.balance, baseCurrency)}</span>
+                                        </div>
+                                    ))}
+                                </Card>
+                            )}
                             <Card body className="text-center mb-2 flex-grow-1">
                                 <h6 className="text-muted">Total Spent <span className="fw-normal">(in {periodLabel})</span></h6>
-                                <p className="fs-4 fw-bold text-danger mb-0">€{periodSummary.totalSpent.toFixed(2)}</p>
+                                <p className="fs-4 fw-bold text-danger mb-0">{formatMoney(periodSummary.totalSpent, baseCurrency)}</p>
                             </Card>
                              <Card body className="text-center mb-2 flex-grow-1">
                                 <h6 className="text-muted">Savings Made <span className="fw-normal">(in {periodLabel})</span></h6>
-                                <p className="fs-4 fw-bold text-info mb-0">€{periodSummary.savingsThisPeriod.toFixed(2)}</p>
+                                <p className="fs-4 fw-bold text-info mb-0">{formatMoney(periodSummary.savingsThisPeriod, baseCurrency)}</p>
                             </Card>
                              <Card body className="text-center mb-3 flex-grow-1">
                                 <h6 className="text-muted">Total Savings Pot</h6>
-                                <p className="fs-4 fw-bold text-primary mb-0">€{totalSavingsPot.toFixed(2)}</p>
+                                <p className="fs-4 fw-bold text-primary mb-0">{formatMoney(totalSavingsPot, baseCurrency)}</p>
                             </Card>
+                            {/* Savings goals, as of today, once at least one exists. */}
+                            {goalProgress.length > 0 && (
+                                <Card body className="mb-3">
+                                    <h6 className="text-muted text-center">Savings Goals <Link to="/goals" className="small fw-normal">(details)</Link></h6>
+                                    {goalProgress.map(goal => (
+                                        <div key={goal.id} className="mb-2">
+                                            <div className="d-flex justify-content-between small">
+                                                <span>{goal.name}</span>
+                                                <span className="fw-bold">{`${formatMoney(goal.saved, baseCurrency)} / ${formatMoney(goal.targetAmount, baseCurrency)}`}</span>
+                                            </div>
+                                            <ProgressBar style={{height: '8px'}} now={Math.min(goal.percent, 100)} variant={goal.status === 'reached' ? 'success' : goal.status === 'behind' || goal.status === 'overdue' ? 'warning' : 'info'} />
+                                        </div>
+                                    ))}
+                                </Card>
+                            )}
                         </div>
                     </Col>
                     
@@ -559,7 +891,7 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                <h5 className="mb-2">Income Allocation <span className="text-muted small">(in {periodLabel})</span></h5>
                                <div className="d-block d-md-flex justify-content-md-between align-items-center mb-3">
                                     <p className="text-muted mb-2 mb-md-0">
-                                        Income in Period: <strong className="text-dark">€{incomeAllocation.periodIncome.toFixed(2)}</strong>
+                                        Income in Period: <strong className="text-dark">{formatMoney(incomeAllocation.periodIncome, baseCurrency)}</strong>
                                     </p>
                                     <p className="text-muted mb-0 fst-italic">
                                         Applying Budget Rule: <strong className="text-dark">{incomeAllocation.activeRuleName}</strong>
@@ -569,7 +901,7 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                <div className="mb-3">
                                     <div className="d-flex justify-content-between">
                                        <span><strong>Needs</strong> ({Math.round(incomeAllocation.needs.ratio * 100)}% Target)</span>
-                                       <span className="fw-bold">{`€${incomeAllocation.needs.actual.toFixed(2)} / €${incomeAllocation.needs.target.toFixed(2)}`}</span>
+                                       <span className="fw-bold">{`${formatMoney(incomeAllocation.needs.actual, baseCurrency)} / ${formatMoney(incomeAllocation.needs.target, baseCurrency)}`}</span>
                                     </div>
                                     <ProgressBar style={{height: '20px'}} now={incomeAllocation.needs.percent} label={`${Math.round(incomeAllocation.needs.percent)}%`} variant={incomeAllocation.needs.percent > 100 ? 'danger' : 'warning'} />
                                </div>
@@ -577,7 +909,7 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                <div className="mb-3">
                                     <div className="d-flex justify-content-between">
                                        <span><strong>Wants</strong> ({Math.round(incomeAllocation.wants.ratio * 100)}% Target)</span>
-                                       <span className="fw-bold">{`€${incomeAllocation.wants.actual.toFixed(2)} / €${incomeAllocation.wants.target.toFixed(2)}`}</span>
+                                       <span className="fw-bold">{`${formatMoney(incomeAllocation.wants.actual, baseCurrency)} / ${formatMoney(incomeAllocation.wants.target, baseCurrency)}`}</span>
                                     </div>
                                     <ProgressBar style={{height: '20px'}} now={incomeAllocation.wants.percent} label={`${Math.round(incomeAllocation.wants.percent)}%`} variant={incomeAllocation.wants.percent > 100 ? 'danger' : 'info'} />
                                </div>
@@ -585,28 +917,65 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                <div>
                                     <div className="d-flex justify-content-between">
                                        <span><strong>Savings</strong> ({Math.round(incomeAllocation.savings.ratio * 100)}% Target)</span>
-                                       <span className="fw-bold">{`€${incomeAllocation.savings.actual.toFixed(2)} / €${incomeAllocation.savings.target.toFixed(2)}`}</span>
+                                       <span className="fw-bold">{`${formatMoney(incomeAllocation.savings.actual, baseCurrency)} / ${formatMoney(incomeAllocation.savings.target, baseCurrency)}`}</span>
                                     </div>
                                     <ProgressBar style={{height: '20px'}} now={incomeAllocation.savings.percent} label={`${Math.round(incomeAllocation.savings.percent)}%`} variant="success" />
                                </div>
                            </div>
+
+                           {/* Category Budgets (envelopes), only once at least one applies to the period. */}
+                           {envelopes.length > 0 && (
+                               <div className="mt-4">
+                                   <h5 className="mb-2">Category Budgets <span className="text-muted small">(in {periodLabel})</span></h5>
+                                   {envelopes.map(envelope => (
+                                       <div key={envelope.id} className="mb-3">
+                                           <div className="d-flex justify-content-between">
+                                               <span>
+                                                   <strong>{envelope.categoryName}</strong>
+                                                   {envelope.status === 'over' && <Badge bg="danger" className="ms-2"><BsExclamationTriangle className="me-1" />Over by {formatMoney(-envelope.remaining, baseCurrency)}</Badge>}
+                                               </span>
+                                               <span className="fw-bold">{`${formatMoney(envelope.spent, baseCurrency)} / ${formatMoney(envelope.available, baseCurrency)}`}</span>
+                                           </div>
+                                           <ProgressBar style={{height: '20px'}} now={Math.min(envelope.percent, 100)} label={`${Math.round(envelope.percent)}%`} variant={envelope.status === 'over' ? 'danger' : envelope.status === 'warning' ? 'warning' : 'success'} />
+                                           {envelope.carriedOver > 0 && <small className="text-muted">Includes {formatMoney(envelope.carriedOver, baseCurrency)} rolled over from earlier months.</small>}
+                                       </div>
+                                   ))}
+                               </div>
+                           )}
                        </div>
                     </Col>
                 </Row>
                 
+                {/* Trends Section: the same figures across several months or years. */}
+                <div className="mt-4 p-3 border rounded">
+                    <TrendCharts categories={categories} exchangeRates={exchangeRates} baseCurrency={baseCurrency} onSelectPeriod={handleSelectTrendPeriod} />
+                </div>
+
                 {/* Bottom Section: Full Transactions Table */}
                 <div className="mt-4 p-3 border rounded">
                     <Row className="align-items-center mb-3">
                         <Col xs={12} lg>
                             <h5>Transactions</h5>
                         </Col>
-                        {/* Transaction table controls (date filter, items per page). */}
+                        {/* Transaction table controls (search, date filter, account, items per page). */}
                         <Col xs={12} lg="auto" className="mt-2 mt-lg-0">
-                            <div className="d-flex flex-wrap flex-lg-nowrap align-items-center gap-2">
-                                <Form.Control id="dateFromFilter" type="date" size="sm" value={dateFromInput} onChange={e => setDateFromInput(e.target.value)} />
+                            <Form onSubmit={handleApplyFilters} className="d-flex flex-wrap flex-lg-nowrap align-items-center gap-2">
+                                <Form.Control id="searchFilter" type="search" size="sm" placeholder="Search description..." value={filterInputs.q} onChange={e => handleFilterInputChange('q', e.target.value)} style={{minWidth: '180px'}} />
+                                <Form.Control id="dateFromFilter" type="date" size="sm" value={filterInputs.date_from} onChange={e => handleFilterInputChange('date_from', e.target.value)} />
                                 <span className="text-muted">to</span>
-                                <Form.Control id="dateToFilter" type="date" size="sm" value={dateToInput} onChange={e => setDateToInput(e.target.value)} />
-                                <Button variant="primary" size="sm" onClick={handleApplyFilters}>Go</Button>
+                                <Form.Control id="dateToFilter" type="date" size="sm" value={filterInputs.date_to} onChange={e => handleFilterInputChange('date_to', e.target.value)} />
+                                {accounts.length > 0 && (
+                                    <Form.Select id="accountFilter" size="sm" value={filterInputs.account_id} onChange={e => applyFilters({ ...filterInputs, account_id: e.target.value })} style={{width: 'auto'}}>
+                                        <option value="">All accounts</option>
+                                        {accounts.map(a => <option key={a.id} value={String(a.id)}>{a.name}</option>)}
+                                        <option value="none">{UNASSIGNED_ACCOUNT_NAME}</option>
+                                    </Form.Select>
+                                )}
+                                <Button variant="outline-secondary" size="sm" className="text-nowrap" onClick={() => setShowMoreFilters(!showMoreFilters)} aria-expanded={showMoreFilters} aria-controls="moreFilters">
+                                    <BsFunnel className="me-1" /> Filters
+                                    {countPanelFilters(tableFilters) > 0 && <Badge bg="primary" pill className="ms-1">{countPanelFilters(tableFilters)}</Badge>}
+                                </Button>
+                                <Button type="submit" variant="primary" size="sm">Go</Button>
                                 <Button variant="outline-secondary" size="sm" onClick={handleResetFilters}>Reset</Button>
                                 <span className="ms-lg-2">Show:</span>
                                 <Form.Select id="itemsPerPageSelect" size="sm" value={itemsPerPage} onChange={e => { setItemsPerPage(Number(e.target.value)); setCurrentPage(1); }} style={{width: 'auto', minWidth: '75px'}}>
@@ -614,31 +983,147 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                     <option value={20}>20</option>
                                     <option value={50}>50</option>
                                 </Form.Select>
-                            </div>
+                            </Form>
                         </Col>
                     </Row>
+
+                    {/* Advanced filters. Like the date range, they take effect when "Go" is clicked. */}
+                    <Collapse in={showMoreFilters}>
+                        <div id="moreFilters">
+                            <Form onSubmit={handleApplyFilters} className="border rounded p-3 mb-3 bg-light">
+                                <Row className="g-3">
+                                    <Col md={4}>
+                                        <Form.Label className="small fw-bold">Categories</Form.Label>
+                                        <div className="border rounded bg-white px-2 py-1" style={{ maxHeight: '140px', overflowY: 'auto' }}>
+                                            {categories.map(c => (
+                                                <Form.Check key={c.id} id={`categoryFilter-${c.id}`} type="checkbox" className="small" label={c.name}
+                                                    checked={filterInputs.category_id.includes(String(c.id))} onChange={() => handleToggleListFilter('category_id', String(c.id))} />
+                                            ))}
+                                            <Form.Check id="categoryFilter-none" type="checkbox" className="small" label="Uncategorized / transfers"
+                                                checked={filterInputs.category_id.includes('none')} onChange={() => handleToggleListFilter('category_id', 'none')} />
+                                        </div>
+                                    </Col>
+                                    <Col sm={6} md={2}>
+                                        <Form.Label className="small fw-bold">Category Type</Form.Label>
+                                        {CATEGORY_TYPES.map(type => (
+                                            <Form.Check key={type} id={`categoryTypeFilter-${type}`} type="checkbox" className="small" label={type}
+                                                checked={filterInputs.category_type.includes(type)} onChange={() => handleToggleListFilter('category_type', type)} />
+                                        ))}
+                                    </Col>
+                                    <Col sm={6} md={3}>
+                                        <Form.Group controlId="typeFilter" className="mb-2">
+                                            <Form.Label className="small fw-bold">Income / Expense</Form.Label>
+                                            <Form.Select size="sm" value={filterInputs.type} onChange={e => handleFilterInputChange('type', e.target.value)}>
+                                                <option value="">Both</option>
+                                                <option value="Income">Income only</option>
+                                                <option value="Expense">Expenses only</option>
+                                            </Form.Select>
+                                        </Form.Group>
+                                        <Form.Group controlId="recurringFilter">
+                                            <Form.Label className="small fw-bold">Origin</Form.Label>
+                                            <Form.Select size="sm" value={filterInputs.recurring} onChange={e => handleFilterInputChange('recurring', e.target.value)}>
+                                                <option value="">Recurring and manual</option>
+                                                <option value="recurring">Recurring only</option>
+                                                <option value="manual">Manual only</option>
+                                            </Form.Select>
+                                        </Form.Group>
+                                    </Col>
+                                    <Col md={3}>
+                                        <Form.Label className="small fw-bold">Amount</Form.Label>
+                                        <InputGroup size="sm" className="mb-2">
+                                            <InputGroup.Text>From</InputGroup.Text>
+                                            <Form.Control id="amountMinFilter" type="number" min="0" step="0.01" value={filterInputs.amount_min} onChange={e => handleFilterInputChange('amount_min', e.target.value)} />
+                                        </InputGroup>
+                                        <InputGroup size="sm">
+                                            <InputGroup.Text>To</InputGroup.Text>
+                                            <Form.Control id="amountMaxFilter" type="number" min="0" step="0.01" value={filterInputs.amount_max} onChange={e => handleFilterInputChange('amount_max', e.target.value)} />
+                                        </InputGroup>
+                                        <Form.Text className="small">In each transaction's own currency, ignoring the sign.</Form.Text>
+                                    </Col>
+                                </Row>
+                                <div className="text-end mt-3">
+                                    <Button type="submit" variant="primary" size="sm">Apply Filters</Button>
+                                </div>
+                            </Form>
+                        </div>
+                    </Collapse>
                     
+                    {/* Bulk actions, shown while rows are selected. */}
+                    {selectedCount > 0 && (
+                        <BulkActionsBar
+                            selectedCount={selectedCount}
+                            categories={categories}
+                            isWorking={isBulkWorking}
+                            onRecategorize={handleBulkRecategorize}
+                            onChangeDate={handleBulkChangeDate}
+                            onDelete={handleBulkDelete}
+                            onExport={handleExportSelection}
+                            onClear={handleClearSelection}
+                        />
+                    )}
+                    {/* Once a whole page is ticked, the selection can be extended to every matching row. */}
+                    {isPageSelected && tablePage.total > currentItems.length && (
+                        <Alert variant="info" className="py-2 small text-center">
+                            {selectAllMatching ? (
+                                <>All {pluralize(tablePage.total, 'transaction')} matching the filters are selected. <Button variant="link" size="sm" className="p-0 align-baseline" onClick={handleClearSelection}>Clear selection</Button></>
+                            ) : (
+                                <>All {pluralize(currentItems.length, 'transaction')} on this page are selected. <Button variant="link" size="sm" className="p-0 align-baseline" onClick={() => setSelectAllMatching(true)}>Select all {tablePage.total} matching the filters</Button></>
+                            )}
+                        </Alert>
+                    )}
+
                     {/* The table itself. `responsive` adds horizontal scroll on small screens. */}
                     <Table striped hover responsive size="sm">
-                        <thead><tr><th>Date</th><th>Description</th><th>Category</th><th>Account: Amount</th><th>Actions</th></tr></thead>
+                        <thead>
+                            <tr>
+                                <th style={{ width: '1%' }}>
+                                    <Form.Check id="selectPage" type="checkbox" aria-label="Select all on this page" checked={isPageSelected} onChange={handleTogglePage} disabled={currentItems.length === 0} />
+                                </th>
+                                {/* Clicking a header sorts the whole filtered list on the server, not just the current page. */}
+                                <SortableHeader column="date" label="Date" sort={tableFilters.sort} order={tableFilters.order} onSort={handleSort} />
+                                <SortableHeader column="description" label="Description" sort={tableFilters.sort} order={tableFilters.order} onSort={handleSort} />
+                                <SortableHeader column="category" label="Category" sort={tableFilters.sort} order={tableFilters.order} onSort={handleSort} />
+                                <SortableHeader column="amount" label="Account: Amount" sort={tableFilters.sort} order={tableFilters.order} onSort={handleSort} />
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
                         <tbody>
-                            {/* Map over the `currentItems` (the paginated data) to create table rows. */}
+                            {/* While a page loads, a single row stands in for the table. */}
+                            {isTableLoading && currentItems.length === 0 && (
+                                <tr><td colSpan={6} className="text-center text-muted py-3"><Spinner animation="border" size="sm" className="me-2" />Loading...</td></tr>
+                            )}
+                            {!isTableLoading && currentItems.length === 0 && (
+                                <tr><td colSpan={6} className="text-center text-muted py-3">No transactions match these filters.</td></tr>
+                            )}
+                            {/* Map over the `currentItems` (the current page from the server) to create table rows. */}
                             {currentItems.map(t => {
                                 let accountDisplay;
-                                const formattedAmount = `€${Math.abs(t.amount).toFixed(2)}`;
+                                // The amount in its own currency, followed by its base-currency value when the two differ.
+                                const formattedAmount = formatMoney(Math.abs(t.amount), t.currency) +
+                                    ((t.currency || DEFAULT_CURRENCY) !== baseCurrency ? ` (≈ ${formatMoney(Math.abs(t.base_amount ?? t.amount), baseCurrency)})` : '');
+                                const accountName = t.account_name || UNASSIGNED_ACCOUNT_NAME;
                                 
                                 // Special display logic for Savings transactions to show the movement between accounts.
                                 if (t.category_type === 'Savings') {
                                     accountDisplay = t.type === 'Expense' ? ( // Moving money INTO savings
-                                        <div><span className="text-danger d-block">Cash: -{formattedAmount}</span><span className="text-success d-block">Savings: +{formattedAmount}</span></div>
+                                        <div><span className="text-danger d-block">{accountName}: -{formattedAmount}</span><span className="text-success d-block">Savings: +{formattedAmount}</span></div>
                                     ) : ( // Moving money OUT OF savings
-                                        <div><span className="text-success d-block">Cash: +{formattedAmount}</span><span className="text-danger d-block">Savings: -{formattedAmount}</span></div>
+                                        <div><span className="text-success d-block">{accountName}: +{formattedAmount}</span><span className="text-danger d-block">Savings: -{formattedAmount}</span></div>
+                                    );
+                                } else if (isAccountTransfer(t)) {
+                                    // A transfer between accounts: name the account on the other side.
+                                    const peerName = t.transfer_peer_account_name || UNASSIGNED_ACCOUNT_NAME;
+                                    accountDisplay = (
+                                        <div>
+                                            <span className={`d-block ${t.type === 'Income' ? 'text-success' : 'text-danger'}`}>{accountName}: {t.type === 'Income' ? '+' : '-'}{formattedAmount}</span>
+                                            <span className="text-muted small">{t.type === 'Income' ? `Transfer from ${peerName}` : `Transfer to ${peerName}`}</span>
+                                        </div>
                                     );
                                 } else {
                                     // Standard display for income/expense.
                                     accountDisplay = (
                                         <span className={t.type === 'Income' ? 'text-success' : 'text-danger'}>
-                                            Cash: {t.type === 'Income' ? '+' : '-'}{formattedAmount}
+                                            {accountName}: {t.type === 'Income' ? '+' : '-'}{formattedAmount}
                                         </span>
                                     );
                                 }
@@ -646,19 +1131,28 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                                 const isRecurring = t.recurring_income_id !== null || t.recurring_expense_id !== null;
 
                                 return (
-                                <tr key={t.id}>
+                                <tr key={t.id} className={selectAllMatching || selectedRows[t.id] ? 'table-active' : undefined}>
+                                    <td>
+                                        <Form.Check id={`select-${t.id}`} type="checkbox" aria-label={`Select ${t.description}`} checked={Boolean(selectAllMatching || selectedRows[t.id])} onChange={() => handleToggleRow(t)} />
+                                    </td>
                                     <td>
                                         {formatDate(t.transaction_date)}
                                         {/* Show a clock icon if the transaction is part of a recurring series. */}
                                         {isRecurring && <BsClockHistory className="ms-2 text-muted" title="Recurring Transaction" />}
                                     </td>
                                     <td>{t.description}</td>
-                                    <td><Badge bg="secondary" pill>{t.category_name}</Badge></td>
+                                    <td>
+                                        {isAccountTransfer(t) ? <Badge bg="light" text="dark" pill>Transfer</Badge>
+                                            : t.category_lines && t.category_lines.length > 0
+                                                // A transaction split across several categories shows each of them, with its amount on hover.
+                                                ? t.category_lines.map(l => <Badge key={l.category_id} bg="secondary" pill className="me-1" title={formatMoney(l.amount, t.currency || DEFAULT_CURRENCY)}>{l.category_name || 'Uncategorized'}</Badge>)
+                                                : <Badge bg="secondary" pill>{t.category_name}</Badge>}
+                                    </td>
                                     <td>{accountDisplay}</td>
                                     <td>
                                         {/* Action buttons for each row. */}
                                         <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleEdit(t.id)} title="Edit"><BsPencil /></Button>
-                                        <Button variant="outline-danger" size="sm" onClick={() => handleDelete(t.id)} title="Delete"><BsTrash /></Button>
+                                        <Button variant="outline-danger" size="sm" onClick={() => handleDelete(t)} title="Delete"><BsTrash /></Button>
                                     </td>
                                 </tr>
                                 );
@@ -675,6 +1169,22 @@ const Dashboard = ({ transactions, budgetSettings, triggerReload, categories, re
                 </div>
             </Card.Body>
         </Card>
+
+        {/* The printable report is only visible when printing. */}
+        <div className="d-none d-print-block">
+            <PeriodReport
+                periodLabel={periodLabel}
+                balanceAtPeriodEnd={balanceAtPeriodEnd}
+                accountBalances={accountBalances}
+                totalSavingsPot={totalSavingsPot}
+                periodSummary={periodSummary}
+                incomeAllocation={incomeAllocation}
+                categoryTotals={periodData.categories}
+                envelopes={envelopes}
+                baseCurrency={baseCurrency}
+            />
+        </div>
+        </>
     );
 };
 
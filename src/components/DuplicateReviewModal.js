@@ -0,0 +1,110 @@
+// Import core React hooks and the Bootstrap components used by the dialog.
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Card, ListGroup, Badge } from 'react-bootstrap';
+// Import the icon used to mark transactions generated by a recurring schedule.
+import { BsClockHistory } from 'react-icons/bs';
+// Import the helper that formats an amount in its currency.
+import { formatMoney } from '../utils/currency';
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+// Formats a signed amount in its own currency, the same way as the Dashboard table (e.g., "-€15.00").
+const formatAmount = (amount, currency) => `${parseFloat(amount) < 0 ? '-' : '+'}${formatMoney(Math.abs(parseFloat(amount)), currency)}`;
+
+/**
+ * DuplicateReviewModal lists new transactions that look like ones already saved, and lets the user
+ * decide what to do with each: skip it, keep both, or merge it into the existing transaction.
+ * It is shared by TransactionForm (one item) and the CSV import (many items).
+ * @param {object} props - Component props.
+ * @param {boolean} props.show - Whether the dialog is visible.
+ * @param {Array} props.items - The flagged entries: [{ candidate, matches }], as returned by findDuplicates.
+ * @param {Function} props.onConfirm - Called with one decision per item: { action: 'skip'|'keep'|'merge', mergeWithId }.
+ * @param {Function} props.onCancel - Called when the dialog is closed without deciding.
+ */
+const DuplicateReviewModal = ({ show, items, onConfirm, onCancel }) => {
+    // One decision per flagged item. Skipping is the default, since double-counting is the problem we are preventing.
+    const [decisions, setDecisions] = useState([]);
+
+    // Reset the decisions whenever a new set of items is shown.
+    useEffect(() => {
+        setDecisions(items.map(item => ({ action: 'skip', mergeWithId: item.matches[0]?.transaction.id })));
+    }, [items]);
+
+    const updateDecision = (index, changes) => {
+        setDecisions(decisions.map((decision, i) => (i === index ? { ...decision, ...changes } : decision)));
+    };
+
+    // Apply the same action to every item at once, which is handy for large imports.
+    const setAllActions = (action) => setDecisions(decisions.map(decision => ({ ...decision, action })));
+
+    return (
+        <Modal show={show} onHide={onCancel} size="lg" centered scrollable>
+            <Modal.Header closeButton>
+                <Modal.Title>Possible Duplicate{items.length > 1 ? 's' : ''}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                <p className="text-muted">
+                    {items.length > 1 ? `${items.length} entries look` : 'This entry looks'} like transaction(s) that already exist
+                    (same amount, a date within a few days, and a similar description or a recurring schedule).
+                </p>
+                {items.length > 1 && (
+                    <div className="d-flex gap-2 mb-3">
+                        <span className="text-muted small align-self-center">Apply to all:</span>
+                        <Button variant="outline-secondary" size="sm" onClick={() => setAllActions('skip')}>Skip</Button>
+                        <Button variant="outline-secondary" size="sm" onClick={() => setAllActions('keep')}>Keep Both</Button>
+                        <Button variant="outline-secondary" size="sm" onClick={() => setAllActions('merge')}>Merge</Button>
+                    </div>
+                )}
+                {items.map((item, index) => {
+                    const decision = decisions[index] || { action: 'skip' };
+                    return (
+                        <Card key={index} className="mb-3">
+                            <Card.Header>
+                                <strong>New:</strong> {formatDate(item.candidate.transaction_date)} &middot; {item.candidate.description} &middot;{' '}
+                                <span className={parseFloat(item.candidate.amount) < 0 ? 'text-danger' : 'text-success'}>{formatAmount(item.candidate.amount, item.candidate.currency)}</span>
+                            </Card.Header>
+                            <ListGroup variant="flush">
+                                {item.matches.map(match => (
+                                    <ListGroup.Item key={match.transaction.id} className="small">
+                                        <span className="text-muted">Existing:</span> {formatDate(match.transaction.transaction_date)} &middot; {match.transaction.description} &middot; {formatAmount(match.transaction.amount, match.transaction.currency)}
+                                        {match.reason === 'recurring'
+                                            ? <Badge bg="info" className="ms-2"><BsClockHistory className="me-1" />Generated by a schedule</Badge>
+                                            : <Badge bg="secondary" className="ms-2">Similar description</Badge>}
+                                        {match.daysApart > 0 && <span className="text-muted ms-2">({match.daysApart} day{match.daysApart > 1 ? 's' : ''} apart)</span>}
+                                    </ListGroup.Item>
+                                ))}
+                            </ListGroup>
+                            <Card.Body className="py-2">
+                                <Form.Check inline type="radio" id={`dup-skip-${index}`} name={`dup-action-${index}`} label="Skip" checked={decision.action === 'skip'} onChange={() => updateDecision(index, { action: 'skip' })} />
+                                <Form.Check inline type="radio" id={`dup-keep-${index}`} name={`dup-action-${index}`} label="Keep both" checked={decision.action === 'keep'} onChange={() => updateDecision(index, { action: 'keep' })} />
+                                <Form.Check inline type="radio" id={`dup-merge-${index}`} name={`dup-action-${index}`} label="Merge into existing" checked={decision.action === 'merge'} onChange={() => updateDecision(index, { action: 'merge' })} />
+                                {/* When there are several matches, the user picks which one to merge into. */}
+                                {decision.action === 'merge' && item.matches.length > 1 && (
+                                    <Form.Select size="sm" className="mt-2" aria-label="Transaction to merge into" value={decision.mergeWithId} onChange={e => updateDecision(index, { mergeWithId: e.target.value })}>
+                                        {item.matches.map(match => (
+                                            <option key={match.transaction.id} value={match.transaction.id}>
+                                                {formatDate(match.transaction.transaction_date)} - {match.transaction.description}
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                )}
+                            </Card.Body>
+                        </Card>
+                    );
+                })}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+                <Button variant="primary" onClick={() => onConfirm(decisions)}>Confirm</Button>
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default DuplicateReviewModal;
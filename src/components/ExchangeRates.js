@@ -0,0 +1,321 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState, useMemo } from 'react';
+import { Card, Form, Button, Row, Col, Table, Modal, Alert, Badge } from 'react-bootstrap';
+// Import icons for the edit, delete and upload buttons.
+import { BsPencil, BsTrash, BsUpload } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import {
+    updateAppSettings, addExchangeRate, addExchangeRatesBulk, updateExchangeRate, deleteExchangeRate
+} from '../services/apiService';
+// Import the CSV helpers used by the rate import.
+import { parseCsv, parseAmount, parseDate, DATE_FORMATS } from '../utils/csv';
+import { COMMON_CURRENCIES } from '../utils/currency';
+
+// A reusable pagination component, also used in other parts of the application.
+const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
+    if (totalPages <= 1) return null;
+    return (
+        <div className="d-flex justify-content-center align-items-center mt-4">
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage - 1)} disabled={currentPage === 1} className="me-3">&laquo; Previous</Button>
+            <span className="text-muted small">Page {currentPage} of {totalPages}</span>
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage + 1)} disabled={currentPage === totalPages} className="ms-3">Next &raquo;</Button>
+        </div>
+    );
+};
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+// The header names accepted for each column of a rates CSV file (compared in lower case).
+const CSV_COLUMNS = {
+    date: ['date', 'rate_date'],
+    from: ['from', 'from_currency', 'currency'],
+    to: ['to', 'to_currency'],
+    rate: ['rate', 'value'],
+};
+
+// A 3-letter currency code, e.g. "USD".
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * @function parseRatesCsv
+ * @description Reads a rates CSV file with a header row. The columns are matched by name (see CSV_COLUMNS);
+ * the "to" column is optional and defaults to the base currency, so a file of "date,currency,rate" rows is enough.
+ * Dates may use any of the formats the transaction import understands.
+ * @param {string} text - The raw CSV text.
+ * @param {string} baseCurrency - The currency used when a row has no "to" column.
+ * @returns {{ rates: Array, errors: Array<string> }} The valid rates, and one message per rejected row.
+ */
+const parseRatesCsv = (text, baseCurrency) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const names = header.map(h => h.trim().toLowerCase());
+    const column = (key) => names.findIndex(name => CSV_COLUMNS[key].includes(name));
+    const index = { date: column('date'), from: column('from'), to: column('to'), rate: column('rate') };
+    if (index.date < 0 || index.from < 0 || index.rate < 0) {
+        return { rates: [], errors: ['The file needs a header row with "date", "currency" (or "from") and "rate" columns.'] };
+    }
+
+    const rates = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+        const line = i + 2; // +1 for the header, +1 because lines are counted from 1.
+        const rateDate = Object.keys(DATE_FORMATS).map(format => parseDate(row[index.date], format)).find(Boolean);
+        const from = String(row[index.from] || '').trim().toUpperCase();
+        const to = index.to >= 0 && row[index.to] ? String(row[index.to]).trim().toUpperCase() : baseCurrency;
+        const rate = parseAmount(row[index.rate]);
+        if (!rateDate) errors.push(`Line ${line}: the date "${row[index.date] || ''}" can't be read.`);
+        else if (!CURRENCY_CODE.test(from) || !CURRENCY_CODE.test(to)) errors.push(`Line ${line}: currencies must be 3-letter codes.`);
+        else if (from === to) errors.push(`Line ${line}: a rate needs two different currencies.`);
+        else if (!(rate > 0)) errors.push(`Line ${line}: the rate must be a positive number.`);
+        else rates.push({ rate_date: rateDate, from_currency: from, to_currency: to, rate });
+    });
+    return { rates, errors };
+};
+
+/**
+ * The ExchangeRates page ("Currencies") sets the base currency and maintains the exchange-rate table.
+ * Every summary, chart and budget target in the app is shown in the base currency; a transaction in another
+ * currency is converted with the rate for its date (or the closest earlier one). Rates are entered by hand
+ * or imported from a CSV file, so no external rate service is needed.
+ * @param {object} props - Component props.
+ * @param {Array} props.exchangeRates - The stored rates, newest first.
+ * @param {string} props.baseCurrency - The current base currency.
+ * @param {Object} props.currenciesInUse - How many transactions are recorded in each currency ({ EUR: 120, USD: 3 }),
+ * as counted by the summary endpoint.
+ * @param {Array} props.missingCurrencies - Currencies in use that have no rate into the base currency.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const ExchangeRates = ({ exchangeRates, baseCurrency, currenciesInUse = {}, missingCurrencies = [], onDataChanged }) => {
+    const emptyRate = { rate_date: new Date().toISOString().slice(0, 10), from_currency: '', to_currency: baseCurrency, rate: '' };
+
+    // --- STATE MANAGEMENT (useState) ---
+    const [selectedBase, setSelectedBase] = useState(baseCurrency);
+    const [newRate, setNewRate] = useState(emptyRate);
+    // The rate currently being edited in the modal, or null when not editing.
+    const [editingRate, setEditingRate] = useState(null);
+    // The result of reading a CSV file, waiting for the user to confirm the import.
+    const [csvPreview, setCsvPreview] = useState(null);
+    const [filterCurrency, setFilterCurrency] = useState('');
+    const [currentPage, setCurrentPage] = useState(1);
+    const itemsPerPage = 20;
+
+    // --- DERIVED STATE (useMemo) ---
+    // Every currency that appears in a transaction or a rate, for the dropdowns and the filter.
+    const knownCurrencies = useMemo(() => {
+        const codes = new Set([baseCurrency, ...COMMON_CURRENCIES]);
+        Object.keys(currenciesInUse).forEach(code => codes.add(code));
+        exchangeRates.forEach(r => { codes.add(r.from_currency); codes.add(r.to_currency); });
+        return Array.from(codes).sort();
+    }, [baseCurrency, currenciesInUse, exchangeRates]);
+
+    const { currentItems, totalPages } = useMemo(() => {
+        const filtered = filterCurrency
+            ? exchangeRates.filter(r => r.from_currency === filterCurrency || r.to_currency === filterCurrency)
+            : exchangeRates;
+        const indexOfLastItem = currentPage * itemsPerPage;
+        return {
+            currentItems: filtered.slice(indexOfLastItem - itemsPerPage, indexOfLastItem),
+            totalPages: Math.ceil(filtered.length / itemsPerPage)
+        };
+    }, [exchangeRates, filterCurrency, currentPage]);
+
+    // --- EVENT HANDLERS ---
+    // Runs a save call and reloads the app's data on success.
+    const runSave = async (saveAction, errorMessage) => {
+        try {
+            const data = await saveAction();
+            if (data.rezultat === "OK") {
+                onDataChanged();
+                return true;
+            }
+            alert("Error: " + data.rezultat);
+        } catch (error) {
+            console.error(errorMessage, error);
+            alert(errorMessage);
+        }
+        return false;
+    };
+
+    const handleSaveBase = async () => {
+        if (selectedBase === baseCurrency) return;
+        await runSave(() => updateAppSettings({ base_currency: selectedBase }), "An error occurred while saving the base currency.");
+    };
+
+    // Checks a rate entered in the add form or the edit modal. Returns an error message, or null if it is valid.
+    const validateRate = (rate) => {
+        const from = rate.from_currency.trim().toUpperCase();
+        const to = rate.to_currency.trim().toUpperCase();
+        if (!CURRENCY_CODE.test(from) || !CURRENCY_CODE.test(to)) return 'Currencies must be 3-letter codes (e.g., USD).';
+        if (from === to) return 'Please choose two different currencies.';
+        if (!(parseFloat(rate.rate) > 0)) return 'The rate must be a positive number.';
+        return null;
+    };
+
+    const handleAddRate = async (e) => {
+        e.preventDefault();
+        const error = validateRate(newRate);
+        if (error) { alert(error); return; }
+        if (await runSave(() => addExchangeRate(newRate), "An error occurred while adding the rate.")) {
+            setNewRate({ ...emptyRate, to_currency: newRate.to_currency, rate_date: newRate.rate_date });
+        }
+    };
+
+    const handleUpdateRate = async (e) => {
+        e.preventDefault();
+        const error = validateRate(editingRate);
+        if (error) { alert(error); return; }
+        if (await runSave(() => updateExchangeRate(editingRate), "An error occurred while updating the rate.")) {
+            setEditingRate(null);
+        }
+    };
+
+    const handleDeleteRate = async (id) => {
+        if (!window.confirm("Are you sure you want to delete this rate?")) return;
+        await runSave(() => deleteExchangeRate(id), "An error occurred while deleting the rate.");
+    };
+
+    const handleFileSelected = (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again.
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => setCsvPreview({ fileName: file.name, ...parseRatesCsv(reader.result, baseCurrency) });
+        reader.readAsText(file);
+    };
+
+    const handleImportCsv = async () => {
+        if (await runSave(() => addExchangeRatesBulk(csvPreview.rates), "An error occurred while importing the rates.")) {
+            setCsvPreview(null);
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Row>
+                {/* Base currency */}
+                <Col lg={5} className="mb-4">
+                    <Card className="h-100">
+                        <Card.Header as="h4">Base Currency</Card.Header>
+                        <Card.Body>
+                            <p className="text-muted">Balances, charts and budget targets are shown in this currency. Account opening balances are entered in it too.</p>
+                            <div className="d-flex gap-2 mb-3">
+                                <Form.Select id="base-currency" value={selectedBase} onChange={e => setSelectedBase(e.target.value)} style={{ maxWidth: '10rem' }}>
+                                    {knownCurrencies.map(code => <option key={code} value={code}>{code}</option>)}
+                                </Form.Select>
+                                <Button variant="primary" onClick={handleSaveBase} disabled={selectedBase === baseCurrency}>Save</Button>
+                            </div>
+                            <h6>Currencies in use</h6>
+                            {Object.entries(currenciesInUse).map(([code, count]) => (
+                                <Badge key={code} bg={missingCurrencies.includes(code) ? 'warning' : 'secondary'} text={missingCurrencies.includes(code) ? 'dark' : undefined} className="me-2">{code}: {count}</Badge>
+                            ))}
+                            {missingCurrencies.length > 0 && (
+                                <Alert variant="warning" className="mt-3 mb-0 small">
+                                    No rate into {baseCurrency} for {missingCurrencies.join(', ')}. Those transactions are counted 1:1 until a rate is added.
+                                </Alert>
+                            )}
+                        </Card.Body>
+                    </Card>
+                </Col>
+
+                {/* Add one rate, or import many from a CSV file */}
+                <Col lg={7} className="mb-4">
+                    <Card className="h-100">
+                        <Card.Header as="h4">Add Exchange Rate</Card.Header>
+                        <Card.Body>
+                            <Form onSubmit={handleAddRate}>
+                                <Row className="align-items-end g-2">
+                                    <Col md={3}><Form.Group><Form.Label htmlFor="new-rate-date">Date</Form.Label><Form.Control id="new-rate-date" type="date" value={newRate.rate_date} onChange={e => setNewRate({ ...newRate, rate_date: e.target.value })} required /></Form.Group></Col>
+                                    <Col md={2}><Form.Group><Form.Label htmlFor="new-rate-from">1 unit of</Form.Label><Form.Control id="new-rate-from" type="text" placeholder="USD" maxLength={3} list="known-currencies" value={newRate.from_currency} onChange={e => setNewRate({ ...newRate, from_currency: e.target.value.toUpperCase() })} required /></Form.Group></Col>
+                                    <Col md={3}><Form.Group><Form.Label htmlFor="new-rate-rate">equals</Form.Label><Form.Control id="new-rate-rate" type="number" step="any" min="0" placeholder="0.92" value={newRate.rate} onChange={e => setNewRate({ ...newRate, rate: e.target.value })} required /></Form.Group></Col>
+                                    <Col md={2}><Form.Group><Form.Label htmlFor="new-rate-to">of</Form.Label><Form.Control id="new-rate-to" type="text" maxLength={3} list="known-currencies" value={newRate.to_currency} onChange={e => setNewRate({ ...newRate, to_currency: e.target.value.toUpperCase() })} required /></Form.Group></Col>
+                                    <Col md={2}><Button variant="success" type="submit" className="w-100">Add</Button></Col>
+                                </Row>
+                                <datalist id="known-currencies">{knownCurrencies.map(code => <option key={code} value={code} />)}</datalist>
+                                <Form.Text muted>A rate for the same day and currencies replaces the existing one. A rate also converts in the opposite direction.</Form.Text>
+                            </Form>
+                            <hr />
+                            <h6>Import from CSV</h6>
+                            <p className="text-muted small mb-2">A header row with <code>date</code>, <code>currency</code> and <code>rate</code> columns, plus an optional <code>to</code> column (defaults to {baseCurrency}).</p>
+                            <Form.Label htmlFor="rates-file" className="btn btn-outline-primary btn-sm mb-0"><BsUpload className="me-1" /> Choose File</Form.Label>
+                            <Form.Control id="rates-file" type="file" accept=".csv,text/csv" onChange={handleFileSelected} className="d-none" />
+                            {csvPreview && (
+                                <Alert variant={csvPreview.rates.length > 0 ? 'info' : 'danger'} className="mt-3 mb-0" onClose={() => setCsvPreview(null)} dismissible>
+                                    <strong>{csvPreview.fileName}</strong>: {csvPreview.rates.length} valid rate(s), {csvPreview.errors.length} rejected.
+                                    {csvPreview.errors.length > 0 && (
+                                        <ul className="small mb-2 mt-1">
+                                            {csvPreview.errors.slice(0, 5).map(message => <li key={message}>{message}</li>)}
+                                            {csvPreview.errors.length > 5 && <li>… and {csvPreview.errors.length - 5} more.</li>}
+                                        </ul>
+                                    )}
+                                    {csvPreview.rates.length > 0 && <div><Button size="sm" variant="primary" onClick={handleImportCsv}>Import {csvPreview.rates.length} Rate(s)</Button></div>}
+                                </Alert>
+                            )}
+                        </Card.Body>
+                    </Card>
+                </Col>
+
+                {/* The stored rates */}
+                <Col md={12}>
+                    <Card>
+                        <Card.Header as="h4" className="d-flex justify-content-between align-items-center">
+                            Exchange Rates
+                            <Form.Select size="sm" value={filterCurrency} onChange={e => { setFilterCurrency(e.target.value); setCurrentPage(1); }} style={{ width: 'auto' }} aria-label="Filter by currency">
+                                <option value="">All currencies</option>
+                                {knownCurrencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </Form.Select>
+                        </Card.Header>
+                        <Card.Body>
+                            <Table striped bordered hover responsive size="sm">
+                                <thead><tr><th>Date</th><th>Rate</th><th>Actions</th></tr></thead>
+                                <tbody>
+                                    {currentItems.map(r => (
+                                        <tr key={r.id}>
+                                            <td>{formatDate(r.rate_date)}</td>
+                                            <td>1 {r.from_currency} = <strong>{parseFloat(r.rate)}</strong> {r.to_currency}</td>
+                                            <td>
+                                                <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setEditingRate(r)} title="Edit"><BsPencil /></Button>
+                                                <Button variant="outline-danger" size="sm" onClick={() => handleDeleteRate(r.id)} title="Delete"><BsTrash /></Button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {currentItems.length === 0 && <tr><td colSpan={3} className="text-center text-muted">No exchange rates yet.</td></tr>}
+                                </tbody>
+                            </Table>
+                            <ModernPagination totalPages={totalPages} currentPage={currentPage} onPageChange={setCurrentPage} />
+                        </Card.Body>
+                    </Card>
+                </Col>
+            </Row>
+
+            {/* The Edit Modal is only rendered while a rate is being edited. */}
+            {editingRate && (
+                <Modal show onHide={() => setEditingRate(null)} centered>
+                    <Modal.Header closeButton><Modal.Title>Edit Exchange Rate</Modal.Title></Modal.Header>
+                    <Modal.Body>
+                        <Form onSubmit={handleUpdateRate}>
+                            <Form.Group className="mb-3"><Form.Label htmlFor="edit-rate-date">Date</Form.Label><Form.Control id="edit-rate-date" type="date" value={editingRate.rate_date} onChange={e => setEditingRate({ ...editingRate, rate_date: e.target.value })} required /></Form.Group>
+                            <Row>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="edit-rate-from">1 unit of</Form.Label><Form.Control id="edit-rate-from" type="text" maxLength={3} value={editingRate.from_currency} onChange={e => setEditingRate({ ...editingRate, from_currency: e.target.value.toUpperCase() })} required /></Form.Group></Col>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="edit-rate-rate">equals</Form.Label><Form.Control id="edit-rate-rate" type="number" step="any" min="0" value={editingRate.rate} onChange={e => setEditingRate({ ...editingRate, rate: e.target.value })} required /></Form.Group></Col>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="edit-rate-to">of</Form.Label><Form.Control id="edit-rate-to" type="text" maxLength={3} value={editingRate.to_currency} onChange={e => setEditingRate({ ...editingRate, to_currency: e.target.value.toUpperCase() })} required /></Form.Group></Col>
+                            </Row>
+                            <div className="text-end mt-4">
+                                <Button variant="secondary" onClick={() => setEditingRate(null)} className="me-2">Cancel</Button>
+                                <Button variant="primary" type="submit">Save Changes</Button>
+                            </div>
+                        </Form>
+                    </Modal.Body>
+                </Modal>
+            )}
+        </>
+    );
+};
+
+export default ExchangeRates;
@@ -0,0 +1,221 @@
+/**
+ * @file Forecast.js
+ * @description This file contains the cash-flow forecast page.
+ * Key Features:
+ * - Projects the total balance 3 to 12 months ahead, starting from today's balance.
+ * - Applies every future occurrence of the recurring incomes and payments, with the same day-of-month
+ *   clamping, end dates and contract end dates as the recurring processors on the server.
+ * - Shows the projection day by day or month by month in a line chart, marking the dates where the balance goes negative.
+ */
+
+// Import core React hooks for state management and performance optimization.
+import React, { useState, useMemo } from 'react';
+// Import layout components from React Bootstrap.
+import { Card, Row, Col, Form, Table, Alert, Button } from 'react-bootstrap';
+// Import the Line chart and the Chart.js modules it needs.
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+
+// Import the forecast calculation and the currency formatter.
+import { buildForecast, FORECAST_HORIZONS } from '../utils/forecast';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+
+// The line chart needs scales, points and lines on top of what the Dashboard registers.
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// The color used for negative balances in the chart.
+const NEGATIVE_COLOR = '#dc3545';
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+// Formats a "YYYY-MM" month as e.g. "March 2025".
+const formatMonth = (month) => new Intl.DateTimeFormat('en-GB', { month: 'long', year: 'numeric' }).format(new Date(month + '-01T00:00:00'));
+
+// A reusable pagination component, also used in other parts of the application.
+const ModernPagination = ({ totalPages, currentPage, onPageChange }) => {
+    if (totalPages <= 1) return null;
+    return (
+        <div className="d-flex justify-content-center align-items-center mt-4">
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage - 1)} disabled={currentPage === 1} className="me-3">&laquo; Previous</Button>
+            <span className="text-muted small">Page {currentPage} of {totalPages}</span>
+            <Button variant="light" size="sm" onClick={() => onPageChange(currentPage + 1)} disabled={currentPage === totalPages} className="ms-3">Next &raquo;</Button>
+        </div>
+    );
+};
+
+/**
+ * @component Forecast
+ * @param {Object} props - The properties passed down to the component.
+ * @param {Array} props.transactions - The recent transactions loaded by App.js, with their base-currency amounts; only the
+ * ones dated after today are used.
+ * @param {number} props.balance - Today's total balance of all accounts, in the base currency.
+ * @param {Array} props.accounts - The accounts, for their opening balances.
+ * @param {Array} props.recurringIncomes - The recurring income schedules.
+ * @param {Array} props.recurringExpenses - The recurring expense schedules.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to convert foreign-currency schedules.
+ * @param {string} props.baseCurrency - The currency the forecast is shown in.
+ */
+const Forecast = ({ transactions, balance, accounts = [], recurringIncomes = [], recurringExpenses = [], exchangeRates = [], baseCurrency = DEFAULT_CURRENCY }) => {
+    // --- STATE MANAGEMENT ---
+    const [months, setMonths] = useState(6);
+    const [granularity, setGranularity] = useState('daily');
+    // A "what if" scenario: payments under contract stop as soon as their contract ends.
+    const [cancelAtContractEnd, setCancelAtContractEnd] = useState(false);
+    const [currentPage, setCurrentPage] = useState(1);
+    const itemsPerPage = 15;
+
+    // --- DERIVED STATE ---
+    const forecast = useMemo(() => buildForecast({
+        transactions, balance, accounts, recurringIncomes, recurringExpenses, exchangeRates, baseCurrency, months, cancelAtContractEnd
+    }), [transactions, balance, accounts, recurringIncomes, recurringExpenses, exchangeRates, baseCurrency, months, cancelAtContractEnd]);
+
+    // The points drawn in the chart. A monthly point is marked negative if the balance dips below zero at any time in that month.
+    const points = useMemo(() => (granularity === 'daily'
+        ? forecast.days.map(d => ({ label: formatDate(d.date), balance: d.balance, negative: d.balance < 0 }))
+        : forecast.months.map(m => ({ label: formatMonth(m.month), balance: m.endBalance, negative: m.lowestBalance < 0 }))
+    ), [forecast, granularity]);
+
+    const chartData = {
+        labels: points.map(p => p.label),
+        datasets: [
+            {
+                label: 'Projected balance',
+                data: points.map(p => p.balance),
+                borderColor: '#0d6efd',
+                backgroundColor: '#0d6efd',
+                // Negative points are drawn in red (daily points are otherwise hidden to keep the line readable).
+                pointRadius: points.map(p => (p.negative ? 4 : (granularity === 'daily' ? 0 : 3))),
+                pointBackgroundColor: points.map(p => (p.negative ? NEGATIVE_COLOR : '#0d6efd')),
+                pointBorderColor: points.map(p => (p.negative ? NEGATIVE_COLOR : '#0d6efd')),
+                segment: { borderColor: ctx => (ctx.p1.parsed.y < 0 ? NEGATIVE_COLOR : undefined) },
+                tension: 0.1,
+            },
+            {
+                label: 'Zero',
+                data: points.map(() => 0),
+                borderColor: '#adb5bd',
+                borderDash: [6, 6],
+                borderWidth: 1,
+                pointRadius: 0,
+            },
+        ],
+    };
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                filter: (item) => item.datasetIndex === 0,
+                callbacks: { label: (context) => `Balance: ${formatMoney(context.parsed.y, baseCurrency)}` },
+            },
+        },
+        scales: {
+            x: { ticks: { maxTicksLimit: 12 } },
+            y: { ticks: { callback: (value) => formatMoney(value, baseCurrency) } },
+        },
+    };
+
+    // Every projected transaction, in date order, with the balance after its day.
+    const upcoming = useMemo(() => forecast.days.flatMap(d => d.events.map(event => ({ ...event, date: d.date, balanceAfter: d.balance }))), [forecast]);
+    const totalPages = Math.ceil(upcoming.length / itemsPerPage);
+    const currentItems = upcoming.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
+    const firstNegative = forecast.negativeDays[0];
+
+    // --- JSX RENDERING ---
+    return (
+        <Card className="shadow-sm">
+            <Card.Header as="h3">Cash-Flow Forecast</Card.Header>
+            <Card.Body>
+                {/* Forecast controls */}
+                <Row className="g-3 align-items-center mb-3">
+                    <Col xs="auto">
+                        <Form.Label htmlFor="forecastMonths" className="mb-0 fw-bold">Horizon:</Form.Label>
+                    </Col>
+                    <Col xs="auto">
+                        <Form.Select id="forecastMonths" size="sm" value={months} onChange={e => { setMonths(Number(e.target.value)); setCurrentPage(1); }}>
+                            {FORECAST_HORIZONS.map(m => <option key={m} value={m}>{m} months</option>)}
+                        </Form.Select>
+                    </Col>
+                    <Col xs="auto">
+                        <Form.Select id="forecastGranularity" size="sm" value={granularity} onChange={e => setGranularity(e.target.value)} aria-label="Granularity">
+                            <option value="daily">Daily</option>
+                            <option value="monthly">Monthly</option>
+                        </Form.Select>
+                    </Col>
+                    <Col xs="auto">
+                        <Form.Check type="switch" id="forecastContracts" label="Cancel payments when their contract ends" checked={cancelAtContractEnd} onChange={e => setCancelAtContractEnd(e.target.checked)} />
+                    </Col>
+                </Row>
+
+                {/* Summary cards */}
+                <Row className="g-3 mb-3">
+                    <Col md={3}><Card body className="text-center h-100"><h6 className="text-muted">Balance Today</h6><p className={`fs-5 fw-bold mb-0 ${forecast.startBalance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(forecast.startBalance, baseCurrency)}</p></Card></Col>
+                    <Col md={3}><Card body className="text-center h-100"><h6 className="text-muted">In {months} Months</h6><p className={`fs-5 fw-bold mb-0 ${forecast.endBalance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(forecast.endBalance, baseCurrency)}</p></Card></Col>
+                    <Col md={3}><Card body className="text-center h-100"><h6 className="text-muted">Lowest Balance</h6><p className={`fs-5 fw-bold mb-0 ${forecast.lowest.balance >= 0 ? 'text-success' : 'text-danger'}`}>{formatMoney(forecast.lowest.balance, baseCurrency)}</p><small className="text-muted">{formatDate(forecast.lowest.date)}</small></Card></Col>
+                    <Col md={3}><Card body className="text-center h-100"><h6 className="text-muted">Days Below Zero</h6><p className={`fs-5 fw-bold mb-0 ${forecast.negativeDays.length > 0 ? 'text-danger' : 'text-success'}`}>{forecast.negativeDays.length}</p></Card></Col>
+                </Row>
+
+                {firstNegative ? (
+                    <Alert variant="danger">
+                        The balance is projected to go below zero on <strong>{formatDate(firstNegative.date)}</strong> ({formatMoney(firstNegative.balance, baseCurrency)}).
+                        {forecast.lowest.date !== firstNegative.date && <> The lowest point is {formatMoney(forecast.lowest.balance, baseCurrency)} on {formatDate(forecast.lowest.date)}.</>}
+                    </Alert>
+                ) : (
+                    <Alert variant="success">The balance stays above zero for the next {months} months.</Alert>
+                )}
+
+                {/* The projection chart */}
+                <div style={{ height: '350px' }} className="mb-4">
+                    <Line data={chartData} options={chartOptions} />
+                </div>
+
+                {/* Month-by-month summary */}
+                <h5>Monthly Summary</h5>
+                <Table striped bordered hover responsive size="sm" className="mb-4">
+                    <thead><tr><th>Month</th><th className="text-end">Scheduled In</th><th className="text-end">Scheduled Out</th><th className="text-end">Lowest Balance</th><th className="text-end">End Balance</th></tr></thead>
+                    <tbody>
+                        {forecast.months.map(m => (
+                            <tr key={m.month} className={m.lowestBalance < 0 ? 'table-danger' : ''}>
+                                <td>{formatMonth(m.month)}</td>
+                                <td className="text-end text-success">{formatMoney(m.income, baseCurrency)}</td>
+                                <td className="text-end text-danger">{formatMoney(m.expenses, baseCurrency)}</td>
+                                <td className="text-end">{formatMoney(m.lowestBalance, baseCurrency)} <small className="text-muted">({formatDate(m.lowestDate)})</small></td>
+                                <td className="text-end fw-bold">{formatMoney(m.endBalance, baseCurrency)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+
+                {/* Every projected transaction */}
+                <h5>Projected Transactions</h5>
+                <Table striped hover responsive size="sm">
+                    <thead><tr><th>Date</th><th>Description</th><th>Source</th><th className="text-end">Amount</th><th className="text-end">Balance After</th></tr></thead>
+                    <tbody>
+                        {currentItems.map((item, index) => (
+                            <tr key={`${item.date}-${index}`}>
+                                <td>{formatDate(item.date)}</td>
+                                <td>{item.description}</td>
+                                <td className="text-muted small">{item.source === 'transaction' ? 'Future-dated transaction' : (item.source === 'income' ? 'Scheduled income' : 'Scheduled payment')}</td>
+                                <td className={`text-end ${item.amount >= 0 ? 'text-success' : 'text-danger'}`}>{item.amount >= 0 ? '+' : '-'}{formatMoney(Math.abs(item.amount), baseCurrency)}</td>
+                                <td className={`text-end ${item.balanceAfter >= 0 ? '' : 'text-danger fw-bold'}`}>{formatMoney(item.balanceAfter, baseCurrency)}</td>
+                            </tr>
+                        ))}
+                        {upcoming.length === 0 && <tr><td colSpan={5} className="text-center text-muted">Nothing is scheduled in this period.</td></tr>}
+                    </tbody>
+                </Table>
+                <ModernPagination totalPages={totalPages} currentPage={currentPage} onPageChange={setCurrentPage} />
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default Forecast;
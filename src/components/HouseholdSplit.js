@@ -0,0 +1,113 @@
+// Import core React and the Bootstrap components used by the split editor.
+import React from 'react';
+import { Form, Row, Col, InputGroup, ButtonGroup, ToggleButton } from 'react-bootstrap';
+
+// Import the split helpers and the money formatter.
+import { canContribute, defaultShares, buildSplits } from '../utils/households';
+import { formatMoney } from '../utils/currency';
+
+/**
+ * HouseholdSplit is the part of TransactionForm that shares an expense with a household. The expense stays in the
+ * user's own tracker; the split says how much of it each member owes, either by percentage or by fixed amounts.
+ * Only households the user can contribute to (as an owner or member) are offered.
+ * @param {object} props - Component props.
+ * @param {Array} props.households - The user's households, with their members.
+ * @param {object|null} props.split - { household_id, mode: 'percent' | 'fixed', shares: { [user_id]: string } }, or null when not shared.
+ * @param {Function} props.onChange - Called with the new split, or null to stop sharing.
+ * @param {string} props.amount - The amount entered in the form.
+ * @param {string} props.currency - The currency of the amount.
+ */
+const HouseholdSplit = ({ households, split, onChange, amount, currency }) => {
+    const options = households.filter(canContribute);
+    const household = split ? households.find(h => String(h.id) === String(split.household_id)) : null;
+    const total = Math.abs(parseFloat(amount)) || 0;
+
+    // --- EVENT HANDLERS ---
+    const startSplit = (householdId) => {
+        const chosen = households.find(h => String(h.id) === String(householdId));
+        onChange(chosen ? { household_id: chosen.id, mode: 'percent', shares: defaultShares(chosen.members) } : null);
+    };
+
+    // Switching between percentages and amounts converts what was entered, so nothing has to be typed again.
+    const changeMode = (mode) => {
+        const shares = {};
+        Object.entries(split.shares).forEach(([userId, value]) => {
+            const number = parseFloat(value) || 0;
+            const converted = mode === 'fixed' ? total * number / 100 : (total > 0 ? number / total * 100 : 0);
+            shares[userId] = String(Math.round(converted * 100) / 100);
+        });
+        onChange({ ...split, mode, shares });
+    };
+
+    const changeShare = (userId, value) => {
+        onChange({ ...split, shares: { ...split.shares, [userId]: value } });
+    };
+
+    // --- JSX RENDERING ---
+    if (options.length === 0 && !household) return null;
+
+    const { splits, error } = split ? buildSplits(total, split.mode, split.shares) : { splits: [], error: null };
+
+    return (
+        <div className="border rounded p-3 mb-3">
+            <Form.Check
+                type="switch"
+                id="formSplitToggle"
+                label="Split with a household"
+                checked={Boolean(split)}
+                onChange={(e) => (e.target.checked ? startSplit(options[0] && options[0].id) : onChange(null))}
+                disabled={options.length === 0}
+            />
+            {split && household && (
+                <>
+                    <Row className="mt-3 mb-2 g-2 align-items-end">
+                        <Form.Group as={Col} md={6} controlId="formSplitHousehold">
+                            <Form.Label>Household</Form.Label>
+                            <Form.Select value={split.household_id} onChange={(e) => startSplit(e.target.value)}>
+                                {options.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                        <Col md={6}>
+                            <ButtonGroup className="w-100">
+                                {[['percent', 'By percentage'], ['fixed', 'By amount']].map(([value, label]) => (
+                                    <ToggleButton key={value} id={`split-mode-${value}`} type="radio" variant="outline-secondary" value={value} checked={split.mode === value} onChange={() => changeMode(value)}>
+                                        {label}
+                                    </ToggleButton>
+                                ))}
+                            </ButtonGroup>
+                        </Col>
+                    </Row>
+                    {household.members.map(member => {
+                        const share = splits.find(s => String(s.user_id) === String(member.user_id));
+                        return (
+                            <Row key={member.user_id} className="g-2 mb-2 align-items-center">
+                                <Col xs={5}>{member.name}</Col>
+                                <Col xs={4}>
+                                    <InputGroup size="sm">
+                                        <Form.Control
+                                            type="number"
+                                            step="0.01"
+                                            min="0"
+                                            value={split.shares[member.user_id] || ''}
+                                            onChange={(e) => changeShare(member.user_id, e.target.value)}
+                                            aria-label={`Share of ${member.name}`}
+                                        />
+                                        <InputGroup.Text>{split.mode === 'percent' ? '%' : currency}</InputGroup.Text>
+                                    </InputGroup>
+                                </Col>
+                                <Col xs={3} className="text-end text-muted small">
+                                    {split.mode === 'percent' && share ? formatMoney(share.amount, currency) : ''}
+                                </Col>
+                            </Row>
+                        );
+                    })}
+                    {error
+                        ? <Form.Text className="text-danger">{error}</Form.Text>
+                        : <Form.Text muted>Everyone else owes you their share; settle up on the Household page.</Form.Text>}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default HouseholdSplit;
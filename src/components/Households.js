@@ -0,0 +1,413 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, Form, Button, Row, Col, Table, Badge, Modal, InputGroup } from 'react-bootstrap';
+// Import icons for the edit, delete and leave buttons.
+import { BsPencil, BsTrash, BsBoxArrowRight } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import {
+    addHousehold, updateHousehold, deleteHousehold, getHouseholdLedger,
+    addHouseholdMember, updateHouseholdMember, removeHouseholdMember, addSettlement, deleteSettlement
+} from '../services/apiService';
+// Import the household helpers and the money formatter.
+import { HOUSEHOLD_ROLES, canContribute, computeBalances, suggestSettlements } from '../utils/households';
+import { formatMoney } from '../utils/currency';
+import { toDateString } from '../utils/forecast';
+
+// How each role is shown.
+const ROLE_BADGES = { owner: 'primary', member: 'success', viewer: 'secondary' };
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'short', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+/**
+ * The Households component manages shared ledgers: a household groups several users who split expenses, such as
+ * flatmates or a couple. Expenses are shared from the transaction form; this page shows the household's shared
+ * expenses, what everyone is owed or owes ("who owes whom"), and records settle-ups. Owners manage the members,
+ * their roles and the default split; members add expenses and settle-ups; viewers can only read.
+ * @param {object} props - Component props.
+ * @param {Array} props.households - The user's households, with their members, passed down from App.js.
+ * @param {object} props.currentUser - The logged-in user.
+ * @param {string} props.baseCurrency - The currency a new settle-up starts in.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const Households = ({ households, currentUser, baseCurrency, onDataChanged }) => {
+    // --- STATE MANAGEMENT (useState) ---
+    const [selectedId, setSelectedId] = useState(null);
+    const [newName, setNewName] = useState('');
+    // The selected household's shared expenses and settle-ups.
+    const [ledger, setLedger] = useState({ expenses: [], settlements: [] });
+    const [newMember, setNewMember] = useState({ email: '', role: 'member' });
+    const [settleUp, setSettleUp] = useState(null);
+    // The household being edited in the modal ({ id, name, default_shares }), or null when the modal is closed.
+    const [editing, setEditing] = useState(null);
+
+    // The selected household; the first one until the user picks another.
+    const household = households.find(h => h.id === selectedId) || households[0] || null;
+    const householdId = household ? household.id : null;
+    const isOwner = Boolean(household) && household.my_role === 'owner';
+    const contributes = Boolean(household) && canContribute(household);
+
+    // --- DATA FETCHING (useEffect) ---
+    // The ledger is reloaded when another household is picked and after every change (which reloads `households`).
+    useEffect(() => {
+        if (!householdId) return;
+        let isCurrent = true;
+        getHouseholdLedger(householdId)
+            .then(data => { if (isCurrent) setLedger(data); })
+            .catch(err => console.error("Failed to load the household ledger:", err));
+        return () => { isCurrent = false; };
+    }, [householdId, households]);
+
+    // --- DERIVED STATE (useMemo) ---
+    const balances = useMemo(() => computeBalances(ledger), [ledger]);
+
+    // --- EVENT HANDLERS ---
+    // Every change goes through here: the API answers { rezultat: "OK" } or an error message.
+    const save = async (action, failure) => {
+        try {
+            const data = await action();
+            if (data.rezultat === "OK") {
+                onDataChanged();
+                return data;
+            }
+            alert("Error: " + data.rezultat);
+        } catch (error) {
+            console.error(failure, error);
+            alert("An error occurred. " + failure);
+        }
+        return null;
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const data = await save(() => addHousehold({ name: newName }), "Failed to create the household.");
+        if (data) {
+            setNewName('');
+            setSelectedId(data.id);
+        }
+    };
+
+    const handleSaveHousehold = async (e) => {
+        e.preventDefault();
+        const shares = Object.values(editing.default_shares).filter(v => v !== '');
+        const sum = shares.reduce((acc, v) => acc + (parseFloat(v) || 0), 0);
+        if (shares.length > 0 && Math.abs(sum - 100) > 0.01) {
+            alert('The default split must add up to 100%, or be left empty for an equal split.');
+            return;
+        }
+        const defaultShares = {};
+        Object.entries(editing.default_shares).forEach(([userId, value]) => { if (value !== '') defaultShares[userId] = parseFloat(value); });
+        if (await save(() => updateHousehold({ id: editing.id, name: editing.name, default_shares: defaultShares }), "Failed to update the household.")) {
+            setEditing(null);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the household "${household.name}"? Its expenses stay in everyone's tracker, but they are no longer shared and its settle-ups are deleted.`)) return;
+        if (await save(() => deleteHousehold(household.id), "Failed to delete the household.")) setSelectedId(null);
+    };
+
+    const handleAddMember = async (e) => {
+        e.preventDefault();
+        if (await save(() => addHouseholdMember(household.id, newMember.email, newMember.role), "Failed to add the member.")) {
+            setNewMember({ email: '', role: 'member' });
+        }
+    };
+
+    const handleRemoveMember = async (member) => {
+        const leaving = String(member.user_id) === String(currentUser.id);
+        const question = leaving ? `Leave "${household.name}"?` : `Remove ${member.name} from "${household.name}"?`;
+        if (!window.confirm(question)) return;
+        if (await save(() => removeHouseholdMember(household.id, member.user_id), "Failed to remove the member.") && leaving) setSelectedId(null);
+    };
+
+    const handleSettle = async (e) => {
+        e.preventDefault();
+        if (await save(() => addSettlement({ ...settleUp, household_id: household.id }), "Failed to record the settle-up.")) setSettleUp(null);
+    };
+
+    const handleDeleteSettlement = async (id) => {
+        if (!window.confirm("Delete this settle-up?")) return;
+        await save(() => deleteSettlement(id), "Failed to delete the settle-up.");
+    };
+
+    // Opens the settle-up modal, pre-filled from a suggested payment or for the user paying someone else.
+    const openSettleUp = (payment, currency) => {
+        const other = household.members.find(m => String(m.user_id) !== String(currentUser.id));
+        setSettleUp({
+            from_user_id: payment ? payment.from_user_id : currentUser.id,
+            to_user_id: payment ? payment.to_user_id : (other ? other.user_id : ''),
+            amount: payment ? String(payment.amount) : '',
+            currency: currency || baseCurrency,
+            settled_on: toDateString(new Date()),
+            note: '',
+        });
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Card className="mb-4">
+                <Card.Header as="h4">Households</Card.Header>
+                <Card.Body>
+                    <p className="text-muted">
+                        Share a ledger with the people you split costs with. Split an expense with a household on the transaction form;
+                        it stays in your own tracker, and the others owe you their share until they settle up.
+                    </p>
+                    <Row className="g-2 align-items-end">
+                        {households.length > 0 && (
+                            <Form.Group as={Col} md={6} controlId="householdSelect">
+                                <Form.Label>Household</Form.Label>
+                                <Form.Select value={householdId || ''} onChange={(e) => setSelectedId(parseInt(e.target.value))}>
+                                    {households.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                                </Form.Select>
+                            </Form.Group>
+                        )}
+                        <Col md={6}>
+                            <Form onSubmit={handleCreate}>
+                                <Form.Label htmlFor="household-name">New household</Form.Label>
+                                <InputGroup>
+                                    <Form.Control id="household-name" type="text" placeholder="e.g., Flat on Main Street" value={newName} onChange={(e) => setNewName(e.target.value)} required />
+                                    <Button type="submit" variant="success">Create</Button>
+                                </InputGroup>
+                            </Form>
+                        </Col>
+                    </Row>
+                </Card.Body>
+            </Card>
+
+            {!household && <p className="text-center text-muted">You aren't part of any household yet. Create one, or ask an owner to add you by your email.</p>}
+
+            {household && (
+                <>
+                    <Card className="mb-4">
+                        <Card.Header className="d-flex justify-content-between align-items-center">
+                            <h5 className="mb-0">
+                                {household.name}
+                                <Badge bg={ROLE_BADGES[household.my_role]} className="ms-2 fw-normal">{HOUSEHOLD_ROLES.find(r => r.value === household.my_role).label}</Badge>
+                            </h5>
+                            {isOwner && (
+                                <div className="text-nowrap">
+                                    <Button variant="outline-primary" size="sm" className="me-2" title="Edit" onClick={() => setEditing({
+                                        id: household.id,
+                                        name: household.name,
+                                        default_shares: household.members.reduce((acc, m) => ({ ...acc, [m.user_id]: m.default_share !== null ? String(parseFloat(m.default_share)) : '' }), {}),
+                                    })}><BsPencil /></Button>
+                                    <Button variant="outline-danger" size="sm" title="Delete" onClick={handleDelete}><BsTrash /></Button>
+                                </div>
+                            )}
+                        </Card.Header>
+                        <Card.Body>
+                            <Table responsive hover size="sm">
+                                <thead><tr><th>Member</th><th>Email</th><th>Role</th><th className="text-end">Default split</th><th></th></tr></thead>
+                                <tbody>
+                                    {household.members.map(member => {
+                                        const isMe = String(member.user_id) === String(currentUser.id);
+                                        return (
+                                            <tr key={member.user_id}>
+                                                <td>{member.name}{isMe && <span className="text-muted"> (you)</span>}</td>
+                                                <td>{member.email}</td>
+                                                <td>
+                                                    {isOwner ? (
+                                                        <Form.Select size="sm" value={member.role} aria-label={`Role of ${member.name}`} onChange={(e) => save(() => updateHouseholdMember(household.id, member.user_id, e.target.value), "Failed to change the role.")}>
+                                                            {HOUSEHOLD_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                                        </Form.Select>
+                                                    ) : <Badge bg={ROLE_BADGES[member.role]}>{HOUSEHOLD_ROLES.find(r => r.value === member.role).label}</Badge>}
+                                                </td>
+                                                <td className="text-end">{member.default_share !== null ? `${parseFloat(member.default_share)}%` : <span className="text-muted">equal</span>}</td>
+                                                <td className="text-end">
+                                                    {(isOwner || isMe) && (
+                                                        <Button variant="outline-danger" size="sm" title={isMe ? 'Leave' : 'Remove'} onClick={() => handleRemoveMember(member)}>
+                                                            {isMe ? <BsBoxArrowRight /> : <BsTrash />}
+                                                        </Button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </Table>
+                            {isOwner && (
+                                <Form onSubmit={handleAddMember}>
+                                    <Row className="g-2">
+                                        <Col md={6}><Form.Control type="email" placeholder="Email of a registered user" aria-label="Member email" value={newMember.email} onChange={(e) => setNewMember({ ...newMember, email: e.target.value })} required /></Col>
+                                        <Col md={3}>
+                                            <Form.Select aria-label="Member role" value={newMember.role} onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}>
+                                                {HOUSEHOLD_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                            </Form.Select>
+                                        </Col>
+                                        <Col md={3}><Button type="submit" variant="primary" className="w-100">Add Member</Button></Col>
+                                    </Row>
+                                    <Form.Text muted>{HOUSEHOLD_ROLES.map(r => `${r.label}: ${r.description}`).join(' ')}</Form.Text>
+                                </Form>
+                            )}
+                        </Card.Body>
+                    </Card>
+
+                    <Card className="mb-4">
+                        <Card.Header className="d-flex justify-content-between align-items-center">
+                            <h5 className="mb-0">Who Owes Whom</h5>
+                            {contributes && household.members.length > 1 && <Button variant="success" size="sm" onClick={() => openSettleUp(null)}>Record Settle-Up</Button>}
+                        </Card.Header>
+                        <Card.Body>
+                            {Object.keys(balances).length === 0 && <p className="text-center text-muted mb-0">Nothing is owed yet.</p>}
+                            {Object.entries(balances).map(([currency, people]) => {
+                                const payments = suggestSettlements(people);
+                                return (
+                                    <Row key={currency} className="mb-3">
+                                        <Col md={6}>
+                                            <h6>Balances in {currency}</h6>
+                                            <ul className="list-unstyled">
+                                                {people.map(p => (
+                                                    <li key={p.user_id} className="d-flex justify-content-between">
+                                                        <span>{p.name}</span>
+                                                        <span className={p.balance > 0.005 ? 'text-success' : p.balance < -0.005 ? 'text-danger' : 'text-muted'}>
+                                                            {p.balance > 0.005 ? 'is owed ' : p.balance < -0.005 ? 'owes ' : ''}{formatMoney(Math.abs(p.balance), currency)}
+                                                        </span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </Col>
+                                        <Col md={6}>
+                                            <h6>To settle up</h6>
+                                            {payments.length === 0 && <p className="text-muted">Everyone is even.</p>}
+                                            <ul className="list-unstyled">
+                                                {payments.map(p => (
+                                                    <li key={`${p.from_user_id}-${p.to_user_id}`} className="d-flex justify-content-between align-items-center mb-1">
+                                                        <span><strong>{p.from_name}</strong> pays <strong>{p.to_name}</strong> {formatMoney(p.amount, currency)}</span>
+                                                        {contributes && <Button variant="outline-success" size="sm" onClick={() => openSettleUp(p, currency)}>Record</Button>}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </Col>
+                                    </Row>
+                                );
+                            })}
+                        </Card.Body>
+                    </Card>
+
+                    <Row>
+                        <Col lg={7} className="mb-4">
+                            <Card className="h-100">
+                                <Card.Header as="h5">Shared Expenses</Card.Header>
+                                <Card.Body>
+                                    <Table responsive hover size="sm">
+                                        <thead><tr><th>Date</th><th>Description</th><th>Paid by</th><th className="text-end">Amount</th><th>Split</th></tr></thead>
+                                        <tbody>
+                                            {ledger.expenses.map(expense => (
+                                                <tr key={expense.id}>
+                                                    <td className="text-nowrap">{formatDate(expense.transaction_date)}</td>
+                                                    <td>{expense.description}</td>
+                                                    <td>{expense.paid_by_name}</td>
+                                                    <td className="text-end text-nowrap">{formatMoney(expense.amount, expense.currency)}</td>
+                                                    <td className="small">
+                                                        {expense.splits.map(s => (
+                                                            <div key={s.user_id}>{s.name}: {formatMoney(s.amount, expense.currency)}{s.percent !== null && <span className="text-muted"> ({parseFloat(s.percent)}%)</span>}</div>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                            {ledger.expenses.length === 0 && <tr><td colSpan="5" className="text-center text-muted">No shared expenses yet.</td></tr>}
+                                        </tbody>
+                                    </Table>
+                                </Card.Body>
+                            </Card>
+                        </Col>
+                        <Col lg={5} className="mb-4">
+                            <Card className="h-100">
+                                <Card.Header as="h5">Settle-Ups</Card.Header>
+                                <Card.Body>
+                                    <Table responsive hover size="sm">
+                                        <thead><tr><th>Date</th><th>Who paid whom</th><th className="text-end">Amount</th><th></th></tr></thead>
+                                        <tbody>
+                                            {ledger.settlements.map(s => (
+                                                <tr key={s.id}>
+                                                    <td className="text-nowrap">{formatDate(s.settled_on)}</td>
+                                                    <td>{s.from_name} → {s.to_name}{s.note && <div className="small text-muted">{s.note}</div>}</td>
+                                                    <td className="text-end text-nowrap">{formatMoney(s.amount, s.currency)}</td>
+                                                    <td className="text-end">
+                                                        {contributes && <Button variant="outline-danger" size="sm" title="Delete" onClick={() => handleDeleteSettlement(s.id)}><BsTrash /></Button>}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                            {ledger.settlements.length === 0 && <tr><td colSpan="4" className="text-center text-muted">No settle-ups yet.</td></tr>}
+                                        </tbody>
+                                    </Table>
+                                </Card.Body>
+                            </Card>
+                        </Col>
+                    </Row>
+                </>
+            )}
+
+            {/* The settle-up modal is only rendered while a settle-up is being recorded. */}
+            {settleUp && (
+                <Modal show onHide={() => setSettleUp(null)} centered>
+                    <Modal.Header closeButton><Modal.Title>Record Settle-Up</Modal.Title></Modal.Header>
+                    <Modal.Body>
+                        <Form onSubmit={handleSettle}>
+                            <Row>
+                                <Col><Form.Group className="mb-3" controlId="settle-from"><Form.Label>Paid by</Form.Label>
+                                    <Form.Select value={settleUp.from_user_id} onChange={(e) => setSettleUp({ ...settleUp, from_user_id: parseInt(e.target.value) })}>
+                                        {household.members.map(m => <option key={m.user_id} value={m.user_id}>{m.name}</option>)}
+                                    </Form.Select>
+                                </Form.Group></Col>
+                                <Col><Form.Group className="mb-3" controlId="settle-to"><Form.Label>Paid to</Form.Label>
+                                    <Form.Select value={settleUp.to_user_id} onChange={(e) => setSettleUp({ ...settleUp, to_user_id: parseInt(e.target.value) })}>
+                                        {household.members.map(m => <option key={m.user_id} value={m.user_id}>{m.name}</option>)}
+                                    </Form.Select>
+                                </Form.Group></Col>
+                            </Row>
+                            <Row>
+                                <Col><Form.Group className="mb-3" controlId="settle-amount"><Form.Label>Amount</Form.Label>
+                                    <InputGroup>
+                                        <Form.Control type="number" step="0.01" min="0.01" value={settleUp.amount} onChange={(e) => setSettleUp({ ...settleUp, amount: e.target.value })} required />
+                                        <Form.Control style={{ maxWidth: '5rem' }} aria-label="Currency" maxLength={3} value={settleUp.currency} onChange={(e) => setSettleUp({ ...settleUp, currency: e.target.value.toUpperCase() })} required />
+                                    </InputGroup>
+                                </Form.Group></Col>
+                                <Col><Form.Group className="mb-3" controlId="settle-date"><Form.Label>Date</Form.Label><Form.Control type="date" value={settleUp.settled_on} onChange={(e) => setSettleUp({ ...settleUp, settled_on: e.target.value })} required /></Form.Group></Col>
+                            </Row>
+                            <Form.Group className="mb-3" controlId="settle-note"><Form.Label>Note (optional)</Form.Label><Form.Control type="text" value={settleUp.note} onChange={(e) => setSettleUp({ ...settleUp, note: e.target.value })} /></Form.Group>
+                            <Form.Text muted className="d-block mb-3">Record the payment after it is made, e.g. by bank transfer; nothing is moved here.</Form.Text>
+                            <Button variant="primary" type="submit">Save</Button>
+                        </Form>
+                    </Modal.Body>
+                </Modal>
+            )}
+
+            {/* The household modal lets owners rename the household and set the split new expenses start with. */}
+            {editing && (
+                <Modal show onHide={() => setEditing(null)} centered>
+                    <Modal.Header closeButton><Modal.Title>Edit Household</Modal.Title></Modal.Header>
+                    <Modal.Body>
+                        <Form onSubmit={handleSaveHousehold}>
+                            <Form.Group className="mb-3" controlId="edit-household-name"><Form.Label>Name</Form.Label><Form.Control type="text" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} required /></Form.Group>
+                            <Form.Label>Default split</Form.Label>
+                            {household.members.map(m => (
+                                <Row key={m.user_id} className="g-2 mb-2 align-items-center">
+                                    <Col xs={7}>{m.name}</Col>
+                                    <Col xs={5}>
+                                        <InputGroup size="sm">
+                                            <Form.Control type="number" step="0.01" min="0" max="100" aria-label={`Default share of ${m.name}`} value={editing.default_shares[m.user_id] ?? ''} onChange={(e) => setEditing({ ...editing, default_shares: { ...editing.default_shares, [m.user_id]: e.target.value } })} />
+                                            <InputGroup.Text>%</InputGroup.Text>
+                                        </InputGroup>
+                                    </Col>
+                                </Row>
+                            ))}
+                            <Form.Text muted className="d-block mb-3">Leave every share empty to split new expenses equally.</Form.Text>
+                            <Button variant="primary" type="submit">Save</Button>
+                        </Form>
+                    </Modal.Body>
+                </Modal>
+            )}
+        </>
+    );
+};
+
+export default Households;
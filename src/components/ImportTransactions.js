@@ -0,0 +1,625 @@
+/**
+ * @file ImportTransactions.js
+ * @description This file contains the CSV bank-statement import wizard.
+ * Key Features:
+ * - Parses a CSV file entirely in the browser (no upload to the server until the final import).
+ * - Lets the user map the file's columns to date, description, amount and (optionally) category.
+ * - Previews every row with validation errors before anything is saved.
+ * - Flags rows that look like existing transactions and lets the user skip, keep or merge them.
+ * - Applies the auto-categorization rules to rows the file doesn't categorize.
+ * - Books every row in the statement's currency, which defaults to the base currency.
+ * - Creates all selected rows with a single bulk request through the apiService.
+ * - Saves each bank's column mapping as a reusable import profile, so the next import is one click.
+ */
+
+// Import core React hooks for state management, side effects and performance optimization.
+import React, { useState, useEffect, useMemo } from 'react';
+// Import layout components from React Bootstrap.
+import { Card, Form, Button, Row, Col, Table, Badge, Alert, InputGroup } from 'react-bootstrap';
+// Import the navigation hook to return to the dashboard after a successful import.
+import { useNavigate } from 'react-router-dom';
+// Import icons for the file upload and profile actions.
+import { BsUpload, BsSave, BsTrash } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import {
+    addTransactionsBulk, updateTransaction, getAllTransactions,
+    getAllImportProfiles, addImportProfile, updateImportProfile, deleteImportProfile
+} from '../services/apiService';
+// Import the CSV parsing helpers.
+import { parseCsv, detectDelimiter, parseAmount, detectDecimalSeparator, parseDate, DATE_FORMATS, DECIMAL_SEPARATORS } from '../utils/csv';
+// Import the currency helpers for the statement currency and the preview amounts.
+import { COMMON_CURRENCIES, DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+// Import the duplicate check and the dialog used to review its results.
+import { findDuplicates, duplicateSearchRange } from '../utils/duplicates';
+import DuplicateReviewModal from './DuplicateReviewModal';
+// Import the rule engine used to categorize rows automatically.
+import { suggestCategory } from '../utils/categorization';
+
+// The delimiters offered in the wizard. The label is what the user sees; the value is stored in profiles.
+const DELIMITERS = [
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+];
+
+// An empty column mapping, used before a file is loaded or a profile is chosen.
+const EMPTY_MAPPING = { date_column: '', description_column: '', amount_column: '', category_column: '' };
+
+/**
+ * @function guessMapping
+ * @description Pre-fills the column mapping by matching common header names (English and Romanian).
+ * @param {Array<string>} headers - The column names of the loaded file.
+ * @returns {Object} A mapping object with the best guesses (empty strings where nothing matched).
+ */
+const guessMapping = (headers) => {
+    const find = (pattern) => headers.find(h => pattern.test(h)) || '';
+    return {
+        date_column: find(/date|datum|data/i),
+        description_column: find(/desc|detail|payee|merchant|beneficiar|text/i),
+        amount_column: find(/amount|suma|sum|betrag|value|valoare/i),
+        category_column: find(/categ/i),
+    };
+};
+
+/**
+ * @function formatDate
+ * @description Formats a date string (like "YYYY-MM-DD") into a more readable format (e.g., "19 June 2025").
+ * @param {string} dateString - The date string to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+/**
+ * @component ImportTransactions
+ * @param {Object} props - The properties passed down to the component.
+ * @param {Array} props.categories - The list of all available categories, used to match and validate row categories.
+ * @param {Array} props.accounts - The accounts the statement can be imported into.
+ * @param {Array} props.categorizationRules - The auto-categorization rules, applied to rows without a category.
+ * @param {string} props.baseCurrency - The currency the statement is assumed to be in until the user picks another.
+ * @param {Function} props.onImportComplete - A callback function to trigger a data reload in the parent (App.js).
+ */
+const ImportTransactions = ({ categories, accounts = [], categorizationRules = [], baseCurrency = DEFAULT_CURRENCY, onImportComplete }) => {
+    const navigate = useNavigate();
+
+    // --- STATE MANAGEMENT ---
+    // The saved import profiles, loaded from the API when the page opens.
+    const [profiles, setProfiles] = useState([]);
+    const [selectedProfileId, setSelectedProfileId] = useState('');
+    const [profileName, setProfileName] = useState('');
+
+    // The loaded file and how it should be read.
+    const [fileName, setFileName] = useState('');
+    const [fileText, setFileText] = useState('');
+    const [delimiter, setDelimiter] = useState(',');
+    const [hasHeader, setHasHeader] = useState(true);
+    const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+    // ',' or '.'; '' guesses it from the amount column (see detectDecimalSeparator).
+    const [decimalSeparator, setDecimalSeparator] = useState('');
+    const [mapping, setMapping] = useState(EMPTY_MAPPING);
+
+    // Fallback categories for rows whose category can't be read from the file.
+    const [defaultExpenseCategoryId, setDefaultExpenseCategoryId] = useState('');
+    const [defaultIncomeCategoryId, setDefaultIncomeCategoryId] = useState('');
+    // The account the statement belongs to. Every imported row is booked to it.
+    const [accountId, setAccountId] = useState(accounts.length > 0 ? String(accounts[0].id) : '');
+    // The currency of the statement's amounts. Every imported row is saved in it.
+    const [currency, setCurrency] = useState(baseCurrency);
+    // Per-row overrides chosen in the preview table, keyed by the row's index in the file.
+    const [categoryOverrides, setCategoryOverrides] = useState({});
+    // Rows the user has unticked in the preview, keyed by index.
+    const [excludedRows, setExcludedRows] = useState({});
+
+    const [isImporting, setIsImporting] = useState(false);
+    // The rows flagged as possible duplicates ([{ candidate, matches }]) and the clean rows waiting for the review.
+    const [duplicateReview, setDuplicateReview] = useState(null);
+    const [pendingImport, setPendingImport] = useState([]);
+    const [notification, setNotification] = useState({ show: false, message: '', variant: 'danger' });
+
+    // --- SIDE EFFECTS ---
+    // Load the saved profiles once when the page opens.
+    useEffect(() => {
+        const loadProfiles = async () => {
+            try {
+                setProfiles(await getAllImportProfiles());
+            } catch (error) {
+                console.error("Failed to load import profiles:", error);
+            }
+        };
+        loadProfiles();
+    }, []);
+
+    // --- DERIVED STATE (useMemo) ---
+
+    // The file parsed into rows of cells. Re-parsed only when the text or the delimiter changes.
+    const rawRows = useMemo(() => (fileText ? parseCsv(fileText, delimiter) : []), [fileText, delimiter]);
+
+    // The column names: either the file's header row, or generated names ("Column 1", ...) if it has none.
+    const headers = useMemo(() => {
+        if (rawRows.length === 0) return [];
+        if (hasHeader) return rawRows[0].map(h => h.trim());
+        return rawRows[0].map((_, i) => `Column ${i + 1}`);
+    }, [rawRows, hasHeader]);
+
+    // A quick lookup from lower-cased category name to category object, used to match the file's category column.
+    const categoryByName = useMemo(() => categories.reduce((acc, cat) => {
+        acc[cat.name.trim().toLowerCase()] = cat;
+        return acc;
+    }, {}), [categories]);
+
+    /**
+     * @memo previewRows
+     * @description Converts every data row of the file into a transaction object using the current mapping,
+     * and collects the validation errors for each row. This is the heart of the wizard.
+     */
+    const previewRows = useMemo(() => {
+        if (rawRows.length === 0) return [];
+        const dataRows = hasHeader ? rawRows.slice(1) : rawRows;
+        const columnIndex = (name) => (name ? headers.indexOf(name) : -1);
+        const dateIndex = columnIndex(mapping.date_column);
+        const descriptionIndex = columnIndex(mapping.description_column);
+        const amountIndex = columnIndex(mapping.amount_column);
+        const categoryIndex = columnIndex(mapping.category_column);
+        const amountDecimal = decimalSeparator || detectDecimalSeparator(dataRows.map(cells => cells[amountIndex]));
+
+        return dataRows.map((cells, index) => {
+            const errors = [];
+            const rawDate = dateIndex >= 0 ? cells[dateIndex] : '';
+            const description = descriptionIndex >= 0 ? (cells[descriptionIndex] || '').trim() : '';
+            const amount = amountIndex >= 0 ? parseAmount(cells[amountIndex], amountDecimal) : NaN;
+            const transactionDate = parseDate(rawDate, dateFormat);
+
+            if (!transactionDate) errors.push(rawDate ? `Invalid date "${rawDate}"` : 'Missing date');
+            if (!description) errors.push('Missing description');
+            if (isNaN(amount) || amount === 0) errors.push('Invalid amount');
+
+            // The sign of the amount decides the type, just like the backend's +/- convention.
+            const type = amount > 0 ? 'Income' : 'Expense';
+
+            // Resolve the category: a manual override wins, then the file's category column,
+            // then the first matching categorization rule, then the default.
+            const rawCategory = categoryIndex >= 0 ? (cells[categoryIndex] || '').trim() : '';
+            const rule = suggestCategory(categorizationRules, { description, amount, type });
+            let category = null;
+            let appliedRule = null;
+            if (categoryOverrides[index]) {
+                category = categories.find(c => String(c.id) === String(categoryOverrides[index])) || null;
+            } else if (rawCategory && categoryByName[rawCategory.toLowerCase()]) {
+                category = categoryByName[rawCategory.toLowerCase()];
+            } else if (rule && categories.some(c => String(c.id) === String(rule.category_id))) {
+                category = categories.find(c => String(c.id) === String(rule.category_id));
+                appliedRule = rule;
+            } else {
+                const fallbackId = type === 'Income' ? defaultIncomeCategoryId : defaultExpenseCategoryId;
+                category = categories.find(c => String(c.id) === String(fallbackId)) || null;
+            }
+
+            // The category must fit the type: expenses go to Needs/Wants/Savings, incomes to Income/Savings
+            // (a positive Savings row is a withdrawal, exactly as in TransactionForm).
+            if (!category) {
+                errors.push(rawCategory ? `Unknown category "${rawCategory}"` : 'Missing category');
+            } else if (type === 'Expense' && category.type === 'Income') {
+                errors.push(`"${category.name}" is an income category`);
+            } else if (type === 'Income' && (category.type === 'Needs' || category.type === 'Wants')) {
+                errors.push(`"${category.name}" is an expense category`);
+            }
+
+            return {
+                index,
+                description,
+                amount,
+                type,
+                transaction_date: transactionDate,
+                category,
+                appliedRule,
+                errors,
+                included: !excludedRows[index],
+            };
+        });
+    }, [rawRows, hasHeader, headers, mapping, dateFormat, decimalSeparator, categories, categoryByName, categoryOverrides, excludedRows, defaultExpenseCategoryId, defaultIncomeCategoryId, categorizationRules]);
+
+    // The rows that will actually be sent to the API.
+    const rowsToImport = previewRows.filter(row => row.included && row.errors.length === 0);
+    const invalidCount = previewRows.filter(row => row.errors.length > 0).length;
+    const isMappingComplete = Boolean(mapping.date_column && mapping.description_column && mapping.amount_column);
+
+    // --- EVENT HANDLERS ---
+
+    /**
+     * @function applyProfile
+     * @description Copies a saved profile's settings into the wizard.
+     * @param {Object|null} profile - The profile to apply, or null to clear the selection.
+     */
+    const applyProfile = (profile) => {
+        if (!profile) {
+            setSelectedProfileId('');
+            setProfileName('');
+            return;
+        }
+        setSelectedProfileId(String(profile.id));
+        setProfileName(profile.name);
+        setDelimiter(profile.delimiter);
+        setHasHeader(String(profile.has_header) === '1');
+        setDateFormat(profile.date_format);
+        setDecimalSeparator(profile.decimal_separator || '');
+        setMapping({
+            date_column: profile.date_column,
+            description_column: profile.description_column,
+            amount_column: profile.amount_column,
+            category_column: profile.category_column || '',
+        });
+    };
+
+    /**
+     * @function handleFileChange
+     * @description Reads the chosen file as text. Without a profile, the delimiter and mapping are guessed.
+     */
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result);
+            setFileName(file.name);
+            setFileText(text);
+            setCategoryOverrides({});
+            setExcludedRows({});
+            setNotification({ show: false });
+            if (!selectedProfileId) {
+                const guessedDelimiter = detectDelimiter(text);
+                const firstRow = parseCsv(text, guessedDelimiter)[0] || [];
+                setDelimiter(guessedDelimiter);
+                setMapping(hasHeader ? guessMapping(firstRow.map(h => h.trim())) : EMPTY_MAPPING);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleMappingChange = (e) => setMapping({ ...mapping, [e.target.name]: e.target.value });
+
+    // Builds the profile payload from the wizard's current settings.
+    const buildProfileData = () => ({
+        name: profileName.trim(),
+        delimiter,
+        has_header: hasHeader ? 1 : 0,
+        date_format: dateFormat,
+        decimal_separator: decimalSeparator || null,
+        ...mapping,
+    });
+
+    const handleSaveProfile = async (asNew) => {
+        if (!profileName.trim()) { alert('Please enter a profile name.'); return; }
+        if (!isMappingComplete) { alert('Please map the date, description and amount columns first.'); return; }
+
+        try {
+            const data = asNew
+                ? await addImportProfile(buildProfileData())
+                : await updateImportProfile({ ...buildProfileData(), id: selectedProfileId });
+            if (data.rezultat === "OK") {
+                const updatedProfiles = await getAllImportProfiles();
+                setProfiles(updatedProfiles);
+                if (asNew) setSelectedProfileId(String(data.id));
+                setNotification({ show: true, message: `Profile "${profileName.trim()}" saved.`, variant: 'success' });
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to save import profile:", error);
+            alert("An error occurred while saving the profile.");
+        }
+    };
+
+    const handleDeleteProfile = async () => {
+        if (!selectedProfileId) return;
+        if (!window.confirm(`Are you sure you want to delete the "${profileName}" profile?`)) return;
+
+        try {
+            const data = await deleteImportProfile(selectedProfileId);
+            if (data.rezultat === "OK") {
+                setProfiles(profiles.filter(p => String(p.id) !== String(selectedProfileId)));
+                applyProfile(null);
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to delete import profile:", error);
+            alert("An error occurred while deleting the profile.");
+        }
+    };
+
+    const handleToggleRow = (index) => setExcludedRows({ ...excludedRows, [index]: !excludedRows[index] });
+    const handleOverrideCategory = (index, categoryId) => setCategoryOverrides({ ...categoryOverrides, [index]: categoryId });
+
+    /**
+     * @function handleImport
+     * @description Checks the valid, selected rows for duplicates of existing transactions, loading only the ones
+     * dated around the file's rows. Flagged rows go to the review dialog first; if nothing is flagged, everything is
+     * imported straight away.
+     */
+    const handleImport = async () => {
+        if (rowsToImport.length === 0) return;
+        if (!window.confirm(`Import ${rowsToImport.length} transaction(s)?`)) return;
+
+        let existing;
+        try {
+            existing = await getAllTransactions(duplicateSearchRange(rowsToImport.map(row => row.transaction_date)));
+        } catch (error) {
+            console.error("Failed to check for duplicates:", error);
+            setNotification({ show: true, message: "Failed to import transactions. Please try again.", variant: 'danger' });
+            return;
+        }
+
+        const clean = [];
+        const flagged = [];
+        rowsToImport.forEach(row => {
+            const candidate = {
+                description: row.description,
+                amount: row.type === 'Income' ? Math.abs(row.amount) : -Math.abs(row.amount),
+                type: row.type,
+                category_id: parseInt(row.category.id),
+                transaction_date: row.transaction_date,
+                account_id: accountId ? parseInt(accountId) : null,
+                currency,
+            };
+            const matches = findDuplicates(candidate, existing);
+            if (matches.length > 0) {
+                flagged.push({ candidate, matches });
+            } else {
+                clean.push(candidate);
+            }
+        });
+
+        if (flagged.length > 0) {
+            setPendingImport(clean);
+            setDuplicateReview(flagged);
+            return;
+        }
+        await runImport(clean, []);
+    };
+
+    /**
+     * @function handleDuplicateDecision
+     * @description Applies the choices made in the duplicate review dialog, then runs the import.
+     * @param {Array} decisions - One decision per flagged row, in the same order as the dialog's items.
+     */
+    const handleDuplicateDecision = async (decisions) => {
+        const toAdd = [...pendingImport];
+        const toMerge = [];
+        duplicateReview.forEach((item, index) => {
+            const decision = decisions[index];
+            if (decision.action === 'keep') toAdd.push(item.candidate);
+            if (decision.action === 'merge') toMerge.push({ ...item.candidate, id: decision.mergeWithId });
+        });
+        setDuplicateReview(null);
+        setPendingImport([]);
+
+        if (toAdd.length === 0 && toMerge.length === 0) {
+            setNotification({ show: true, message: 'All rows were skipped. Nothing was imported.', variant: 'info' });
+            return;
+        }
+        await runImport(toAdd, toMerge);
+    };
+
+    /**
+     * @function runImport
+     * @description Merges the chosen rows into their existing transactions, then sends the rest to the API
+     * in a single bulk request.
+     * @param {Array} toAdd - The transactions to create.
+     * @param {Array} toMerge - The transactions to update in place (each with the id of the existing row).
+     */
+    const runImport = async (toAdd, toMerge) => {
+        setIsImporting(true);
+        try {
+            for (const transaction of toMerge) {
+                await updateTransaction(transaction);
+            }
+            if (toAdd.length > 0) {
+                const data = await addTransactionsBulk(toAdd);
+                if (data.rezultat !== "OK") {
+                    setNotification({ show: true, message: "Error: " + data.rezultat, variant: 'danger' });
+                    return;
+                }
+            }
+            onImportComplete(); // Refresh the data held in App.js.
+            navigate('/');
+        } catch (error) {
+            console.error("Import failed:", error);
+            setNotification({ show: true, message: "Failed to import transactions. Please try again.", variant: 'danger' });
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    // Categories valid for each type, used by the default and override dropdowns.
+    const expenseCategories = categories.filter(c => ['Needs', 'Wants', 'Savings'].includes(c.type));
+    const incomeCategories = categories.filter(c => ['Income', 'Savings'].includes(c.type));
+
+    // --- JSX RENDERING ---
+    return (
+        <Card className="shadow-sm">
+            <Card.Header as="h3">Import Transactions</Card.Header>
+            <Card.Body>
+                {notification.show && <Alert variant={notification.variant} onClose={() => setNotification({ show: false })} dismissible>{notification.message}</Alert>}
+
+                {/* Step 1: Profile and file */}
+                <h5>1. Choose a profile and a CSV file</h5>
+                <Row className="g-3 align-items-end mb-4">
+                    <Col md={4}>
+                        <Form.Group controlId="importProfile">
+                            <Form.Label>Bank Profile</Form.Label>
+                            <Form.Select value={selectedProfileId} onChange={e => applyProfile(profiles.find(p => String(p.id) === e.target.value) || null)}>
+                                <option value="">New mapping...</option>
+                                {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                    <Col md={8}>
+                        <Form.Group controlId="importFile">
+                            <Form.Label><BsUpload className="me-1" /> CSV File</Form.Label>
+                            <Form.Control type="file" accept=".csv,text/csv,text/plain" onChange={handleFileChange} />
+                        </Form.Group>
+                    </Col>
+                </Row>
+
+                {fileText && (
+                    <>
+                        {/* Step 2: Mapping */}
+                        <h5>2. Map the columns <span className="text-muted small">({fileName})</span></h5>
+                        <div className="p-3 border rounded mb-4 bg-light">
+                            <Row className="g-3 mb-3">
+                                <Col md={3}>
+                                    <Form.Group controlId="importDelimiter">
+                                        <Form.Label>Delimiter</Form.Label>
+                                        <Form.Select size="sm" value={delimiter} onChange={e => setDelimiter(e.target.value)}>
+                                            {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={3}>
+                                    <Form.Group controlId="importDateFormat">
+                                        <Form.Label>Date Format</Form.Label>
+                                        <Form.Select size="sm" value={dateFormat} onChange={e => setDateFormat(e.target.value)}>
+                                            {Object.keys(DATE_FORMATS).map(key => <option key={key} value={key}>{DATE_FORMATS[key].label}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={3}>
+                                    <Form.Group controlId="importDecimalSeparator">
+                                        <Form.Label>Decimal Separator</Form.Label>
+                                        <Form.Select size="sm" value={decimalSeparator} onChange={e => setDecimalSeparator(e.target.value)}>
+                                            <option value="">Detect automatically</option>
+                                            {Object.keys(DECIMAL_SEPARATORS).map(key => <option key={key} value={key}>{DECIMAL_SEPARATORS[key]}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={3} className="d-flex align-items-end">
+                                    <Form.Check type="checkbox" id="importHasHeader" label="First row is a header" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+                                </Col>
+                            </Row>
+                            <Row className="g-3 mb-3">
+                                {[
+                                    { name: 'date_column', label: 'Date' },
+                                    { name: 'description_column', label: 'Description' },
+                                    { name: 'amount_column', label: 'Amount' },
+                                    { name: 'category_column', label: 'Category (Optional)' },
+                                ].map(field => (
+                                    <Col md={3} key={field.name}>
+                                        <Form.Group controlId={`import-${field.name}`}>
+                                            <Form.Label>{field.label}</Form.Label>
+                                            <Form.Select size="sm" name={field.name} value={mapping[field.name]} onChange={handleMappingChange}>
+                                                <option value="">{field.name === 'category_column' ? 'None' : 'Select a column...'}</option>
+                                                {headers.map(h => <option key={h} value={h}>{h}</option>)}
+                                            </Form.Select>
+                                        </Form.Group>
+                                    </Col>
+                                ))}
+                            </Row>
+                            <Row className="g-3 mb-3">
+                                <Col md={2}>
+                                    <Form.Group controlId="importAccount">
+                                        <Form.Label>Import Into Account</Form.Label>
+                                        <Form.Select size="sm" value={accountId} onChange={e => setAccountId(e.target.value)}>
+                                            <option value="">No account</option>
+                                            {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={2}>
+                                    <Form.Group controlId="importCurrency">
+                                        <Form.Label>Statement Currency</Form.Label>
+                                        <Form.Select size="sm" value={currency} onChange={e => setCurrency(e.target.value)}>
+                                            {Array.from(new Set([baseCurrency, ...COMMON_CURRENCIES])).map(code => <option key={code} value={code}>{code}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={4}>
+                                    <Form.Group controlId="importDefaultExpense">
+                                        <Form.Label>Default Expense Category</Form.Label>
+                                        <Form.Select size="sm" value={defaultExpenseCategoryId} onChange={e => setDefaultExpenseCategoryId(e.target.value)}>
+                                            <option value="">None</option>
+                                            {expenseCategories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                                <Col md={4}>
+                                    <Form.Group controlId="importDefaultIncome">
+                                        <Form.Label>Default Income Category</Form.Label>
+                                        <Form.Select size="sm" value={defaultIncomeCategoryId} onChange={e => setDefaultIncomeCategoryId(e.target.value)}>
+                                            <option value="">None</option>
+                                            {incomeCategories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                        </Form.Select>
+                                    </Form.Group>
+                                </Col>
+                            </Row>
+                            <hr />
+                            {/* Saving the mapping as a profile */}
+                            <InputGroup size="sm">
+                                <Form.Control placeholder="Profile name, e.g., ING Checking" value={profileName} onChange={e => setProfileName(e.target.value)} aria-label="Profile name" />
+                                {selectedProfileId && <Button variant="outline-primary" onClick={() => handleSaveProfile(false)}><BsSave className="me-1" />Update Profile</Button>}
+                                <Button variant="outline-success" onClick={() => handleSaveProfile(true)}><BsSave className="me-1" />Save as New Profile</Button>
+                                {selectedProfileId && <Button variant="outline-danger" onClick={handleDeleteProfile} title="Delete Profile"><BsTrash /></Button>}
+                            </InputGroup>
+                        </div>
+
+                        {/* Step 3: Preview */}
+                        <h5>3. Review and import</h5>
+                        {!isMappingComplete ? (
+                            <p className="text-muted">Map the date, description and amount columns to see a preview.</p>
+                        ) : (
+                            <>
+                                <p className="text-muted mb-2">
+                                    {previewRows.length} row(s) found, <strong className="text-dark">{rowsToImport.length}</strong> ready to import
+                                    {invalidCount > 0 && <>, <span className="text-danger">{invalidCount} with errors</span></>}.
+                                </p>
+                                <div style={{ maxHeight: '450px', overflowY: 'auto' }} className="mb-3">
+                                    <Table striped hover responsive size="sm">
+                                        <thead><tr><th></th><th>Date</th><th>Description</th><th>Amount</th><th>Category</th><th>Status</th></tr></thead>
+                                        <tbody>
+                                            {previewRows.map(row => (
+                                                <tr key={row.index} className={row.errors.length > 0 ? 'table-danger' : ''}>
+                                                    <td><Form.Check type="checkbox" aria-label={`Include row ${row.index + 1}`} checked={row.included} disabled={row.errors.length > 0} onChange={() => handleToggleRow(row.index)} /></td>
+                                                    <td className="text-nowrap">{row.transaction_date ? formatDate(row.transaction_date) : '—'}</td>
+                                                    <td>{row.description}</td>
+                                                    <td className={row.type === 'Income' ? 'text-success' : 'text-danger'}>{isNaN(row.amount) ? '—' : `${row.type === 'Income' ? '+' : '-'}${formatMoney(Math.abs(row.amount), currency)}`}</td>
+                                                    <td>
+                                                        <Form.Select size="sm" aria-label={`Category for row ${row.index + 1}`} value={row.category ? row.category.id : ''} onChange={e => handleOverrideCategory(row.index, e.target.value)}>
+                                                            <option value="">Select...</option>
+                                                            {(row.type === 'Income' ? incomeCategories : expenseCategories).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                                        </Form.Select>
+                                                        {row.appliedRule && <small className="text-muted">Rule: {row.appliedRule.name}</small>}
+                                                    </td>
+                                                    <td>
+                                                        {row.errors.length > 0
+                                                            ? row.errors.map(err => <Badge key={err} bg="danger" className="me-1 text-wrap">{err}</Badge>)
+                                                            : <Badge bg={row.included ? 'success' : 'secondary'}>{row.included ? 'OK' : 'Skipped'}</Badge>}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </Table>
+                                </div>
+                                <div className="text-end">
+                                    <Button variant="primary" onClick={handleImport} disabled={rowsToImport.length === 0 || isImporting}>
+                                        {isImporting ? 'Importing...' : `Import ${rowsToImport.length} Transaction(s)`}
+                                    </Button>
+                                </div>
+                            </>
+                        )}
+                    </>
+                )}
+            </Card.Body>
+
+            {/* The duplicate review dialog is only mounted while a review is pending. */}
+            {duplicateReview && (
+                <DuplicateReviewModal show items={duplicateReview} onConfirm={handleDuplicateDecision} onCancel={() => { setDuplicateReview(null); setPendingImport([]); }} />
+            )}
+        </Card>
+    );
+};
+
+export default ImportTransactions;
@@ -0,0 +1,93 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState } from 'react';
+import { Card, Form, Button, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+
+// Import the specific functions we need from the apiService.
+import { login, register } from '../services/apiService';
+
+/**
+ * The Login component is the page shown to visitors who aren't logged in. It either logs in an existing user
+ * or, with mode="register", creates a new account (which starts with the default categories and budget rule).
+ * Every user has their own tracker; nothing entered by one user is visible to another.
+ * @param {object} props - Component props.
+ * @param {string} props.mode - 'login' or 'register'.
+ * @param {Function} props.onLogin - Called with { token, user } once the server has accepted the login.
+ */
+const Login = ({ mode, onLogin }) => {
+    const isRegister = mode === 'register';
+
+    // --- STATE MANAGEMENT ---
+    const [form, setForm] = useState({ name: '', email: '', password: '' });
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    // --- EVENT HANDLERS ---
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const data = isRegister ? await register(form) : await login(form.email, form.password);
+            if (data.rezultat === "OK") {
+                onLogin(data);
+            } else {
+                setError(data.rezultat.replace(/^Eroare: /, ''));
+                setIsSubmitting(false);
+            }
+        } catch (err) {
+            console.error("Login failed:", err);
+            setError("Could not reach the server. Please ensure XAMPP is running and the API is accessible.");
+            setIsSubmitting(false);
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <Card className="shadow-sm mx-auto" style={{ maxWidth: '420px' }}>
+            <Card.Header as="h5">{isRegister ? 'Create an Account' : 'Log In'}</Card.Header>
+            <Card.Body>
+                {error && <Alert variant="danger">{error}</Alert>}
+                <Form onSubmit={handleSubmit}>
+                    {isRegister && (
+                        <Form.Group className="mb-3" controlId="authName">
+                            <Form.Label>Name</Form.Label>
+                            <Form.Control type="text" name="name" value={form.name} onChange={handleChange} autoComplete="name" required />
+                        </Form.Group>
+                    )}
+                    <Form.Group className="mb-3" controlId="authEmail">
+                        <Form.Label>Email</Form.Label>
+                        <Form.Control type="email" name="email" value={form.email} onChange={handleChange} autoComplete="email" required />
+                    </Form.Group>
+                    <Form.Group className="mb-3" controlId="authPassword">
+                        <Form.Label>Password</Form.Label>
+                        <Form.Control
+                            type="password"
+                            name="password"
+                            value={form.password}
+                            onChange={handleChange}
+                            autoComplete={isRegister ? 'new-password' : 'current-password'}
+                            minLength={isRegister ? 8 : undefined}
+                            required
+                        />
+                        {isRegister && <Form.Text muted>At least 8 characters.</Form.Text>}
+                    </Form.Group>
+                    <Button type="submit" variant="primary" className="w-100" disabled={isSubmitting}>
+                        {isRegister ? 'Create Account' : 'Log In'}
+                    </Button>
+                </Form>
+            </Card.Body>
+            <Card.Footer className="text-center small">
+                {isRegister
+                    ? <>Already have an account? <Link to="/login">Log in</Link></>
+                    : <>New here? <Link to="/register">Create an account</Link></>}
+            </Card.Footer>
+        </Card>
+    );
+};
+
+export default Login;
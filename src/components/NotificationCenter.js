@@ -0,0 +1,99 @@
+// Import core React hooks and the Bootstrap components used by the menu.
+import React, { useState, useEffect } from 'react';
+import { NavDropdown, Badge, Button } from 'react-bootstrap';
+// Import the bell icon and the severity markers.
+import { BsBell, BsExclamationOctagon, BsExclamationTriangle, BsInfoCircle } from 'react-icons/bs';
+import { useNavigate } from 'react-router-dom';
+
+// Import the function that saves which notifications were read.
+import { updateAppSettings } from '../services/apiService';
+
+const SEVERITY_ICONS = {
+    danger: <BsExclamationOctagon className="text-danger" />,
+    warning: <BsExclamationTriangle className="text-warning" />,
+    info: <BsInfoCircle className="text-info" />,
+};
+
+// Reads the saved list of read notification ids; a damaged setting counts as nothing read.
+const parseReadIds = (saved) => {
+    try {
+        const ids = JSON.parse(saved || '[]');
+        return Array.isArray(ids) ? ids : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * NotificationCenter is the bell in the Navbar. It lists the notifications from utils/notifications.js (budgets
+ * passing their targets, spending beyond income, large transactions, upcoming payments, a negative forecast and
+ * contract reminders), unread ones first in bold with their count on the bell. Opening one marks it as read and
+ * goes to the Dashboard period (or the page) it is about.
+ * The read state is saved in the user's app settings (`notifications_read`), so it follows them across devices;
+ * only the ids of notifications that still exist are kept.
+ * @param {object} props - Component props.
+ * @param {Array} props.notifications - The notifications, newest first.
+ * @param {string} [props.savedReadIds] - The `notifications_read` setting as loaded: a JSON list of ids.
+ */
+const NotificationCenter = ({ notifications, savedReadIds }) => {
+    const navigate = useNavigate();
+    // --- STATE MANAGEMENT ---
+    const [readIds, setReadIds] = useState(() => parseReadIds(savedReadIds));
+
+    // A reload brings the saved state back from the server.
+    useEffect(() => { setReadIds(parseReadIds(savedReadIds)); }, [savedReadIds]);
+
+    const unread = notifications.filter(n => !readIds.includes(n.id));
+
+    // --- EVENT HANDLERS ---
+    const markRead = (ids) => {
+        const current = new Set(notifications.map(n => n.id));
+        const next = Array.from(new Set([...readIds, ...ids])).filter(id => current.has(id));
+        setReadIds(next);
+        updateAppSettings({ notifications_read: JSON.stringify(next) })
+            .then(result => { if (result.rezultat !== 'OK') console.error('Failed to save the read notifications:', result.rezultat); })
+            .catch(error => console.error('Failed to save the read notifications:', error));
+    };
+
+    const handleOpen = (notification) => {
+        markRead([notification.id]);
+        navigate(notification.link);
+    };
+
+    // --- JSX RENDERING ---
+    const title = (
+        <span className="position-relative" aria-label={`Notifications (${unread.length} unread)`}>
+            <BsBell size={18} />
+            {unread.length > 0 && <Badge bg="danger" pill className="ms-1">{unread.length}</Badge>}
+        </span>
+    );
+
+    return (
+        <NavDropdown title={title} id="notification-center" align="end" className="ms-lg-2">
+            <div className="d-flex justify-content-between align-items-center px-3 py-1" style={{ minWidth: '22rem' }}>
+                <strong>Notifications</strong>
+                <Button variant="link" size="sm" className="p-0" onClick={() => markRead(notifications.map(n => n.id))} disabled={unread.length === 0}>Mark all as read</Button>
+            </div>
+            <NavDropdown.Divider />
+            <div style={{ maxHeight: '70vh', overflowY: 'auto' }}>
+                {notifications.length === 0 && <p className="text-muted small px-3 mb-1">Nothing to report.</p>}
+                {[...unread, ...notifications.filter(n => readIds.includes(n.id))].map(n => {
+                    const isUnread = !readIds.includes(n.id);
+                    return (
+                        <NavDropdown.Item key={n.id} onClick={() => handleOpen(n)} className={`py-2 text-wrap ${isUnread ? '' : 'text-muted'}`} style={{ width: '22rem' }}>
+                            <div className="d-flex gap-2">
+                                <span>{SEVERITY_ICONS[n.severity]}</span>
+                                <div>
+                                    <div className={isUnread ? 'fw-bold' : ''}>{n.title}</div>
+                                    <small>{n.message}</small>
+                                </div>
+                            </div>
+                        </NavDropdown.Item>
+                    );
+                })}
+            </div>
+        </NavDropdown>
+    );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,119 @@
+// Import core React hooks and the Bootstrap table used for the report's sections.
+import React from 'react';
+import { Table } from 'react-bootstrap';
+// Import the helper that formats amounts in the base currency.
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+
+/**
+ * PeriodReport is the printable version of the Dashboard for one month or year.
+ * It is rendered by the Dashboard in a container that is hidden on screen and only shown when printing,
+ * so "Print / Save as PDF" in the browser produces a clean report for the selected period.
+ * All figures are the ones the Dashboard has already calculated or received from the server's period summary.
+ * @param {object} props - Component props.
+ * @param {string} props.periodLabel - The human-readable period (e.g., "March, 2025" or "2025").
+ * @param {number} props.balanceAtPeriodEnd - The balance of all accounts together at the end of the period.
+ * @param {Array} props.accountBalances - The balance of each account at the end of the period.
+ * @param {number} props.totalSavingsPot - The cumulative savings pot.
+ * @param {Object} props.periodSummary - { totalSpent, savingsThisPeriod } for the period.
+ * @param {Object} props.incomeAllocation - The Needs/Wants/Savings actuals and targets from the active budget rule.
+ * @param {Array} props.categoryTotals - The period's expenses per category, largest first: { name, type, total, count } (from the summary endpoint).
+ * @param {Array} props.envelopes - The per-category budgets compared with the period's spending (see computeEnvelopes).
+ * @param {string} props.baseCurrency - The currency every figure in the report is shown in.
+ */
+const PeriodReport = ({ periodLabel, balanceAtPeriodEnd, accountBalances = [], totalSavingsPot, periodSummary, incomeAllocation, categoryTotals = [], envelopes = [], baseCurrency = DEFAULT_CURRENCY }) => {
+    // The period's spending and savings by category; transfers between accounts are already left out.
+    const categoryBreakdown = categoryTotals.map(c => ({ ...c, type: c.type || '—' }));
+
+    const breakdownTotal = categoryBreakdown.reduce((sum, row) => sum + row.total, 0);
+
+    // The three allocation rows, in the same order as the Dashboard's progress bars.
+    const allocationRows = [
+        { label: 'Needs', ...incomeAllocation.needs },
+        { label: 'Wants', ...incomeAllocation.wants },
+        { label: 'Savings', ...incomeAllocation.savings },
+    ];
+
+    return (
+        <div>
+            <h2 className="mb-1">Financial Report: {periodLabel}</h2>
+            <p className="text-muted">Generated on {new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }).format(new Date())}</p>
+
+            {/* Summary cards, as a simple table so they print reliably. */}
+            <h4 className="mt-4">Summary</h4>
+            <Table bordered size="sm">
+                <tbody>
+                    <tr><th>Income in Period</th><td className="text-end">{formatMoney(incomeAllocation.periodIncome, baseCurrency)}</td></tr>
+                    <tr><th>Total Spent</th><td className="text-end">{formatMoney(periodSummary.totalSpent, baseCurrency)}</td></tr>
+                    <tr><th>Savings Made</th><td className="text-end">{formatMoney(periodSummary.savingsThisPeriod, baseCurrency)}</td></tr>
+                    <tr><th>Total Balance (at end of period)</th><td className="text-end">{formatMoney(balanceAtPeriodEnd, baseCurrency)}</td></tr>
+                    {accountBalances.map(b => (
+                        <tr key={b.id ?? 'unassigned'}><td className="ps-4">{b.name}</td><td className="text-end">{formatMoney(b.balance, baseCurrency)}</td></tr>
+                    ))}
+                    <tr><th>Total Savings Pot</th><td className="text-end">{formatMoney(totalSavingsPot, baseCurrency)}</td></tr>
+                </tbody>
+            </Table>
+
+            <h4 className="mt-4">Category Breakdown</h4>
+            {categoryBreakdown.length > 0 ? (
+                <Table bordered striped size="sm">
+                    <thead><tr><th>Category</th><th>Type</th><th className="text-end">Transactions</th><th className="text-end">Total</th><th className="text-end">Share</th></tr></thead>
+                    <tbody>
+                        {categoryBreakdown.map(row => (
+                            <tr key={row.name}>
+                                <td>{row.name}</td>
+                                <td>{row.type}</td>
+                                <td className="text-end">{row.count}</td>
+                                <td className="text-end">{formatMoney(row.total, baseCurrency)}</td>
+                                <td className="text-end">{breakdownTotal > 0 ? ((row.total / breakdownTotal) * 100).toFixed(1) : 0}%</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+            ) : <p className="text-muted">No spending in this period.</p>}
+
+            <h4 className="mt-4">Budget Rule Adherence</h4>
+            <p className="mb-2">Applying Budget Rule: <strong>{incomeAllocation.activeRuleName}</strong></p>
+            <Table bordered size="sm">
+                <thead><tr><th>Allocation</th><th className="text-end">Target %</th><th className="text-end">Target</th><th className="text-end">Actual</th><th className="text-end">Used</th><th>Status</th></tr></thead>
+                <tbody>
+                    {allocationRows.map(row => {
+                        // Savings is a goal to reach; Needs and Wants are limits not to exceed.
+                        const onTrack = row.label === 'Savings' ? row.percent >= 100 : row.percent <= 100;
+                        return (
+                            <tr key={row.label}>
+                                <td>{row.label}</td>
+                                <td className="text-end">{Math.round(row.ratio * 100)}%</td>
+                                <td className="text-end">{formatMoney(row.target, baseCurrency)}</td>
+                                <td className="text-end">{formatMoney(row.actual, baseCurrency)}</td>
+                                <td className="text-end">{Math.round(row.percent)}%</td>
+                                <td>{onTrack ? 'On track' : (row.label === 'Savings' ? 'Below target' : 'Over budget')}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </Table>
+
+            {envelopes.length > 0 && (
+                <>
+                    <h4 className="mt-4">Category Budgets</h4>
+                    <Table bordered size="sm">
+                        <thead><tr><th>Category</th><th className="text-end">Available</th><th className="text-end">Spent</th><th className="text-end">Remaining</th><th>Status</th></tr></thead>
+                        <tbody>
+                            {envelopes.map(envelope => (
+                                <tr key={envelope.id}>
+                                    <td>{envelope.categoryName}</td>
+                                    <td className="text-end">{formatMoney(envelope.available, baseCurrency)}</td>
+                                    <td className="text-end">{formatMoney(envelope.spent, baseCurrency)}</td>
+                                    <td className="text-end">{formatMoney(envelope.remaining, baseCurrency)}</td>
+                                    <td>{envelope.status === 'over' ? 'Over budget' : 'Within budget'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PeriodReport;
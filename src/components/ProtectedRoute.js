@@ -0,0 +1,16 @@
+// Import the core React library and the routing components used for the redirect.
+import React from 'react';
+import { Navigate, Outlet } from 'react-router-dom';
+
+/**
+ * ProtectedRoute is a layout route that wraps every page showing the user's data (see App.js).
+ * A logged-in user sees the page; anyone else is sent to the login page.
+ * @param {object} props - Component props.
+ * @param {object|null} props.user - The logged-in user, or null.
+ */
+const ProtectedRoute = ({ user }) => {
+    if (!user) return <Navigate to="/login" replace />;
+    return <Outlet />;
+};
+
+export default ProtectedRoute;
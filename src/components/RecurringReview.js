@@ -0,0 +1,168 @@
+// Import core React hooks and the Bootstrap components used by the panel.
+import React, { useState } from 'react';
+import { Card, Table, Button, Form, InputGroup, Badge } from 'react-bootstrap';
+// Import the icon that marks recurring transactions elsewhere on the Dashboard.
+import { BsClockHistory } from 'react-icons/bs';
+
+// Import the functions that approve or skip an occurrence, or approve all of them.
+import {
+    approveRecurringIncome, approveRecurringExpense,
+    skipRecurringIncome, skipRecurringExpense,
+    processRecurringIncomes, processRecurringExpenses
+} from '../services/apiService';
+// Import the money formatter and the size of the upcoming window.
+import { formatMoney } from '../utils/currency';
+import { UPCOMING_DAYS } from '../utils/recurrence';
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    const date = new Date(dateString + 'T00:00:00');
+    return new Intl.DateTimeFormat('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+};
+
+// One occurrence is identified by its schedule and date.
+const keyOf = (o) => `${o.kind}-${o.id}-${o.transaction_date}`;
+
+/**
+ * RecurringReview is the "Upcoming & pending" panel at the top of the Dashboard. The recurring schedules no longer
+ * create their transactions on their own: each due occurrence waits here until it is approved (optionally with
+ * another amount, e.g. a bill that went up) or skipped. The occurrences of the next days are listed too, so one
+ * can be skipped in advance. Skipped occurrences are remembered by the server and never generated.
+ * @param {object} props - Component props.
+ * @param {Array} props.occurrences - The waiting occurrences from App.js: { id (the schedule's), kind, description,
+ * amount, currency, category_name, transaction_date, due }.
+ * @param {Function} props.onDataChanged - Called after an occurrence was approved or skipped, to reload the data.
+ */
+const RecurringReview = ({ occurrences, onDataChanged }) => {
+    // The amounts typed in for the pending occurrences, by key; untouched ones use the schedule's amount.
+    const [amounts, setAmounts] = useState({});
+    // The occurrence being saved (its key), or 'all', so its buttons can be disabled meanwhile.
+    const [busy, setBusy] = useState(null);
+
+    const pending = occurrences.filter(o => o.due);
+    const upcoming = occurrences.filter(o => !o.due);
+
+    // --- EVENT HANDLERS ---
+    const run = async (key, call) => {
+        setBusy(key);
+        try {
+            const results = await call();
+            const failed = [].concat(results).find(r => r && r.rezultat && r.rezultat !== 'OK');
+            if (failed) alert("Error: " + failed.rezultat);
+            onDataChanged();
+        } catch (error) {
+            console.error('Failed to update the recurring occurrence:', error);
+            alert('Failed to save. Please try again.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleApprove = (o) => {
+        const amount = amounts[keyOf(o)] ?? o.amount;
+        if (!(Math.abs(parseFloat(amount)) > 0)) {
+            alert('Please enter an amount.');
+            return;
+        }
+        const approve = o.kind === 'income' ? approveRecurringIncome : approveRecurringExpense;
+        run(keyOf(o), () => approve({ id: o.id, transaction_date: o.transaction_date, amount: Math.abs(parseFloat(amount)) }));
+    };
+
+    const handleSkip = (o) => {
+        if (!window.confirm(`Skip "${o.description}" on ${formatDate(o.transaction_date)}? It won't be created, now or later.`)) return;
+        const skip = o.kind === 'income' ? skipRecurringIncome : skipRecurringExpense;
+        run(keyOf(o), () => skip({ id: o.id, transaction_date: o.transaction_date }));
+    };
+
+    // "Approve all" creates every due occurrence at its schedule's amount, as the schedules used to do on their own.
+    const handleApproveAll = () => {
+        const edited = pending.some(o => amounts[keyOf(o)] !== undefined && parseFloat(amounts[keyOf(o)]) !== parseFloat(o.amount));
+        if (edited && !window.confirm('"Approve all" uses the scheduled amounts and ignores the amounts you changed. Continue?')) return;
+        run('all', () => Promise.all([
+            pending.some(o => o.kind === 'income') ? processRecurringIncomes() : null,
+            pending.some(o => o.kind === 'expense') ? processRecurringExpenses() : null,
+        ]));
+    };
+
+    // --- JSX RENDERING ---
+    if (occurrences.length === 0) return null;
+
+    const renderAmount = (o) => (
+        <span className={o.kind === 'income' ? 'text-success' : 'text-danger'}>
+            {o.kind === 'income' ? '+' : '-'}{formatMoney(Math.abs(parseFloat(o.amount)), o.currency)}
+        </span>
+    );
+
+    return (
+        <Card className="shadow-sm mb-4 d-print-none">
+            <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+                <span><BsClockHistory className="me-2" />Upcoming & Pending</span>
+                {pending.length > 1 && (
+                    <Button variant="success" size="sm" onClick={handleApproveAll} disabled={busy !== null}>Approve All ({pending.length})</Button>
+                )}
+            </Card.Header>
+            <Card.Body>
+                {pending.length > 0 && (
+                    <>
+                        <p className="text-muted small mb-2">
+                            These scheduled transactions are due. Check the amounts, then approve or skip each one; nothing is recorded until you do.
+                        </p>
+                        <Table responsive size="sm" className="align-middle">
+                            <thead>
+                                <tr><th>Date</th><th>Description</th><th>Category</th><th style={{ width: '12rem' }}>Amount</th><th></th></tr>
+                            </thead>
+                            <tbody>
+                                {pending.map(o => (
+                                    <tr key={keyOf(o)}>
+                                        <td className="text-nowrap">{formatDate(o.transaction_date)}</td>
+                                        <td>{o.description} <Badge bg={o.kind === 'income' ? 'success' : 'secondary'} className="ms-1">{o.kind === 'income' ? 'Income' : 'Payment'}</Badge></td>
+                                        <td>{o.category_name}</td>
+                                        <td>
+                                            <InputGroup size="sm">
+                                                <Form.Control
+                                                    type="number"
+                                                    step="0.01"
+                                                    min="0"
+                                                    value={amounts[keyOf(o)] ?? Math.abs(parseFloat(o.amount))}
+                                                    onChange={(e) => setAmounts({ ...amounts, [keyOf(o)]: e.target.value })}
+                                                    aria-label={`Amount of ${o.description} on ${o.transaction_date}`}
+                                                />
+                                                <InputGroup.Text>{o.currency}</InputGroup.Text>
+                                            </InputGroup>
+                                        </td>
+                                        <td className="text-end text-nowrap">
+                                            <Button variant="outline-success" size="sm" className="me-2" onClick={() => handleApprove(o)} disabled={busy !== null}>Approve</Button>
+                                            <Button variant="outline-secondary" size="sm" onClick={() => handleSkip(o)} disabled={busy !== null}>Skip</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+                {upcoming.length > 0 && (
+                    <>
+                        <h6 className="mt-2">In the next {UPCOMING_DAYS} days</h6>
+                        <Table responsive size="sm" className="align-middle mb-0">
+                            <tbody>
+                                {upcoming.map(o => (
+                                    <tr key={keyOf(o)}>
+                                        <td className="text-nowrap">{formatDate(o.transaction_date)}</td>
+                                        <td>{o.description}</td>
+                                        <td>{o.category_name}</td>
+                                        <td className="text-end">{renderAmount(o)}</td>
+                                        <td className="text-end">
+                                            <Button variant="outline-secondary" size="sm" onClick={() => handleSkip(o)} disabled={busy !== null}>Skip</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default RecurringReview;
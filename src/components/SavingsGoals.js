@@ -0,0 +1,247 @@
+// Import core React hooks and Bootstrap components for the UI.
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, Form, Button, Row, Col, Badge, ProgressBar, Modal } from 'react-bootstrap';
+// Import icons for the edit and delete buttons.
+import { BsPencil, BsTrash } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService
+import { addSavingsGoal, updateSavingsGoal, deleteSavingsGoal, getAllTransactions } from '../services/apiService';
+// Import the goal calculations shared with the Dashboard.
+import { computeGoalProgress, GOAL_PACE_MONTHS, GOAL_QUERY } from '../utils/goals';
+import { formatMoney, convertTransactions } from '../utils/currency';
+import { toDateString } from '../utils/forecast';
+import { expandCategoryLines } from '../utils/categoryLines';
+
+// The values of the goal form when adding a new goal.
+const EMPTY_GOAL = { name: '', target_amount: '', target_date: '', color: '#198754', category_ids: [] };
+
+// How each status is shown.
+const STATUS_BADGES = {
+    reached: { bg: 'success', label: 'Reached' },
+    onTrack: { bg: 'info', label: 'On track' },
+    behind: { bg: 'warning', label: 'Behind' },
+    overdue: { bg: 'danger', label: 'Deadline passed' },
+    noDeadline: { bg: 'secondary', label: 'No deadline' },
+};
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+/**
+ * The SavingsGoals component manages named savings goals, such as "Emergency fund by June" or "Car".
+ * Each goal is linked to one or more Savings categories; transfers to savings can also be tied to a goal
+ * directly on the transaction form. Every goal shows its progress, the projected completion date at the
+ * recent contribution pace, and the monthly amount needed to reach it by its deadline.
+ * @param {object} props - Component props.
+ * @param {Array} props.goals - The savings goals passed down from App.js.
+ * @param {Array} props.categories - All categories; only the Savings ones can be linked to a goal.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to convert the contributions into the base currency.
+ * @param {string} props.baseCurrency - The currency targets are entered and shown in.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const SavingsGoals = ({ goals, categories, exchangeRates = [], baseCurrency, onDataChanged }) => {
+    // --- STATE MANAGEMENT (useState) ---
+    // The goal being added or edited in the modal, or null when the modal is closed. A goal without an id is new.
+    const [editingGoal, setEditingGoal] = useState(null);
+    // The money moved into and out of savings (see GOAL_QUERY), as loaded from the server.
+    const [savingsRows, setSavingsRows] = useState([]);
+
+    // --- SERVER QUERIES (useEffect) ---
+    useEffect(() => {
+        let ignore = false;
+        getAllTransactions(GOAL_QUERY)
+            .then(rows => { if (!ignore) setSavingsRows(rows); })
+            .catch(error => console.error("Failed to load the savings transactions:", error));
+        return () => { ignore = true; };
+    }, []);
+
+    // --- DERIVED STATE (useMemo) ---
+    const transactions = useMemo(() => convertTransactions(savingsRows, exchangeRates, baseCurrency).transactions, [savingsRows, exchangeRates, baseCurrency]);
+    const progress = useMemo(() => computeGoalProgress(goals, transactions), [goals, transactions]);
+    const savingsCategories = useMemo(() => categories.filter(c => c.type === 'Savings'), [categories]);
+    // The total savings pot, to show how much of it isn't assigned to any goal yet.
+    const totalSavingsPot = useMemo(() => {
+        const today = toDateString(new Date());
+        return expandCategoryLines(transactions)
+            .filter(t => t.category_type === 'Savings' && t.transaction_date <= today)
+            .reduce((sum, t) => sum - (t.base_amount ?? parseFloat(t.amount)), 0);
+    }, [transactions]);
+    const totalInGoals = progress.reduce((sum, g) => sum + g.saved, 0);
+
+    // The goal each category already belongs to; a category can only be linked to one goal.
+    const goalByCategory = useMemo(() => goals.reduce((acc, goal) => {
+        (goal.category_ids || []).forEach(id => { acc[String(id)] = goal; });
+        return acc;
+    }, {}), [goals]);
+
+    // --- EVENT HANDLERS (CRUD Operations) ---
+    const toggleCategory = (categoryId) => {
+        const id = String(categoryId);
+        const selected = editingGoal.category_ids.map(String);
+        setEditingGoal({
+            ...editingGoal,
+            category_ids: selected.includes(id) ? selected.filter(c => c !== id) : [...selected, id],
+        });
+    };
+
+    const handleSaveGoal = async (e) => {
+        e.preventDefault();
+        if (!editingGoal.name || !(parseFloat(editingGoal.target_amount) > 0)) {
+            alert('Please enter a name and a target amount greater than zero.');
+            return;
+        }
+
+        try {
+            const goalData = { ...editingGoal, category_ids: editingGoal.category_ids.map(id => parseInt(id)) };
+            const data = editingGoal.id ? await updateSavingsGoal(goalData) : await addSavingsGoal(goalData);
+            if (data.rezultat === "OK") {
+                setEditingGoal(null);
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to save savings goal:", error);
+            alert("An error occurred while saving the goal.");
+        }
+    };
+
+    const handleDeleteGoal = async (id) => {
+        if (!window.confirm("Are you sure you want to delete this goal? Its transfers are kept, they just no longer count toward it.")) return;
+        try {
+            const data = await deleteSavingsGoal(id);
+            if (data.rezultat === "OK") {
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (error) {
+            console.error("Failed to delete savings goal:", error);
+            alert("An error occurred while deleting the goal.");
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Card>
+                <Card.Header as="h4" className="d-flex justify-content-between align-items-center">
+                    Savings Goals
+                    <Button variant="success" size="sm" onClick={() => setEditingGoal(EMPTY_GOAL)}>Add Goal</Button>
+                </Card.Header>
+                <Card.Body>
+                    <p className="text-muted">
+                        A goal counts every transfer to (and withdrawal from) its Savings categories, plus any transfer tied to it on the transaction form.
+                        The pace is your average monthly contribution over the last {GOAL_PACE_MONTHS} months.
+                    </p>
+                    {goals.length > 0 && (
+                        <p className="mb-4">
+                            Savings pot: <strong>{formatMoney(totalSavingsPot, baseCurrency)}</strong>, of which <strong>{formatMoney(totalInGoals, baseCurrency)}</strong> is assigned to goals.
+                        </p>
+                    )}
+                    <Row>
+                        {progress.map(goal => {
+                            const badge = STATUS_BADGES[goal.status];
+                            const original = goals.find(g => g.id === goal.id);
+                            return (
+                                <Col md={6} key={goal.id} className="mb-4">
+                                    <Card className="h-100">
+                                        <Card.Body>
+                                            <div className="d-flex justify-content-between align-items-start mb-2">
+                                                <h5 className="mb-0">
+                                                    <span className="d-inline-block rounded-circle me-2" style={{ width: '12px', height: '12px', backgroundColor: goal.color || '#198754' }}></span>
+                                                    {goal.name}
+                                                    <Badge bg={badge.bg} className="ms-2 fs-6 fw-normal">{badge.label}</Badge>
+                                                </h5>
+                                                <div className="text-nowrap">
+                                                    <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setEditingGoal({ ...original, target_date: original.target_date || '', category_ids: (original.category_ids || []).map(String) })} title="Edit"><BsPencil /></Button>
+                                                    <Button variant="outline-danger" size="sm" onClick={() => handleDeleteGoal(goal.id)} title="Delete"><BsTrash /></Button>
+                                                </div>
+                                            </div>
+                                            <div className="d-flex justify-content-between">
+                                                <span className="text-muted">{goal.targetDate ? `By ${formatDate(goal.targetDate)}` : 'No deadline'}</span>
+                                                <span className="fw-bold">{`${formatMoney(goal.saved, baseCurrency)} / ${formatMoney(goal.targetAmount, baseCurrency)}`}</span>
+                                            </div>
+                                            <ProgressBar className="my-2" style={{height: '20px'}} now={Math.min(goal.percent, 100)} label={`${Math.round(goal.percent)}%`} variant={goal.status === 'reached' ? 'success' : goal.status === 'onTrack' || goal.status === 'noDeadline' ? 'info' : 'warning'} />
+                                            {goal.status !== 'reached' && (
+                                                <ul className="list-unstyled small mb-0">
+                                                    <li>Still to save: <strong>{formatMoney(goal.remaining, baseCurrency)}</strong></li>
+                                                    <li>Recent pace: <strong>{formatMoney(goal.monthlyPace, baseCurrency)}</strong> a month</li>
+                                                    <li>Projected completion: <strong>{goal.projectedDate ? formatDate(goal.projectedDate) : 'not at the current pace'}</strong></li>
+                                                    {goal.monthlyNeeded !== null && (
+                                                        <li>
+                                                            {goal.status === 'overdue' ? 'Needed now' : 'Needed per month to make the deadline'}: <strong className={goal.status === 'onTrack' ? '' : 'text-danger'}>{formatMoney(goal.monthlyNeeded, baseCurrency)}</strong>
+                                                        </li>
+                                                    )}
+                                                </ul>
+                                            )}
+                                            {goal.categoryIds.length > 0 && (
+                                                <div className="mt-2">
+                                                    {goal.categoryIds.map(id => {
+                                                        const category = categories.find(c => String(c.id) === id);
+                                                        return category ? <Badge key={id} bg="light" text="dark" className="me-1 border">{category.name}</Badge> : null;
+                                                    })}
+                                                </div>
+                                            )}
+                                        </Card.Body>
+                                    </Card>
+                                </Col>
+                            );
+                        })}
+                        {goals.length === 0 && <Col><p className="text-center text-muted">No goals yet. Add one to start tracking what your savings are for.</p></Col>}
+                    </Row>
+                </Card.Body>
+            </Card>
+
+            {/* The goal modal is only rendered while a goal is being added or edited. */}
+            {editingGoal && (
+                <Modal show onHide={() => setEditingGoal(null)} centered>
+                    <Modal.Header closeButton><Modal.Title>{editingGoal.id ? 'Edit Goal' : 'Add Goal'}</Modal.Title></Modal.Header>
+                    <Modal.Body>
+                        <Form onSubmit={handleSaveGoal}>
+                            <Row>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="goal-name">Name</Form.Label><Form.Control id="goal-name" type="text" placeholder="e.g., Emergency fund" value={editingGoal.name} onChange={(e) => setEditingGoal({...editingGoal, name: e.target.value})} required /></Form.Group></Col>
+                                <Col xs="auto"><Form.Group><Form.Label htmlFor="goal-color">Color</Form.Label><Form.Control id="goal-color" type="color" value={editingGoal.color || '#198754'} onChange={(e) => setEditingGoal({...editingGoal, color: e.target.value})} /></Form.Group></Col>
+                            </Row>
+                            <Row>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="goal-target">Target Amount ({baseCurrency})</Form.Label><Form.Control id="goal-target" type="number" step="0.01" min="0.01" value={editingGoal.target_amount} onChange={(e) => setEditingGoal({...editingGoal, target_amount: e.target.value})} required /></Form.Group></Col>
+                                <Col><Form.Group className="mb-3"><Form.Label htmlFor="goal-date">Deadline (optional)</Form.Label><Form.Control id="goal-date" type="date" value={editingGoal.target_date} onChange={(e) => setEditingGoal({...editingGoal, target_date: e.target.value})} /></Form.Group></Col>
+                            </Row>
+                            <Form.Group>
+                                <Form.Label>Savings Categories</Form.Label>
+                                {savingsCategories.map(category => {
+                                    const owner = goalByCategory[String(category.id)];
+                                    const takenByOther = owner && owner.id !== editingGoal.id;
+                                    return (
+                                        <Form.Check
+                                            key={category.id}
+                                            id={`goal-category-${category.id}`}
+                                            type="checkbox"
+                                            label={takenByOther ? `${category.name} (used by "${owner.name}")` : category.name}
+                                            checked={editingGoal.category_ids.map(String).includes(String(category.id))}
+                                            disabled={takenByOther}
+                                            onChange={() => toggleCategory(category.id)}
+                                        />
+                                    );
+                                })}
+                                {savingsCategories.length === 0 && <p className="text-muted small mb-0">There are no Savings categories yet.</p>}
+                                <Form.Text muted>Optional: you can also tie individual transfers to this goal on the transaction form.</Form.Text>
+                            </Form.Group>
+                            <div className="text-end mt-4">
+                                <Button variant="secondary" onClick={() => setEditingGoal(null)} className="me-2">Cancel</Button>
+                                <Button variant="primary" type="submit">{editingGoal.id ? 'Save Changes' : 'Add Goal'}</Button>
+                            </div>
+                        </Form>
+                    </Modal.Body>
+                </Modal>
+            )}
+        </>
+    );
+};
+
+export default SavingsGoals;
@@ -0,0 +1,128 @@
+// Import core React hooks and the Bootstrap components used by the dialog.
+import React, { useState } from 'react';
+import { Modal, Form, Button, InputGroup, Table, Row, Col } from 'react-bootstrap';
+// Import the icon for removing a revision.
+import { BsTrash } from 'react-icons/bs';
+
+// Import the functions that add and remove a schedule's dated amounts.
+import {
+    addRecurringIncomeRevision, deleteRecurringIncomeRevision,
+    addRecurringExpenseRevision, deleteRecurringExpenseRevision
+} from '../services/apiService';
+import { formatMoney } from '../utils/currency';
+import { amountOn } from '../utils/recurrence';
+import { toDateString } from '../utils/forecast';
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    const date = new Date(dateString + 'T00:00:00');
+    return new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }).format(date);
+};
+
+/**
+ * ScheduleAmountModal records a price change of a recurring schedule (e.g. a subscription going from €12.99 to €15.49
+ * in September) without rewriting its past: the new amount applies to the occurrences from its date on, both when
+ * they are recorded and in the forecast. It also lists the schedule's earlier changes, which can be removed.
+ * @param {object} props - Component props.
+ * @param {object|null} props.schedule - The recurring income or expense, with its `amount_history`; null when hidden.
+ * @param {string} props.itemType - 'income' or 'expense'.
+ * @param {Function} props.onClose - Closes the dialog.
+ * @param {Function} props.onDataChanged - Called after a change was added or removed, to reload the schedules.
+ */
+const ScheduleAmountModal = ({ schedule, itemType, onClose, onDataChanged }) => {
+    // --- STATE MANAGEMENT ---
+    const [amount, setAmount] = useState('');
+    const [validFrom, setValidFrom] = useState(toDateString(new Date()));
+
+    const addRevision = itemType === 'income' ? addRecurringIncomeRevision : addRecurringExpenseRevision;
+    const deleteRevision = itemType === 'income' ? deleteRecurringIncomeRevision : deleteRecurringExpenseRevision;
+
+    // --- EVENT HANDLERS ---
+    const handleClose = () => { setAmount(''); setValidFrom(toDateString(new Date())); onClose(); };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const result = await addRevision({ id: schedule.id, amount, valid_from: validFrom });
+            if (result.rezultat !== 'OK') {
+                alert("Error: " + result.rezultat);
+                return;
+            }
+            onDataChanged();
+            handleClose();
+        } catch (error) {
+            console.error(`Failed to change the ${itemType} schedule's amount:`, error);
+            alert('Failed to save the new amount. Please try again.');
+        }
+    };
+
+    const handleDelete = async (revision) => {
+        if (!window.confirm(`Remove the change to ${formatMoney(revision.amount, schedule.currency)} from ${formatDate(revision.valid_from)}?`)) return;
+        try {
+            const result = await deleteRevision(revision.id);
+            if (result.rezultat !== 'OK') alert("Error: " + result.rezultat);
+            onDataChanged();
+        } catch (error) {
+            console.error(`Failed to remove the ${itemType} schedule's amount change:`, error);
+            alert('Failed to remove the change. Please try again.');
+        }
+    };
+
+    // --- JSX RENDERING ---
+    if (!schedule) return null;
+    const history = schedule.amount_history || [];
+
+    return (
+        <Modal show onHide={handleClose} centered>
+            <Modal.Header closeButton><Modal.Title>Change Amount of '{schedule.description}'</Modal.Title></Modal.Header>
+            <Modal.Body>
+                <p className="text-muted small">
+                    Currently {formatMoney(amountOn(schedule, toDateString(new Date())), schedule.currency)}. The new amount applies from
+                    its date on; occurrences before it keep the amount they had.
+                </p>
+                <Form onSubmit={handleSubmit}>
+                    <Row className="g-2">
+                        <Col xs={7}>
+                            <Form.Group>
+                                <Form.Label>New Amount</Form.Label>
+                                <InputGroup>
+                                    <Form.Control type="number" step="0.01" min="0.01" placeholder="15.49" value={amount} onChange={e => setAmount(e.target.value)} required />
+                                    <InputGroup.Text>{schedule.currency}</InputGroup.Text>
+                                </InputGroup>
+                            </Form.Group>
+                        </Col>
+                        <Col xs={5}>
+                            <Form.Group>
+                                <Form.Label>Valid From</Form.Label>
+                                <Form.Control type="date" min={schedule.start_date} max={schedule.end_date} value={validFrom} onChange={e => setValidFrom(e.target.value)} required />
+                            </Form.Group>
+                        </Col>
+                    </Row>
+                    <div className="text-end mt-3"><Button variant="primary" type="submit">Save New Amount</Button></div>
+                </Form>
+
+                <h6 className="mt-4">History</h6>
+                <Table size="sm" className="align-middle mb-0">
+                    <tbody>
+                        <tr>
+                            <td>{formatDate(schedule.start_date)}</td>
+                            <td className="text-end">{formatMoney(schedule.amount, schedule.currency)}</td>
+                            <td className="text-muted small text-end">starting amount</td>
+                        </tr>
+                        {history.map(revision => (
+                            <tr key={revision.id}>
+                                <td>{formatDate(revision.valid_from)}</td>
+                                <td className="text-end">{formatMoney(revision.amount, schedule.currency)}</td>
+                                <td className="text-end">
+                                    <Button variant="outline-danger" size="sm" onClick={() => handleDelete(revision)} title="Remove"><BsTrash /></Button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+            </Modal.Body>
+        </Modal>
+    );
+};
+
+export default ScheduleAmountModal;
@@ -0,0 +1,202 @@
+// Import core React hooks and the Bootstrap components used on the page.
+import React, { useState } from 'react';
+import { Card, Form, Button, Row, Col, Alert, ListGroup, InputGroup } from 'react-bootstrap';
+// Import icons for the download and restore actions.
+import { BsDownload, BsUpload } from 'react-icons/bs';
+
+// Import the backup helpers and the file download utility.
+import { createBackupArchive, validateBackupArchive, restoreBackupArchive, BACKUP_VERSION } from '../services/backupService';
+import { downloadFile, todayStamp } from '../utils/download';
+// Import the settings endpoint for the notification preferences.
+import { updateAppSettings } from '../services/apiService';
+
+/**
+ * Settings is the page for application-wide maintenance tasks.
+ * Its "Notifications" section sets the amount from which a transaction is reported as large in the notification center.
+ * Its "Backup & Restore" section downloads all tracker data as one versioned JSON archive,
+ * and restores such an archive through the regular apiService create calls.
+ * @param {object} props - Component props.
+ * @param {number} props.transactionCount - How many transactions are recorded to date.
+ * @param {Array} props.categories - All categories loaded by App.js.
+ * @param {Array} props.budgetSettings - All budget rules loaded by App.js.
+ * @param {Array} props.recurringIncomes - All recurring income schedules loaded by App.js.
+ * @param {Array} props.recurringExpenses - All recurring expense schedules loaded by App.js.
+ * @param {Array} props.categorizationRules - All auto-categorization rules loaded by App.js.
+ * @param {Array} props.accounts - All accounts loaded by App.js.
+ * @param {Array} props.exchangeRates - All exchange rates loaded by App.js.
+ * @param {string} props.baseCurrency - The base currency setting.
+ * @param {Array} props.categoryBudgets - All per-category budgets loaded by App.js.
+ * @param {Array} props.savingsGoals - All savings goals loaded by App.js.
+ * @param {number} props.largeTransaction - The current large-transaction threshold, in the base currency.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js.
+ */
+const Settings = ({ transactionCount = 0, categories, budgetSettings, recurringIncomes, recurringExpenses, categorizationRules, accounts, exchangeRates = [], baseCurrency, categoryBudgets = [], savingsGoals = [], largeTransaction, onDataChanged }) => {
+    // --- STATE MANAGEMENT ---
+    const [thresholdInput, setThresholdInput] = useState(String(largeTransaction ?? ''));
+    const [isBackingUp, setIsBackingUp] = useState(false);
+    // The archive chosen for restore, once it has been read and validated.
+    const [archive, setArchive] = useState(null);
+    const [archiveError, setArchiveError] = useState('');
+    const [isRestoring, setIsRestoring] = useState(false);
+    // Messages reported by the restore, step by step.
+    const [restoreLog, setRestoreLog] = useState([]);
+    const [notification, setNotification] = useState({ show: false, message: '', variant: 'danger' });
+
+    // --- EVENT HANDLERS ---
+
+    // Builds the archive and downloads it as a JSON file.
+    const handleBackup = async () => {
+        setIsBackingUp(true);
+        try {
+            const backup = await createBackupArchive({
+                categories, budgetRules: budgetSettings, recurringIncomes, recurringExpenses, categorizationRules, accounts, exchangeRates, baseCurrency, categoryBudgets, savingsGoals
+            });
+            downloadFile(JSON.stringify(backup, null, 2), `financial-tracker-backup-${todayStamp()}.json`, 'application/json');
+        } catch (error) {
+            console.error("Backup failed:", error);
+            setNotification({ show: true, message: 'Failed to create the backup. Please try again.', variant: 'danger' });
+        } finally {
+            setIsBackingUp(false);
+        }
+    };
+
+    // Saves the large-transaction threshold; the reload recomputes the notifications.
+    const handleSaveThreshold = async (e) => {
+        e.preventDefault();
+        if (!(parseFloat(thresholdInput) > 0)) {
+            setNotification({ show: true, message: 'The threshold must be greater than zero.', variant: 'danger' });
+            return;
+        }
+        try {
+            const result = await updateAppSettings({ large_transaction_threshold: String(parseFloat(thresholdInput)) });
+            if (result.rezultat !== 'OK') {
+                setNotification({ show: true, message: "Error: " + result.rezultat, variant: 'danger' });
+                return;
+            }
+            onDataChanged();
+        } catch (error) {
+            console.error("Saving the threshold failed:", error);
+            setNotification({ show: true, message: 'Failed to save the threshold. Please try again.', variant: 'danger' });
+        }
+    };
+
+    // Reads and validates the chosen archive file. Nothing is written until the user confirms.
+    const handleArchiveChange = (e) => {
+        const file = e.target.files[0];
+        setArchive(null);
+        setArchiveError('');
+        setRestoreLog([]);
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                setArchive(validateBackupArchive(JSON.parse(String(reader.result))));
+            } catch (error) {
+                // JSON.parse errors are not user-friendly, so they get a generic message.
+                setArchiveError(error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const handleRestore = async () => {
+        if (!archive) return;
+        if (!window.confirm("Restore this backup? Its data will be added to the data already in the tracker.")) return;
+
+        setIsRestoring(true);
+        setRestoreLog([]);
+        const messages = [];
+        try {
+            await restoreBackupArchive(archive, categories, (message) => {
+                messages.push(message);
+                setRestoreLog([...messages]);
+            });
+            // The reload below replaces this page with the loading spinner, so the summary is shown in an alert.
+            alert(`Backup restored successfully.\n\n${messages.join('\n')}`);
+            onDataChanged(); // Reload everything, which also runs the recurring processors for the restored schedules.
+        } catch (error) {
+            console.error("Restore failed:", error);
+            setNotification({ show: true, message: error.message || 'Failed to restore the backup.', variant: 'danger' });
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <Card className="shadow-sm">
+            <Card.Header as="h3">Settings</Card.Header>
+            <Card.Body>
+                {notification.show && <Alert variant={notification.variant} onClose={() => setNotification({ show: false })} dismissible>{notification.message}</Alert>}
+
+                <h5>Notifications</h5>
+                <Form onSubmit={handleSaveThreshold} className="mb-4">
+                    <Form.Label htmlFor="largeTransactionThreshold">Report transactions of at least</Form.Label>
+                    <Row className="g-2 align-items-center">
+                        <Col xs="auto">
+                            <InputGroup>
+                                <Form.Control id="largeTransactionThreshold" type="number" min="0.01" step="0.01" value={thresholdInput} onChange={e => setThresholdInput(e.target.value)} required />
+                                <InputGroup.Text>{baseCurrency}</InputGroup.Text>
+                            </InputGroup>
+                        </Col>
+                        <Col xs="auto"><Button type="submit" variant="primary">Save</Button></Col>
+                    </Row>
+                    <Form.Text muted>Incomes and expenses of this size (in the base currency) from the last 30 days show in the notification center.</Form.Text>
+                </Form>
+
+                <h5>Backup & Restore</h5>
+                <Row className="g-4">
+                    {/* Backup */}
+                    <Col md={6}>
+                        <Card body className="h-100">
+                            <h6>Download a Backup</h6>
+                            <p className="text-muted small">
+                                Saves all accounts, transactions, categories, budget rules, category budgets, savings goals, scheduled incomes and payments, import profiles, categorization rules, exchange rates and the base currency
+                                as a single JSON file (archive version {BACKUP_VERSION}).
+                            </p>
+                            <p className="small mb-3">
+                                {accounts.length} accounts &middot; {transactionCount} transactions &middot; {categories.length} categories &middot; {budgetSettings.length} budget rules &middot; {categoryBudgets.length} category budgets &middot; {savingsGoals.length} savings goals &middot; {recurringIncomes.length + recurringExpenses.length} schedules &middot; {exchangeRates.length} exchange rates
+                            </p>
+                            <Button variant="primary" onClick={handleBackup} disabled={isBackingUp}>
+                                <BsDownload className="me-1" /> {isBackingUp ? 'Preparing...' : 'Download Backup'}
+                            </Button>
+                        </Card>
+                    </Col>
+
+                    {/* Restore */}
+                    <Col md={6}>
+                        <Card body className="h-100">
+                            <h6>Restore a Backup</h6>
+                            <p className="text-muted small">
+                                Categories are matched by name and type, or created when missing. Transactions generated by schedules
+                                are not copied; the restored schedules regenerate them.
+                            </p>
+                            <Form.Group controlId="restoreFile" className="mb-3">
+                                <Form.Control type="file" accept=".json,application/json" onChange={handleArchiveChange} />
+                            </Form.Group>
+                            {archiveError && <Alert variant="danger" className="py-2 small">{archiveError}</Alert>}
+                            {archive && (
+                                <p className="small">
+                                    Backup from <strong>{new Date(archive.exported_at).toLocaleString('en-GB')}</strong>:{' '}
+                                    {archive.data.transactions.length} transactions, {archive.data.categories.length} categories,{' '}
+                                    {archive.data.budget_rules.length} budget rules, {archive.data.recurring_incomes.length + archive.data.recurring_expenses.length} schedules.
+                                </p>
+                            )}
+                            <Button variant="warning" onClick={handleRestore} disabled={!archive || isRestoring}>
+                                <BsUpload className="me-1" /> {isRestoring ? 'Restoring...' : 'Restore Backup'}
+                            </Button>
+                            {restoreLog.length > 0 && (
+                                <ListGroup variant="flush" className="mt-3 small">
+                                    {restoreLog.map((message, index) => <ListGroup.Item key={index}>{message}</ListGroup.Item>)}
+                                </ListGroup>
+                            )}
+                        </Card>
+                    </Col>
+                </Row>
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default Settings;
@@ -0,0 +1,196 @@
+/**
+ * @file Subscriptions.js
+ * @description This file contains the subscriptions and contracts page, built on the recurring payments.
+ * Key Features:
+ * - Lists every active scheduled payment with its monthly and yearly cost, next charge and contract terms
+ *   (days until the contract ends, notice period, last day to cancel, automatic renewal).
+ * - Shows the reminders of the contracts whose cancellation deadline, renewal or end is near.
+ * - Adds up what cancelling the selected payments would save, respecting the contracts they are under.
+ */
+
+// Import core React hooks for state management and performance optimization.
+import React, { useState, useMemo } from 'react';
+// Import layout components from React Bootstrap.
+import { Card, Table, Form, Alert, Badge, Row, Col } from 'react-bootstrap';
+// Import the link to the page where the schedules are edited.
+import { Link } from 'react-router-dom';
+
+// Import the subscription calculations and the currency and recurrence helpers.
+import { annualCost, contractTerms, savingsIfCancelled, subscriptionAlerts, describeSubscriptionAlert } from '../utils/subscriptions';
+import { DEFAULT_CURRENCY, formatMoney, buildRateIndex, findRate } from '../utils/currency';
+import { describeRecurrence, nextOccurrence } from '../utils/recurrence';
+import { toDateString } from '../utils/forecast';
+
+// How many months ahead the savings of cancelling are counted.
+const SAVINGS_MONTHS = 12;
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+/**
+ * @component Subscriptions
+ * @param {Object} props - The properties passed down to the component.
+ * @param {Array} props.recurringExpenses - The recurring expense schedules.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to add up payments in other currencies.
+ * @param {string} props.baseCurrency - The currency the totals are shown in.
+ */
+const Subscriptions = ({ recurringExpenses = [], exchangeRates = [], baseCurrency = DEFAULT_CURRENCY }) => {
+    // --- STATE MANAGEMENT ---
+    // The schedules ticked for the "what if I cancelled them" total, by id.
+    const [selected, setSelected] = useState([]);
+
+    // --- DERIVED STATE ---
+    const rows = useMemo(() => {
+        const today = new Date();
+        const todayString = toDateString(today);
+        const rateIndex = buildRateIndex(exchangeRates);
+        // Totals use today's rate; a currency without a rate is counted 1:1, as in the forecast.
+        const toBase = (amount, currency) => amount * (findRate(rateIndex, currency || DEFAULT_CURRENCY, baseCurrency, todayString) ?? 1);
+        return recurringExpenses
+            .filter(schedule => !schedule.end_date || schedule.end_date >= todayString)
+            .map(schedule => {
+                const yearly = annualCost(schedule, today);
+                const next = nextOccurrence(schedule, today);
+                return {
+                    schedule,
+                    terms: contractTerms(schedule, today),
+                    next: next ? toDateString(next) : null,
+                    yearly,
+                    baseYearly: toBase(yearly, schedule.currency),
+                    baseSavings: toBase(savingsIfCancelled(schedule, SAVINGS_MONTHS, today), schedule.currency),
+                };
+            })
+            .sort((a, b) => b.baseYearly - a.baseYearly);
+    }, [recurringExpenses, exchangeRates, baseCurrency]);
+
+    const alerts = useMemo(() => subscriptionAlerts(recurringExpenses), [recurringExpenses]);
+
+    const totalYearly = rows.reduce((sum, r) => sum + r.baseYearly, 0);
+    const selectedRows = rows.filter(r => selected.includes(r.schedule.id));
+    const selectedYearly = selectedRows.reduce((sum, r) => sum + r.baseYearly, 0);
+    const selectedSavings = selectedRows.reduce((sum, r) => sum + r.baseSavings, 0);
+
+    // --- EVENT HANDLERS ---
+    const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+    const toggleAll = () => setSelected(selectedRows.length === rows.length ? [] : rows.map(r => r.schedule.id));
+
+    // --- JSX RENDERING ---
+    const renderContract = ({ terms }) => {
+        if (!terms) return <span className="text-muted">No contract</span>;
+        if (terms.ended) return <span className="text-muted">Ended {formatDate(terms.end)}</span>;
+        return (
+            <>
+                {terms.renews ? 'Renews' : 'Ends'} {formatDate(terms.end)}
+                <Badge bg={terms.daysToEnd <= 30 ? 'warning' : 'light'} text="dark" className="ms-2">{terms.daysToEnd} days</Badge>
+                {terms.renews && <><br/><small className="text-muted">Renews for {terms.renewalMonths} month(s) at a time</small></>}
+            </>
+        );
+    };
+
+    const renderNotice = ({ terms }) => {
+        if (!terms || terms.ended) return <span className="text-muted">&ndash;</span>;
+        const tooLate = terms.daysToCancelBy < 0;
+        return (
+            <>
+                {terms.noticeDays} days
+                <br/>
+                <small className={tooLate ? 'text-muted' : terms.daysToCancelBy <= 30 ? 'text-danger fw-bold' : 'text-muted'}>
+                    {tooLate ? `Too late for this term; earliest exit ${formatDate(terms.exitDate)}` : `Cancel by ${formatDate(terms.cancelBy)}`}
+                </small>
+            </>
+        );
+    };
+
+    return (
+        <div>
+            <h2 className="mb-4">Subscriptions & Contracts</h2>
+
+            {alerts.map(alert => (
+                <Alert key={alert.key} variant={alert.type === 'cancel' ? 'warning' : 'info'} className="py-2">
+                    {describeSubscriptionAlert(alert)}
+                </Alert>
+            ))}
+
+            <Row className="g-3 mb-4">
+                <Col md={4}>
+                    <Card className="h-100"><Card.Body>
+                        <div className="text-muted small">Monthly cost</div>
+                        <div className="fs-4 fw-bold">{formatMoney(totalYearly / 12, baseCurrency)}</div>
+                        <div className="text-muted small">{rows.length} active scheduled payment(s)</div>
+                    </Card.Body></Card>
+                </Col>
+                <Col md={4}>
+                    <Card className="h-100"><Card.Body>
+                        <div className="text-muted small">Yearly cost</div>
+                        <div className="fs-4 fw-bold">{formatMoney(totalYearly, baseCurrency)}</div>
+                    </Card.Body></Card>
+                </Col>
+                <Col md={4}>
+                    <Card className="h-100" border={selectedRows.length > 0 ? 'success' : undefined}><Card.Body>
+                        <div className="text-muted small">Cancelling the selected ({selectedRows.length})</div>
+                        <div className="fs-4 fw-bold text-success">{formatMoney(selectedSavings, baseCurrency)}</div>
+                        <div className="text-muted small">
+                            saved over the next {SAVINGS_MONTHS} months, after any contract ends
+                            {selectedRows.length > 0 && <> ({formatMoney(selectedYearly / 12, baseCurrency)} a month once stopped)</>}
+                        </div>
+                    </Card.Body></Card>
+                </Col>
+            </Row>
+
+            <Card className="shadow-sm">
+                <Card.Header as="h5">Scheduled Payments</Card.Header>
+                <Card.Body>
+                    {rows.length === 0 ? (
+                        <p className="text-muted text-center p-3 mb-0">
+                            No active scheduled payments. Add them on the <Link to="/budget-setup">Budgeting</Link> page.
+                        </p>
+                    ) : (
+                        <>
+                            <Table responsive hover size="sm" className="align-middle">
+                                <thead>
+                                    <tr>
+                                        <th><Form.Check aria-label="Select all" checked={selectedRows.length === rows.length} onChange={toggleAll} /></th>
+                                        <th>Payment</th>
+                                        <th className="text-end">Monthly</th>
+                                        <th className="text-end">Yearly</th>
+                                        <th>Next Charge</th>
+                                        <th>Contract</th>
+                                        <th>Notice</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map(row => (
+                                        <tr key={row.schedule.id}>
+                                            <td><Form.Check aria-label={`Select ${row.schedule.description}`} checked={selected.includes(row.schedule.id)} onChange={() => toggle(row.schedule.id)} /></td>
+                                            <td>
+                                                {row.schedule.description}
+                                                <br/>
+                                                <small className="text-muted">{row.schedule.category_name} &middot; {describeRecurrence(row.schedule)}</small>
+                                            </td>
+                                            <td className="text-end">{formatMoney(row.yearly / 12, row.schedule.currency)}</td>
+                                            <td className="text-end">{formatMoney(row.yearly, row.schedule.currency)}</td>
+                                            <td className="text-nowrap">{row.next ? formatDate(row.next) : <span className="text-muted">&ndash;</span>}</td>
+                                            <td>{renderContract(row)}</td>
+                                            <td>{renderNotice(row)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                            <small className="text-muted">
+                                Costs use each payment's current amount and repeat pattern; totals are in {baseCurrency} at today's exchange rates.
+                                Contract terms, notice periods and reminders are set on the <Link to="/budget-setup">Budgeting</Link> page.
+                            </small>
+                        </>
+                    )}
+                </Card.Body>
+            </Card>
+        </div>
+    );
+};
+
+export default Subscriptions;
@@ -0,0 +1,84 @@
+// Import core React and the Bootstrap components used by the dialog.
+import React from 'react';
+import { Modal, Button, Table } from 'react-bootstrap';
+
+// Names the kind of row from its endpoint, e.g. 'recurring_expenses.php' -> 'recurring expense'.
+const describeKind = (endpoint) => endpoint.split('?')[0].replace('.php', '').replace(/_/g, ' ').replace(/ies$/, 'y').replace(/s$/, '');
+
+// Shows a field's value in the table; lists (such as category lines) are summarised rather than printed.
+const displayValue = (value) => {
+    if (value === null || value === undefined || value === '') return <span className="text-muted">(empty)</span>;
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * SyncConflictModal is shown while App.js sends the changes made offline, when a row the user changed offline
+ * was also changed (or deleted) on the server in the meantime. It lists the fields that differ and lets the user
+ * keep their own version or the server's; a row deleted on the server can only be left deleted.
+ * @param {object|null} props.conflict - { change, deleted, fields: [{ field, mine, theirs }] } from syncService.js, or null when hidden.
+ * @param {Function} props.onResolve - Called with 'mine' or 'theirs'.
+ */
+const SyncConflictModal = ({ conflict, onResolve }) => {
+    if (!conflict) return null;
+
+    const { change, deleted, fields } = conflict;
+    const kind = describeKind(change.endpoint);
+    const name = change.base.description || change.base.name || `#${change.base.id}`;
+    const isDeletion = change.method === 'DELETE';
+
+    // --- JSX RENDERING ---
+    return (
+        <Modal show onHide={() => onResolve('theirs')} centered backdrop="static">
+            <Modal.Header>
+                <Modal.Title>Changed While You Were Offline</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {deleted ? (
+                    <p>
+                        The {kind} "{name}" you {isDeletion ? 'deleted' : 'edited'} offline was deleted on the server in the meantime,
+                        so your change can't be applied.
+                    </p>
+                ) : (
+                    <>
+                        <p>
+                            The {kind} "{name}" you {isDeletion ? 'deleted' : 'edited'} offline was also changed on the server
+                            (for example by a household member or on another device). Which version should be kept?
+                        </p>
+                        <Table size="sm" bordered className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Field</th>
+                                    <th>Your version</th>
+                                    <th>Server version</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {fields.map(f => (
+                                    <tr key={f.field}>
+                                        <td>{f.field.replace(/_/g, ' ')}</td>
+                                        <td>{isDeletion ? <span className="text-danger">(deleted)</span> : displayValue(f.mine)}</td>
+                                        <td>{displayValue(f.theirs)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                {deleted ? (
+                    <Button variant="primary" onClick={() => onResolve('theirs')}>Discard My Change</Button>
+                ) : (
+                    <>
+                        <Button variant="outline-secondary" onClick={() => onResolve('theirs')}>Keep Server Version</Button>
+                        <Button variant="primary" onClick={() => onResolve('mine')}>Keep Mine</Button>
+                    </>
+                )}
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default SyncConflictModal;
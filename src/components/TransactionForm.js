@@ -2,13 +2,30 @@
 import React, { useState, useEffect, useMemo } from 'react';
 
 // Import components from 'react-bootstrap' for building the form's layout and style.
-import { Form, Button, Row, Col, Card } from 'react-bootstrap';
+import { Form, Button, Row, Col, Card, InputGroup } from 'react-bootstrap';
 
 // Import hooks from 'react-router-dom' for navigation and accessing URL parameters.
 import { useNavigate, useParams } from 'react-router-dom';
 
 // Import the specific functions we need from the apiService
-import { addTransaction, updateTransaction } from '../services/apiService';
+import { addTransaction, updateTransaction, addAccountTransfer, updateAccountTransfer, getTransactionSplits, getAllTransactions } from '../services/apiService';
+// Import the duplicate check and the dialog used to review its results.
+import { findDuplicates, duplicateSearchRange } from '../utils/duplicates';
+import DuplicateReviewModal from './DuplicateReviewModal';
+import TransactionHistory from './TransactionHistory';
+import HouseholdSplit from './HouseholdSplit';
+import CategoryLines from './CategoryLines';
+// Import the helper that turns the entered split into the shares sent to the API.
+import { buildSplits } from '../utils/households';
+import { buildCategoryLines } from '../utils/categoryLines';
+// Import the descriptions of each change, which let App.js offer to undo it.
+import { toTransactionData, transactionCreated, transactionUpdated, transferUpdated } from '../services/undoService';
+// Import the rule engine that suggests a category from the description and amount.
+import { suggestCategory } from '../utils/categorization';
+// Import the helper that finds the other row of a transfer between accounts.
+import { findTransferPeer } from '../utils/accounts';
+// Import the currency helpers used for the currency dropdown and the converted-amount hint.
+import { COMMON_CURRENCIES, DEFAULT_CURRENCY, formatMoney, buildRateIndex, findRate } from '../utils/currency';
 
 /**
  * TransactionForm is a versatile component used for both adding a new transaction
@@ -16,10 +33,16 @@ import { addTransaction, updateTransaction } from '../services/apiService';
  * performs data validation, and communicates with the backend API.
  * @param {object} props - Component props.
  * @param {Array} props.categories - The list of all available categories.
+ * @param {Array} props.accounts - The list of accounts the transaction can belong to.
  * @param {Function} props.onFormSubmit - A callback function to trigger a data reload in the parent (App.js).
- * @param {Array} props.transactions - The list of all transactions, needed for finding the one to edit.
+ * It is given the change that was saved (see undoService.js), so App.js can offer to undo it.
+ * @param {Array} props.categorizationRules - The auto-categorization rules, used to pre-select a category when adding.
+ * @param {Array} props.savingsGoals - The savings goals a transfer to or from savings can be tied to.
+ * @param {string} props.baseCurrency - The currency new transactions default to and amounts are converted into.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to show the amount in the base currency.
+ * @param {Array} props.households - The user's households; an expense can be split with one of them.
  */
-const TransactionForm = ({ categories, onFormSubmit, transactions }) => { 
+const TransactionForm = ({ categories, accounts = [], onFormSubmit, categorizationRules = [], savingsGoals = [], baseCurrency = DEFAULT_CURRENCY, exchangeRates = [], households = [] }) => { 
   // Initialize router hooks.
   const navigate = useNavigate();
   const { id: editId } = useParams(); // Get the 'id' from the URL, e.g., from '/edit/123'
@@ -28,23 +51,58 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
   // This is a clean way to drive conditional logic throughout the component.
   const isEditMode = Boolean(editId);
   
+  // The transaction being edited and, for a transfer between accounts, its other row, loaded from the server.
+  const [editRows, setEditRows] = useState([]);
+  useEffect(() => {
+    if (!isEditMode) return;
+    let ignore = false;
+    getAllTransactions({ id: editId })
+      .then(async ([row]) => {
+        const rows = row && row.transfer_group ? await getAllTransactions({ transfer_group: row.transfer_group }) : row ? [row] : [];
+        if (!ignore) setEditRows(rows);
+      })
+      .catch(error => console.error("Failed to load the transaction to edit:", error));
+    return () => { ignore = true; };
+  }, [isEditMode, editId]);
+
   // Find the full transaction data to be edited.
   // useMemo is used for performance optimization. It memoizes the result of the 'find' operation,
-  // so it only re-calculates when one of its dependencies (isEditMode, editId, transactions) changes.
-  // This is more efficient than running a 'find' on every single render.
+  // so it only re-calculates when one of its dependencies (isEditMode, editId, editRows) changes.
   const initialData = useMemo(() => 
-    isEditMode ? transactions.find(t => String(t.id) === String(editId)) : null,
-    [isEditMode, editId, transactions]
+    isEditMode ? editRows.find(t => String(t.id) === String(editId)) : null,
+    [isEditMode, editId, editRows]
   );
+  // When editing one row of a transfer between accounts, both rows are edited together.
+  const isEditingTransfer = Boolean(initialData && initialData.transfer_group);
 
   // --- FORM STATE MANAGEMENT (useState) ---
   const [description, setDescription] = useState('');
   const [amount, setAmount] = useState('');
-  // This state manages the four USER-FACING transaction types. This is a UI abstraction layer
+  // The currency the amount is entered in. New transactions default to the base currency.
+  const [currency, setCurrency] = useState(baseCurrency);
+  // This state manages the USER-FACING transaction types. This is a UI abstraction layer
   // to make the form more intuitive than the two simple backend types ('Income'/'Expense').
   const [transactionType, setTransactionType] = useState('expense');
   const [categoryId, setCategoryId] = useState('');
+  // The account the money leaves or enters. New transactions default to the first account.
+  const [accountId, setAccountId] = useState(accounts.length > 0 ? String(accounts[0].id) : '');
+  // The destination account, only used by transfers between accounts.
+  const [toAccountId, setToAccountId] = useState('');
+  // The savings goal a transfer to or from savings is made for ('' when it just counts toward its category's goal).
+  const [goalId, setGoalId] = useState('');
   const [date, setDate] = useState(new Date().toISOString().slice(0, 10)); // Default to today
+  // Holds the entry waiting for a duplicate review ([{ candidate, matches }]), or null when no review is open.
+  const [duplicateReview, setDuplicateReview] = useState(null);
+  // Once the user picks a category themselves, the rules stop changing it.
+  const [categoryTouched, setCategoryTouched] = useState(false);
+  // The rule that chose the current category, shown as a hint under the dropdown.
+  const [appliedRule, setAppliedRule] = useState(null);
+  // Whether the change history is shown below the form (edit mode only).
+  const [showHistory, setShowHistory] = useState(false);
+  // How an expense is split with a household (see HouseholdSplit), or null when it isn't shared.
+  const [split, setSplit] = useState(null);
+  // The lines of a transaction split across several categories ([{ category_id, amount }]), or null for a single category.
+  const [categoryLines, setCategoryLines] = useState(null);
 
   // --- SIDE EFFECTS (useEffect) ---
 
@@ -57,16 +115,45 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
       setAmount(String(Math.abs(initialData.amount))); // Always use the positive value in the amount field.
       setCategoryId(initialData.category_id);
       setDate(initialData.transaction_date);
+      setCurrency(initialData.currency || DEFAULT_CURRENCY);
+      setAccountId(initialData.account_id ? String(initialData.account_id) : '');
+      setGoalId(initialData.goal_id ? String(initialData.goal_id) : '');
+      const lines = initialData.category_lines || [];
+      setCategoryLines(lines.length > 0 ? lines.map(l => ({ category_id: String(l.category_id), amount: String(parseFloat(l.amount)) })) : null);
 
       // This logic translates the two backend types ('Income'/'Expense' combined with category_type)
-      // back into one of the four user-friendly UI types for the dropdown.
-      if (initialData.type === 'Income') {
+      // back into one of the user-friendly UI types for the dropdown.
+      if (initialData.transfer_group) {
+        // A transfer between accounts: the negative row is the source, its peer is the destination.
+        const peer = findTransferPeer(initialData, editRows);
+        const [fromRow, toRow] = parseFloat(initialData.amount) < 0 ? [initialData, peer] : [peer, initialData];
+        setTransactionType('account_transfer');
+        setAccountId(fromRow && fromRow.account_id ? String(fromRow.account_id) : '');
+        setToAccountId(toRow && toRow.account_id ? String(toRow.account_id) : '');
+      } else if (initialData.type === 'Income') {
         setTransactionType(initialData.category_type === 'Savings' ? 'withdrawal' : 'income');
       } else { // type is 'Expense'
         setTransactionType(initialData.category_type === 'Savings' ? 'transfer' : 'expense');
       }
     }
-  }, [isEditMode, initialData]); // Dependencies: The effect re-runs if these values change.
+  }, [isEditMode, initialData, editRows]); // Dependencies: The effect re-runs if these values change.
+
+  // When editing a shared expense, load its shares. The split is shown by percentage if it was entered that way.
+  const sharedWith = initialData ? initialData.household_id : null;
+  useEffect(() => {
+    if (!sharedWith) return;
+    let isCurrent = true;
+    getTransactionSplits(editId)
+      .then(rows => {
+        if (!isCurrent) return;
+        const byPercent = rows.length > 0 && rows.every(r => r.percent !== null);
+        const shares = {};
+        rows.forEach(r => { shares[r.user_id] = String(parseFloat(byPercent ? r.percent : r.amount)); });
+        setSplit({ household_id: sharedWith, mode: byPercent ? 'percent' : 'fixed', shares });
+      })
+      .catch(err => console.error("Failed to load the split:", err));
+    return () => { isCurrent = false; };
+  }, [sharedWith, editId]);
 
   // This useMemo hook creates a dynamically filtered list of categories.
   // It re-runs ONLY when the main 'categories' list or the selected 'transactionType' changes.
@@ -82,11 +169,32 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
         case 'transfer': // Transfer TO savings uses the 'Savings' category.
         case 'withdrawal': // Withdrawal FROM savings also uses the 'Savings' category.
             return categories.filter(c => c.type === 'Savings');
-        default:
+        default: // A transfer between accounts has no category.
             return [];
     }
   }, [categories, transactionType]);
 
+  // Transfers to and withdrawals from savings can be tied to a savings goal.
+  const isSavingsType = transactionType === 'transfer' || transactionType === 'withdrawal';
+  // The goal the selected category already counts toward, shown as a hint when no goal is picked.
+  const categoryGoal = useMemo(() => savingsGoals.find(g => (g.category_ids || []).some(id => String(id) === String(categoryId))), [savingsGoals, categoryId]);
+
+  // The currencies offered in the dropdown: the common ones, plus every currency that has an exchange rate
+  // and the currency of the transaction being edited.
+  const currencyOptions = useMemo(() => {
+    const codes = new Set([baseCurrency, ...COMMON_CURRENCIES, currency]);
+    exchangeRates.forEach(r => { codes.add(r.from_currency); codes.add(r.to_currency); });
+    return Array.from(codes).sort();
+  }, [baseCurrency, exchangeRates, currency]);
+
+  // The amount converted into the base currency with the rate for the chosen date,
+  // or null when the currency is the base currency or no rate is known.
+  const convertedAmount = useMemo(() => {
+    if (currency === baseCurrency || !amount) return null;
+    const rate = findRate(buildRateIndex(exchangeRates), currency, baseCurrency, date);
+    return rate === null ? null : Math.abs(parseFloat(amount)) * rate;
+  }, [currency, baseCurrency, amount, exchangeRates, date]);
+
   // This useEffect hook ensures data integrity.
   // If the user changes the transaction type, the category list changes. If the previously selected
   // category is no longer valid, this resets the category selection to prevent an invalid submission.
@@ -96,15 +204,64 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
       }
   }, [filteredCategories, categoryId]);
 
+  // The same goes for the category lines of a split transaction.
+  useEffect(() => {
+    setCategoryLines(lines => {
+      if (!lines || lines.every(l => l.category_id === '' || filteredCategories.some(c => String(c.id) === l.category_id))) return lines;
+      return lines.map(l => (filteredCategories.some(c => String(c.id) === l.category_id) ? l : { ...l, category_id: '' }));
+    });
+  }, [filteredCategories]);
+
+  // Splitting starts from the chosen category and the whole amount, plus an empty line to fill in.
+  const startCategoryLines = () => {
+    setCategoryLines([
+      { category_id: categoryId ? String(categoryId) : '', amount: amount ? String(Math.abs(parseFloat(amount))) : '' },
+      { category_id: '', amount: '' },
+    ]);
+    setCategoryTouched(true);
+  };
+
+  // Going back to a single category keeps the first line's category.
+  const stopCategoryLines = () => {
+    if (categoryLines[0].category_id) setCategoryId(categoryLines[0].category_id);
+    setCategoryLines(null);
+  };
+
+  // In "add" mode, pre-select the category suggested by the first matching rule.
+  // The rules only see the backend type, so transfers count as expenses and withdrawals as incomes.
+  useEffect(() => {
+    if (isEditMode || categoryTouched) return;
+    const backendType = (transactionType === 'income' || transactionType === 'withdrawal') ? 'Income' : 'Expense';
+    const rule = suggestCategory(categorizationRules, { description, amount, type: backendType });
+    // A rule pointing to a category the current type can't use is ignored.
+    const isUsable = rule && filteredCategories.some(c => String(c.id) === String(rule.category_id));
+    setAppliedRule(isUsable ? rule : null);
+    setCategoryId(isUsable ? String(rule.category_id) : '');
+  }, [isEditMode, categoryTouched, categorizationRules, description, amount, transactionType, filteredCategories]);
+
 
   // --- FORM SUBMISSION ---
   const handleSubmit = async (e) => {
     // Prevent the default browser behavior of a full-page reload on form submission.
     e.preventDefault();
-    if (!description || !amount || !date || !categoryId) {
+    if (transactionType === 'account_transfer') {
+      await submitAccountTransfer();
+      return;
+    }
+    if (!description || !amount || !date || (!categoryId && !categoryLines)) {
       alert('Please fill all fields');
       return;
     }
+    // A transaction split across several categories is stored under its first line's category, with all its lines.
+    let lines = [];
+    if (categoryLines) {
+      const result = buildCategoryLines(Math.abs(parseFloat(amount)), categoryLines);
+      if (result.error) {
+        alert(result.error);
+        return;
+      }
+      lines = result.lines;
+    }
 
     // This logic is a crucial responsibility of the UI layer. It translates the user-friendly
     // 4-type system ('income', 'expense', 'transfer', 'withdrawal') into the strict 2-type system
@@ -138,22 +295,116 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
       description,
       amount: finalAmount,
       type: finalType,
-      category_id: parseInt(categoryId),
-      transaction_date: date
+      category_id: categoryLines ? lines[0].category_id : parseInt(categoryId),
+      category_lines: lines,
+      transaction_date: date,
+      account_id: accountId ? parseInt(accountId) : null,
+      currency,
+      // Only money moved to or from savings can be tied to a goal.
+      goal_id: isSavingsType && goalId ? parseInt(goalId) : null
     };
 
+    // Only expenses can be shared with a household. When editing, an expense that is no longer split stops being shared.
+    if (transactionType === 'expense' && split) {
+      const { splits, error } = buildSplits(Math.abs(finalAmount), split.mode, split.shares);
+      if (error) {
+        alert(error);
+        return;
+      }
+      transactionData.household_id = split.household_id;
+      transactionData.splits = splits;
+    } else if (isEditMode) {
+      transactionData.household_id = null;
+    }
+
+    if (isEditMode) {
+      // For updates, we pass the full object including the id.
+      const updatedData = { ...transactionData, id: editId };
+      await saveTransaction(() => updateTransaction(updatedData), () => transactionUpdated(toTransactionData(initialData), updatedData));
+      return;
+    }
+
+    // Before adding, check whether this looks like a transaction that already exists
+    // (e.g., a rent payment the recurring processor has already generated). Only the days it could match are loaded.
+    let nearby;
+    try {
+      nearby = await getAllTransactions(duplicateSearchRange([transactionData.transaction_date]));
+    } catch (error) {
+      console.error("Failed to check for duplicates:", error);
+      alert("Failed to save transaction. Please try again.");
+      return;
+    }
+    const matches = findDuplicates(transactionData, nearby);
+    if (matches.length > 0) {
+      setDuplicateReview([{ candidate: transactionData, matches }]);
+      return;
+    }
+
+    // For adds, we just pass the new data.
+    await saveTransaction(() => addTransaction(transactionData), (result) => transactionCreated([result.id], description));
+  };
+
+  /**
+   * Saves a transfer between two accounts. The backend writes it as two linked rows
+   * (an expense on the source account and an income on the destination), without a category,
+   * so it changes both balances but never counts as spending or income.
+   */
+  const submitAccountTransfer = async () => {
+    if (!description || !amount || !date || !accountId || !toAccountId) {
+      alert('Please fill all fields');
+      return;
+    }
+    if (accountId === toAccountId) {
+      alert('Please choose two different accounts.');
+      return;
+    }
+    const transferData = {
+      description,
+      amount: Math.abs(parseFloat(amount)),
+      currency,
+      transaction_date: date,
+      from_account_id: parseInt(accountId),
+      to_account_id: parseInt(toAccountId)
+    };
+    if (!isEditingTransfer) {
+      await saveTransaction(() => addAccountTransfer(transferData), (result) => transactionCreated(result.ids, description));
+      return;
+    }
+
+    // The transfer as it was before this edit, so the edit can be undone.
+    const peer = findTransferPeer(initialData, editRows);
+    const [fromRow, toRow] = parseFloat(initialData.amount) < 0 ? [initialData, peer] : [peer, initialData];
+    const transferGroup = initialData.transfer_group;
+    const previousData = {
+      description: initialData.description,
+      amount: Math.abs(parseFloat(initialData.amount)),
+      currency: initialData.currency,
+      transaction_date: initialData.transaction_date,
+      from_account_id: fromRow ? fromRow.account_id : null,
+      to_account_id: toRow ? toRow.account_id : null,
+      transfer_group: transferGroup
+    };
+    const updatedData = { ...transferData, transfer_group: transferGroup };
+    await saveTransaction(() => updateAccountTransfer(updatedData), () => transferUpdated(previousData, updatedData));
+  };
+
+  /**
+   * Runs a save call, then refreshes the app's data and returns to the dashboard.
+   * @param {Function} saveAction - A function returning the apiService promise to await.
+   * @param {Function} describeChange - Builds the change (see undoService.js) from the API result, for the undo toast.
+   */
+  const saveTransaction = async (saveAction, describeChange) => {
     // Use try-catch to handle potential errors during the async API calls.
     try {
-      if (isEditMode) {
-        // For updates, we pass the full object including the id.
-        await updateTransaction({ ...transactionData, id: editId });
-      } else {
-        // For adds, we just pass the new data.
-        await addTransaction(transactionData);
+      const result = await saveAction();
+      // The server refuses some saves (e.g., a split that doesn't add up); the form stays open to fix them.
+      if (result.rezultat && result.rezultat !== "OK") {
+        alert("Error: " + result.rezultat);
+        return;
       }
       
-      // If the 'await' functions above complete without error, run this:
-      onFormSubmit(); // Call the parent's function to trigger a data refresh.
+      // If the 'await' above completes without error, run this:
+      onFormSubmit(describeChange(result)); // Call the parent's function to trigger a data refresh.
       navigate('/');  // Redirect the user to the dashboard for a smooth experience.
 
     } catch (error) {
@@ -163,6 +414,26 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
     }
   };
 
+  // Handles the user's choice in the duplicate review dialog.
+  const handleDuplicateDecision = async ([decision]) => {
+    const [{ candidate, matches }] = duplicateReview;
+    setDuplicateReview(null);
+
+    switch (decision.action) {
+      case 'keep': // Save it anyway, next to the existing one.
+        await saveTransaction(() => addTransaction(candidate), (result) => transactionCreated([result.id], candidate.description));
+        break;
+      case 'merge': { // Overwrite the existing transaction with the entered details instead of adding a new one.
+        const existing = matches.find(m => String(m.transaction.id) === String(decision.mergeWithId)).transaction;
+        const mergedData = { ...candidate, id: decision.mergeWithId };
+        await saveTransaction(() => updateTransaction(mergedData), () => transactionUpdated(toTransactionData(existing), mergedData));
+        break;
+      }
+      default: // 'skip': nothing is saved.
+        navigate('/');
+    }
+  };
+
   // --- JSX RENDERING ---
   return (
     <Card className="shadow-sm">
@@ -177,12 +448,14 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
             </Form.Group>
             <Form.Group as={Col} controlId="formType">
               <Form.Label>Type</Form.Label>
-              {/* This dropdown presents the 4 user-friendly transaction types. */}
-              <Form.Select value={transactionType} onChange={(e) => setTransactionType(e.target.value)}>
+              {/* This dropdown presents the user-friendly transaction types.
+                  A transfer between accounts is two linked rows, so it can't be turned into another type (or back) while editing. */}
+              <Form.Select value={transactionType} onChange={(e) => setTransactionType(e.target.value)} disabled={isEditingTransfer}>
                 <option value="expense">Expense</option>
                 <option value="income">Income</option>
                 <option value="transfer">Transfer to Savings</option>
                 <option value="withdrawal">Withdrawal from Savings</option>
+                {(isEditingTransfer || (!isEditMode && accounts.length >= 2)) && <option value="account_transfer">Transfer between Accounts</option>}
               </Form.Select>
             </Form.Group>
           </Row>
@@ -194,18 +467,79 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
 
           <Row className="mb-3">
             <Form.Group as={Col} controlId="formAmount">
-              <Form.Label>Amount (€)</Form.Label>
-              <Form.Control type="number" step="0.01" placeholder="e.g.,50.75" value={amount} onChange={(e) => setAmount(e.target.value)} required />
+              <Form.Label>Amount</Form.Label>
+              <InputGroup>
+                <Form.Control type="number" step="0.01" placeholder="e.g.,50.75" value={amount} onChange={(e) => setAmount(e.target.value)} required />
+                <Form.Select value={currency} onChange={(e) => setCurrency(e.target.value)} style={{ maxWidth: '6.5rem' }} aria-label="Currency">
+                  {currencyOptions.map(code => <option key={code} value={code}>{code}</option>)}
+                </Form.Select>
+              </InputGroup>
+              {/* For a foreign currency, show what the amount is worth in the base currency on the chosen date. */}
+              {currency !== baseCurrency && amount && (
+                convertedAmount !== null
+                  ? <Form.Text muted>≈ {formatMoney(convertedAmount, baseCurrency)} at the rate for this date.</Form.Text>
+                  : <Form.Text className="text-warning">No {currency} → {baseCurrency} exchange rate yet. Add one on the Currencies page, or totals will count it 1:1.</Form.Text>
+              )}
+            </Form.Group>
+            {transactionType === 'account_transfer' ? (
+              <Form.Group as={Col} controlId="formToAccount">
+                <Form.Label>To Account</Form.Label>
+                <Form.Select value={toAccountId} onChange={(e) => setToAccountId(e.target.value)} required>
+                  <option value="">Select an account...</option>
+                  {accounts.filter(a => String(a.id) !== accountId).map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                </Form.Select>
+              </Form.Group>
+            ) : (
+              <Form.Group as={Col} controlId="formCategory">
+                <Form.Label>Category</Form.Label>
+                {categoryLines ? (
+                  <Form.Control plaintext readOnly value={`Split across ${categoryLines.length} categories`} />
+                ) : (
+                  <>
+                    <Form.Select value={categoryId} onChange={(e) => { setCategoryId(e.target.value); setCategoryTouched(true); setAppliedRule(null); }} required>
+                      <option value="">Select a category...</option>
+                      {/* The options in this dropdown are dynamically rendered from the 'filteredCategories' list. */}
+                      {filteredCategories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </Form.Select>
+                    {appliedRule && <Form.Text muted className="me-2">Suggested by rule "{appliedRule.name}".</Form.Text>}
+                    <Button variant="link" size="sm" className="px-0" onClick={startCategoryLines}>Split across categories</Button>
+                  </>
+                )}
+              </Form.Group>
+            )}
+          </Row>
+
+          {/* A receipt that covers several categories is entered as one line per category. */}
+          {categoryLines && transactionType !== 'account_transfer' && (
+            <CategoryLines lines={categoryLines} onChange={setCategoryLines} onCancel={stopCategoryLines} categories={filteredCategories} amount={amount} currency={currency} />
+          )}
+
+          {/* The goal selector is only shown for money moved to or from savings, once at least one goal exists. */}
+          {isSavingsType && savingsGoals.length > 0 && (
+            <Form.Group className="mb-3" controlId="formGoal">
+              <Form.Label>Savings Goal</Form.Label>
+              <Form.Select value={goalId} onChange={(e) => setGoalId(e.target.value)}>
+                <option value="">{categoryGoal ? `Through its category ("${categoryGoal.name}")` : 'No specific goal'}</option>
+                {savingsGoals.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+              </Form.Select>
             </Form.Group>
-            <Form.Group as={Col} controlId="formCategory">
-              <Form.Label>Category</Form.Label>
-              <Form.Select value={categoryId} onChange={(e) => setCategoryId(e.target.value)} required>
-                <option value="">Select a category...</option>
-                {/* The options in this dropdown are dynamically rendered from the 'filteredCategories' list. */}
-                {filteredCategories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          )}
+
+          {/* The account selector is only shown once at least one account exists. */}
+          {accounts.length > 0 && (
+            <Form.Group className="mb-3" controlId="formAccount">
+              <Form.Label>{transactionType === 'account_transfer' ? 'From Account' : 'Account'}</Form.Label>
+              <Form.Select value={accountId} onChange={(e) => setAccountId(e.target.value)} required={transactionType === 'account_transfer'}>
+                <option value="">No account</option>
+                {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.type})</option>)}
               </Form.Select>
             </Form.Group>
-          </Row>
+          )}
+
+          {/* An expense can be split with a household the user belongs to. */}
+          {transactionType === 'expense' && households.length > 0 && (
+            <HouseholdSplit households={households} split={split} onChange={setSplit} amount={amount} currency={currency} />
+          )}
 
           {/* The button text also changes based on whether it's in edit mode. */}
           <Button variant="primary" type="submit" className="mt-3">
@@ -213,6 +547,21 @@ const TransactionForm = ({ categories, onFormSubmit, transactions }) => {
           </Button>
         </Form>
       </Card.Body>
+
+      {/* In edit mode, the recorded changes to this transaction can be shown. They are only fetched once opened. */}
+      {isEditMode && (
+        <Card.Footer className="bg-white">
+          <Button variant="link" size="sm" className="px-0" onClick={() => setShowHistory(!showHistory)} aria-expanded={showHistory}>
+            {showHistory ? 'Hide history' : 'Show history'}
+          </Button>
+          {showHistory && <TransactionHistory key={editId} transactionId={editId} lookups={{ categories, accounts, savingsGoals }} />}
+        </Card.Footer>
+      )}
+
+      {/* The duplicate review dialog is only mounted while a review is pending. */}
+      {duplicateReview && (
+        <DuplicateReviewModal show items={duplicateReview} onConfirm={handleDuplicateDecision} onCancel={() => setDuplicateReview(null)} />
+      )}
     </Card>
   );
 };
@@ -0,0 +1,74 @@
+// Import core React hooks and the Bootstrap components used by the panel.
+import React, { useState, useEffect } from 'react';
+import { ListGroup, Badge, Button, Spinner } from 'react-bootstrap';
+
+// Import the specific functions we need from the apiService.
+import { getTransactionHistory } from '../services/apiService';
+import { ACTION_LABELS, ACTION_VARIANTS, formatTimestamp } from '../utils/audit';
+import ChangeList from './ChangeList';
+
+/**
+ * TransactionHistory lists every recorded change to one transaction, newest first, in the edit form.
+ * For a transfer between accounts it covers both rows. The newest page is loaded when the panel mounts;
+ * older changes are fetched with "Show older changes". Give it a `key` per transaction, so opening another one starts over.
+ * @param {object} props - Component props.
+ * @param {string|number} props.transactionId - The transaction being edited.
+ * @param {object} props.lookups - { categories, accounts, savingsGoals }, for showing names instead of IDs.
+ */
+const TransactionHistory = ({ transactionId, lookups }) => {
+    // --- STATE MANAGEMENT ---
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // --- DATA FETCHING ---
+    // Page 1 fills the list; later pages are appended to it.
+    useEffect(() => {
+        let isCurrent = true;
+        setIsLoading(true);
+        getTransactionHistory(transactionId, page)
+            .then(data => {
+                if (!isCurrent) return;
+                setEntries(prev => (page === 1 ? data.rows : [...prev, ...data.rows]));
+                setTotal(data.total);
+                setError(null);
+            })
+            .catch(err => {
+                if (!isCurrent) return;
+                console.error("Failed to load the transaction history:", err);
+                setError('Failed to load the history.');
+            })
+            .finally(() => {
+                if (isCurrent) setIsLoading(false);
+            });
+        return () => { isCurrent = false; };
+    }, [transactionId, page]);
+
+    // --- JSX RENDERING ---
+    if (error) return <p className="text-danger small mb-0">{error}</p>;
+    if (!isLoading && entries.length === 0) return <p className="text-muted small mb-0">No changes have been recorded for this transaction yet.</p>;
+
+    return (
+        <>
+            <ListGroup variant="flush">
+                {entries.map(entry => (
+                    <ListGroup.Item key={entry.id} className="px-0">
+                        <div className="d-flex align-items-center gap-2 mb-1">
+                            <Badge bg={ACTION_VARIANTS[entry.action] || 'secondary'}>{ACTION_LABELS[entry.action] || entry.action}</Badge>
+                            <span className="text-muted small">{formatTimestamp(entry.created_at)}</span>
+                        </div>
+                        <ChangeList entry={entry} lookups={lookups} />
+                    </ListGroup.Item>
+                ))}
+            </ListGroup>
+            {isLoading && <div className="text-center p-2"><Spinner animation="border" size="sm" variant="primary" /></div>}
+            {!isLoading && entries.length < total && (
+                <Button variant="link" size="sm" className="px-0" onClick={() => setPage(p => p + 1)}>Show older changes</Button>
+            )}
+        </>
+    );
+};
+
+export default TransactionHistory;
@@ -0,0 +1,188 @@
+// Import core React hooks and the Bootstrap components used on the page.
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+// Import icons for the restore and remove actions.
+import { BsArrowCounterclockwise, BsTrash } from 'react-icons/bs';
+
+// Import the specific functions we need from the apiService.
+import { getTrash, restoreFromTrash, purgeFromTrash, emptyTrash } from '../services/apiService';
+import { formatMoney } from '../utils/currency';
+import { UNASSIGNED_ACCOUNT_NAME } from '../utils/accounts';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A helper utility function to format date strings into a human-readable format.
+const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { day: 'numeric', month: 'long', year: 'numeric' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+// How many whole days an item deleted at `deletedAt` ("YYYY-MM-DD HH:MM:SS") can still be restored.
+const daysLeft = (deletedAt, retentionDays) => {
+    const deleted = new Date(String(deletedAt).replace(' ', 'T'));
+    return Math.max(0, retentionDays - Math.floor((Date.now() - deleted.getTime()) / DAY_MS));
+};
+
+/**
+ * The Trash page lists the deleted transactions and categories. Deleting only moves an item here; it can be
+ * restored for a number of days (set by the server, 30 by default) and is then removed for good.
+ * Items can also be removed for good right away, one by one or all at once.
+ * The Trash is not part of the data App.js loads, so the page fetches it itself.
+ * @param {object} props - Component props.
+ * @param {string} props.baseCurrency - The base currency, for transactions without a currency of their own.
+ * @param {Function} props.onDataChanged - The callback function to trigger a data reload in App.js after a restore.
+ */
+const Trash = ({ baseCurrency, onDataChanged }) => {
+    // --- STATE MANAGEMENT ---
+    const [trash, setTrash] = useState(null);
+    const [error, setError] = useState(null);
+
+    // --- DATA FETCHING ---
+    const loadTrash = useCallback(async () => {
+        try {
+            setTrash(await getTrash());
+            setError(null);
+        } catch (err) {
+            console.error("Failed to load the trash:", err);
+            setError('Failed to load the Trash. Please try again.');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadTrash();
+    }, [loadTrash]);
+
+    // --- EVENT HANDLERS ---
+
+    // Restores an item. The restored item reappears in every page, so all data is reloaded.
+    const handleRestore = async (kind, id) => {
+        try {
+            const data = await restoreFromTrash(kind, [id]);
+            if (data.rezultat === "OK") {
+                onDataChanged();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (err) {
+            console.error("Failed to restore:", err);
+            alert("An error occurred while restoring the item.");
+        }
+    };
+
+    // Removes an item for good. Only the Trash itself needs reloading.
+    const handlePurge = async (kind, id, name) => {
+        const warning = kind === 'category'
+            ? `Remove the category "${name}" for good? Its rules, budgets and schedules are removed with it, and its transactions stay uncategorized. This cannot be undone.`
+            : `Remove "${name}" for good? This cannot be undone.`;
+        if (!window.confirm(warning)) return;
+        try {
+            const data = await purgeFromTrash(kind, [id]);
+            if (data.rezultat === "OK") {
+                loadTrash();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (err) {
+            console.error("Failed to remove:", err);
+            alert("An error occurred while removing the item.");
+        }
+    };
+
+    const handleEmpty = async () => {
+        if (!window.confirm("Remove everything in the Trash for good? This cannot be undone.")) return;
+        try {
+            const data = await emptyTrash();
+            if (data.rezultat === "OK") {
+                loadTrash();
+            } else {
+                alert("Error: " + data.rezultat);
+            }
+        } catch (err) {
+            console.error("Failed to empty the trash:", err);
+            alert("An error occurred while emptying the Trash.");
+        }
+    };
+
+    // --- JSX RENDERING ---
+    if (error) return <Alert variant="danger">{error}</Alert>;
+    if (!trash) return <div className="text-center p-5"><Spinner animation="border" variant="primary" /></div>;
+
+    // Both rows of a transfer between accounts are deleted and restored together, so only one of them is listed.
+    const seenGroups = new Set();
+    const transactions = trash.transactions.filter(t => {
+        if (!t.transfer_group) return true;
+        if (seenGroups.has(t.transfer_group)) return false;
+        seenGroups.add(t.transfer_group);
+        return true;
+    });
+    const isEmpty = transactions.length === 0 && trash.categories.length === 0;
+
+    return (
+        <Card>
+            <Card.Header as="h4" className="d-flex justify-content-between align-items-center">
+                Trash
+                <Button variant="outline-danger" size="sm" onClick={handleEmpty} disabled={isEmpty}><BsTrash className="me-1" /> Empty Trash</Button>
+            </Card.Header>
+            <Card.Body>
+                <p className="text-muted">
+                    Deleted transactions and categories stay here for {trash.retention_days} days, and are then removed for good.
+                    While a category is in the Trash, its transactions show as uncategorized and its rules, budgets and schedules are paused.
+                </p>
+
+                {isEmpty && <p className="text-center text-muted my-4">The Trash is empty.</p>}
+
+                {transactions.length > 0 && (
+                    <>
+                        <h5 className="mt-4">Transactions</h5>
+                        <Table striped hover responsive size="sm">
+                            <thead><tr><th>Date</th><th>Description</th><th>Category</th><th>Account</th><th className="text-end">Amount</th><th>Days Left</th><th>Actions</th></tr></thead>
+                            <tbody>
+                                {transactions.map(t => (
+                                    <tr key={t.id}>
+                                        <td>{formatDate(t.transaction_date)}</td>
+                                        <td>{t.description}</td>
+                                        <td>{t.transfer_group ? <Badge bg="light" text="dark" pill>Transfer</Badge> : (t.category_name || '—')}</td>
+                                        <td>{t.account_name || UNASSIGNED_ACCOUNT_NAME}</td>
+                                        <td className={`text-end ${t.type === 'Income' ? 'text-success' : 'text-danger'}`}>{formatMoney(Math.abs(t.amount), t.currency || baseCurrency)}</td>
+                                        <td>{daysLeft(t.deleted_at, trash.retention_days)}</td>
+                                        <td className="text-nowrap">
+                                            <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleRestore('transaction', t.id)} title="Restore"><BsArrowCounterclockwise /></Button>
+                                            <Button variant="outline-danger" size="sm" onClick={() => handlePurge('transaction', t.id, t.description)} title="Remove for good"><BsTrash /></Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+
+                {trash.categories.length > 0 && (
+                    <>
+                        <h5 className="mt-4">Categories</h5>
+                        <Table striped hover responsive size="sm">
+                            <thead><tr><th>Name</th><th>Type</th><th>Transactions</th><th>Days Left</th><th>Actions</th></tr></thead>
+                            <tbody>
+                                {trash.categories.map(c => (
+                                    <tr key={c.id}>
+                                        <td><Badge pill style={{ backgroundColor: c.color }} bg="">{c.name}</Badge></td>
+                                        <td>{c.type}</td>
+                                        <td>{c.transaction_count}</td>
+                                        <td>{daysLeft(c.deleted_at, trash.retention_days)}</td>
+                                        <td className="text-nowrap">
+                                            <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleRestore('category', c.id)} title="Restore"><BsArrowCounterclockwise /></Button>
+                                            <Button variant="outline-danger" size="sm" onClick={() => handlePurge('category', c.id, c.name)} title="Remove for good"><BsTrash /></Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default Trash;
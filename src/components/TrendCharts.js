@@ -0,0 +1,223 @@
+/**
+ * @file TrendCharts.js
+ * @description This file contains the trends section of the Dashboard.
+ * Key Features:
+ * - Shows income against spending, net savings, the savings pot and per-category spending across the last months or years.
+ * - Uses the same income/spending classification as the Dashboard's period summary (see utils/trends.js).
+ * - Clicking a bar or point switches the Dashboard to that month or year.
+ */
+
+// Import core React hooks for state management and performance optimization.
+import React, { useState, useEffect, useMemo } from 'react';
+// Import layout components from React Bootstrap.
+import { Row, Col, Form, Nav } from 'react-bootstrap';
+// Import the Bar and Line charts and the Chart.js modules they need.
+import { Bar, Line } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+
+// Import the queries for the range's transactions and the savings pot before it.
+import { getAllTransactions, getTransactionSummary } from '../services/apiService';
+// Import the per-period totals and the currency helpers.
+import { summarizeTrends, trendRange, TREND_RANGES } from '../utils/trends';
+import { DEFAULT_CURRENCY, formatMoney, convertTransactions } from '../utils/currency';
+import { toDateString } from '../utils/forecast';
+
+// Bar and line charts need scales, bars, points and lines on top of what the Dashboard registers.
+ChartJS.register(CategoryScale, LinearScale, BarElement, PointElement, LineElement, Tooltip, Legend);
+
+// The colors used across the charts, matching the Dashboard's summary cards.
+const INCOME_COLOR = '#198754';
+const SPENDING_COLOR = '#dc3545';
+const SAVINGS_COLOR = '#0dcaf0';
+const POT_COLOR = '#0d6efd';
+const FALLBACK_CATEGORY_COLOR = '#CCCCCC';
+
+// The available views, in tab order.
+const VIEWS = [
+    { key: 'incomeSpending', label: 'Income vs Spending' },
+    { key: 'net', label: 'Net Savings' },
+    { key: 'pot', label: 'Savings Pot' },
+    { key: 'categories', label: 'By Category' },
+];
+
+// Formats a trend bucket as a short axis label, e.g. "Mar 2025" or "2025".
+const formatPeriod = (bucket) => (bucket.month
+    ? new Intl.DateTimeFormat('en-GB', { month: 'short', year: 'numeric' }).format(new Date(bucket.year, bucket.month - 1, 1))
+    : `${bucket.year}`);
+
+/**
+ * @component TrendCharts
+ * @param {Object} props - The properties passed down to the component.
+ * @param {Array} props.categories - The categories, for their colors in the per-category chart.
+ * @param {Array} props.exchangeRates - The exchange-rate table, used to convert the transactions into the base currency.
+ * @param {string} props.baseCurrency - The currency the totals are shown in.
+ * @param {Function} props.onSelectPeriod - Called with ('month' | 'year', year, month) when a period is clicked.
+ */
+const TrendCharts = ({ categories = [], exchangeRates = [], baseCurrency = DEFAULT_CURRENCY, onSelectPeriod }) => {
+    // --- STATE MANAGEMENT ---
+    const [granularity, setGranularity] = useState('month');
+    const [count, setCount] = useState(12);
+    const [view, setView] = useState('incomeSpending');
+    // The transactions of the range shown, and the savings pot before it.
+    const [rangeData, setRangeData] = useState({ rows: [], openingPot: 0 });
+
+    // --- SERVER QUERIES ---
+    // Only the range shown is loaded; the pot it starts from comes from the summary of the day before it.
+    // A response that arrives after the user has already picked another range is ignored.
+    const range = useMemo(() => trendRange({ granularity, count }), [granularity, count]);
+    useEffect(() => {
+        let ignore = false;
+        const [year, month] = range.date_from.split('-').map(Number);
+        Promise.all([getAllTransactions(range), getTransactionSummary(undefined, toDateString(new Date(year, month - 1, 0)))])
+            .then(([rows, summary]) => { if (!ignore) setRangeData({ rows, openingPot: summary.savings_pot }); })
+            .catch(error => console.error("Failed to load the trends:", error));
+        return () => { ignore = true; };
+    }, [range]);
+
+    // --- DERIVED STATE ---
+    const transactions = useMemo(() => convertTransactions(rangeData.rows, exchangeRates, baseCurrency).transactions, [rangeData.rows, exchangeRates, baseCurrency]);
+    const buckets = useMemo(() => summarizeTrends(transactions, { granularity, count, openingPot: rangeData.openingPot }), [transactions, granularity, count, rangeData.openingPot]);
+    const labels = useMemo(() => buckets.map(formatPeriod), [buckets]);
+
+    /**
+     * @memo chartData
+     * @description Builds the datasets for the selected view from the per-period totals.
+     * In the per-category view, categories are stacked and ordered by their total over the whole range.
+     */
+    const chartData = useMemo(() => {
+        switch (view) {
+            case 'net':
+                return {
+                    labels,
+                    datasets: [{
+                        label: 'Net savings',
+                        data: buckets.map(b => b.net),
+                        // A period where spending exceeded income is drawn in red.
+                        backgroundColor: buckets.map(b => (b.net < 0 ? SPENDING_COLOR : INCOME_COLOR)),
+                    }],
+                };
+            case 'pot':
+                return {
+                    labels,
+                    datasets: [{
+                        label: 'Savings pot',
+                        data: buckets.map(b => b.savingsPot),
+                        borderColor: POT_COLOR,
+                        backgroundColor: POT_COLOR,
+                        pointRadius: 4,
+                        tension: 0.1,
+                    }],
+                };
+            case 'categories': {
+                const colorByName = categories.reduce((acc, cat) => ({ ...acc, [cat.name]: cat.color }), {});
+                const totals = {};
+                buckets.forEach(b => Object.entries(b.categories).forEach(([name, amount]) => { totals[name] = (totals[name] || 0) + amount; }));
+                const names = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+                return {
+                    labels,
+                    datasets: names.map(name => ({
+                        label: name,
+                        data: buckets.map(b => b.categories[name] || 0),
+                        backgroundColor: colorByName[name] || FALLBACK_CATEGORY_COLOR,
+                        stack: 'spending',
+                    })),
+                };
+            }
+            default:
+                return {
+                    labels,
+                    datasets: [
+                        { label: 'Income', data: buckets.map(b => b.income), backgroundColor: INCOME_COLOR },
+                        { label: 'Spending', data: buckets.map(b => b.spending), backgroundColor: SPENDING_COLOR },
+                        { label: 'Moved to savings', data: buckets.map(b => b.savings), backgroundColor: SAVINGS_COLOR },
+                    ],
+                };
+        }
+    }, [view, buckets, labels, categories]);
+
+    const hasData = buckets.some(b => b.income || b.spending || b.savings || b.withdrawals || b.savingsPot);
+    const isStacked = view === 'categories';
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { display: view !== 'net' && view !== 'pot', position: 'bottom' },
+            tooltip: {
+                // Zero-amount categories would only clutter the tooltip of the stacked chart.
+                filter: (item) => !isStacked || item.parsed.y !== 0,
+                callbacks: { label: (context) => `${context.dataset.label}: ${formatMoney(context.parsed.y, baseCurrency)}` },
+            },
+        },
+        scales: {
+            x: { stacked: isStacked },
+            y: { stacked: isStacked, ticks: { callback: (value) => formatMoney(value, baseCurrency) } },
+        },
+        // Clicking anywhere over a period opens it on the Dashboard.
+        onClick: (event, elements) => {
+            if (!elements.length || !onSelectPeriod) return;
+            const bucket = buckets[elements[0].index];
+            onSelectPeriod(granularity, bucket.year, bucket.month);
+        },
+        onHover: (event, elements) => {
+            event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+        },
+    };
+
+    /**
+     * @function handleGranularityChange
+     * @description Switches between months and years, picking the middle range of the new granularity.
+     * @param {string} value - 'month' or 'year'.
+     */
+    const handleGranularityChange = (value) => {
+        setGranularity(value);
+        setCount(TREND_RANGES[value][1]);
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <>
+            <Row className="align-items-center mb-3">
+                <Col xs={12} lg>
+                    <h5 className="mb-0">Trends</h5>
+                </Col>
+                <Col xs={12} lg="auto" className="mt-2 mt-lg-0">
+                    <div className="d-flex align-items-center gap-2">
+                        <Form.Select id="trendGranularitySelect" size="sm" value={granularity} onChange={e => handleGranularityChange(e.target.value)} style={{ width: 'auto' }}>
+                            <option value="month">Monthly</option>
+                            <option value="year">Yearly</option>
+                        </Form.Select>
+                        <Form.Select id="trendCountSelect" size="sm" value={count} onChange={e => setCount(Number(e.target.value))} style={{ width: 'auto' }}>
+                            {TREND_RANGES[granularity].map(n => <option key={n} value={n}>Last {n} {granularity === 'month' ? 'months' : 'years'}</option>)}
+                        </Form.Select>
+                    </div>
+                </Col>
+            </Row>
+
+            <Nav variant="tabs" activeKey={view} onSelect={setView} className="mb-3">
+                {VIEWS.map(v => (
+                    <Nav.Item key={v.key}>
+                        <Nav.Link eventKey={v.key}>{v.label}</Nav.Link>
+                    </Nav.Item>
+                ))}
+            </Nav>
+
+            {/* The chart container needs a defined height to render correctly. */}
+            <div style={{ position: 'relative', height: '300px' }}>
+                {!hasData ? (
+                    <div className="d-flex justify-content-center align-items-center h-100"><p className="text-center text-muted mb-0">No data in this range.</p></div>
+                ) : view === 'pot' ? (
+                    <Line data={chartData} options={chartOptions} />
+                ) : (
+                    <Bar data={chartData} options={chartOptions} />
+                )}
+            </div>
+            <p className="text-muted small mb-0 mt-2">
+                Click a {granularity === 'month' ? 'month' : 'year'} to show it in the summary above. Transfers between accounts are not counted.
+            </p>
+        </>
+    );
+};
+
+export default TrendCharts;
@@ -0,0 +1,53 @@
+// Import core React hooks and the Bootstrap toast components.
+import React, { useState } from 'react';
+import { Toast, ToastContainer, Button, CloseButton } from 'react-bootstrap';
+// Import icons for the undo and redo buttons.
+import { BsArrowCounterclockwise, BsArrowClockwise } from 'react-icons/bs';
+
+// How long the toast stays on screen, in milliseconds.
+const TOAST_DELAY = 10000;
+
+/**
+ * UndoToast shows the last change the user saved, with a button that reverts it.
+ * After an undo, the same toast offers to redo the change. The change objects come from undoService.js.
+ * It is rendered by App.js outside the page area, so it stays visible while the data reloads.
+ * @param {object} props - Component props.
+ * @param {object|null} props.entry - { id, change, undone } for the last change, or null when there is nothing to show.
+ * @param {Function} props.onToggle - Called when "Undo" or "Redo" is clicked; returns a promise.
+ * @param {Function} props.onClose - Called when the toast is closed or hides itself.
+ */
+const UndoToast = ({ entry, onToggle, onClose }) => {
+    // --- STATE MANAGEMENT ---
+    const [isWorking, setIsWorking] = useState(false);
+
+    const handleClick = async () => {
+        setIsWorking(true);
+        try {
+            await onToggle();
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    // --- JSX RENDERING ---
+    return (
+        <ToastContainer position="bottom-end" containerPosition="fixed" className="p-3 d-print-none" style={{ zIndex: 1080 }}>
+            {entry && (
+                // The key restarts the timer after every undo or redo.
+                <Toast key={`${entry.id}-${entry.undone}`} onClose={onClose} delay={TOAST_DELAY} autohide={!isWorking} bg="dark">
+                    <Toast.Body className="d-flex align-items-center gap-3 text-white">
+                        <span className="me-auto">{entry.undone ? `Undone: ${entry.change.message}` : entry.change.message}</span>
+                        <Button variant="outline-light" size="sm" className="text-nowrap" onClick={handleClick} disabled={isWorking}>
+                            {entry.undone
+                                ? <><BsArrowClockwise className="me-1" /> Redo</>
+                                : <><BsArrowCounterclockwise className="me-1" /> Undo</>}
+                        </Button>
+                        <CloseButton variant="white" onClick={onClose} />
+                    </Toast.Body>
+                </Toast>
+            )}
+        </ToastContainer>
+    );
+};
+
+export default UndoToast;
@@ -47,4 +47,13 @@ root.render(
       <App />
     </BrowserRouter>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+// 4. Register the service worker (public/service-worker.js), which makes the app installable and lets it start offline.
+// Only in the production build: in development it would serve stale bundles while the code is being edited.
+if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
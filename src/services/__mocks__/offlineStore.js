@@ -0,0 +1,32 @@
+// src/services/__mocks__/offlineStore.js
+
+// IndexedDB isn't available under jest, so the tests of the services keep the offline store in memory
+// (see ../offlineStore.js for what each function does).
+const responses = new Map();
+let queue = [];
+let lastId = 0;
+
+export const readResponse = async (key) => responses.get(key);
+
+export const readResponses = async (prefix) =>
+  [...responses].filter(([key]) => key.startsWith(prefix)).map(([, data]) => data);
+
+export const saveResponse = async (key, data) => {
+  responses.set(key, data);
+};
+
+export const queueChange = async (change) => {
+  lastId += 1;
+  queue.push({ ...change, id: lastId });
+};
+
+export const getQueuedChanges = async () => queue.map(change => ({ ...change }));
+
+export const removeQueuedChange = async (id) => {
+  queue = queue.filter(change => change.id !== id);
+};
+
+export const clearOfflineData = async (userId) => {
+  [...responses.keys()].filter(key => key.startsWith(`${userId}|`) || key === 'auth.php').forEach(key => responses.delete(key));
+  queue = queue.filter(change => change.user_id !== userId);
+};
@@ -1,8 +1,222 @@
 // src/services/apiService.js
 
+// Import the IndexedDB store used while the API can't be reached.
+import { readResponse, readResponses, saveResponse, queueChange, getQueuedChanges } from './offlineStore';
+
 // 1. Define the base URL for the API.
 const API_URL = "http://localhost/financial-tracker/";
 
+// The login token is kept in localStorage, so reloading the page doesn't log the user out.
+const TOKEN_KEY = 'authToken';
+
+// Called when the server answers 401 (the login expired or was revoked); App.js uses it to show the login page.
+let unauthorizedHandler = null;
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+// Stores the token returned by login() or register(); null removes it.
+export const setAuthToken = (token) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// --- Offline mode ---
+// When the API can't be reached (Apache is down, or there is no network), GET requests answer with the last response
+// stored in IndexedDB, with the changes still queued shown in it, and changes are queued there and answered with
+// { rezultat: "OK", queued: true } (and a temporary `id` for an added row).
+// syncService.js sends the queued changes once the API is back. Requests made with `offline: false` never do either.
+
+// The user whose responses are cached and whose changes are queued; App.js sets it after login.
+let offlineUserId = null;
+// { offline, queued }: whether the last request failed to reach the API, and how many of the user's changes wait to be sent.
+let connectionStatus = { offline: false, queued: 0 };
+let connectionHandler = null;
+
+export const setOfflineUser = (userId) => {
+  offlineUserId = userId;
+};
+
+export const getOfflineUser = () => offlineUserId;
+
+export const isOffline = () => connectionStatus.offline;
+
+// The handler (App.js) is called with the new status whenever it changes.
+export const setConnectionHandler = (handler) => {
+  connectionHandler = handler;
+};
+
+export const updateConnectionStatus = (changes) => {
+  const next = { ...connectionStatus, ...changes };
+  if (next.offline === connectionStatus.offline && next.queued === connectionStatus.queued) return;
+  connectionStatus = next;
+  if (connectionHandler) connectionHandler(connectionStatus);
+};
+
+// Recounts the user's queued changes (after queueing or sending some).
+export const refreshQueuedCount = async () => {
+  try {
+    const changes = await getQueuedChanges();
+    updateConnectionStatus({ queued: changes.filter(c => c.user_id === offlineUserId).length });
+  } catch (error) {
+    console.error('Could not read the offline queue', error);
+  }
+};
+
+// Cached responses are kept per user. The login check is cached by itself, since it tells whose data to show.
+const cacheKey = (endpoint) => (endpoint === 'auth.php' ? endpoint : `${offlineUserId}|${endpoint}`);
+
+// A row added offline goes by a temporary id until the sync sends it and swaps it for the server's (see syncService.js).
+// Temporary ids are below zero, so they never match a row on the server, and keep decreasing across sessions.
+let lastTemporaryId = 0;
+const nextTemporaryId = () => {
+  lastTemporaryId = Math.min(lastTemporaryId, -Date.now()) - 1;
+  return lastTemporaryId;
+};
+
+export const isTemporaryId = (id) => parseInt(id, 10) < 0;
+
+// The rows of a list response: a plain list, or one page of it ({ rows, total, ... }); null for anything else.
+const rowsOf = (data) => (Array.isArray(data) ? data : data && Array.isArray(data.rows) ? data.rows : null);
+
+// The filters of the transactions endpoint a row can be checked against offline (see construiesteFiltru in
+// api/transactions.php). The others (text search, amount range) are left to the server.
+const listOf = (value) => String(value).split(',');
+const OFFLINE_FILTERS = {
+  id: (row, value) => listOf(value).includes(String(row.id)),
+  transfer_group: (row, value) => row.transfer_group === value,
+  date_from: (row, value) => row.transaction_date >= value,
+  date_to: (row, value) => row.transaction_date <= value,
+  type: (row, value) => row.type === value,
+  category_id: (row, value) => listOf(value).includes(row.category_id == null ? 'none' : String(row.category_id)),
+  account_id: (row, value) => listOf(value).includes(row.account_id == null ? 'none' : String(row.account_id)),
+  category_type: (row, value) => listOf(value).includes(row.category_type),
+  recurring: (row, value) => (row.recurring_income_id != null || row.recurring_expense_id != null) === (value === 'recurring'),
+};
+const matchesFilters = (row, params) =>
+  Object.entries(params).every(([key, value]) => !OFFLINE_FILTERS[key] || OFFLINE_FILTERS[key](row, value));
+
+/**
+ * Shows the user's queued changes in a cached list, as if they had been sent: added rows appear with their temporary id,
+ * edited rows with their new values, and deleted rows are gone. Only the changes made to the list's own endpoint are
+ * applied (bulk actions are not), and an added or edited row is kept only if it still matches the request's filters.
+ * @param {string} path - The endpoint without its query string, e.g. 'transactions.php'.
+ * @param {object} params - The request's query-string parameters.
+ * @param {any} data - The cached response.
+ * @returns {Promise<any>} - The response with the queued changes applied.
+ */
+async function applyQueuedChanges(path, params, data) {
+  const rows = rowsOf(data);
+  if (!rows) return data;
+  const changes = (await getQueuedChanges().catch(() => []))
+    .filter(c => c.user_id === offlineUserId && c.endpoint === path && c.body);
+  if (changes.length === 0) return data;
+
+  let result = [...rows];
+  for (const { method, body, temp_id: temporaryId } of changes) {
+    const id = String(method === 'POST' ? temporaryId : body.id);
+    const current = result.find(row => String(row.id) === id);
+    const others = result.filter(row => row !== current);
+    if (method === 'DELETE') result = others;
+    if (method === 'POST' && temporaryId !== undefined) {
+      const added = { ...body, id: temporaryId };
+      result = matchesFilters(added, params) ? [...others, added] : others;
+    }
+    if (method === 'PATCH' && current) {
+      const edited = { ...current, ...body };
+      result = matchesFilters(edited, params) ? result.map(row => (row === current ? edited : row)) : others;
+    }
+  }
+  return Array.isArray(data) ? result : { ...data, rows: result, total: data.total + result.length - rows.length };
+}
+
+/**
+ * Answers a GET of a list that was never cached with that filter (or page) from the rows of every cached response of
+ * the same endpoint: the whole list when it was loaded (e.g. for a backup), or else the rows other views loaded.
+ * The queued changes are applied before the filters, so a row edited into the filter (e.g. recategorized) shows too.
+ * Rows no view has loaded are missing, and the rows come newest first.
+ * @param {string} path - The endpoint without its query string, e.g. 'transactions.php'.
+ * @param {object} params - The request's query-string parameters, used as filters (see OFFLINE_FILTERS) and for paging.
+ * @returns {Promise<any>} - The list, or one page of it ({ rows, total, page, page_size }); undefined when nothing is cached.
+ */
+async function answerFromCachedLists(path, params) {
+  const responses = await readResponses(cacheKey(path)).catch(() => []);
+  const byId = new Map();
+  responses.map(rowsOf).filter(Boolean).flat().forEach(row => byId.set(String(row.id), row));
+  if (byId.size === 0) return undefined;
+
+  const rows = (await applyQueuedChanges(path, {}, [...byId.values()]))
+    .filter(row => matchesFilters(row, params))
+    .sort((a, b) => String(b.transaction_date || '').localeCompare(String(a.transaction_date || '')));
+  if (params.page === undefined) return rows;
+  const page = parseInt(params.page, 10) || 1;
+  const pageSize = parseInt(params.page_size, 10) || rows.length || 1;
+  return { rows: rows.slice((page - 1) * pageSize, page * pageSize), total: rows.length, page, page_size: pageSize };
+}
+
+/**
+ * Finds the row a queued change is about in the cached lists of its endpoint (e.g. the transaction being edited),
+ * so the sync can compare it with the server's copy. Every cached list is searched, filtered and paged ones included,
+ * as the views load only the rows they show.
+ * @param {string} endpoint - The change's endpoint, e.g. 'transactions.php'.
+ * @param {object} body - The change's body; only changes with an `id` are compared.
+ * @returns {Promise<object|null>} - The cached row, or null.
+ */
+async function findCachedRow(endpoint, body) {
+  if (!body || body.id === undefined || body.id === null) return null;
+  try {
+    const responses = await readResponses(cacheKey(endpoint.split('?')[0]));
+    const rows = responses.map(rowsOf).filter(Boolean).flat();
+    return rows.find(row => String(row.id) === String(body.id)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Answers a request that couldn't reach the API: a GET with its cached response, a change by queueing it.
+ * A list (a GET without an `action`) shows the queued changes, and falls back on the endpoint's other cached lists.
+ * @param {string} endpoint - The PHP file (and query string) that was called.
+ * @param {object} options - The request's options.
+ * @param {Error} networkError - The error fetch failed with; thrown again when there is no offline answer.
+ * @returns {Promise<any>} - The cached response, or { rezultat: "OK", queued: true } with the temporary `id` of an added row.
+ */
+async function answerOffline(endpoint, options, networkError) {
+  updateConnectionStatus({ offline: true });
+  const method = options.method || 'GET';
+  const isLoginCheck = endpoint === 'auth.php' && method === 'GET';
+  if (options.offline === false || (offlineUserId === null && !isLoginCheck)) throw networkError;
+
+  if (method === 'GET') {
+    const [path, query = ''] = endpoint.split('?');
+    const params = Object.fromEntries(new URLSearchParams(query));
+    let cached = await readResponse(cacheKey(endpoint)).catch(() => undefined);
+    if (params.action === undefined) {
+      cached = cached === undefined ? await answerFromCachedLists(path, params) : await applyQueuedChanges(path, params, cached);
+    }
+    if (cached === undefined) throw networkError;
+    return cached;
+  }
+
+  // A row added offline exists only here, so there is nothing on the server to compare its later edits with.
+  const temporaryId = method === 'POST' ? nextTemporaryId() : undefined;
+  const isOfflineRow = options.body && isTemporaryId(options.body.id);
+  await queueChange({
+    user_id: offlineUserId,
+    endpoint,
+    method,
+    body: options.body || null,
+    base: method === 'POST' || isOfflineRow ? null : await findCachedRow(endpoint, options.body),
+    temp_id: temporaryId,
+    queued_at: new Date().toISOString(),
+  });
+  await refreshQueuedCount();
+  return temporaryId === undefined ? { rezultat: 'OK', queued: true } : { rezultat: 'OK', queued: true, id: temporaryId };
+}
+
 /**
  * A generic request handler to keep our code DRY (Avoid redundancy).
  * It handles the API_URL, headers, and response/error checking.
@@ -12,43 +226,116 @@ const API_URL = "http://localhost/financial-tracker/";
  */
 async function request(endpoint, options = {}) {
   const url = `${API_URL}${endpoint}`;
+  // `offline` is this service's own option (see answerOffline), not a fetch option.
+  const { offline, ...fetchOptions } = options;
 
-  // 2. Set default headers.
+  // 2. Set default headers. Every request carries the login token, which the server uses to pick the user's data.
+  const token = getAuthToken();
   const headers = {
     'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
     ...options.headers,
   };
 
   // 3. Stringify the body if it exists.
   const config = {
-    ...options,
+    ...fetchOptions,
     headers,
     body: options.body ? JSON.stringify(options.body) : undefined,
   };
 
   try {
-    const response = await fetch(url, config);
+    let response;
+    try {
+      response = await fetch(url, config);
+    } catch (networkError) {
+      // fetch only fails like this when the API can't be reached at all.
+      return await answerOffline(endpoint, { ...options, offline }, networkError);
+    }
+    updateConnectionStatus({ offline: false });
     
-    // 4. Check for network errors (4xx, 5xx).
+    // 4. A 401 means the user is no longer logged in: forget the token and let the app return to the login page.
+    if (response.status === 401) {
+      setAuthToken(null);
+      if (unauthorizedHandler) unauthorizedHandler();
+      throw new Error('Please log in.');
+    }
+
+    // 5. Check for network errors (4xx, 5xx).
     if (!response.ok) {
       const errorText = await response.text();
       throw new Error(errorText || `Network response was not ok: ${response.statusText}`);
     }
 
-    // 5. Return the parsed JSON data.
-    return await response.json();
+    // 6. Return the parsed JSON data, keeping a copy of every GET response for offline use.
+    const data = await response.json();
+    if (!options.method || options.method === 'GET') {
+      saveResponse(cacheKey(endpoint), data).catch(error => console.error('Could not cache the response', error));
+    }
+    return data;
   } catch (error) {
     console.error(`API service error for endpoint: ${endpoint}`, error);
     throw error; // Re-throw the error so the component can catch it.
   }
 }
 
+/**
+ * Builds a query string from an object of parameters, leaving out empty ones.
+ * @param {object} params - e.g., { date_from: '2025-01-01', q: 'rent' }
+ * @returns {string} - e.g., '?date_from=2025-01-01&q=rent', or '' when there is nothing to send.
+ */
+function toQueryString(params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.append(key, value);
+  });
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
 // --- API Functions ---
 // Now we export one clean function for each action.
 
+// --- Authentication ---
+// login() and register() resolve with { rezultat, token, user }; pass the token to setAuthToken().
+export const getCurrentUser = () => 
+  request('auth.php');
+
+// Checks that the API can be reached again; rejects while it can't.
+export const checkConnection = () => 
+  request('auth.php', { offline: false });
+
+export const login = (email, password) => 
+  request('auth.php?action=login', { method: 'POST', body: { email, password }, offline: false });
+
+export const register = (userData) => 
+  request('auth.php?action=register', { method: 'POST', body: userData, offline: false });
+
+export const logout = () => 
+  request('auth.php', { method: 'DELETE', offline: false });
+
+// --- Offline Sync ---
+// Used by syncService.js: reads the server's current copy of a list, and sends a queued change as it was made.
+export const getServerCopy = (endpoint) => 
+  request(endpoint, { offline: false });
+
+export const sendQueuedChange = (change) => 
+  request(change.endpoint, { method: change.method, body: change.body || undefined, offline: false });
+
 // --- Transactions ---
-export const getAllTransactions = () => 
-  request('transactions.php');
+// The optional filters are: id, transfer_group, date_from, date_to, category_id, account_id ('none' for no account),
+// category_type, type, recurring ('recurring' or 'manual'), amount_min, amount_max, q (text search),
+// sort ('date', 'amount', 'description', 'category' or 'account') and order ('asc' or 'desc').
+export const getAllTransactions = (filters = {}) => 
+  request(`transactions.php${toQueryString(filters)}`);
+
+// Resolves with one page of the filtered transactions: { rows, total, page, page_size }.
+export const getTransactionsPage = (filters, page, pageSize) => 
+  request(`transactions.php${toQueryString({ ...filters, page, page_size: pageSize })}`);
+
+// Resolves with the aggregated figures of a period (balances, income, spending, savings, spending per category).
+export const getTransactionSummary = (dateFrom, dateTo) => 
+  request(`transactions.php${toQueryString({ action: 'summary', date_from: dateFrom, date_to: dateTo })}`);
 
 export const addTransaction = (transactionData) => 
   request('transactions.php', { method: 'POST', body: transactionData });
@@ -59,6 +346,35 @@ export const updateTransaction = (transactionData) =>
 export const deleteTransaction = (id) => 
   request('transactions.php', { method: 'DELETE', body: { id } });
 
+export const addTransactionsBulk = (transactionsData) => 
+  request('transactions.php?action=bulk', { method: 'POST', body: { transactions: transactionsData } });
+
+// Applies one bulk action ('recategorize', 'change_date' or 'delete') to many transactions in a single request.
+// `selection` is { ids: [...] } for the ticked rows, or { filters: {...} } for every row matching the table's filters,
+// and { rows } for 'revert', which puts back the `previous` values of an earlier batch.
+// Resolves with { rezultat, updated, skipped, ids, previous }.
+export const runTransactionBatch = (operation, selection, values = {}) => 
+  request('transactions.php?action=batch', { method: 'POST', body: { operation, ...selection, ...values } });
+
+export const addAccountTransfer = (transferData) => 
+  request('transactions.php?action=transfer', { method: 'POST', body: transferData });
+
+export const updateAccountTransfer = (transferData) => 
+  request('transactions.php?action=transfer', { method: 'PATCH', body: transferData });
+
+// --- Accounts ---
+export const getAllAccounts = () => 
+  request('accounts.php');
+
+export const addAccount = (accountData) => 
+  request('accounts.php', { method: 'POST', body: accountData });
+
+export const updateAccount = (accountData) => 
+  request('accounts.php', { method: 'PATCH', body: accountData });
+
+export const deleteAccount = (id) => 
+  request('accounts.php', { method: 'DELETE', body: { id } });
+
 // --- Categories ---
 export const getAllCategories = () => 
   request('categories.php');
@@ -72,6 +388,69 @@ export const updateCategory = (categoryData) =>
 export const deleteCategory = (id) => 
   request('categories.php', { method: 'DELETE', body: { id } });
 
+// --- Trash ---
+// Deleted transactions and categories stay in the Trash for 30 days. `kind` is 'transaction' or 'category'.
+export const getTrash = () => 
+  request('trash.php');
+
+export const restoreFromTrash = (kind, ids) => 
+  request('trash.php?action=restore', { method: 'POST', body: { kind, ids } });
+
+export const purgeFromTrash = (kind, ids) => 
+  request('trash.php', { method: 'DELETE', body: { kind, ids } });
+
+export const emptyTrash = () => 
+  request('trash.php?action=empty', { method: 'DELETE' });
+
+// --- Audit History ---
+// Every add, update and delete of transactions, categories, budget rules and schedules is recorded by the server.
+// Resolves with one page of the history, newest first: { rows, total, page, page_size }.
+// `params` may hold entity_type, entity_id, action, date_from, date_to, page and page_size.
+export const getAuditLog = (params = {}) => 
+  request(`audit_log.php${toQueryString(params)}`);
+
+// The history of one transaction (both rows, for a transfer between accounts).
+export const getTransactionHistory = (id, page = 1) => 
+  getAuditLog({ entity_type: 'transaction', entity_id: id, page });
+
+// --- Households ---
+// Shared ledgers between several users. Resolves with the user's households: { id, name, my_role, members }.
+export const getAllHouseholds = () => 
+  request('households.php');
+
+export const addHousehold = (householdData) => 
+  request('households.php', { method: 'POST', body: householdData });
+
+// `householdData` is { id, name, default_shares }, where default_shares maps member IDs to percentages.
+export const updateHousehold = (householdData) => 
+  request('households.php', { method: 'PATCH', body: householdData });
+
+export const deleteHousehold = (id) => 
+  request('households.php', { method: 'DELETE', body: { id } });
+
+// Resolves with { expenses, settlements }; every expense has its `splits`.
+export const getHouseholdLedger = (id) => 
+  request(`households.php${toQueryString({ action: 'ledger', id })}`);
+
+// Resolves with the shares of one of the user's transactions: [{ user_id, amount, percent }].
+export const getTransactionSplits = (transactionId) => 
+  request(`households.php${toQueryString({ action: 'splits', transaction_id: transactionId })}`);
+
+export const addHouseholdMember = (householdId, email, role) => 
+  request('households.php?action=member', { method: 'POST', body: { household_id: householdId, email, role } });
+
+export const updateHouseholdMember = (householdId, userId, role) => 
+  request('households.php?action=member', { method: 'PATCH', body: { household_id: householdId, user_id: userId, role } });
+
+export const removeHouseholdMember = (householdId, userId) => 
+  request('households.php?action=member', { method: 'DELETE', body: { household_id: householdId, user_id: userId } });
+
+export const addSettlement = (settlementData) => 
+  request('households.php?action=settle', { method: 'POST', body: settlementData });
+
+export const deleteSettlement = (id) => 
+  request('households.php?action=settle', { method: 'DELETE', body: { id } });
+
 // --- Budget Rules ---
 export const getAllBudgetRules = () => 
   request('budget.php');
@@ -85,6 +464,32 @@ export const updateBudgetRule = (ruleData) =>
 export const deleteBudgetRule = (id) => 
   request('budget.php', { method: 'DELETE', body: { id } });
 
+// --- Category Budgets ---
+export const getAllCategoryBudgets = () => 
+  request('category_budgets.php');
+
+export const addCategoryBudget = (budgetData) => 
+  request('category_budgets.php', { method: 'POST', body: budgetData });
+
+export const updateCategoryBudget = (budgetData) => 
+  request('category_budgets.php', { method: 'PATCH', body: budgetData });
+
+export const deleteCategoryBudget = (id) => 
+  request('category_budgets.php', { method: 'DELETE', body: { id } });
+
+// --- Savings Goals ---
+export const getAllSavingsGoals = () => 
+  request('savings_goals.php');
+
+export const addSavingsGoal = (goalData) => 
+  request('savings_goals.php', { method: 'POST', body: goalData });
+
+export const updateSavingsGoal = (goalData) => 
+  request('savings_goals.php', { method: 'PATCH', body: goalData });
+
+export const deleteSavingsGoal = (id) => 
+  request('savings_goals.php', { method: 'DELETE', body: { id } });
+
 // --- Recurring Incomes ---
 export const getAllRecurringIncomes = () => 
   request('recurring_incomes.php');
@@ -98,9 +503,30 @@ export const updateRecurringIncome = (incomeData) =>
 export const deleteRecurringIncome = (id) => 
   request('recurring_incomes.php', { method: 'DELETE', body: { id } });
 
+// Creates every due occurrence at the schedule's amount ("Approve all").
 export const processRecurringIncomes = () => 
   request('recurring_incomes.php?action=process', { method: 'POST' });
 
+// The dry run: the occurrences waiting up to `until` (today by default), each { id (the schedule's), description,
+// amount, currency, category_id, category_name, transaction_date, due }. Nothing is created.
+export const getPendingRecurringIncomes = (until) => 
+  request(`recurring_incomes.php${toQueryString({ action: 'pending', until })}`);
+
+// `occurrence` is { id, transaction_date, amount }; the amount can differ from the schedule's.
+export const approveRecurringIncome = (occurrence) => 
+  request('recurring_incomes.php?action=approve', { method: 'POST', body: occurrence });
+
+// Skipped occurrences ({ id, transaction_date }) are remembered and never generated.
+export const skipRecurringIncome = (occurrence) => 
+  request('recurring_incomes.php?action=skip', { method: 'POST', body: occurrence });
+
+// A dated change of the amount: `revision` is { id (the schedule's), amount, valid_from }.
+export const addRecurringIncomeRevision = (revision) => 
+  request('recurring_incomes.php?action=revision', { method: 'POST', body: revision });
+
+export const deleteRecurringIncomeRevision = (id) => 
+  request('recurring_incomes.php?action=revision', { method: 'DELETE', body: { id } });
+
 // --- Recurring Expenses ---
 export const getAllRecurringExpenses = () => 
   request('recurring_expenses.php');
@@ -115,4 +541,68 @@ export const deleteRecurringExpense = (id) =>
   request('recurring_expenses.php', { method: 'DELETE', body: { id } });
 
 export const processRecurringExpenses = () => 
-  request('recurring_expenses.php?action=process', { method: 'POST' });
\ No newline at end of file
+  request('recurring_expenses.php?action=process', { method: 'POST' });
+
+export const getPendingRecurringExpenses = (until) => 
+  request(`recurring_expenses.php${toQueryString({ action: 'pending', until })}`);
+
+export const approveRecurringExpense = (occurrence) => 
+  request('recurring_expenses.php?action=approve', { method: 'POST', body: occurrence });
+
+export const skipRecurringExpense = (occurrence) => 
+  request('recurring_expenses.php?action=skip', { method: 'POST', body: occurrence });
+
+export const addRecurringExpenseRevision = (revision) => 
+  request('recurring_expenses.php?action=revision', { method: 'POST', body: revision });
+
+export const deleteRecurringExpenseRevision = (id) => 
+  request('recurring_expenses.php?action=revision', { method: 'DELETE', body: { id } });
+
+// --- Import Profiles ---
+export const getAllImportProfiles = () => 
+  request('import_profiles.php');
+
+export const addImportProfile = (profileData) => 
+  request('import_profiles.php', { method: 'POST', body: profileData });
+
+export const updateImportProfile = (profileData) => 
+  request('import_profiles.php', { method: 'PATCH', body: profileData });
+
+export const deleteImportProfile = (id) => 
+  request('import_profiles.php', { method: 'DELETE', body: { id } });
+
+// --- Categorization Rules ---
+export const getAllCategorizationRules = () => 
+  request('categorization_rules.php');
+
+export const addCategorizationRule = (ruleData) => 
+  request('categorization_rules.php', { method: 'POST', body: ruleData });
+
+export const updateCategorizationRule = (ruleData) => 
+  request('categorization_rules.php', { method: 'PATCH', body: ruleData });
+
+export const deleteCategorizationRule = (id) => 
+  request('categorization_rules.php', { method: 'DELETE', body: { id } });
+
+// --- App Settings ---
+export const getAppSettings = () => 
+  request('app_settings.php');
+
+export const updateAppSettings = (settings) => 
+  request('app_settings.php', { method: 'PATCH', body: settings });
+
+// --- Exchange Rates ---
+export const getAllExchangeRates = () => 
+  request('exchange_rates.php');
+
+export const addExchangeRate = (rateData) => 
+  request('exchange_rates.php', { method: 'POST', body: rateData });
+
+export const addExchangeRatesBulk = (rates) => 
+  request('exchange_rates.php?action=bulk', { method: 'POST', body: { rates } });
+
+export const updateExchangeRate = (rateData) => 
+  request('exchange_rates.php', { method: 'PATCH', body: rateData });
+
+export const deleteExchangeRate = (id) => 
+  request('exchange_rates.php', { method: 'DELETE', body: { id } });
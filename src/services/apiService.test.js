@@ -0,0 +1,76 @@
+// src/services/apiService.test.js
+
+import { setOfflineUser, getAllTransactions, getTransactionsPage, getAllAccounts, addTransaction, updateTransaction, deleteTransaction, isTemporaryId } from './apiService';
+
+// The store is kept in memory (see __mocks__/offlineStore.js).
+jest.mock('./offlineStore');
+
+const row = (id, fields) => ({ id, description: `Row ${id}`, amount: '-10.00', type: 'Expense', transaction_date: '2025-03-02', category_id: 3, ...fields });
+
+const online = (data) => Promise.resolve({ ok: true, status: 200, json: async () => data });
+const offline = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// Each test works as its own user, so the cached responses and queued changes of the others don't get in its way.
+let userId = 100;
+beforeEach(() => {
+  userId += 1;
+  setOfflineUser(userId);
+  global.fetch = jest.fn();
+});
+
+// Caches what two views loaded (a page of March, and every row of category 4), then loses the connection.
+const loadViewsThenGoOffline = async () => {
+  global.fetch
+    .mockImplementationOnce(() => online({ rows: [row(5), row(6, { category_id: 4, transaction_date: '2025-03-01' })], total: 2, page: 1, page_size: 50 }))
+    .mockImplementationOnce(() => online([row(6, { category_id: 4, transaction_date: '2025-03-01' }), row(7, { category_id: 4, transaction_date: '2025-02-01' })]));
+  await getTransactionsPage({ date_from: '2025-03-01', date_to: '2025-03-31' }, 1, 50);
+  await getAllTransactions({ category_id: 4 });
+  global.fetch.mockImplementation(offline);
+};
+
+describe('offline lists (answerFromCachedLists and the queued changes)', () => {
+  test('answers a list never loaded with that filter from the rows other views loaded, newest first', async () => {
+    await loadViewsThenGoOffline();
+    expect((await getAllTransactions({ date_from: '2025-02-01' })).map(t => t.id)).toEqual([5, 6, 7]);
+    expect(await getTransactionsPage({ category_id: '4' }, 2, 1)).toEqual({ rows: [row(7, { category_id: 4, transaction_date: '2025-02-01' })], total: 2, page: 2, page_size: 1 });
+  });
+
+  test('shows rows added offline with a temporary id, where they match the filters', async () => {
+    await loadViewsThenGoOffline();
+    const answer = await addTransaction({ description: 'Coffee', amount: '-3.00', type: 'Expense', transaction_date: '2025-03-05', category_id: 3 });
+    expect(answer).toMatchObject({ rezultat: 'OK', queued: true });
+    expect(isTemporaryId(answer.id)).toBe(true);
+
+    expect((await getAllTransactions({ date_from: '2025-03-01', date_to: '2025-03-31' })).map(t => t.id)).toEqual([answer.id, 5, 6]);
+    expect((await getAllTransactions({ category_id: 4 })).map(t => t.id)).toEqual([6, 7]);
+    expect(await getTransactionsPage({ date_from: '2025-03-01', date_to: '2025-03-31' }, 1, 50)).toMatchObject({ total: 3 });
+  });
+
+  test('shows offline edits, and drops an edited row that no longer matches the filters', async () => {
+    await loadViewsThenGoOffline();
+    await updateTransaction({ id: 6, amount: '-12.00' });
+    await updateTransaction({ id: 7, category_id: 3 });
+
+    const march = await getAllTransactions({ date_from: '2025-03-01', date_to: '2025-03-31' });
+    expect(march.find(t => t.id === 6)).toMatchObject({ description: 'Row 6', amount: '-12.00' });
+    expect((await getAllTransactions({ category_id: 4 })).map(t => t.id)).toEqual([6]);
+    expect((await getAllTransactions({ category_id: 3 })).map(t => t.id)).toEqual([5, 7]);
+  });
+
+  test('hides rows deleted offline, and the rows added offline then deleted', async () => {
+    await loadViewsThenGoOffline();
+    await deleteTransaction(5);
+    const { id } = await addTransaction({ description: 'Coffee', amount: '-3.00', type: 'Expense', transaction_date: '2025-03-05', category_id: 3 });
+    await deleteTransaction(id);
+
+    expect((await getAllTransactions({ date_from: '2025-03-01' })).map(t => t.id)).toEqual([6]);
+    expect(await getTransactionsPage({ date_from: '2025-03-01', date_to: '2025-03-31' }, 1, 50)).toMatchObject({ rows: [expect.objectContaining({ id: 6 })], total: 1 });
+  });
+
+  test('fails like the network when nothing of the endpoint was cached', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockImplementation(offline);
+    await expect(getAllAccounts()).rejects.toThrow('Failed to fetch');
+    console.error.mockRestore();
+  });
+});
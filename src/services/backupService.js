@@ -0,0 +1,301 @@
+// src/services/backupService.js
+
+// Import the apiService functions used to read extra data and to recreate every record on restore.
+import {
+  addCategory,
+  getAllBudgetRules,
+  addBudgetRule,
+  getAllCategoryBudgets,
+  addCategoryBudget,
+  getAllSavingsGoals,
+  addSavingsGoal,
+  addRecurringIncome,
+  addRecurringExpense,
+  addRecurringIncomeRevision,
+  addRecurringExpenseRevision,
+  getAllTransactions,
+  addTransactionsBulk,
+  getAllImportProfiles,
+  addImportProfile,
+  addCategorizationRule,
+  getAllAccounts,
+  addAccount,
+  updateAppSettings,
+  addExchangeRatesBulk
+} from './apiService';
+
+// 1. Identify the archive format. The version is bumped whenever the archive's shape changes,
+// so older archives can still be read and newer ones are rejected with a clear message.
+export const BACKUP_FORMAT = 'financial-tracker-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Builds the backup archive from the data App.js has already loaded.
+ * Import profiles are not held in App, and App only holds recent transactions, so both are fetched here.
+ * @param {object} data - { categories, budgetRules, recurringIncomes, recurringExpenses, categorizationRules, accounts, exchangeRates, baseCurrency, categoryBudgets, savingsGoals }
+ * @returns {Promise<object>} - A promise that resolves with the archive object, ready for JSON.stringify.
+ */
+export async function createBackupArchive({ categories, budgetRules, recurringIncomes, recurringExpenses, categorizationRules = [], accounts = [], exchangeRates = [], baseCurrency, categoryBudgets = [], savingsGoals = [] }) {
+  const transactions = await getAllTransactions();
+  const importProfiles = await getAllImportProfiles();
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    data: {
+      accounts,
+      categories,
+      budget_rules: budgetRules,
+      category_budgets: categoryBudgets,
+      savings_goals: savingsGoals,
+      recurring_incomes: recurringIncomes,
+      recurring_expenses: recurringExpenses,
+      transactions,
+      import_profiles: importProfiles,
+      categorization_rules: categorizationRules,
+      exchange_rates: exchangeRates,
+      settings: { base_currency: baseCurrency },
+    },
+  };
+}
+
+/**
+ * Checks that a parsed file is a backup archive this version of the app can restore.
+ * @param {any} archive - The parsed JSON content of the file.
+ * @returns {object} - The archive, if valid.
+ * @throws {Error} - With a user-readable message if the archive can't be restored.
+ */
+export function validateBackupArchive(archive) {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Financial Tracker backup.');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    throw new Error(`This backup was made with a newer version of the app (archive version ${archive.version}).`);
+  }
+  const requiredLists = ['categories', 'budget_rules', 'recurring_incomes', 'recurring_expenses', 'transactions'];
+  for (const key of requiredLists) {
+    if (!archive.data || !Array.isArray(archive.data[key])) {
+      throw new Error(`The backup is incomplete: "${key}" is missing.`);
+    }
+  }
+  return archive;
+}
+
+/**
+ * Restores an archive through the regular apiService create calls.
+ *
+ * Category ids differ between installations, so every category is first matched to an existing one
+ * (same name and type) or created, and the old→new id map is applied to everything that references a category.
+ * Transactions generated by a recurring schedule are not restored: the restored schedules start unprocessed,
+ * so the recurring processors regenerate those transactions on the next reload.
+ * Accounts are matched by name in the same way, and transfers between accounts keep their link.
+ * Budget rules and import profiles that already exist (same name and dates / same name) are skipped,
+ * and so are category budgets for a category that already has one.
+ * Exchange rates overwrite the rate for the same day and currencies, and the archive's base currency becomes the current one.
+ *
+ * @param {object} archive - A validated backup archive.
+ * @param {Array} existingCategories - The categories already present on this installation.
+ * @param {Function} onProgress - Called with a short message after each step.
+ * @returns {Promise<object>} - A promise that resolves with the number of records created per type.
+ */
+export async function restoreBackupArchive(archive, existingCategories, onProgress = () => {}) {
+  const { data } = archive;
+  const summary = { categories: 0, budget_rules: 0, recurring_incomes: 0, recurring_expenses: 0, transactions: 0, import_profiles: 0, categorization_rules: 0, accounts: 0, exchange_rates: 0, category_budgets: 0, savings_goals: 0 };
+
+  // A response without rezultat "OK" means the backend refused the row; stop the restore there.
+  const ensureOk = (response, what) => {
+    if (response.rezultat !== 'OK') throw new Error(`Failed to restore ${what}: ${response.rezultat}`);
+    return response;
+  };
+
+  // 2. Categories, building the id map as we go.
+  const categoryIdMap = {};
+  const categoryKey = (cat) => `${String(cat.name).trim().toLowerCase()}|${cat.type}`;
+  const existingByKey = existingCategories.reduce((acc, cat) => { acc[categoryKey(cat)] = cat; return acc; }, {});
+
+  for (const cat of data.categories) {
+    const existing = existingByKey[categoryKey(cat)];
+    if (existing) {
+      categoryIdMap[cat.id] = existing.id;
+    } else {
+      const response = ensureOk(await addCategory({ name: cat.name, type: cat.type, description: cat.description || '', color: cat.color || '#CCCCCC' }), `category "${cat.name}"`);
+      categoryIdMap[cat.id] = response.id;
+      existingByKey[categoryKey(cat)] = { ...cat, id: response.id };
+      summary.categories++;
+    }
+  }
+  onProgress(`Categories: ${summary.categories} created, ${data.categories.length - summary.categories} matched to existing ones.`);
+
+  // Records whose category is not in the archive can't be remapped; they keep no category.
+  const mapCategory = (oldId) => (oldId !== null && oldId !== undefined && categoryIdMap[oldId] !== undefined ? categoryIdMap[oldId] : null);
+
+  // 2b. Accounts (optional in the archive), matched by name or created, building a second id map.
+  const accountIdMap = {};
+  if (Array.isArray(data.accounts)) {
+    const existingAccounts = await getAllAccounts();
+    for (const account of data.accounts) {
+      const existing = existingAccounts.find(a => a.name.trim().toLowerCase() === String(account.name).trim().toLowerCase());
+      if (existing) {
+        accountIdMap[account.id] = existing.id;
+      } else {
+        const response = ensureOk(await addAccount({ name: account.name, type: account.type, opening_balance: account.opening_balance, color: account.color || '#6C757D' }), `account "${account.name}"`);
+        accountIdMap[account.id] = response.id;
+        summary.accounts++;
+      }
+    }
+    onProgress(`Accounts: ${summary.accounts} created, ${data.accounts.length - summary.accounts} matched to existing ones.`);
+  }
+  const mapAccount = (oldId) => (oldId !== null && oldId !== undefined && accountIdMap[oldId] !== undefined ? accountIdMap[oldId] : null);
+
+  // 2c. Currency settings and exchange rates (optional in the archive).
+  if (data.settings && data.settings.base_currency) {
+    ensureOk(await updateAppSettings({ base_currency: data.settings.base_currency }), 'the base currency');
+  }
+  if (Array.isArray(data.exchange_rates) && data.exchange_rates.length > 0) {
+    const rates = data.exchange_rates.map(r => ({ rate_date: r.rate_date, from_currency: r.from_currency, to_currency: r.to_currency, rate: r.rate }));
+    ensureOk(await addExchangeRatesBulk(rates), 'exchange rates');
+    summary.exchange_rates = rates.length;
+    onProgress(`Exchange rates: ${summary.exchange_rates} restored.`);
+  }
+
+  // 3. Budget rules.
+  const existingRules = await getAllBudgetRules();
+  for (const rule of data.budget_rules) {
+    const alreadyExists = existingRules.some(r => r.name === rule.name && r.start_date === rule.start_date && (r.end_date || '') === (rule.end_date || ''));
+    if (alreadyExists) continue;
+    ensureOk(await addBudgetRule({
+      name: rule.name, start_date: rule.start_date, end_date: rule.end_date || '',
+      needs_ratio: rule.needs_ratio, wants_ratio: rule.wants_ratio, savings_ratio: rule.savings_ratio,
+    }), `budget rule "${rule.name}"`);
+    summary.budget_rules++;
+  }
+  onProgress(`Budget rules: ${summary.budget_rules} created.`);
+
+  // 3b. Category budgets (optional in the archive). Each category can have only one.
+  if (Array.isArray(data.category_budgets)) {
+    const existingBudgets = await getAllCategoryBudgets();
+    for (const budget of data.category_budgets) {
+      const categoryId = mapCategory(budget.category_id);
+      if (categoryId === null || existingBudgets.some(b => String(b.category_id) === String(categoryId))) continue;
+      ensureOk(await addCategoryBudget({
+        category_id: categoryId, monthly_limit: budget.monthly_limit, start_date: budget.start_date, rollover: budget.rollover,
+      }), `category budget "${budget.category_name || budget.category_id}"`);
+      summary.category_budgets++;
+    }
+    onProgress(`Category budgets: ${summary.category_budgets} created.`);
+  }
+
+  // 3c. Savings goals (optional in the archive). A goal with the same name is reused. A category belongs to
+  // at most one goal, so categories already linked to an existing goal are left out.
+  const goalIdMap = {};
+  if (Array.isArray(data.savings_goals)) {
+    const existingGoals = await getAllSavingsGoals();
+    const linkedCategories = new Set(existingGoals.flatMap(g => (g.category_ids || []).map(String)));
+    for (const goal of data.savings_goals) {
+      const existing = existingGoals.find(g => g.name.trim().toLowerCase() === String(goal.name).trim().toLowerCase());
+      if (existing) {
+        goalIdMap[goal.id] = existing.id;
+        continue;
+      }
+      const categoryIds = (goal.category_ids || []).map(mapCategory).filter(id => id !== null && !linkedCategories.has(String(id)));
+      categoryIds.forEach(id => linkedCategories.add(String(id)));
+      const response = ensureOk(await addSavingsGoal({
+        name: goal.name, target_amount: goal.target_amount, target_date: goal.target_date || '', color: goal.color || '#198754', category_ids: categoryIds,
+      }), `savings goal "${goal.name}"`);
+      goalIdMap[goal.id] = response.id;
+      summary.savings_goals++;
+    }
+    onProgress(`Savings goals: ${summary.savings_goals} created, ${data.savings_goals.length - summary.savings_goals} matched to existing ones.`);
+  }
+  const mapGoal = (oldId) => (oldId !== null && oldId !== undefined && goalIdMap[oldId] !== undefined ? goalIdMap[oldId] : null);
+
+  // 4. Recurring schedules. A schedule needs a category, so ones whose category can't be mapped are skipped.
+  // Each schedule's dated amount changes are added back after it, against its new id.
+  const restoreRevisions = async (schedule, response, addRevision) => {
+    for (const revision of schedule.amount_history || []) {
+      ensureOk(await addRevision({ id: response.id, amount: revision.amount, valid_from: revision.valid_from }),
+        `amount change of "${schedule.description}"`);
+    }
+  };
+  for (const income of data.recurring_incomes) {
+    const categoryId = mapCategory(income.category_id);
+    if (categoryId === null) continue;
+    const response = ensureOk(await addRecurringIncome({
+      description: income.description, amount: income.amount, currency: income.currency, category_id: categoryId,
+      recurrence_day: income.recurrence_day, frequency: income.frequency, interval_count: income.interval_count, weekday: income.weekday,
+      start_date: income.start_date, end_date: income.end_date,
+    }), `scheduled income "${income.description}"`);
+    await restoreRevisions(income, response, addRecurringIncomeRevision);
+    summary.recurring_incomes++;
+  }
+  for (const expense of data.recurring_expenses) {
+    const categoryId = mapCategory(expense.category_id);
+    if (categoryId === null) continue;
+    const response = ensureOk(await addRecurringExpense({
+      description: expense.description, amount: expense.amount, currency: expense.currency, category_id: categoryId,
+      recurrence_day: expense.recurrence_day, frequency: expense.frequency, interval_count: expense.interval_count, weekday: expense.weekday,
+      start_date: expense.start_date, end_date: expense.end_date,
+      contract_end_date: expense.contract_end_date || '',
+      notice_days: expense.notice_days ?? 0, renewal_months: expense.renewal_months ?? '', reminder_days: expense.reminder_days ?? 30,
+    }), `scheduled payment "${expense.description}"`);
+    await restoreRevisions(expense, response, addRecurringExpenseRevision);
+    summary.recurring_expenses++;
+  }
+  onProgress(`Schedules: ${summary.recurring_incomes} income(s) and ${summary.recurring_expenses} payment(s) created.`);
+
+  // 5. Manual transactions, in a single bulk request.
+  // A split transaction keeps its category lines, unless one of their categories couldn't be restored.
+  const mapLines = (lines) => {
+    const mapped = (lines || []).map(l => ({ category_id: mapCategory(l.category_id), amount: l.amount }));
+    return mapped.some(l => l.category_id === null) ? [] : mapped;
+  };
+  const manualTransactions = data.transactions
+    .filter(t => t.recurring_income_id == null && t.recurring_expense_id == null)
+    .map(t => ({
+      description: t.description,
+      amount: t.amount,
+      currency: t.currency,
+      type: t.type,
+      category_id: mapCategory(t.category_id),
+      transaction_date: t.transaction_date,
+      account_id: mapAccount(t.account_id),
+      transfer_group: t.transfer_group || null,
+      goal_id: mapGoal(t.goal_id),
+      category_lines: mapLines(t.category_lines),
+    }));
+  if (manualTransactions.length > 0) {
+    ensureOk(await addTransactionsBulk(manualTransactions), 'transactions');
+    summary.transactions = manualTransactions.length;
+  }
+  onProgress(`Transactions: ${summary.transactions} restored (recurring ones will be regenerated by their schedules).`);
+
+  // 6. Import profiles (optional in the archive).
+  if (Array.isArray(data.import_profiles)) {
+    const existingProfiles = await getAllImportProfiles();
+    for (const profile of data.import_profiles) {
+      if (existingProfiles.some(p => p.name === profile.name)) continue;
+      const { id, ...profileData } = profile;
+      ensureOk(await addImportProfile(profileData), `import profile "${profile.name}"`);
+      summary.import_profiles++;
+    }
+    onProgress(`Import profiles: ${summary.import_profiles} created.`);
+  }
+
+  // 7. Categorization rules (optional in the archive). Like schedules, a rule needs a category.
+  if (Array.isArray(data.categorization_rules)) {
+    for (const rule of data.categorization_rules) {
+      const categoryId = mapCategory(rule.category_id);
+      if (categoryId === null) continue;
+      ensureOk(await addCategorizationRule({
+        name: rule.name, pattern: rule.pattern || '', match_type: rule.match_type,
+        amount_min: rule.amount_min ?? '', amount_max: rule.amount_max ?? '', transaction_type: rule.transaction_type,
+        category_id: categoryId, priority: rule.priority, is_active: rule.is_active,
+      }), `categorization rule "${rule.name}"`);
+      summary.categorization_rules++;
+    }
+    onProgress(`Categorization rules: ${summary.categorization_rules} created.`);
+  }
+
+  return summary;
+}
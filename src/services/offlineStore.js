@@ -0,0 +1,78 @@
+// src/services/offlineStore.js
+
+// The IndexedDB database that keeps the app usable while the API can't be reached (see apiService.js).
+// 'responses' keeps the last answer to every GET request, keyed by user and endpoint ("<user id>|<endpoint>");
+// 'queue' keeps the changes made offline, in the order they were made, until syncService.js sends them.
+const DB_NAME = 'financial-tracker';
+const DB_VERSION = 1;
+
+// The database is opened once, on first use.
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        open.result.createObjectStore('responses');
+        open.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs one operation on a store inside its own IndexedDB transaction.
+ * @param {string} storeName - 'responses' or 'queue'.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} operation - Receives the store and returns the IDBRequest whose result is wanted.
+ * @returns {Promise<any>} - The request's result, once the transaction has completed.
+ */
+async function run(storeName, mode, operation) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// --- Cached responses ---
+// Resolves with the stored response, or undefined when there is none.
+export const readResponse = (key) =>
+  run('responses', 'readonly', store => store.get(key));
+
+// Resolves with every stored response whose key starts with `prefix`, e.g. all the cached lists of one endpoint.
+export const readResponses = (prefix) =>
+  run('responses', 'readonly', store => store.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+
+export const saveResponse = (key, data) =>
+  run('responses', 'readwrite', store => store.put(data, key));
+
+// --- Queued changes ---
+// A change is { user_id, endpoint, method, body, base, temp_id, queued_at }; `base` is the row as it was when the change
+// was made (when it is known), so the sync can tell whether someone else changed it on the server in the meantime, and
+// `temp_id` is the id an added row goes by until it is sent (see apiService.js).
+export const queueChange = (change) =>
+  run('queue', 'readwrite', store => store.add(change));
+
+// Resolves with every queued change, oldest first, each with its `id`.
+export const getQueuedChanges = () =>
+  run('queue', 'readonly', store => store.getAll());
+
+export const removeQueuedChange = (id) =>
+  run('queue', 'readwrite', store => store.delete(id));
+
+// Forgets one user's cached responses and queued changes, e.g. on logout; other users' on this device are kept.
+// The cached login check goes too, as it is this user's.
+export const clearOfflineData = async (userId) => {
+  const prefix = `${userId}|`;
+  await run('responses', 'readwrite', store => store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+  await run('responses', 'readwrite', store => store.delete('auth.php'));
+  const changes = await getQueuedChanges();
+  for (const change of changes.filter(c => c.user_id === userId)) await removeQueuedChange(change.id);
+};
@@ -0,0 +1,98 @@
+// src/services/syncService.js
+
+// Import the offline queue and the apiService functions that talk to the server directly.
+import { getQueuedChanges, removeQueuedChange } from './offlineStore';
+import { getServerCopy, sendQueuedChange, refreshQueuedCount } from './apiService';
+
+/*
+ * Sends the changes queued while the app was offline (see apiService.js), oldest first.
+ * Before an edit or a deletion is sent, the row is compared with the copy the user saw when making the change (`base`):
+ * if someone changed it on the server in the meantime (e.g. another household member, or the user on another device),
+ * App.js is asked whether to keep the user's version or the server's.
+ */
+
+// Swaps the temporary ids of rows added offline (see apiService.js) for the ids the server gave them, wherever they
+// appear in a change: the row's own id, or a reference to it (e.g. the account of a transaction added offline).
+const remapIds = (value, ids) => {
+  if (Array.isArray(value)) return value.map(item => remapIds(item, ids));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapIds(item, ids)]));
+  return (typeof value === 'number' || typeof value === 'string') && ids.has(String(value)) ? ids.get(String(value)) : value;
+};
+
+// Two values are the same when they are equal as numbers ("12.50" and 12.5) or as JSON (category lines, nulls).
+const sameValue = (a, b) => {
+  if (a !== null && b !== null && a !== '' && b !== '' && !isNaN(a) && !isNaN(b)) return parseFloat(a) === parseFloat(b);
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+/**
+ * Lists what changed on the server since a queued change was made.
+ * @param {object} change - The queued change, with its `base` row.
+ * @param {object|undefined} server - The server's current copy of the row, or undefined when it no longer exists.
+ * @returns {object|null} - { change, deleted, fields: [{ field, mine, theirs }] }, or null when there is no conflict.
+ */
+function findConflict(change, server) {
+  if (!server) return { change, deleted: true, fields: [] };
+  // An edit only conflicts on the fields it sends; a deletion conflicts on any change to the row.
+  const fields = change.method === 'DELETE'
+    ? Object.keys(change.base)
+    : Object.keys(change.body || {}).filter(field => field !== 'id' && field in change.base);
+  const changed = fields
+    .filter(field => !sameValue(change.base[field], server[field]))
+    .map(field => ({ field, mine: change.method === 'DELETE' ? null : change.body[field], theirs: server[field] }));
+  return changed.length > 0 ? { change, deleted: false, fields: changed } : null;
+}
+
+/**
+ * Sends the user's queued changes to the server.
+ * @param {number} userId - The logged-in user; changes queued by other users on this device are left alone.
+ * @param {Function} resolveConflict - Called with a conflict (see findConflict); resolves with 'mine' to send the change anyway,
+ * or 'theirs' to drop it and keep the server's version.
+ * @returns {Promise<{ sent: number, discarded: number, errors: Array<string> }>} - What happened to the changes.
+ * Stops early, leaving the rest queued, when the server can't be reached.
+ */
+export async function syncQueuedChanges(userId, resolveConflict) {
+  const changes = (await getQueuedChanges()).filter(c => c.user_id === userId);
+  const serverLists = {}; // Each endpoint's list is read once per sync.
+  const sentEdits = {}; // What this sync already changed on each row, so a second offline edit of it isn't a conflict.
+  const serverIds = new Map(); // The id the server gave each row added offline, by its temporary id.
+  const outcome = { sent: 0, discarded: 0, errors: [] };
+
+  try {
+    for (const queued of changes) {
+      const change = { ...queued, body: remapIds(queued.body, serverIds), base: remapIds(queued.base, serverIds) };
+      const endpoint = change.endpoint.split('?')[0];
+      const rowKey = change.base ? `${endpoint}|${change.base.id}` : null;
+      if (change.base) {
+        if (!serverLists[endpoint]) serverLists[endpoint] = await getServerCopy(endpoint);
+        const list = Array.isArray(serverLists[endpoint]) ? serverLists[endpoint] : null;
+        const server = list ? list.find(row => String(row.id) === String(change.base.id)) : change.base;
+        // Deleting something that is already gone needs nobody's decision.
+        const conflict = !server && change.method === 'DELETE' ? { deleted: true } : findConflict(
+          { ...change, base: { ...change.base, ...sentEdits[rowKey] } },
+          server && { ...server, ...sentEdits[rowKey] }
+        );
+        if (conflict && (conflict.deleted || (await resolveConflict(conflict)) === 'theirs')) {
+          // A row deleted on the server can't be edited any more; the conflict is still shown so the user knows.
+          if (conflict.deleted && conflict.change) await resolveConflict(conflict);
+          await removeQueuedChange(change.id);
+          outcome.discarded += 1;
+          continue;
+        }
+      }
+
+      const result = await sendQueuedChange(change);
+      // A change the server refuses (e.g. a category deleted in the meantime) is dropped, so it doesn't block the rest.
+      if (result && result.rezultat && result.rezultat !== 'OK') outcome.errors.push(result.rezultat);
+      else {
+        outcome.sent += 1;
+        if (change.temp_id !== undefined && result && result.id !== undefined) serverIds.set(String(change.temp_id), result.id);
+        if (rowKey && change.method !== 'DELETE') sentEdits[rowKey] = { ...sentEdits[rowKey], ...change.body };
+      }
+      await removeQueuedChange(change.id);
+    }
+  } finally {
+    await refreshQueuedCount();
+  }
+  return outcome;
+}
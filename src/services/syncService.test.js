@@ -0,0 +1,74 @@
+// src/services/syncService.test.js
+
+import { syncQueuedChanges } from './syncService';
+import { setOfflineUser, getTransactionsPage, addTransaction, updateTransaction, deleteTransaction } from './apiService';
+import { getQueuedChanges } from './offlineStore';
+
+// The store is kept in memory (see __mocks__/offlineStore.js).
+jest.mock('./offlineStore');
+
+const row = (fields) => ({ id: 5, description: 'Lidl', amount: '-20.00', type: 'Expense', transaction_date: '2025-03-02', category_id: 3, ...fields });
+
+// The server answers with `data`; without it, the API can't be reached.
+const online = (data) => Promise.resolve({ ok: true, status: 200, json: async () => data });
+const offline = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// Each test works as its own user, so the cached responses and queued changes of the others don't get in its way.
+let userId = 0;
+beforeEach(() => {
+  userId += 1;
+  setOfflineUser(userId);
+  global.fetch = jest.fn();
+});
+
+// Loads one page of the March transactions, as the Dashboard does, then loses the connection.
+const loadPageThenGoOffline = async () => {
+  global.fetch.mockImplementationOnce(() => online({ rows: [row()], total: 1, page: 1, page_size: 50 }));
+  await getTransactionsPage({ date_from: '2025-03-01', date_to: '2025-03-31' }, 1, 50);
+  global.fetch.mockImplementation(offline);
+};
+
+describe('syncQueuedChanges', () => {
+  test('reports a conflict when the row changed on the server after an offline edit', async () => {
+    await loadPageThenGoOffline();
+    await updateTransaction({ ...row(), amount: '-25.00' });
+    const [queued] = (await getQueuedChanges()).filter(c => c.user_id === userId);
+    expect(queued.base).toEqual(row());
+
+    global.fetch.mockReset().mockImplementation(() => online([row({ amount: '-22.00' })]));
+    const resolveConflict = jest.fn(async () => 'theirs');
+    const outcome = await syncQueuedChanges(userId, resolveConflict);
+
+    expect(resolveConflict).toHaveBeenCalledWith(expect.objectContaining({
+      deleted: false,
+      fields: [{ field: 'amount', mine: '-25.00', theirs: '-22.00' }],
+    }));
+    expect(outcome).toEqual({ sent: 0, discarded: 1, errors: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(1); // Only the server's copy was read; the edit was not sent.
+  });
+
+  test('sends an offline edit of a row nobody else changed', async () => {
+    await loadPageThenGoOffline();
+    await updateTransaction({ ...row(), amount: '-25.00' });
+
+    global.fetch.mockReset().mockImplementationOnce(() => online([row()])).mockImplementationOnce(() => online({ rezultat: 'OK' }));
+    const resolveConflict = jest.fn();
+    expect(await syncQueuedChanges(userId, resolveConflict)).toEqual({ sent: 1, discarded: 0, errors: [] });
+    expect(resolveConflict).not.toHaveBeenCalled();
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toMatchObject({ id: 5, amount: '-25.00' });
+  });
+
+  test('sends a row added offline and its later changes with the id the server gave it', async () => {
+    await loadPageThenGoOffline();
+    const { id: temporaryId } = await addTransaction({ description: 'Coffee', amount: '-3.00', type: 'Expense', transaction_date: '2025-03-05' });
+    await updateTransaction({ id: temporaryId, amount: '-3.50' });
+    await deleteTransaction(temporaryId);
+
+    global.fetch.mockReset()
+      .mockImplementationOnce(() => online({ rezultat: 'OK', id: 41 }))
+      .mockImplementation(() => online({ rezultat: 'OK' }));
+    expect(await syncQueuedChanges(userId, jest.fn())).toEqual({ sent: 3, discarded: 0, errors: [] });
+    expect(global.fetch.mock.calls.slice(1).map(([, options]) => JSON.parse(options.body).id)).toEqual([41, 41]);
+    expect((await getQueuedChanges()).filter(c => c.user_id === userId)).toEqual([]);
+  });
+});
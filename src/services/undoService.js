@@ -0,0 +1,113 @@
+// src/services/undoService.js
+
+// Import the apiService functions that revert (and re-apply) a change.
+import {
+  updateTransaction,
+  deleteTransaction,
+  updateAccountTransfer,
+  runTransactionBatch,
+  updateCategory,
+  deleteCategory,
+  restoreFromTrash
+} from './apiService';
+
+/*
+ * A "change" describes something the user just saved, so App.js can offer to undo it in a toast:
+ * { message, undo, redo }. `undo` reverts the change and `redo` applies it again; both call the API
+ * and resolve once it has answered. Deletions go to the Trash, so undoing one restores it from there,
+ * and undoing a creation moves the new item to the Trash.
+ */
+
+/**
+ * Calls the API and turns an error result (rezultat other than "OK") into a thrown error,
+ * so the toast can report that the undo failed.
+ * @param {Promise<object>} call - The apiService promise.
+ * @returns {Promise<object>} - The API result.
+ */
+async function expectOk(call) {
+  const result = await call;
+  if (result && result.rezultat && result.rezultat !== 'OK') throw new Error(result.rezultat);
+  return result;
+}
+
+/**
+ * Reads the fields the transactions endpoint's PATCH expects from a transaction as returned by GET.
+ * @param {object} t - The transaction.
+ * @returns {object} - { id, description, amount, type, category_id, transaction_date, account_id, currency, goal_id, category_lines }
+ */
+export function toTransactionData(t) {
+  return {
+    id: t.id,
+    description: t.description,
+    amount: parseFloat(t.amount),
+    type: t.type,
+    category_id: t.category_id,
+    transaction_date: t.transaction_date,
+    account_id: t.account_id,
+    currency: t.currency,
+    goal_id: t.goal_id,
+    category_lines: (t.category_lines || []).map(l => ({ category_id: l.category_id, amount: parseFloat(l.amount) })),
+  };
+}
+
+// --- Transactions ---
+
+export const transactionCreated = (ids, description) => ({
+  message: `Added "${description}".`,
+  undo: () => expectOk(deleteTransaction(ids[0])), // Deleting either row of a transfer deletes both.
+  redo: () => expectOk(restoreFromTrash('transaction', ids)),
+});
+
+export const transactionUpdated = (before, after) => ({
+  message: `Saved "${after.description}".`,
+  undo: () => expectOk(updateTransaction(before)),
+  redo: () => expectOk(updateTransaction(after)),
+});
+
+export const transferUpdated = (before, after) => ({
+  message: `Saved the transfer "${after.description}".`,
+  undo: () => expectOk(updateAccountTransfer(before)),
+  redo: () => expectOk(updateAccountTransfer(after)),
+});
+
+export const transactionDeleted = (transaction) => ({
+  message: `Moved "${transaction.description}" to the Trash.`,
+  undo: () => expectOk(restoreFromTrash('transaction', [transaction.id])),
+  redo: () => expectOk(deleteTransaction(transaction.id)),
+});
+
+/**
+ * Describes a bulk action from the result the batch endpoint returned for it.
+ * @param {string} message - What the toast says, e.g. 'Moved 12 transactions to "Groceries".'
+ * @param {string} operation - 'recategorize', 'change_date' or 'delete'.
+ * @param {object} values - The operation's input, e.g. { category_id }.
+ * @param {object} result - The batch result: { ids, previous }.
+ * @returns {object} - The change.
+ */
+export const transactionsBatchChanged = (message, operation, values, result) => ({
+  message,
+  undo: () => expectOk(operation === 'delete'
+    ? restoreFromTrash('transaction', result.ids)
+    : runTransactionBatch('revert', { rows: result.previous })),
+  redo: () => expectOk(runTransactionBatch(operation, { ids: result.ids }, values)),
+});
+
+// --- Categories ---
+
+export const categoryCreated = (id, name) => ({
+  message: `Added the category "${name}".`,
+  undo: () => expectOk(deleteCategory(id)),
+  redo: () => expectOk(restoreFromTrash('category', [id])),
+});
+
+export const categoryUpdated = (before, after) => ({
+  message: `Saved the category "${after.name}".`,
+  undo: () => expectOk(updateCategory(before)),
+  redo: () => expectOk(updateCategory(after)),
+});
+
+export const categoryDeleted = (category) => ({
+  message: `Moved the category "${category.name}" to the Trash.`,
+  undo: () => expectOk(restoreFromTrash('category', [category.id])),
+  redo: () => expectOk(deleteCategory(category.id)),
+});
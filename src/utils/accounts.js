@@ -0,0 +1,37 @@
+// src/utils/accounts.js
+
+// The account types offered when creating an account. They match the ENUM in the `accounts` table.
+export const ACCOUNT_TYPES = ['Checking', 'Savings', 'Credit Card', 'Cash', 'Other'];
+
+// The label used for transactions that don't belong to any account (e.g., ones generated by a recurring schedule).
+export const UNASSIGNED_ACCOUNT_NAME = 'Unassigned';
+
+/**
+ * @function isAccountTransfer
+ * @description Checks whether a transaction is one of the two rows of a transfer between accounts.
+ * Such rows only move money between the user's own accounts, so they are neither spending nor income.
+ * @param {Object} transaction - A transaction as returned by the API.
+ * @returns {boolean} True for transfer rows.
+ */
+export const isAccountTransfer = (transaction) => Boolean(transaction.transfer_group);
+
+/**
+ * @function findTransferPeer
+ * @description Finds the other row of a transfer between accounts.
+ * @param {Object} transaction - One row of the transfer.
+ * @param {Array} transactions - Transactions that include the other row, e.g. those of its `transfer_group`.
+ * @returns {Object|null} The other row, or null if the transaction is not a transfer.
+ */
+export const findTransferPeer = (transaction, transactions) => {
+    if (!isAccountTransfer(transaction)) return null;
+    return transactions.find(t => t.transfer_group === transaction.transfer_group && String(t.id) !== String(transaction.id)) || null;
+};
+
+/**
+ * @function totalBalance
+ * @description Adds up the account balances of the summary endpoint (see executaSUMMARY in api/transactions.php).
+ * Each one starts from the account's opening balance, so an account without transactions still counts.
+ * @param {Array} balances - The summary's `accounts` ({ balance, ... }), in the base currency.
+ * @returns {number} The total balance of all accounts.
+ */
+export const totalBalance = (balances) => balances.reduce((sum, a) => sum + (parseFloat(a.balance) || 0), 0);
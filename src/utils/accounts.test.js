@@ -0,0 +1,24 @@
+// src/utils/accounts.test.js
+
+import { isAccountTransfer, findTransferPeer, totalBalance } from './accounts';
+
+describe('totalBalance', () => {
+    test('counts an account without transactions with its opening balance', () => {
+        // The summary of an account with an opening balance of 250 and no transactions.
+        expect(totalBalance([{ id: 1, name: 'Cash', balance: 250, transaction_count: 0 }])).toBe(250);
+    });
+
+    test('adds up every account, the unassigned transactions included', () => {
+        expect(totalBalance([{ balance: 250 }, { balance: -40.5 }, { id: null, balance: '10' }])).toBe(219.5);
+        expect(totalBalance([])).toBe(0);
+    });
+});
+
+describe('findTransferPeer', () => {
+    test('finds the other row of the same transfer', () => {
+        const rows = [{ id: 1, transfer_group: 'abc' }, { id: 2, transfer_group: 'abc' }, { id: 3, transfer_group: null }];
+        expect(findTransferPeer(rows[0], rows).id).toBe(2);
+        expect(findTransferPeer(rows[2], rows)).toBeNull();
+        expect(isAccountTransfer(rows[2])).toBe(false);
+    });
+});
@@ -0,0 +1,149 @@
+// src/utils/audit.js
+
+import { RECURRENCE_PATTERNS, WEEKDAYS } from './recurrence';
+
+// What each kind of history entry is called, by its 'entity_type'.
+export const ENTITY_LABELS = {
+    transaction: 'Transaction',
+    category: 'Category',
+    budget_rule: 'Budget rule',
+    recurring_income: 'Recurring income',
+    recurring_expense: 'Recurring expense',
+};
+
+// What each action is called, and the badge color it is shown with.
+export const ACTION_LABELS = {
+    create: 'Added',
+    update: 'Changed',
+    delete: 'Deleted',
+    restore: 'Restored',
+    purge: 'Removed for good',
+};
+
+export const ACTION_VARIANTS = {
+    create: 'success',
+    update: 'primary',
+    delete: 'danger',
+    restore: 'info',
+    purge: 'dark',
+};
+
+// The names shown for the stored columns. Columns not listed here are bookkeeping and are not shown.
+const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    amount: 'Amount',
+    currency: 'Currency',
+    type: 'Type',
+    category_id: 'Category',
+    transaction_date: 'Date',
+    account_id: 'Account',
+    goal_id: 'Savings goal',
+    color: 'Color',
+    start_date: 'Start date',
+    end_date: 'End date',
+    contract_end_date: 'Contract end date',
+    notice_days: 'Notice period (days)',
+    renewal_months: 'Renews for (months)',
+    reminder_days: 'Reminder (days ahead)',
+    frequency: 'Repeats',
+    interval_count: 'Every',
+    weekday: 'Day of week',
+    recurrence_day: 'Day of month',
+    skipped_dates: 'Skipped occurrences',
+    amount_history: 'Amount changes',
+    needs_ratio: 'Needs',
+    wants_ratio: 'Wants',
+    savings_ratio: 'Savings',
+};
+
+/**
+ * @function formatTimestamp
+ * @description Formats a server timestamp ("YYYY-MM-DD HH:MM:SS") as a readable date and time, e.g. "19 June 2025, 14:05".
+ * @param {string} timestamp - The timestamp.
+ * @returns {string} The formatted date and time.
+ */
+export const formatTimestamp = (timestamp) => {
+    const date = new Date(String(timestamp).replace(' ', 'T'));
+    const options = { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+    return new Intl.DateTimeFormat('en-GB', options).format(date);
+};
+
+/**
+ * @function describeEntity
+ * @description Names the item a history entry is about, from its values after (or, once removed, before) the change.
+ * @param {Object} entry - A history entry from the API.
+ * @returns {string} e.g. 'Transaction "Weekly groceries"'.
+ */
+export const describeEntity = (entry) => {
+    const values = entry.after_values || entry.before_values || {};
+    const name = values.description || values.name;
+    const label = ENTITY_LABELS[entry.entity_type] || entry.entity_type;
+    return name ? `${label} "${name}"` : `${label} #${entry.entity_id}`;
+};
+
+/**
+ * @function formatFieldValue
+ * @description Shows a stored value the way the rest of the app does: IDs become names, ratios become percentages
+ * and recurrence patterns and weekdays are named.
+ * @param {string} field - The column.
+ * @param {*} value - The stored value.
+ * @param {Object} lookups - { categories, accounts, savingsGoals } for turning IDs into names.
+ * @returns {string} The value to show.
+ */
+export const formatFieldValue = (field, value, lookups = {}) => {
+    if (value === null || value === undefined || value === '') return '—';
+    const findName = (list = []) => {
+        const item = list.find(i => String(i.id) === String(value));
+        return item ? item.name : `#${value}`;
+    };
+    switch (field) {
+        case 'category_id': return findName(lookups.categories);
+        case 'account_id': return findName(lookups.accounts);
+        case 'goal_id': return findName(lookups.savingsGoals);
+        case 'needs_ratio':
+        case 'wants_ratio':
+        case 'savings_ratio': return `${Math.round(parseFloat(value) * 100)}%`;
+        case 'frequency': return (RECURRENCE_PATTERNS.find(p => p.value === value) || { label: value }).label;
+        case 'weekday': return WEEKDAYS[parseInt(value, 10) - 1] || String(value);
+        case 'skipped_dates': return value.length > 0 ? value.join(', ') : '—';
+        case 'amount_history': return value.length > 0 ? value.map(r => `${r.amount} from ${r.valid_from}`).join(', ') : '—';
+        default: return String(value);
+    }
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Amounts and ratios come back as decimal strings ("50.00"), so numbers are compared by value; lists (the skipped dates, the amount changes) by their contents.
+const isSameValue = (a, b) => {
+    if (isEmptyValue(a) || isEmptyValue(b)) return isEmptyValue(a) === isEmptyValue(b);
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    if (!isNaN(a) && !isNaN(b)) return parseFloat(a) === parseFloat(b);
+    return String(a) === String(b);
+};
+
+/**
+ * @function listChanges
+ * @description Lists the shown fields a history entry changed. For an added item these are its values after,
+ * and for an item removed from the database its values before; otherwise only the fields that differ are listed.
+ * Moving an item to the Trash and back only changes bookkeeping columns, so those entries list nothing
+ * and their action says it all.
+ * @param {Object} entry - A history entry from the API.
+ * @returns {Array<{field: string, label: string, before: *, after: *}>} The changes, in FIELD_LABELS order.
+ */
+export const listChanges = (entry) => {
+    const before = entry.before_values;
+    const after = entry.after_values;
+
+    return Object.keys(FIELD_LABELS)
+        .filter(field => (before && field in before) || (after && field in after))
+        .map(field => ({
+            field,
+            label: FIELD_LABELS[field],
+            before: before ? before[field] : null,
+            after: after ? after[field] : null,
+        }))
+        .filter(change => (before && after)
+            ? !isSameValue(change.before, change.after)
+            : !isEmptyValue(change.before) || !isEmptyValue(change.after));
+};
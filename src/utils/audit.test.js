@@ -0,0 +1,31 @@
+// src/utils/audit.test.js
+
+import { listChanges, formatFieldValue } from './audit';
+
+describe('listChanges', () => {
+    test('lists a skipped occurrence as a change of the skipped dates only', () => {
+        const schedule = { id: 4, description: 'Gym', amount: '30.00', skipped_dates: ['2025-02-01'] };
+        const entry = { action: 'update', before_values: schedule, after_values: { ...schedule, skipped_dates: ['2025-02-01', '2025-03-01'] } };
+        expect(listChanges(entry)).toEqual([
+            { field: 'skipped_dates', label: 'Skipped occurrences', before: ['2025-02-01'], after: ['2025-02-01', '2025-03-01'] },
+        ]);
+    });
+
+    test('lists a new amount from a date as a change of the amount history', () => {
+        const schedule = { id: 4, description: 'Gym', amount: '30.00', amount_history: [] };
+        const entry = { action: 'update', before_values: schedule, after_values: { ...schedule, amount_history: [{ id: 1, amount: '35.00', valid_from: '2025-09-01' }] } };
+        expect(listChanges(entry).map(change => change.field)).toEqual(['amount_history']);
+        expect(formatFieldValue('amount_history', entry.after_values.amount_history)).toBe('35.00 from 2025-09-01');
+    });
+
+    test('compares amounts by value', () => {
+        expect(listChanges({ before_values: { amount: '30.00' }, after_values: { amount: 30 } })).toEqual([]);
+    });
+});
+
+describe('formatFieldValue', () => {
+    test('lists the skipped dates', () => {
+        expect(formatFieldValue('skipped_dates', ['2025-02-01', '2025-03-01'])).toBe('2025-02-01, 2025-03-01');
+        expect(formatFieldValue('skipped_dates', [])).toBe('—');
+    });
+});
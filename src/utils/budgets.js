@@ -0,0 +1,147 @@
+// src/utils/budgets.js
+
+import { isAccountTransfer } from './accounts';
+import { expandCategoryLines } from './categoryLines';
+
+// An envelope is shown as "nearly used up" from this share of its available amount onwards.
+export const ENVELOPE_WARNING_PERCENT = 80;
+
+// Months are handled as "YYYY-MM" strings, which compare correctly as text.
+const monthOf = (dateString) => String(dateString).slice(0, 7);
+
+// Returns the month after a "YYYY-MM" month.
+const nextMonth = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+};
+
+/**
+ * @function toMonth
+ * @description Formats a year and month number as a "YYYY-MM" month, as used by computeEnvelopes.
+ * @param {number} year - The full year.
+ * @param {number} month - The month number, 1 to 12.
+ * @returns {string} The month, e.g. "2025-03".
+ */
+export const toMonth = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+/**
+ * @function computeEnvelopes
+ * @description Compares each category budget (envelope) with the category's spending in a range of months.
+ * An envelope's limit counts for every month from its start month. With rollover enabled, whatever was left
+ * unspent in the months before the range is added to the amount available; overspending is not carried over,
+ * so a bad month never eats into the next one's limit.
+ * Spending is the category's expenses in the base currency (`base_amount`); transfers between accounts are ignored.
+ * A transaction split across several categories counts each line toward its own category.
+ * @param {Array} categoryBudgets - The envelopes as returned by the API.
+ * @param {Array} transactions - All transactions.
+ * @param {string} firstMonth - The first month of the range ("YYYY-MM").
+ * @param {string} lastMonth - The last month of the range ("YYYY-MM"), included.
+ * @returns {Array<Object>} One entry per envelope that applies to the range: { id, categoryId, categoryName, categoryType,
+ * color, monthlyLimit, rollover, budgeted, carriedOver, available, spent, remaining, percent, status }.
+ * `status` is 'ok', 'warning' (at least ENVELOPE_WARNING_PERCENT used) or 'over' (the limit is exceeded).
+ */
+export const computeEnvelopes = (categoryBudgets, transactions, firstMonth, lastMonth) => {
+    // Total spending per category and month, keyed by "categoryId|YYYY-MM".
+    const spentByMonth = new Map();
+    for (const t of expandCategoryLines(transactions)) {
+        if (t.type !== 'Expense' || t.category_id == null || isAccountTransfer(t)) continue;
+        const key = `${t.category_id}|${monthOf(t.transaction_date)}`;
+        spentByMonth.set(key, (spentByMonth.get(key) || 0) - (t.base_amount ?? parseFloat(t.amount)));
+    }
+
+    return categoryBudgets.map(budget => {
+        const monthlyLimit = parseFloat(budget.monthly_limit) || 0;
+        const startMonth = monthOf(budget.start_date);
+        const rollover = Boolean(Number(budget.rollover));
+        const spentIn = (month) => spentByMonth.get(`${budget.category_id}|${month}`) || 0;
+
+        // The unspent amount of every month between the envelope's start and the range.
+        let carriedOver = 0;
+        if (rollover) {
+            for (let month = startMonth; month < firstMonth; month = nextMonth(month)) {
+                carriedOver = Math.max(0, carriedOver + monthlyLimit - spentIn(month));
+            }
+        }
+
+        // Months before the envelope's start are not budgeted, so their spending isn't counted against it.
+        let budgeted = 0;
+        let spent = 0;
+        for (let month = firstMonth; month <= lastMonth; month = nextMonth(month)) {
+            if (month < startMonth) continue;
+            budgeted += monthlyLimit;
+            spent += spentIn(month);
+        }
+
+        const available = budgeted + carriedOver;
+        const percent = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+        const status = spent > available ? 'over' : (percent >= ENVELOPE_WARNING_PERCENT ? 'warning' : 'ok');
+        return {
+            id: budget.id,
+            categoryId: budget.category_id,
+            categoryName: budget.category_name,
+            categoryType: budget.category_type,
+            color: budget.category_color,
+            monthlyLimit, rollover, budgeted, carriedOver, available, spent,
+            remaining: available - spent,
+            percent, status,
+        };
+    }).filter(envelope => envelope.budgeted > 0);
+};
+
+/**
+ * @function envelopeQuery
+ * @description The transactions computeEnvelopes needs for a range of months, as filters for the transactions
+ * endpoint: the expenses of the envelopes' categories in the range and, when an envelope rolls over, every month
+ * from its start, so the amount carried over is right.
+ * @param {Array} categoryBudgets - The envelopes as returned by the API.
+ * @param {string} firstMonth - The first month of the range ("YYYY-MM").
+ * @param {string} lastMonth - The last month of the range ("YYYY-MM"), included.
+ * @returns {Object|null} { type, category_id, date_from, date_to }, or null when there are no envelopes.
+ */
+export const envelopeQuery = (categoryBudgets, firstMonth, lastMonth) => {
+    if (categoryBudgets.length === 0) return null;
+    const rolloverStarts = categoryBudgets.filter(b => Boolean(Number(b.rollover))).map(b => monthOf(b.start_date));
+    const from = [firstMonth, ...rolloverStarts].sort()[0];
+    const [year, month] = lastMonth.split('-').map(Number);
+    return {
+        type: 'Expense',
+        category_id: Array.from(new Set(categoryBudgets.map(b => String(b.category_id)))).join(','),
+        date_from: `${from}-01`,
+        date_to: `${lastMonth}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`,
+    };
+};
+
+/**
+ * @function findActiveBudgetRule
+ * @description Finds the correct budget rule to apply based on a given date. It filters rules by their start/end dates
+ * and sorts them to find the most recent, applicable one. This allows for historical budget rules.
+ * If no rule is found, it returns a default "Fallback Rule" (50/30/20) to prevent errors.
+ * @param {Array} rules - An array of budget rule objects from the database.
+ * @param {Date} periodDate - The start date of the period being analyzed.
+ * @returns {Object} The active budget rule with ratios converted to decimals.
+ */
+export const findActiveBudgetRule = (rules, periodDate) => {
+    // First, convert percentage-based ratios (e.g., 50) to decimals (e.g., 0.5) for calculations.
+    const applicableRules = rules
+        .map(rule => ({
+            ...rule,
+            needs_ratio: rule.needs_ratio / 100,
+            wants_ratio: rule.wants_ratio / 100,
+            savings_ratio: rule.savings_ratio / 100,
+        }))
+        // Filter the rules to find ones that are active for the given periodDate.
+        .filter(rule => {
+            const startDate = new Date(rule.start_date + 'T00:00:00');
+            // Rule hasn't started yet.
+            if (startDate > periodDate) return false;
+            // Rule has a start date but no end date (i.e., it's ongoing), OR the period is before the rule's end date.
+            if (!rule.end_date || periodDate <= new Date(rule.end_date + 'T00:00:00')) {
+                return true;
+            }
+            return false;
+        });
+    // If multiple rules could apply, sort them by start date in descending order to pick the most recent one.
+    applicableRules.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+    // Return the most recent applicable rule, or a default fallback rule if none were found.
+    return applicableRules[0] || { name: 'Fallback Rule', needs_ratio: 0.5, wants_ratio: 0.3, savings_ratio: 0.2 };
+};
@@ -0,0 +1,77 @@
+// src/utils/budgets.test.js
+
+import { computeEnvelopes, envelopeQuery, findActiveBudgetRule, toMonth } from './budgets';
+
+const envelope = (fields) => ({ id: 1, category_id: 5, category_name: 'Groceries', monthly_limit: '100', start_date: '2025-01-01', rollover: '0', ...fields });
+const expense = (date, amount, fields) => ({ type: 'Expense', category_id: 5, transaction_date: date, amount: String(amount), ...fields });
+
+describe('toMonth', () => {
+    test('pads the month number', () => {
+        expect(toMonth(2025, 3)).toBe('2025-03');
+        expect(toMonth(2025, 12)).toBe('2025-12');
+    });
+});
+
+describe('computeEnvelopes', () => {
+    test('compares the spending of the range with the limit', () => {
+        const [result] = computeEnvelopes([envelope()], [
+            expense('2025-03-02', -30),
+            expense('2025-03-20', -55, { base_amount: -50 }),
+            expense('2025-02-10', -70),
+            expense('2025-03-05', -40, { category_id: 6 }),
+            expense('2025-03-06', -40, { transfer_group: 'abc' }),
+            { type: 'Income', category_id: 5, transaction_date: '2025-03-07', amount: '500' },
+        ], '2025-03', '2025-03');
+
+        expect(result).toMatchObject({ budgeted: 100, carriedOver: 0, available: 100, spent: 80, remaining: 20, percent: 80, status: 'warning' });
+    });
+
+    test('carries the unspent amount over, but never the overspending', () => {
+        const transactions = [expense('2025-01-10', -150), expense('2025-02-10', -60)];
+        const [withRollover] = computeEnvelopes([envelope({ rollover: '1' })], transactions, '2025-03', '2025-03');
+        expect(withRollover).toMatchObject({ carriedOver: 40, available: 140, spent: 0, status: 'ok' });
+
+        const [without] = computeEnvelopes([envelope()], transactions, '2025-03', '2025-03');
+        expect(without.carriedOver).toBe(0);
+    });
+
+    test('budgets only the months from the start and leaves out envelopes that have not started', () => {
+        const results = computeEnvelopes([
+            envelope({ start_date: '2025-02-15' }),
+            envelope({ id: 2, start_date: '2025-06-01' }),
+        ], [expense('2025-01-10', -30), expense('2025-02-10', -130)], '2025-01', '2025-03');
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ id: 1, budgeted: 200, spent: 130, status: 'ok' });
+    });
+
+    test('marks an envelope over its limit and leaves out envelopes without one', () => {
+        const results = computeEnvelopes([envelope(), envelope({ id: 2, monthly_limit: '0' })], [expense('2025-03-02', -120)], '2025-03', '2025-03');
+        expect(results.map(e => e.status)).toEqual(['over']);
+    });
+});
+
+describe('envelopeQuery', () => {
+    test('covers the range, from the earliest rollover start, for the categories of the envelopes', () => {
+        expect(envelopeQuery([
+            envelope({ category_id: 5, rollover: '1', start_date: '2024-11-15' }),
+            envelope({ category_id: 6, start_date: '2024-01-01' }),
+            envelope({ category_id: 5 }),
+        ], '2025-02', '2025-02')).toEqual({ type: 'Expense', category_id: '5,6', date_from: '2024-11-01', date_to: '2025-02-28' });
+
+        expect(envelopeQuery([envelope()], '2025-03', '2025-04').date_from).toBe('2025-03-01');
+        expect(envelopeQuery([], '2025-03', '2025-03')).toBeNull();
+    });
+});
+
+describe('findActiveBudgetRule', () => {
+    test('picks the most recent rule in force and converts the ratios', () => {
+        const rules = [
+            { name: 'Old', start_date: '2024-01-01', end_date: '2024-12-31', needs_ratio: 60, wants_ratio: 30, savings_ratio: 10 },
+            { name: 'Current', start_date: '2025-01-01', end_date: null, needs_ratio: 50, wants_ratio: 20, savings_ratio: 30 },
+        ];
+        expect(findActiveBudgetRule(rules, new Date(2025, 2, 1))).toMatchObject({ name: 'Current', needs_ratio: 0.5, savings_ratio: 0.3 });
+        expect(findActiveBudgetRule(rules, new Date(2024, 5, 1)).name).toBe('Old');
+        expect(findActiveBudgetRule(rules, new Date(2023, 5, 1)).name).toBe('Fallback Rule');
+    });
+});
@@ -0,0 +1,132 @@
+// src/utils/categorization.js
+
+// Reuse the description normalization of the duplicate check, so both features agree on what "the same text" is.
+import { normalizeDescription } from './duplicates';
+import { toDateString } from './forecast';
+
+// How many past transactions must share a description, and how consistently they must be categorized,
+// before the history is turned into a rule suggestion.
+const MIN_LEARNED_OCCURRENCES = 3;
+const MIN_LEARNED_AGREEMENT = 0.8;
+
+// Suggestions are learned from the manual transactions of this many months back.
+export const SUGGESTION_MONTHS = 12;
+
+// The labels of the supported match types, shared by the rules page and the rule list.
+export const MATCH_TYPES = {
+    contains: 'contains',
+    starts_with: 'starts with',
+    exact: 'is exactly',
+    regex: 'matches regex',
+};
+
+/**
+ * @function matchesRule
+ * @description Checks whether a transaction satisfies every condition of a rule.
+ * Conditions left empty on the rule (no pattern, no amount bounds, type "Any") always match.
+ * Amount bounds are compared with the absolute amount, so a rule "between 10 and 20" fits a -15.00 expense.
+ * @param {Object} rule - A rule as returned by the API.
+ * @param {Object} transaction - { description, amount, type } where type is 'Income' or 'Expense'.
+ * @returns {boolean} True if the rule applies.
+ */
+export const matchesRule = (rule, { description, amount, type }) => {
+    if (String(rule.is_active) === '0') return false;
+
+    if (rule.transaction_type && rule.transaction_type !== 'Any' && rule.transaction_type !== type) return false;
+
+    const absoluteAmount = Math.abs(parseFloat(amount));
+    if (rule.amount_min !== null && rule.amount_min !== undefined && rule.amount_min !== '') {
+        if (isNaN(absoluteAmount) || absoluteAmount < parseFloat(rule.amount_min)) return false;
+    }
+    if (rule.amount_max !== null && rule.amount_max !== undefined && rule.amount_max !== '') {
+        if (isNaN(absoluteAmount) || absoluteAmount > parseFloat(rule.amount_max)) return false;
+    }
+
+    if (rule.pattern) {
+        const text = String(description || '').toLowerCase().trim();
+        const pattern = rule.pattern.toLowerCase().trim();
+        switch (rule.match_type) {
+            case 'starts_with':
+                if (!text.startsWith(pattern)) return false;
+                break;
+            case 'exact':
+                if (text !== pattern) return false;
+                break;
+            case 'regex':
+                try {
+                    if (!new RegExp(rule.pattern, 'i').test(description || '')) return false;
+                } catch (error) {
+                    return false; // An invalid regular expression never matches.
+                }
+                break;
+            default: // 'contains'
+                if (!text.includes(pattern)) return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * @function suggestCategory
+ * @description Finds the first rule (by priority, then id) that applies to a transaction.
+ * @param {Array} rules - The categorization rules.
+ * @param {Object} transaction - { description, amount, type }.
+ * @returns {Object|null} The matching rule, or null if none applies.
+ */
+export const suggestCategory = (rules, transaction) => {
+    const ordered = [...rules].sort((a, b) => (parseInt(a.priority) - parseInt(b.priority)) || (parseInt(a.id) - parseInt(b.id)));
+    return ordered.find(rule => matchesRule(rule, transaction)) || null;
+};
+
+/**
+ * @function suggestionQuery
+ * @description The transactions learnRuleSuggestions learns from, as filters for the transactions endpoint:
+ * the manual ones of the last SUGGESTION_MONTHS months.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {Object} { recurring, date_from }.
+ */
+export const suggestionQuery = (today = new Date()) => ({
+    recurring: 'manual',
+    date_from: toDateString(new Date(today.getFullYear(), today.getMonth() - SUGGESTION_MONTHS, today.getDate())),
+});
+
+/**
+ * @function learnRuleSuggestions
+ * @description Looks through past manual transactions for descriptions that are always given the same category,
+ * and proposes a "contains" rule for each one that no existing rule already covers.
+ * Descriptions are grouped by their first two normalized words (e.g., "LIDL 1234 BUCURESTI" -> "lidl bucuresti").
+ * @param {Array} transactions - The transactions to learn from (see suggestionQuery).
+ * @param {Array} rules - The existing rules.
+ * @returns {Array<Object>} Suggestions, most frequent first: { pattern, category_id, category_name, transaction_type, occurrences }.
+ */
+export const learnRuleSuggestions = (transactions, rules) => {
+    const groups = {};
+    for (const t of transactions) {
+        // Rows generated by schedules say nothing about how the user categorizes, so they are ignored.
+        if (!t.category_id || t.recurring_income_id != null || t.recurring_expense_id != null) continue;
+        const key = normalizeDescription(t.description).split(' ').slice(0, 2).join(' ');
+        if (key.length < 3) continue;
+
+        if (!groups[key]) groups[key] = { total: 0, categories: {}, sample: t };
+        groups[key].total += 1;
+        const categoryKey = String(t.category_id);
+        if (!groups[key].categories[categoryKey]) groups[key].categories[categoryKey] = { count: 0, name: t.category_name, type: t.type };
+        groups[key].categories[categoryKey].count += 1;
+    }
+
+    const suggestions = [];
+    Object.entries(groups).forEach(([key, group]) => {
+        if (group.total < MIN_LEARNED_OCCURRENCES) return;
+        const [categoryId, top] = Object.entries(group.categories).sort((a, b) => b[1].count - a[1].count)[0];
+        if (top.count / group.total < MIN_LEARNED_AGREEMENT) return;
+        if (suggestCategory(rules, { description: group.sample.description, amount: group.sample.amount, type: group.sample.type })) return;
+        suggestions.push({
+            pattern: key,
+            category_id: categoryId,
+            category_name: top.name,
+            transaction_type: top.type,
+            occurrences: group.total,
+        });
+    });
+    return suggestions.sort((a, b) => b.occurrences - a.occurrences);
+};
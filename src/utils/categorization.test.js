@@ -0,0 +1,71 @@
+// src/utils/categorization.test.js
+
+import { matchesRule, suggestCategory, suggestionQuery, learnRuleSuggestions } from './categorization';
+
+const rule = (fields) => ({ id: 1, priority: 10, is_active: 1, pattern: '', match_type: 'contains', transaction_type: 'Any', amount_min: null, amount_max: null, category_id: 5, ...fields });
+const expense = (description, amount = -15) => ({ description, amount, type: 'Expense' });
+
+describe('matchesRule', () => {
+    test('applies each match type, ignoring case', () => {
+        expect(matchesRule(rule({ pattern: 'lidl' }), expense('LIDL 1234 Bucuresti'))).toBe(true);
+        expect(matchesRule(rule({ pattern: 'lidl', match_type: 'starts_with' }), expense('Card payment LIDL'))).toBe(false);
+        expect(matchesRule(rule({ pattern: 'netflix', match_type: 'exact' }), expense(' Netflix '))).toBe(true);
+        expect(matchesRule(rule({ pattern: '^uber\\s+(trip|eats)', match_type: 'regex' }), expense('UBER EATS'))).toBe(true);
+    });
+
+    test('never matches with an invalid regular expression or when inactive', () => {
+        expect(matchesRule(rule({ pattern: '(unclosed', match_type: 'regex' }), expense('(unclosed'))).toBe(false);
+        expect(matchesRule(rule({ is_active: '0' }), expense('anything'))).toBe(false);
+    });
+
+    test('compares the amount bounds with the absolute amount, and checks the type', () => {
+        const bounded = rule({ amount_min: '10', amount_max: '20' });
+        expect(matchesRule(bounded, expense('x', -15))).toBe(true);
+        expect(matchesRule(bounded, expense('x', -25))).toBe(false);
+        expect(matchesRule(bounded, expense('x', 'abc'))).toBe(false);
+        expect(matchesRule(rule({ transaction_type: 'Income' }), expense('x'))).toBe(false);
+    });
+});
+
+describe('suggestCategory', () => {
+    test('picks the first matching rule by priority, then id', () => {
+        const rules = [
+            rule({ id: 3, priority: 5, pattern: 'lidl', category_id: 8 }),
+            rule({ id: 2, priority: 1, pattern: 'lidl', category_id: 7 }),
+            rule({ id: 1, priority: 1, pattern: 'lidl', category_id: 6 }),
+        ];
+        expect(suggestCategory(rules, expense('Lidl')).category_id).toBe(6);
+        expect(suggestCategory(rules, expense('Kaufland'))).toBeNull();
+    });
+});
+
+describe('suggestionQuery', () => {
+    test('asks for the manual transactions of the last 12 months', () => {
+        expect(suggestionQuery(new Date(2026, 9, 19))).toEqual({ recurring: 'manual', date_from: '2025-10-19' });
+    });
+});
+
+describe('learnRuleSuggestions', () => {
+    const row = (id, description, categoryId, fields) => ({ id, description, amount: '-10', type: 'Expense', category_id: categoryId, category_name: `Category ${categoryId}`, ...fields });
+
+    test('suggests a rule for a description categorized the same way often enough', () => {
+        const transactions = [
+            row(1, 'LIDL 1234 BUCURESTI', 5), row(2, 'Lidl Bucuresti', 5), row(3, 'LIDL 99 BUCURESTI', 5), row(4, 'Lidl Bucuresti', 5),
+            row(5, 'Mega Image', 6), row(6, 'Mega Image', 6),
+        ];
+        expect(learnRuleSuggestions(transactions, [])).toEqual([
+            { pattern: 'lidl bucuresti', category_id: '5', category_name: 'Category 5', transaction_type: 'Expense', occurrences: 4 },
+        ]);
+    });
+
+    test('skips inconsistent descriptions, generated rows and descriptions a rule already covers', () => {
+        const mixed = [row(1, 'Shop', 5), row(2, 'Shop', 6), row(3, 'Shop', 5)];
+        expect(learnRuleSuggestions(mixed, [])).toEqual([]);
+
+        const generated = [1, 2, 3].map(id => row(id, 'Rent', 5, { recurring_expense_id: 9 }));
+        expect(learnRuleSuggestions(generated, [])).toEqual([]);
+
+        const covered = [1, 2, 3].map(id => row(id, 'Lidl', 5));
+        expect(learnRuleSuggestions(covered, [rule({ pattern: 'lidl' })])).toEqual([]);
+    });
+});
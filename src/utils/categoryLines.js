@@ -0,0 +1,40 @@
+// src/utils/categoryLines.js
+
+/**
+ * @function expandCategoryLines
+ * @description Replaces every transaction split across several categories (`category_lines`) with one entry per line,
+ * so totals per category, per category type (Needs, Wants, Savings) and per goal count each line in its own category.
+ * A line keeps the rest of its transaction; its amount carries the transaction's sign, and its `base_amount`
+ * is the same share of the transaction's base-currency amount. Other transactions are returned as they are.
+ * @param {Array} transactions - Transactions as returned by the API (optionally with `base_amount`).
+ * @returns {Array<Object>} The transactions, with the split ones expanded.
+ */
+export const expandCategoryLines = (transactions) => transactions.flatMap(t => {
+    if (!t.category_lines || t.category_lines.length === 0) return [t];
+    const amount = parseFloat(t.amount);
+    const sign = amount < 0 ? -1 : 1;
+    return t.category_lines.map(line => {
+        const lineAmount = sign * parseFloat(line.amount);
+        const expanded = { ...t, category_id: line.category_id, category_name: line.category_name, category_type: line.category_type, amount: lineAmount };
+        if (t.base_amount !== undefined && t.base_amount !== null) expanded.base_amount = amount !== 0 ? t.base_amount * lineAmount / amount : 0;
+        return expanded;
+    });
+});
+
+/**
+ * @function buildCategoryLines
+ * @description Checks the category lines entered in the form and turns them into the lines sent to the API.
+ * A split needs at least two lines, each with its own category and a positive amount, adding up to the total.
+ * @param {number} total - The transaction's amount (positive).
+ * @param {Array<Object>} lines - The entered lines: { category_id, amount }, as strings.
+ * @returns {{ lines: Array<Object>, error: string|null }} The lines ({ category_id, amount }), or why they can't be used.
+ */
+export const buildCategoryLines = (total, lines) => {
+    const parsed = lines.map(l => ({ category_id: parseInt(l.category_id), amount: Math.round((parseFloat(l.amount) || 0) * 100) / 100 }));
+    if (parsed.length < 2) return { lines: [], error: 'A split needs at least two categories.' };
+    if (parsed.some(l => !l.category_id || !(l.amount > 0))) return { lines: [], error: 'Every line needs a category and an amount greater than zero.' };
+    if (new Set(parsed.map(l => l.category_id)).size !== parsed.length) return { lines: [], error: 'Each category can only be used once.' };
+    const sum = parsed.reduce((acc, l) => acc + l.amount, 0);
+    if (Math.abs(sum - total) > 0.01) return { lines: [], error: `The lines add up to ${sum.toFixed(2)}, not ${total.toFixed(2)}.` };
+    return { lines: parsed, error: null };
+};
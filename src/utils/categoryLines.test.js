@@ -0,0 +1,47 @@
+// src/utils/categoryLines.test.js
+
+import { expandCategoryLines, buildCategoryLines } from './categoryLines';
+
+describe('expandCategoryLines', () => {
+    const split = {
+        id: 9, description: 'Supermarket', amount: '-100.00', base_amount: -20, category_id: 1, category_type: 'Needs',
+        category_lines: [
+            { category_id: 1, category_name: 'Groceries', category_type: 'Needs', amount: '75.00' },
+            { category_id: 2, category_name: 'Drinks', category_type: 'Wants', amount: '25.00' },
+        ],
+    };
+
+    test('gives each line its own category, the transaction sign and its share of the base amount', () => {
+        const lines = expandCategoryLines([split]);
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({ id: 9, description: 'Supermarket', category_id: 1, category_type: 'Needs', amount: -75, base_amount: -15 });
+        expect(lines[1]).toMatchObject({ id: 9, category_id: 2, category_name: 'Drinks', category_type: 'Wants', amount: -25, base_amount: -5 });
+    });
+
+    test('keeps incomes positive and leaves transactions without lines alone', () => {
+        const plain = { id: 1, amount: '10', category_lines: [] };
+        const income = { ...split, amount: '100', base_amount: undefined };
+        const [first, second, third] = expandCategoryLines([plain, income]);
+        expect(first).toBe(plain);
+        expect(second.amount).toBe(75);
+        expect(second.base_amount).toBeUndefined();
+        expect(third.amount).toBe(25);
+    });
+});
+
+describe('buildCategoryLines', () => {
+    test('turns valid lines into numbers', () => {
+        expect(buildCategoryLines(100, [{ category_id: '1', amount: '75' }, { category_id: '2', amount: '25.004' }]))
+            .toEqual({ lines: [{ category_id: 1, amount: 75 }, { category_id: 2, amount: 25 }], error: null });
+    });
+
+    test('explains why lines cannot be used', () => {
+        expect(buildCategoryLines(100, [{ category_id: '1', amount: '100' }]).error).toBe('A split needs at least two categories.');
+        expect(buildCategoryLines(100, [{ category_id: '1', amount: '100' }, { category_id: '', amount: '0' }]).error)
+            .toBe('Every line needs a category and an amount greater than zero.');
+        expect(buildCategoryLines(100, [{ category_id: '1', amount: '50' }, { category_id: '1', amount: '50' }]).error)
+            .toBe('Each category can only be used once.');
+        expect(buildCategoryLines(100, [{ category_id: '1', amount: '50' }, { category_id: '2', amount: '40' }]).error)
+            .toBe('The lines add up to 90.00, not 100.00.');
+    });
+});
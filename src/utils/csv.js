@@ -0,0 +1,189 @@
+// src/utils/csv.js
+
+/**
+ * @function detectDelimiter
+ * @description Guesses the column delimiter of a CSV file by counting the candidates on its first line.
+ * Banks export with commas, semicolons (common in Europe, where the comma is the decimal separator) or tabs.
+ * @param {string} text - The raw CSV text.
+ * @returns {string} The most likely delimiter.
+ */
+export const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+    let best = ',';
+    let bestCount = 0;
+    for (const candidate of candidates) {
+        const count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    }
+    return best;
+};
+
+/**
+ * @function parseCsv
+ * @description Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes. Empty lines are skipped.
+ * @param {string} text - The raw CSV text.
+ * @param {string} [delimiter] - The column delimiter. Auto-detected when omitted.
+ * @returns {Array<Array<string>>} The parsed rows.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark, which some bank exports add at the start of the file.
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"'; // An escaped quote inside a quoted field.
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat "\r\n" as a single line break.
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Flush the last row if the file doesn't end with a line break.
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+
+    return rows;
+};
+
+/**
+ * The decimal separators an amount column can be read with. The keys are stored in import profiles;
+ * the other character is taken as the thousands separator.
+ */
+export const DECIMAL_SEPARATORS = {
+    '.': 'Point (1,234.56)',
+    ',': 'Comma (1.234,56)',
+};
+
+/**
+ * @function detectDecimalSeparator
+ * @description Guesses the decimal separator of a column of amounts, for files read without a profile that sets it.
+ * Each amount votes: with both separators, the right-most one is the decimal one ("1.234,56"); a separator that
+ * appears twice is a thousands separator ("1,234,567"); a single one is a decimal separator unless exactly three
+ * digits follow it. "1,234" and "1.234" could be either, so they don't vote.
+ * @param {Array<string>} values - The raw amount texts.
+ * @returns {string} ',' or '.', the point when nothing decides it.
+ */
+export const detectDecimalSeparator = (values) => {
+    const votes = { '.': 0, ',': 0 };
+    for (const value of values) {
+        const text = String(value ?? '').replace(/[^\d,.]/g, '');
+        const last = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+        const other = last === ',' ? '.' : ',';
+        if (!text.includes(last)) continue;
+        if (text.includes(other)) votes[last] += 1;
+        else if (text.split(last).length > 2) votes[other] += 1;
+        else if (text.length - text.lastIndexOf(last) - 1 !== 3) votes[last] += 1;
+    }
+    return votes[','] > votes['.'] ? ',' : '.';
+};
+
+/**
+ * @function parseAmount
+ * @description Converts a bank-formatted amount string into a number.
+ * Accepts both "1,234.56" and "1.234,56" styles, currency symbols, and a trailing or leading minus sign.
+ * @param {string} value - The raw amount text.
+ * @param {string} [decimalSeparator] - ',' or '.' (see DECIMAL_SEPARATORS). Guessed from the value alone when omitted
+ * (see detectDecimalSeparator), so pass the profile's or the column's whenever it is known.
+ * @returns {number} The parsed amount, or NaN if it cannot be read.
+ */
+export const parseAmount = (value, decimalSeparator = detectDecimalSeparator([value])) => {
+    if (value === undefined || value === null) return NaN;
+    let text = String(value).trim().replace(/[^\d,.\-+]/g, '');
+    if (!text) return NaN;
+
+    // Some banks write the sign at the end, e.g. "12.50-".
+    let negative = false;
+    if (text.endsWith('-')) { negative = true; text = text.slice(0, -1); }
+    if (text.startsWith('-')) { negative = true; text = text.slice(1); }
+    text = text.replace(/^\+/, '');
+
+    // The other separator groups thousands, so it can't come after the decimal one ("1.234,56" read with a point).
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    const decimalAt = text.indexOf(decimalSeparator);
+    if (decimalAt !== -1 && text.lastIndexOf(thousandsSeparator) > decimalAt) return NaN;
+    text = text.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+
+    if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+};
+
+/**
+ * The date formats a column can be read with. The keys are stored in import profiles.
+ */
+export const DATE_FORMATS = {
+    'YYYY-MM-DD': { label: 'YYYY-MM-DD', pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})/, order: ['y', 'm', 'd'] },
+    'DD.MM.YYYY': { label: 'DD.MM.YYYY', pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})/, order: ['d', 'm', 'y'] },
+    'DD/MM/YYYY': { label: 'DD/MM/YYYY', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})/, order: ['d', 'm', 'y'] },
+    'MM/DD/YYYY': { label: 'MM/DD/YYYY', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})/, order: ['m', 'd', 'y'] },
+};
+
+/**
+ * @function parseDate
+ * @description Converts a bank-formatted date string into the "YYYY-MM-DD" format used by the API.
+ * @param {string} value - The raw date text.
+ * @param {string} format - One of the keys of DATE_FORMATS.
+ * @returns {string|null} The normalized date, or null if it is not a valid date in that format.
+ */
+export const parseDate = (value, format) => {
+    const definition = DATE_FORMATS[format];
+    if (!definition || !value) return null;
+    const match = String(value).trim().match(definition.pattern);
+    if (!match) return null;
+
+    const parts = {};
+    definition.order.forEach((key, index) => { parts[key] = parseInt(match[index + 1], 10); });
+
+    // Round-trip through Date to reject impossible dates such as 31.02.2025.
+    const date = new Date(Date.UTC(parts.y, parts.m - 1, parts.d));
+    if (date.getUTCFullYear() !== parts.y || date.getUTCMonth() !== parts.m - 1 || date.getUTCDate() !== parts.d) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * @function toCsv
+ * @description Serializes rows into CSV text. Fields containing the delimiter, quotes or line breaks are quoted.
+ * @param {Array<string>} headers - The header row.
+ * @param {Array<Array<any>>} rows - The data rows. null and undefined become empty fields.
+ * @param {string} [delimiter=','] - The column delimiter.
+ * @returns {string} The CSV text, with "\r\n" line endings as most spreadsheet programs expect.
+ */
+export const toCsv = (headers, rows, delimiter = ',') => {
+    const escapeField = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n;\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(escapeField).join(delimiter)).join('\r\n');
+};
@@ -0,0 +1,113 @@
+// src/utils/csv.test.js
+
+import { detectDelimiter, parseCsv, detectDecimalSeparator, parseAmount, parseDate, toCsv } from './csv';
+
+describe('parseAmount', () => {
+    test('reads the amount with the decimal separator it is given', () => {
+        expect(parseAmount('1,234', '.')).toBe(1234);
+        expect(parseAmount('1,234.56', '.')).toBe(1234.56);
+        expect(parseAmount('1.234', ',')).toBe(1234);
+        expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+        expect(parseAmount('12,5', ',')).toBe(12.5);
+        expect(parseAmount('1,234,567.89', '.')).toBe(1234567.89);
+    });
+
+    test('rejects a thousands separator after the decimal one', () => {
+        expect(parseAmount('1.234,56', '.')).toBeNaN();
+        expect(parseAmount('1,234.56', ',')).toBeNaN();
+        expect(parseAmount('1.2.3', '.')).toBeNaN();
+    });
+
+    test('guesses the separator from the value when none is given', () => {
+        expect(parseAmount('1.234,56')).toBe(1234.56);
+        expect(parseAmount('1,234.56')).toBe(1234.56);
+        expect(parseAmount('12,50')).toBe(12.5);
+        expect(parseAmount('1,234')).toBe(1234);
+        expect(parseAmount('1.234.567')).toBe(1234567);
+    });
+
+    test('reads signs, currency symbols and spaces', () => {
+        expect(parseAmount('-12.50', '.')).toBe(-12.5);
+        expect(parseAmount('12.50-', '.')).toBe(-12.5);
+        expect(parseAmount('+12.50', '.')).toBe(12.5);
+        expect(parseAmount('€ 1 234,50', ',')).toBe(1234.5);
+        expect(parseAmount('-1.500,00 RON', ',')).toBe(-1500);
+    });
+
+    test('returns NaN for text that is not an amount', () => {
+        expect(parseAmount('')).toBeNaN();
+        expect(parseAmount(null)).toBeNaN();
+        expect(parseAmount(undefined)).toBeNaN();
+        expect(parseAmount('abc')).toBeNaN();
+    });
+});
+
+describe('detectDecimalSeparator', () => {
+    test('lets the unambiguous amounts of a column decide', () => {
+        expect(detectDecimalSeparator(['1,234', '12.50', '3'])).toBe('.');
+        expect(detectDecimalSeparator(['1.234', '12,50'])).toBe(',');
+        expect(detectDecimalSeparator(['1.234,56'])).toBe(',');
+        expect(detectDecimalSeparator(['1,234,567'])).toBe('.');
+        expect(detectDecimalSeparator(['1.234.567'])).toBe(',');
+    });
+
+    test('falls back to the point when nothing decides it', () => {
+        expect(detectDecimalSeparator(['1,234'])).toBe('.');
+        expect(detectDecimalSeparator(['12', '', undefined])).toBe('.');
+        expect(detectDecimalSeparator([])).toBe('.');
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('picks the most frequent candidate on the first line', () => {
+        expect(detectDelimiter('Date;Description;Amount\n2025-01-01;Rent;-500,00')).toBe(';');
+        expect(detectDelimiter('Date\tDescription\tAmount')).toBe('\t');
+        expect(detectDelimiter('Date,Description,Amount')).toBe(',');
+        expect(detectDelimiter('Amount')).toBe(',');
+    });
+});
+
+describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes and line breaks', () => {
+        const text = 'Date,Description,Amount\r\n2025-01-02,"Lidl, Bucuresti",-12.50\n2025-01-03,"Say ""hi""\nthere",5\n\n';
+        expect(parseCsv(text, ',')).toEqual([
+            ['Date', 'Description', 'Amount'],
+            ['2025-01-02', 'Lidl, Bucuresti', '-12.50'],
+            ['2025-01-03', 'Say "hi"\nthere', '5'],
+        ]);
+    });
+
+    test('strips a byte order mark and detects the delimiter', () => {
+        expect(parseCsv('﻿a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('parseDate', () => {
+    test('reads each supported format', () => {
+        expect(parseDate('2025-03-07', 'YYYY-MM-DD')).toBe('2025-03-07');
+        expect(parseDate('7.3.2025', 'DD.MM.YYYY')).toBe('2025-03-07');
+        expect(parseDate('07/03/2025', 'DD/MM/YYYY')).toBe('2025-03-07');
+        expect(parseDate('03/07/2025', 'MM/DD/YYYY')).toBe('2025-03-07');
+    });
+
+    test('rejects impossible dates, other formats and unknown format keys', () => {
+        expect(parseDate('31.02.2025', 'DD.MM.YYYY')).toBeNull();
+        expect(parseDate('2025-03-07', 'DD.MM.YYYY')).toBeNull();
+        expect(parseDate('2025-03-07', 'YYYY/MM/DD')).toBeNull();
+        expect(parseDate('', 'YYYY-MM-DD')).toBeNull();
+    });
+});
+
+describe('toCsv', () => {
+    test('quotes the fields that need it', () => {
+        expect(toCsv(['Description', 'Amount'], [['Lidl, Bucuresti', -12.5], ['Say "hi"', null]])).toBe(
+            'Description,Amount\r\n"Lidl, Bucuresti",-12.5\r\n"Say ""hi""",'
+        );
+        expect(toCsv(['a'], [['x;y']], ';')).toBe('a\r\n"x;y"');
+    });
+
+    test('round-trips through parseCsv', () => {
+        const rows = [['2025-01-02', 'Line one\nline two', '1,234.56']];
+        expect(parseCsv(toCsv(['Date', 'Description', 'Amount'], rows), ',').slice(1)).toEqual(rows);
+    });
+});
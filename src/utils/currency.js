@@ -0,0 +1,118 @@
+// src/utils/currency.js
+
+// The currency used when a record has none (everything created before multi-currency support was in EUR).
+export const DEFAULT_CURRENCY = 'EUR';
+
+// The currencies offered first in the currency dropdowns. Any other 3-letter code can still be used through the rates table.
+export const COMMON_CURRENCIES = ['EUR', 'RON', 'USD', 'GBP', 'CHF', 'HUF', 'PLN'];
+
+// Intl.NumberFormat objects are expensive to create, so one is kept per currency.
+const formatters = new Map();
+
+/**
+ * @function formatMoney
+ * @description Formats an amount in a currency, e.g. (12.5, 'EUR') -> "€12.50" and (12.5, 'RON') -> "RON 12.50".
+ * @param {number|string} amount - The amount to format.
+ * @param {string} [currency] - The 3-letter currency code. Defaults to EUR.
+ * @returns {string} The formatted amount.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+    const value = parseFloat(amount) || 0;
+    const code = currency || DEFAULT_CURRENCY;
+    if (!formatters.has(code)) {
+        try {
+            formatters.set(code, new Intl.NumberFormat('en-GB', { style: 'currency', currency: code }));
+        } catch (error) {
+            formatters.set(code, null); // Not a currency code Intl knows about.
+        }
+    }
+    const formatter = formatters.get(code);
+    return formatter ? formatter.format(value) : `${value.toFixed(2)} ${code}`;
+};
+
+/**
+ * @function buildRateIndex
+ * @description Organizes the exchange-rate table for fast lookups. Every rate is stored under its currency pair
+ * and under the reverse pair (with the inverted rate), each list sorted by date.
+ * @param {Array} rates - The rates as returned by the API ({ rate_date, from_currency, to_currency, rate }).
+ * @returns {Map<string, Array<{date: string, rate: number}>>} The index, keyed by "FROM>TO".
+ */
+export const buildRateIndex = (rates) => {
+    const index = new Map();
+    const add = (key, date, rate) => {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ date, rate });
+    };
+    for (const r of rates) {
+        const rate = parseFloat(r.rate);
+        if (!(rate > 0)) continue;
+        const from = String(r.from_currency).toUpperCase();
+        const to = String(r.to_currency).toUpperCase();
+        add(`${from}>${to}`, r.rate_date, rate);
+        add(`${to}>${from}`, r.rate_date, 1 / rate);
+    }
+    index.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+    return index;
+};
+
+// Picks the rate for a date from a sorted list: the latest one on or before the date,
+// or the earliest one if the date is older than every stored rate.
+const rateOnDate = (list, date) => {
+    let chosen = list[0];
+    for (const entry of list) {
+        if (entry.date > date) break;
+        chosen = entry;
+    }
+    return chosen.rate;
+};
+
+/**
+ * @function findRate
+ * @description Finds the rate that converts one unit of `from` into `to` on a given date.
+ * Uses the pair directly when it is in the table, otherwise goes through one intermediate currency
+ * (e.g., RON -> EUR -> USD when only RON/EUR and EUR/USD rates are stored).
+ * @param {Map} index - The index from buildRateIndex.
+ * @param {string} from - The currency to convert from.
+ * @param {string} to - The currency to convert into.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {number|null} The rate, or null if the table has no way to convert between the two currencies.
+ */
+export const findRate = (index, from, to, date) => {
+    if (from === to) return 1;
+    const direct = index.get(`${from}>${to}`);
+    if (direct) return rateOnDate(direct, date);
+
+    for (const [key, list] of index) {
+        const [keyFrom, middle] = key.split('>');
+        if (keyFrom !== from) continue;
+        const secondLeg = index.get(`${middle}>${to}`);
+        if (secondLeg) return rateOnDate(list, date) * rateOnDate(secondLeg, date);
+    }
+    return null;
+};
+
+/**
+ * @function convertTransactions
+ * @description Adds the base-currency value of every transaction, using the rate for the transaction's date.
+ * The original `amount` and `currency` are kept untouched (forms and exports still need them); the converted
+ * value is added as `base_amount`. Transactions whose currency can't be converted keep their amount 1:1
+ * and their currency is reported in `missingCurrencies`, so the UI can warn about it.
+ * @param {Array} transactions - The transactions as returned by the API.
+ * @param {Array} rates - The exchange-rate table.
+ * @param {string} baseCurrency - The currency every summary is shown in.
+ * @returns {{ transactions: Array, missingCurrencies: Array<string> }} The converted transactions and the unconvertible currencies.
+ */
+export const convertTransactions = (transactions, rates, baseCurrency) => {
+    const index = buildRateIndex(rates);
+    const missing = new Set();
+    const converted = transactions.map(t => {
+        const currency = t.currency || DEFAULT_CURRENCY;
+        let rate = findRate(index, currency, baseCurrency, t.transaction_date);
+        if (rate === null) {
+            missing.add(currency);
+            rate = 1;
+        }
+        return { ...t, currency, exchange_rate: rate, base_amount: parseFloat(t.amount) * rate };
+    });
+    return { transactions: converted, missingCurrencies: Array.from(missing) };
+};
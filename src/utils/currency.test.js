@@ -0,0 +1,62 @@
+// src/utils/currency.test.js
+
+import { formatMoney, buildRateIndex, findRate, convertTransactions } from './currency';
+
+const rates = [
+    { rate_date: '2025-01-01', from_currency: 'EUR', to_currency: 'RON', rate: '4.9' },
+    { rate_date: '2025-03-01', from_currency: 'EUR', to_currency: 'RON', rate: '5.0' },
+    { rate_date: '2025-01-01', from_currency: 'eur', to_currency: 'usd', rate: '1.1' },
+    { rate_date: '2025-01-01', from_currency: 'EUR', to_currency: 'GBP', rate: '0' },
+];
+
+describe('formatMoney', () => {
+    test('formats known currencies and falls back for unknown codes', () => {
+        expect(formatMoney(12.5, 'EUR')).toBe('€12.50');
+        expect(formatMoney('-3', 'EUR')).toBe('-€3.00');
+        expect(formatMoney(12.5)).toBe('€12.50');
+        expect(formatMoney('abc', 'EUR')).toBe('€0.00');
+        expect(formatMoney(12.5, 'X1')).toBe('12.50 X1');
+    });
+});
+
+describe('buildRateIndex', () => {
+    test('stores every rate under both directions, sorted by date, and skips invalid rates', () => {
+        const index = buildRateIndex(rates);
+        expect(index.get('EUR>RON').map(r => r.date)).toEqual(['2025-01-01', '2025-03-01']);
+        expect(index.get('RON>EUR')[1].rate).toBeCloseTo(0.2);
+        expect(index.has('EUR>USD')).toBe(true);
+        expect(index.has('EUR>GBP')).toBe(false);
+    });
+});
+
+describe('findRate', () => {
+    const index = buildRateIndex(rates);
+
+    test('uses the latest rate on or before the date, or the earliest one for older dates', () => {
+        expect(findRate(index, 'EUR', 'RON', '2025-02-15')).toBe(4.9);
+        expect(findRate(index, 'EUR', 'RON', '2025-03-01')).toBe(5.0);
+        expect(findRate(index, 'EUR', 'RON', '2024-06-01')).toBe(4.9);
+        expect(findRate(index, 'RON', 'RON', '2025-01-01')).toBe(1);
+    });
+
+    test('goes through one intermediate currency when the pair is not stored', () => {
+        expect(findRate(index, 'RON', 'USD', '2025-03-10')).toBeCloseTo(1.1 / 5);
+        expect(findRate(index, 'RON', 'GBP', '2025-03-10')).toBeNull();
+    });
+});
+
+describe('convertTransactions', () => {
+    test('adds the base amount and reports the currencies it cannot convert', () => {
+        const { transactions, missingCurrencies } = convertTransactions([
+            { id: 1, amount: '-50', currency: 'RON', transaction_date: '2025-03-02' },
+            { id: 2, amount: '10', currency: null, transaction_date: '2025-03-02' },
+            { id: 3, amount: '-7', currency: 'CHF', transaction_date: '2025-03-02' },
+        ], rates, 'EUR');
+
+        expect(transactions[0].amount).toBe('-50');
+        expect(transactions[0].base_amount).toBeCloseTo(-10);
+        expect(transactions[1]).toMatchObject({ currency: 'EUR', exchange_rate: 1, base_amount: 10 });
+        expect(transactions[2]).toMatchObject({ exchange_rate: 1, base_amount: -7 });
+        expect(missingCurrencies).toEqual(['CHF']);
+    });
+});
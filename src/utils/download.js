@@ -0,0 +1,28 @@
+// src/utils/download.js
+
+/**
+ * @function downloadFile
+ * @description Lets the browser download generated content as a file, without a round-trip to the server.
+ * @param {string} content - The file content.
+ * @param {string} fileName - The suggested file name (e.g., "transactions.csv").
+ * @param {string} mimeType - The MIME type of the content (e.g., "text/csv").
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Release the object URL once the download has started.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * @function todayStamp
+ * @description Returns today's date as "YYYY-MM-DD", used to make exported file names unique per day.
+ * @returns {string} Today's date.
+ */
+export const todayStamp = () => new Date().toISOString().slice(0, 10);
@@ -0,0 +1,117 @@
+// src/utils/duplicates.js
+
+import { DEFAULT_CURRENCY } from './currency';
+import { toDateString } from './forecast';
+
+// How many days apart two transactions may be and still count as the same one.
+// Banks often book a card payment a day or two after it was made.
+export const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// The minimum description similarity (0 to 1) for two manual transactions to be flagged.
+const DESCRIPTION_SIMILARITY_THRESHOLD = 0.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @function normalizeDescription
+ * @description Lower-cases a description and strips digits and punctuation, so that
+ * "LIDL 1234 BUCURESTI" and "Lidl Bucuresti" compare as the same text.
+ * @param {string} text - The description to normalize.
+ * @returns {string} The normalized description.
+ */
+export const normalizeDescription = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^a-zÀ-ɏ ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * @function descriptionSimilarity
+ * @description Scores how similar two descriptions are, from 0 (nothing in common) to 1 (identical).
+ * Uses the Dice coefficient over character pairs, and treats one description containing the other as a full match.
+ * @param {string} a - The first description.
+ * @param {string} b - The second description.
+ * @returns {number} The similarity score.
+ */
+export const descriptionSimilarity = (a, b) => {
+    const left = normalizeDescription(a);
+    const right = normalizeDescription(b);
+    if (!left || !right) return 0;
+    if (left === right || left.includes(right) || right.includes(left)) return 1;
+
+    const bigrams = (text) => {
+        const pairs = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const pair = text.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+        return pairs;
+    };
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+
+    let overlap = 0;
+    leftPairs.forEach((count, pair) => {
+        overlap += Math.min(count, rightPairs.get(pair) || 0);
+    });
+    const total = (left.length - 1) + (right.length - 1);
+    return total > 0 ? (2 * overlap) / total : 0;
+};
+
+/**
+ * @function duplicateSearchRange
+ * @description The transactions findDuplicates needs for a set of new ones, as filters for the transactions endpoint:
+ * every date they could match, from DUPLICATE_DATE_WINDOW_DAYS before the earliest to as many days after the latest.
+ * @param {Array<string>} dates - The "YYYY-MM-DD" dates of the new transactions.
+ * @returns {Object} { date_from, date_to }.
+ */
+export const duplicateSearchRange = (dates) => {
+    const sorted = [...dates].sort();
+    const shift = (dateString, days) => {
+        const date = new Date(dateString + 'T00:00:00');
+        return toDateString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+    };
+    return {
+        date_from: shift(sorted[0], -DUPLICATE_DATE_WINDOW_DAYS),
+        date_to: shift(sorted[sorted.length - 1], DUPLICATE_DATE_WINDOW_DAYS),
+    };
+};
+
+/**
+ * @function findDuplicates
+ * @description Looks for existing transactions that are likely the same as a new one.
+ * A match needs the same signed amount in the same currency and a date within DUPLICATE_DATE_WINDOW_DAYS. On top of that:
+ * - a row generated by a recurring schedule matches on amount and date alone, because manual entries
+ *   for rent or subscriptions rarely use the schedule's exact description;
+ * - any other row must also have a similar description.
+ * @param {Object} candidate - The new transaction ({ description, amount, currency, transaction_date }).
+ * @param {Array} transactions - The existing transactions to compare against.
+ * @param {Object} [options] - Optional settings.
+ * @param {number|string} [options.ignoreId] - A transaction id to skip (the row being edited).
+ * @returns {Array<Object>} The matches, closest date first. Each has the existing `transaction`,
+ * a `reason` ('recurring' or 'similar') and the number of `daysApart`.
+ */
+export const findDuplicates = (candidate, transactions, { ignoreId } = {}) => {
+    const candidateAmount = parseFloat(candidate.amount);
+    const candidateDate = new Date(candidate.transaction_date + 'T00:00:00');
+    if (isNaN(candidateAmount) || isNaN(candidateDate.getTime())) return [];
+
+    const matches = [];
+    for (const t of transactions) {
+        if (ignoreId !== undefined && String(t.id) === String(ignoreId)) continue;
+        if (Math.abs(parseFloat(t.amount) - candidateAmount) >= 0.005) continue;
+        // Rows without a currency predate multi-currency support and are in the default currency.
+        if ((t.currency || DEFAULT_CURRENCY) !== (candidate.currency || DEFAULT_CURRENCY)) continue;
+
+        const daysApart = Math.round(Math.abs(new Date(t.transaction_date + 'T00:00:00') - candidateDate) / MS_PER_DAY);
+        if (daysApart > DUPLICATE_DATE_WINDOW_DAYS) continue;
+
+        const isRecurring = t.recurring_income_id != null || t.recurring_expense_id != null;
+        if (isRecurring) {
+            matches.push({ transaction: t, reason: 'recurring', daysApart });
+        } else if (descriptionSimilarity(t.description, candidate.description) >= DESCRIPTION_SIMILARITY_THRESHOLD) {
+            matches.push({ transaction: t, reason: 'similar', daysApart });
+        }
+    }
+    return matches.sort((a, b) => a.daysApart - b.daysApart);
+};
@@ -0,0 +1,70 @@
+// src/utils/duplicates.test.js
+
+import { normalizeDescription, descriptionSimilarity, duplicateSearchRange, findDuplicates, DUPLICATE_DATE_WINDOW_DAYS } from './duplicates';
+
+const existing = (fields) => ({ id: 1, description: 'Lidl Bucuresti', amount: '-45.20', currency: 'EUR', transaction_date: '2025-03-10', ...fields });
+
+describe('normalizeDescription', () => {
+    test('lower-cases and strips digits and punctuation', () => {
+        expect(normalizeDescription('LIDL 1234 BUCURESTI')).toBe('lidl bucuresti');
+        expect(normalizeDescription('  Netflix.com *Subscription ')).toBe('netflix com subscription');
+        expect(normalizeDescription(null)).toBe('');
+    });
+});
+
+describe('descriptionSimilarity', () => {
+    test('scores identical and contained descriptions as a full match', () => {
+        expect(descriptionSimilarity('LIDL 1234 BUCURESTI', 'Lidl Bucuresti')).toBe(1);
+        expect(descriptionSimilarity('Lidl', 'Lidl Bucuresti')).toBe(1);
+    });
+
+    test('scores unrelated descriptions low and empty ones as 0', () => {
+        expect(descriptionSimilarity('Lidl', 'Netflix')).toBeLessThan(0.5);
+        expect(descriptionSimilarity('', 'Netflix')).toBe(0);
+    });
+});
+
+describe('duplicateSearchRange', () => {
+    test('covers the window around the earliest and the latest date', () => {
+        expect(duplicateSearchRange(['2025-03-01', '2025-02-27', '2025-02-28'])).toEqual({ date_from: '2025-02-24', date_to: '2025-03-04' });
+        expect(DUPLICATE_DATE_WINDOW_DAYS).toBe(3);
+    });
+});
+
+describe('findDuplicates', () => {
+    const candidate = { description: 'LIDL 1234 BUCURESTI', amount: -45.2, currency: 'EUR', transaction_date: '2025-03-11' };
+
+    test('matches the same amount and currency with a similar description within the window', () => {
+        const matches = findDuplicates(candidate, [existing()]);
+        expect(matches).toHaveLength(1);
+        expect(matches[0]).toMatchObject({ reason: 'similar', daysApart: 1 });
+    });
+
+    test('matches a recurring row on amount and date alone', () => {
+        const matches = findDuplicates(candidate, [existing({ description: 'Groceries', recurring_expense_id: 7 })]);
+        expect(matches.map(m => m.reason)).toEqual(['recurring']);
+    });
+
+    test('ignores other amounts, currencies, far dates, different descriptions and the row being edited', () => {
+        expect(findDuplicates(candidate, [
+            existing({ amount: '-45.30' }),
+            existing({ currency: 'RON' }),
+            existing({ transaction_date: '2025-03-15' }),
+            existing({ description: 'Netflix' }),
+        ])).toEqual([]);
+        expect(findDuplicates(candidate, [existing()], { ignoreId: '1' })).toEqual([]);
+    });
+
+    test('counts rows without a currency as the default currency and sorts by closest date', () => {
+        const matches = findDuplicates(candidate, [
+            existing({ id: 1, transaction_date: '2025-03-08' }),
+            existing({ id: 2, currency: null, transaction_date: '2025-03-11' }),
+        ]);
+        expect(matches.map(m => m.transaction.id)).toEqual([2, 1]);
+    });
+
+    test('returns nothing for a candidate without a valid amount or date', () => {
+        expect(findDuplicates({ ...candidate, amount: 'abc' }, [existing()])).toEqual([]);
+        expect(findDuplicates({ ...candidate, transaction_date: '' }, [existing()])).toEqual([]);
+    });
+});
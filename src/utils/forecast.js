@@ -0,0 +1,141 @@
+// src/utils/forecast.js
+
+import { DEFAULT_CURRENCY, buildRateIndex, findRate } from './currency';
+import { recurrenceDates, amountOn } from './recurrence';
+
+// The horizons offered by the Forecast page, in months.
+export const FORECAST_HORIZONS = [3, 6, 9, 12];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * @function toDateString
+ * @description Formats a Date as "YYYY-MM-DD" in local time (toISOString would shift it to UTC).
+ * @param {Date} date - The date to format.
+ * @returns {string} The date string.
+ */
+export const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Parses a "YYYY-MM-DD" string as a local date at midnight.
+const parseDate = (dateString) => new Date(dateString + 'T00:00:00');
+
+/**
+ * @function scheduleOccurrences
+ * @description Lists the dates a recurring schedule will generate a transaction on, after `fromDate` and up to `toDate`.
+ * It follows the server's processors: every date of the schedule's pattern (see recurrence.js) from `start_date`
+ * to `end_date`, except the ones the user skipped. A payment under contract keeps running at least until `contract_end_date`.
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {Date} fromDate - Occurrences on or before this date are excluded (they have already been generated).
+ * @param {Date} toDate - The last date to include.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.cancelAtContractEnd=false] - Treat a payment under contract as cancelled as soon as its contract ends.
+ * @returns {Array<Date>} The occurrence dates, in order.
+ */
+export const scheduleOccurrences = (schedule, fromDate, toDate, { cancelAtContractEnd = false } = {}) => {
+    let endDate = schedule.end_date ? parseDate(schedule.end_date) : null;
+    if (schedule.contract_end_date) {
+        const contractEnd = parseDate(schedule.contract_end_date);
+        // A contract can't be stopped early, so it runs at least until the contract ends...
+        if (endDate && contractEnd > endDate) endDate = contractEnd;
+        // ...and in the "cancel at contract end" scenario, no longer.
+        if (cancelAtContractEnd) endDate = contractEnd;
+    }
+    const lastDate = endDate && endDate < toDate ? endDate : toDate;
+    // Occurrences skipped in the "Upcoming & pending" panel are never generated.
+    const skipped = new Set(schedule.skipped_dates || []);
+    return recurrenceDates(schedule, fromDate, lastDate).filter(date => !skipped.has(toDateString(date)));
+};
+
+/**
+ * @function buildForecast
+ * @description Projects the total balance of all accounts day by day, from today to `months` months ahead.
+ * The starting point is today's balance: the one given (e.g. from the summary endpoint), or else the opening balances
+ * plus every transaction up to today. Known future transactions and every future occurrence of the recurring incomes
+ * and expenses are then applied in date order.
+ * Schedule amounts (as valid on each occurrence's date) are converted into the base currency with today's exchange rate.
+ * @param {Object} params - The forecast inputs.
+ * @param {Array} params.transactions - The transactions, with their `base_amount`: all of them, or only those dated
+ * after today when `balance` is given.
+ * @param {number} [params.balance] - Today's total balance of all accounts, in the base currency.
+ * @param {Array} params.accounts - The accounts, for their opening balances.
+ * @param {Array} params.recurringIncomes - The recurring income schedules.
+ * @param {Array} params.recurringExpenses - The recurring expense schedules.
+ * @param {Array} params.exchangeRates - The exchange-rate table.
+ * @param {string} params.baseCurrency - The currency of the forecast.
+ * @param {number} params.months - How many months ahead to project.
+ * @param {boolean} [params.cancelAtContractEnd] - See scheduleOccurrences.
+ * @param {Date} [params.today] - The day the forecast starts from. Defaults to today.
+ * @returns {Object} { startBalance, endBalance, lowest: { date, balance }, days, months, negativeDays }.
+ * `days` has one entry per day ({ date, balance, events }), `months` one per calendar month
+ * ({ month, endBalance, lowestBalance, lowestDate, income, expenses }), and `negativeDays` lists the days below zero.
+ */
+export const buildForecast = ({ transactions, balance: todayBalance, accounts, recurringIncomes, recurringExpenses, exchangeRates, baseCurrency, months, cancelAtContractEnd = false, today = new Date() }) => {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const end = new Date(start.getFullYear(), start.getMonth() + months, start.getDate());
+    const todayString = toDateString(start);
+
+    // 1. Today's balance, and the transactions already recorded for future dates.
+    const knownBalance = todayBalance !== undefined && todayBalance !== null;
+    let balance = knownBalance ? todayBalance : accounts.reduce((sum, a) => sum + (parseFloat(a.opening_balance) || 0), 0);
+    const eventsByDate = new Map();
+    const addEvent = (date, event) => {
+        if (!eventsByDate.has(date)) eventsByDate.set(date, []);
+        eventsByDate.get(date).push(event);
+    };
+    for (const t of transactions) {
+        const amount = t.base_amount ?? parseFloat(t.amount);
+        if (t.transaction_date <= todayString) {
+            if (!knownBalance) balance += amount;
+        } else if (parseDate(t.transaction_date) <= end) {
+            addEvent(t.transaction_date, { description: t.description, amount, source: 'transaction' });
+        }
+    }
+    const startBalance = balance;
+
+    // 2. The future occurrences of every schedule.
+    const rateIndex = buildRateIndex(exchangeRates);
+    // Each occurrence uses the schedule's amount valid on its date (see amountOn), so known price changes are included.
+    const toBase = (schedule, date) => {
+        const rate = findRate(rateIndex, schedule.currency || DEFAULT_CURRENCY, baseCurrency, todayString);
+        return Math.abs(amountOn(schedule, date)) * (rate ?? 1);
+    };
+    recurringIncomes.forEach(schedule => {
+        scheduleOccurrences(schedule, start, end).map(toDateString).forEach(date =>
+            addEvent(date, { description: schedule.description, amount: toBase(schedule, date), source: 'income' }));
+    });
+    recurringExpenses.forEach(schedule => {
+        scheduleOccurrences(schedule, start, end, { cancelAtContractEnd }).map(toDateString).forEach(date =>
+            addEvent(date, { description: schedule.description, amount: -toBase(schedule, date), source: 'expense' }));
+    });
+
+    // 3. Walk day by day, keeping a per-month summary as we go.
+    const days = [];
+    const monthSummaries = [];
+    let lowest = { date: todayString, balance };
+    for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        const date = toDateString(day);
+        const events = date === todayString ? [] : (eventsByDate.get(date) || []);
+        for (const event of events) balance += event.amount;
+        days.push({ date, balance, events });
+        if (balance < lowest.balance) lowest = { date, balance };
+
+        const month = date.slice(0, 7);
+        let summary = monthSummaries[monthSummaries.length - 1];
+        if (!summary || summary.month !== month) {
+            summary = { month, endBalance: balance, lowestBalance: balance, lowestDate: date, income: 0, expenses: 0 };
+            monthSummaries.push(summary);
+        }
+        summary.endBalance = balance;
+        if (balance < summary.lowestBalance) { summary.lowestBalance = balance; summary.lowestDate = date; }
+        events.forEach(event => { if (event.amount >= 0) summary.income += event.amount; else summary.expenses -= event.amount; });
+    }
+
+    return {
+        startBalance,
+        endBalance: balance,
+        lowest,
+        days,
+        months: monthSummaries,
+        negativeDays: days.filter(d => d.balance < 0),
+    };
+};
@@ -0,0 +1,74 @@
+// src/utils/forecast.test.js
+
+import { toDateString, scheduleOccurrences, buildForecast } from './forecast';
+
+const schedule = (fields) => ({ description: 'Rent', amount: '100', frequency: 'monthly', recurrence_day: 1, start_date: '2025-01-01', end_date: null, ...fields });
+const dates = (list) => list.map(toDateString);
+
+describe('toDateString', () => {
+    test('formats the local date', () => {
+        expect(toDateString(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05');
+    });
+});
+
+describe('scheduleOccurrences', () => {
+    const from = new Date(2024, 11, 31);
+    const to = new Date(2025, 11, 31);
+
+    test('stops at the end date', () => {
+        expect(dates(scheduleOccurrences(schedule({ end_date: '2025-03-15' }), from, to))).toEqual(['2025-01-01', '2025-02-01', '2025-03-01']);
+        expect(scheduleOccurrences(schedule(), from, to)).toHaveLength(12);
+    });
+
+    test('runs a contract at least until it ends, and no longer when it is cancelled then', () => {
+        expect(scheduleOccurrences(schedule({ end_date: '2025-01-15', contract_end_date: '2025-03-15' }), from, to)).toHaveLength(3);
+        expect(scheduleOccurrences(schedule({ contract_end_date: '2025-03-15' }), from, to)).toHaveLength(12);
+        expect(scheduleOccurrences(schedule({ contract_end_date: '2025-03-15' }), from, to, { cancelAtContractEnd: true })).toHaveLength(3);
+    });
+
+    test('leaves out the dates skipped before generation', () => {
+        expect(dates(scheduleOccurrences(schedule({ end_date: '2025-03-15', skipped_dates: ['2025-02-01'] }), from, to))).toEqual(['2025-01-01', '2025-03-01']);
+    });
+});
+
+describe('buildForecast', () => {
+    const inputs = {
+        transactions: [
+            { description: 'Groceries', transaction_date: '2025-03-01', amount: '-100', base_amount: -100 },
+            { description: 'Dentist', transaction_date: '2025-03-20', amount: '-50', base_amount: -50 },
+        ],
+        accounts: [{ opening_balance: '200' }],
+        recurringIncomes: [schedule({ description: 'Salary', amount: '1000', recurrence_day: 15, currency: 'EUR' })],
+        recurringExpenses: [schedule({ amount: '1500', currency: 'RON' })],
+        exchangeRates: [{ rate_date: '2025-01-01', from_currency: 'EUR', to_currency: 'RON', rate: '5' }],
+        baseCurrency: 'EUR',
+        months: 1,
+        today: new Date(2025, 2, 10),
+    };
+
+    test('starts from the opening balances and applies future transactions and schedules in date order', () => {
+        const forecast = buildForecast(inputs);
+        expect(forecast.startBalance).toBe(100);
+        expect(forecast.endBalance).toBe(750);
+        expect(forecast.days[0]).toEqual({ date: '2025-03-10', balance: 100, events: [] });
+        expect(forecast.days.find(d => d.date === '2025-04-01').events).toEqual([{ description: 'Rent', amount: -300, source: 'expense' }]);
+        expect(forecast.lowest).toEqual({ date: '2025-03-10', balance: 100 });
+        expect(forecast.months).toEqual([
+            { month: '2025-03', endBalance: 1050, lowestBalance: 100, lowestDate: '2025-03-10', income: 1000, expenses: 50 },
+            { month: '2025-04', endBalance: 750, lowestBalance: 750, lowestDate: '2025-04-01', income: 0, expenses: 300 },
+        ]);
+    });
+
+    test('uses the amount valid on each occurrence date', () => {
+        const revised = schedule({ amount: '1500', currency: 'RON', amount_history: [{ valid_from: '2025-04-01', amount: '2000' }] });
+        const forecast = buildForecast({ ...inputs, recurringExpenses: [revised] });
+        expect(forecast.days.find(d => d.date === '2025-04-01').events[0].amount).toBe(-400);
+    });
+
+    test('starts from the balance it is given and reports the days below zero', () => {
+        const forecast = buildForecast({ ...inputs, balance: -10 });
+        expect(forecast.startBalance).toBe(-10);
+        expect(forecast.endBalance).toBe(640);
+        expect(forecast.negativeDays.map(d => d.date)).toEqual(['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14']);
+    });
+});
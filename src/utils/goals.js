@@ -0,0 +1,104 @@
+// src/utils/goals.js
+
+import { toDateString } from './forecast';
+import { expandCategoryLines } from './categoryLines';
+
+// The recent contribution pace is the average of this many months before today.
+export const GOAL_PACE_MONTHS = 3;
+
+// The average length of a month in days, used to turn a monthly pace into a date.
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// The transactions computeGoalProgress needs, as filters for the transactions endpoint: the money moved into and out
+// of the Savings categories (a transfer tied to a goal is always in one of them).
+export const GOAL_QUERY = { category_type: 'Savings' };
+
+/**
+ * @function goalForTransaction
+ * @description Finds the goal a transaction counts toward. A transfer tied to a goal (`goal_id`) counts toward
+ * that goal; any other transaction in a Savings category counts toward the goal linked to its category.
+ * @param {Object} transaction - A transaction as returned by the API.
+ * @param {Array} goals - The savings goals, with their `category_ids`.
+ * @returns {Object|null} The goal, or null if the transaction doesn't count toward any.
+ */
+export const goalForTransaction = (transaction, goals) => {
+    if (transaction.goal_id) return goals.find(g => String(g.id) === String(transaction.goal_id)) || null;
+    if (transaction.category_type !== 'Savings' || transaction.category_id == null) return null;
+    return goals.find(g => (g.category_ids || []).some(id => String(id) === String(transaction.category_id))) || null;
+};
+
+/**
+ * @function computeGoalProgress
+ * @description Works out how far each savings goal has come. A transfer to savings (an Expense) adds to the goal,
+ * a withdrawal from savings (an Income) takes from it; amounts are in the base currency (`base_amount`).
+ * Transactions dated after today are left out, so scheduled transfers only count once they happen.
+ * The lines of a transaction split across several categories count toward their own category's goal.
+ * - The pace is the average net contribution per month over the last GOAL_PACE_MONTHS months.
+ * - The projected completion date assumes that pace continues.
+ * - The monthly amount needed spreads what is left over the calendar months until the deadline, this one included.
+ * @param {Array} goals - The savings goals as returned by the API.
+ * @param {Array} transactions - All transactions, or those of GOAL_QUERY.
+ * @param {Date} [today] - The reference date. Defaults to today.
+ * @returns {Array<Object>} One entry per goal: { id, name, color, categoryIds, targetAmount, targetDate, saved, remaining,
+ * percent, monthlyPace, projectedDate, monthlyNeeded, status }. `status` is 'reached', 'overdue' (the deadline has
+ * passed), 'onTrack', 'behind' (the pace won't make the deadline) or 'noDeadline'.
+ */
+export const computeGoalProgress = (goals, transactions, today = new Date()) => {
+    const todayString = toDateString(today);
+    const paceStart = toDateString(new Date(today.getFullYear(), today.getMonth() - GOAL_PACE_MONTHS, today.getDate()));
+
+    // Total and recent contributions per goal.
+    const saved = new Map();
+    const recent = new Map();
+    for (const t of expandCategoryLines(transactions)) {
+        if (t.transaction_date > todayString) continue;
+        const goal = goalForTransaction(t, goals);
+        if (!goal) continue;
+        const contribution = -(t.base_amount ?? parseFloat(t.amount)); // Money into savings is a negative amount.
+        saved.set(goal.id, (saved.get(goal.id) || 0) + contribution);
+        if (t.transaction_date > paceStart) recent.set(goal.id, (recent.get(goal.id) || 0) + contribution);
+    }
+
+    return goals.map(goal => {
+        const targetAmount = parseFloat(goal.target_amount) || 0;
+        const goalSaved = saved.get(goal.id) || 0;
+        const remaining = Math.max(0, targetAmount - goalSaved);
+        const monthlyPace = (recent.get(goal.id) || 0) / GOAL_PACE_MONTHS;
+        const targetDate = goal.target_date || null;
+
+        // At the current pace, the goal is reached this many days from today.
+        let projectedDate = null;
+        if (remaining === 0) projectedDate = todayString;
+        else if (monthlyPace > 0) {
+            projectedDate = toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + Math.ceil((remaining / monthlyPace) * DAYS_PER_MONTH)));
+        }
+
+        let monthlyNeeded = null;
+        let status = 'noDeadline';
+        if (remaining === 0) {
+            status = 'reached';
+        } else if (targetDate) {
+            const deadline = new Date(targetDate + 'T00:00:00');
+            const monthsLeft = (deadline.getFullYear() - today.getFullYear()) * 12 + deadline.getMonth() - today.getMonth() + 1;
+            if (targetDate < todayString) {
+                status = 'overdue';
+                monthlyNeeded = remaining;
+            } else {
+                monthlyNeeded = remaining / Math.max(1, monthsLeft);
+                status = projectedDate && projectedDate <= targetDate ? 'onTrack' : 'behind';
+            }
+        }
+
+        return {
+            id: goal.id,
+            name: goal.name,
+            color: goal.color,
+            categoryIds: (goal.category_ids || []).map(String),
+            targetAmount, targetDate,
+            saved: goalSaved,
+            remaining,
+            percent: targetAmount > 0 ? Math.max(0, (goalSaved / targetAmount) * 100) : 100,
+            monthlyPace, projectedDate, monthlyNeeded, status,
+        };
+    });
+};
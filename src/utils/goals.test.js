@@ -0,0 +1,47 @@
+// src/utils/goals.test.js
+
+import { goalForTransaction, computeGoalProgress } from './goals';
+
+const goals = [
+    { id: 1, name: 'Holiday', target_amount: '1200', target_date: '2025-12-31', category_ids: [7] },
+    { id: 2, name: 'Laptop', target_amount: '1000', target_date: '2025-04-30', category_ids: [] },
+    { id: 3, name: 'Gift', target_amount: '50', target_date: null, category_ids: ['9'] },
+    { id: 4, name: 'Car service', target_amount: '500', target_date: '2025-01-31', category_ids: [] },
+];
+const saving = (date, amount, fields) => ({ type: amount < 0 ? 'Expense' : 'Income', transaction_date: date, amount: String(amount), category_type: 'Savings', category_id: 7, ...fields });
+
+describe('goalForTransaction', () => {
+    test('prefers the goal of a transfer, then the goal linked to the Savings category', () => {
+        expect(goalForTransaction(saving('2025-01-01', -10, { goal_id: '2' }), goals).id).toBe(2);
+        expect(goalForTransaction(saving('2025-01-01', -10, { category_id: '9' }), goals).id).toBe(3);
+        expect(goalForTransaction(saving('2025-01-01', -10, { category_type: 'Needs' }), goals)).toBeNull();
+        expect(goalForTransaction(saving('2025-01-01', -10, { category_id: 8 }), goals)).toBeNull();
+    });
+});
+
+describe('computeGoalProgress', () => {
+    const transactions = [
+        saving('2024-10-01', -300),
+        saving('2025-01-10', -300),
+        saving('2025-02-10', -300),
+        saving('2025-03-01', 150),
+        saving('2025-04-01', -300),
+        saving('2025-03-01', -100, { goal_id: 2, category_id: 8 }),
+        saving('2025-02-01', -60, { category_id: 9 }),
+    ];
+    const [holiday, laptop, gift, service] = computeGoalProgress(goals, transactions, new Date(2025, 2, 15));
+
+    test('adds transfers to savings, takes withdrawals off and ignores future transactions', () => {
+        expect(holiday).toMatchObject({ saved: 750, remaining: 450, percent: 62.5, categoryIds: ['7'] });
+    });
+
+    test('projects the completion date from the recent pace and spreads the rest until the deadline', () => {
+        expect(holiday).toMatchObject({ monthlyPace: 150, projectedDate: '2025-06-15', monthlyNeeded: 45, status: 'onTrack' });
+        expect(laptop).toMatchObject({ saved: 100, monthlyNeeded: 450, status: 'behind' });
+    });
+
+    test('reports reached and overdue goals', () => {
+        expect(gift).toMatchObject({ saved: 60, remaining: 0, percent: 120, projectedDate: '2025-03-15', monthlyNeeded: null, status: 'reached' });
+        expect(service).toMatchObject({ saved: 0, projectedDate: null, monthlyNeeded: 500, status: 'overdue' });
+    });
+});
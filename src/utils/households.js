@@ -0,0 +1,131 @@
+// src/utils/households.js
+
+// The roles a household member can have, with what they allow. They match the ENUM in the `household_members` table.
+export const HOUSEHOLD_ROLES = [
+    { value: 'owner', label: 'Owner', description: 'Manages the members and the default split, and adds expenses.' },
+    { value: 'member', label: 'Member', description: 'Adds shared expenses and settle-ups.' },
+    { value: 'viewer', label: 'Viewer', description: 'Can only read the ledger.' },
+];
+
+// The roles that can add shared expenses and settle-ups.
+const CONTRIBUTING_ROLES = ['owner', 'member'];
+
+// Differences below one cent are rounding, not money owed.
+const CENT = 0.005;
+
+/**
+ * @function canContribute
+ * @description Checks whether the user can add shared expenses and settle-ups to a household.
+ * @param {Object} household - A household as returned by the API (with `my_role`).
+ * @returns {boolean} True for owners and members.
+ */
+export const canContribute = (household) => CONTRIBUTING_ROLES.includes(household.my_role);
+
+/**
+ * @function defaultShares
+ * @description The percentages a new shared expense starts with: the household's default split if an owner set one,
+ * otherwise an equal split. The percentages are strings, ready for the form's inputs.
+ * @param {Array} members - The household's members ({ user_id, default_share }).
+ * @returns {Object} A map from member ID to percentage.
+ */
+export const defaultShares = (members) => {
+    const hasDefault = members.some(m => m.default_share !== null && m.default_share !== undefined);
+    const shares = {};
+    members.forEach(m => {
+        const share = hasDefault ? parseFloat(m.default_share) || 0 : 100 / members.length;
+        shares[m.user_id] = String(Math.round(share * 100) / 100);
+    });
+    return shares;
+};
+
+/**
+ * @function buildSplits
+ * @description Turns the split entered in the form into the shares sent to the API.
+ * By percentage, every share is rounded to the cent and the rounding difference goes to the last share,
+ * so the shares always add up to the amount. By fixed amounts, the amounts are taken as entered.
+ * Members with an empty or zero share are left out.
+ * @param {number} total - The expense's amount (positive).
+ * @param {string} mode - 'percent' or 'fixed'.
+ * @param {Object} shares - A map from member ID to the entered percentage or amount.
+ * @returns {{ splits: Array<Object>, error: string|null }} The shares ({ user_id, amount, percent }), or why they can't be used.
+ */
+export const buildSplits = (total, mode, shares) => {
+    const entries = Object.entries(shares)
+        .map(([userId, value]) => ({ user_id: parseInt(userId), value: parseFloat(value) || 0 }))
+        .filter(e => e.value > 0);
+    if (entries.length === 0) return { splits: [], error: 'Enter at least one share.' };
+
+    const sum = entries.reduce((acc, e) => acc + e.value, 0);
+    if (mode === 'percent') {
+        if (Math.abs(sum - 100) > 0.01) return { splits: [], error: `The percentages add up to ${Math.round(sum * 100) / 100}%, not 100%.` };
+        const splits = entries.map(e => ({ user_id: e.user_id, amount: Math.round(total * e.value) / 100, percent: e.value }));
+        const rounded = splits.reduce((acc, s) => acc + s.amount, 0);
+        splits[splits.length - 1].amount = Math.round((splits[splits.length - 1].amount + total - rounded) * 100) / 100;
+        return { splits, error: null };
+    }
+    if (Math.abs(sum - total) > 0.01) return { splits: [], error: `The shares add up to ${sum.toFixed(2)}, not ${total.toFixed(2)}.` };
+    return { splits: entries.map(e => ({ user_id: e.user_id, amount: e.value, percent: null })), error: null };
+};
+
+/**
+ * @function computeBalances
+ * @description Works out what every person is owed (positive) or owes (negative) in a household ledger, per currency,
+ * since expenses are never converted between the members' currencies. The member who paid an expense is owed the
+ * other members' shares; a settle-up counts for the payer and against the receiver.
+ * @param {Object} ledger - { expenses, settlements } as returned by the API.
+ * @returns {Object} A map from currency to a list of { user_id, name, balance }, largest credit first.
+ */
+export const computeBalances = ({ expenses, settlements }) => {
+    const byCurrency = {};
+    const add = (currency, userId, name, amount) => {
+        const people = byCurrency[currency] || (byCurrency[currency] = {});
+        const person = people[userId] || (people[userId] = { user_id: userId, name, balance: 0 });
+        person.balance += amount;
+    };
+
+    expenses.forEach(expense => {
+        expense.splits.forEach(split => {
+            if (String(split.user_id) === String(expense.paid_by)) return;
+            const amount = parseFloat(split.amount);
+            add(expense.currency, String(expense.paid_by), expense.paid_by_name, amount);
+            add(expense.currency, String(split.user_id), split.name, -amount);
+        });
+    });
+    settlements.forEach(s => {
+        const amount = parseFloat(s.amount);
+        add(s.currency, String(s.from_user_id), s.from_name, amount);
+        add(s.currency, String(s.to_user_id), s.to_name, -amount);
+    });
+
+    const result = {};
+    Object.entries(byCurrency).forEach(([currency, people]) => {
+        result[currency] = Object.values(people).sort((a, b) => b.balance - a.balance);
+    });
+    return result;
+};
+
+/**
+ * @function suggestSettlements
+ * @description Turns the balances of one currency into "who owes whom": each time, the person who owes the most pays
+ * the person who is owed the most, until everyone is even. This needs at most one payment fewer than there are people.
+ * @param {Array} balances - One currency's balances, as returned by computeBalances.
+ * @returns {Array<Object>} The payments: { from_user_id, from_name, to_user_id, to_name, amount }.
+ */
+export const suggestSettlements = (balances) => {
+    const creditors = balances.filter(p => p.balance > CENT).map(p => ({ ...p }));
+    const debtors = balances.filter(p => p.balance < -CENT).map(p => ({ ...p, balance: -p.balance }));
+    const payments = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+        creditors.sort((a, b) => b.balance - a.balance);
+        debtors.sort((a, b) => b.balance - a.balance);
+        const [creditor, debtor] = [creditors[0], debtors[0]];
+        const amount = Math.min(creditor.balance, debtor.balance);
+        payments.push({ from_user_id: debtor.user_id, from_name: debtor.name, to_user_id: creditor.user_id, to_name: creditor.name, amount: Math.round(amount * 100) / 100 });
+        creditor.balance -= amount;
+        debtor.balance -= amount;
+        if (creditor.balance <= CENT) creditors.shift();
+        if (debtor.balance <= CENT) debtors.shift();
+    }
+    return payments;
+};
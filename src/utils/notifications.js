@@ -0,0 +1,195 @@
+// src/utils/notifications.js
+
+import { computeEnvelopes, envelopeQuery, toMonth, findActiveBudgetRule, ENVELOPE_WARNING_PERCENT } from './budgets';
+import { classifyTransaction } from './trends';
+import { expandCategoryLines } from './categoryLines';
+import { buildForecast, toDateString } from './forecast';
+import { subscriptionAlerts, describeSubscriptionAlert } from './subscriptions';
+import { formatMoney } from './currency';
+
+// A transaction of at least this much (in the base currency) is reported, unless the user set another threshold.
+export const DEFAULT_LARGE_TRANSACTION = 500;
+
+// How many days back large transactions are reported.
+const LARGE_TRANSACTION_DAYS = 30;
+
+// How many days ahead a scheduled payment is announced.
+const UPCOMING_CHARGE_DAYS = 3;
+
+// How many months ahead the forecast is checked for a negative balance.
+const FORECAST_MONTHS = 3;
+
+// The link that opens the Dashboard on a month (see the `period` parameter in Dashboard.js).
+const periodLink = (dateString) => `/?period=${dateString.slice(0, 7)}`;
+
+// A readable month, e.g. "March 2025".
+const formatMonth = (dateString) => new Intl.DateTimeFormat('en-GB', { month: 'long', year: 'numeric' }).format(new Date(dateString.slice(0, 7) + '-01T00:00:00'));
+
+// A readable date, e.g. "19 June 2025".
+const formatDate = (dateString) => new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }).format(new Date(dateString + 'T00:00:00'));
+
+// The level reached by a share of a target: 100 (over it), 80 (nearly there) or null.
+const levelOf = (percent) => (percent > 100 ? 100 : percent >= ENVELOPE_WARNING_PERCENT ? ENVELOPE_WARNING_PERCENT : null);
+
+/**
+ * @function notificationQueries
+ * @description The transactions buildNotifications needs, as filters for the transactions endpoint: every transaction
+ * from the start of this month or LARGE_TRANSACTION_DAYS days ago, whichever comes first (future ones included), and
+ * before that, the expenses the envelopes rolling over into this month carry from earlier months (see envelopeQuery).
+ * @param {Array} categoryBudgets - The category budgets.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {Array<Object>} The filters of each query; their results don't overlap.
+ */
+export const notificationQueries = (categoryBudgets, today = new Date()) => {
+    const since = new Date(today.getFullYear(), today.getMonth(), Math.min(1, today.getDate() - LARGE_TRANSACTION_DAYS));
+    const queries = [{ date_from: toDateString(since) }];
+    const month = toMonth(today.getFullYear(), today.getMonth() + 1);
+    const envelopes = envelopeQuery(categoryBudgets, month, month);
+    if (envelopes && envelopes.date_from < queries[0].date_from) {
+        queries.push({ ...envelopes, date_to: toDateString(new Date(since.getFullYear(), since.getMonth(), since.getDate() - 1)) });
+    }
+    return queries;
+};
+
+/**
+ * @function buildNotifications
+ * @description Collects the events the notification center reports, as of today:
+ * - a category budget, or the Needs or Wants share of the budget rule, passing 80% or 100% of its target this month;
+ * - this month's spending going beyond its income;
+ * - transactions of the last 30 days at or above the large-transaction threshold;
+ * - scheduled payments due in the next 3 days;
+ * - the balance forecast to go negative in the next 3 months;
+ * - the contract reminders of the Subscriptions page.
+ * Every notification has an `id` that stays the same while the event does, so its read state can be kept; an event
+ * that gets worse (80% becoming 100%) gets a new id and shows as unread again.
+ * @param {Object} params - The data loaded by App.js.
+ * @param {Array} params.transactions - The transactions of notificationQueries, with their `base_amount`.
+ * @param {number} params.balance - Today's total balance of all accounts, for the forecast.
+ * @param {Array} params.budgetSettings - The budget rules.
+ * @param {Array} params.categoryBudgets - The category budgets.
+ * @param {Array} params.accounts - The accounts, for the forecast.
+ * @param {Array} params.recurringIncomes - The recurring income schedules.
+ * @param {Array} params.recurringExpenses - The recurring expense schedules.
+ * @param {Array} params.recurringOccurrences - The schedules' waiting and upcoming occurrences.
+ * @param {Array} params.exchangeRates - The exchange-rate table.
+ * @param {string} params.baseCurrency - The currency amounts are shown in.
+ * @param {number} params.largeTransaction - The large-transaction threshold, in the base currency.
+ * @param {Date} [params.today] - Defaults to today.
+ * @returns {Array<Object>} { id, severity ('danger', 'warning' or 'info'), title, message, date, link }, newest first.
+ */
+export const buildNotifications = ({
+    transactions, balance, budgetSettings, categoryBudgets, accounts, recurringIncomes, recurringExpenses, recurringOccurrences,
+    exchangeRates, baseCurrency, largeTransaction = DEFAULT_LARGE_TRANSACTION, today = new Date(),
+}) => {
+    const todayString = toDateString(today);
+    const month = todayString.slice(0, 7);
+    const notifications = [];
+    const add = (notification) => notifications.push({ severity: 'warning', link: periodLink(notification.date), ...notification });
+
+    // 1. This month's category budgets.
+    const thisMonth = toMonth(today.getFullYear(), today.getMonth() + 1);
+    computeEnvelopes(categoryBudgets, transactions, thisMonth, thisMonth).forEach(envelope => {
+        const level = envelope.status === 'over' ? 100 : envelope.status === 'warning' ? ENVELOPE_WARNING_PERCENT : null;
+        if (!level) return;
+        add({
+            id: `budget-${envelope.categoryId}-${month}-${level}`,
+            severity: level === 100 ? 'danger' : 'warning',
+            title: `${envelope.categoryName} budget ${level === 100 ? 'exceeded' : `at ${Math.round(envelope.percent)}%`}`,
+            message: `${formatMoney(envelope.spent, baseCurrency)} of ${formatMoney(envelope.available, baseCurrency)} spent in ${formatMonth(todayString)}.`,
+            date: todayString,
+        });
+    });
+
+    // 2. This month's income, spending and the budget rule's Needs and Wants targets, counted as on the Dashboard.
+    const figures = { income: 0, spending: 0, Needs: 0, Wants: 0 };
+    for (const t of expandCategoryLines(transactions)) {
+        if (t.transaction_date.slice(0, 7) !== month || t.transaction_date > todayString) continue;
+        const amount = t.base_amount ?? parseFloat(t.amount);
+        const kind = classifyTransaction(t);
+        if (kind === 'income') figures.income += amount;
+        if (kind === 'spending') {
+            figures.spending -= amount;
+            if (t.category_type in figures) figures[t.category_type] -= amount;
+        }
+    }
+    const rule = findActiveBudgetRule(budgetSettings, new Date(today.getFullYear(), today.getMonth(), 1));
+    [['Needs', rule.needs_ratio], ['Wants', rule.wants_ratio]].forEach(([type, ratio]) => {
+        const target = figures.income * ratio;
+        const percent = target > 0 ? (figures[type] / target) * 100 : 0;
+        const level = levelOf(percent);
+        if (!level) return;
+        add({
+            id: `allocation-${type}-${month}-${level}`,
+            severity: level === 100 ? 'danger' : 'warning',
+            title: `${type} at ${Math.round(percent)}% of target`,
+            message: `${formatMoney(figures[type], baseCurrency)} of the ${formatMoney(target, baseCurrency)} allocated by "${rule.name}" in ${formatMonth(todayString)}.`,
+            date: todayString,
+        });
+    });
+    if (figures.spending > figures.income && figures.spending > 0) {
+        add({
+            id: `income-spent-${month}`,
+            severity: 'danger',
+            title: 'Spending exceeds income',
+            message: `${formatMoney(figures.spending, baseCurrency)} spent against ${formatMoney(figures.income, baseCurrency)} of income in ${formatMonth(todayString)}.`,
+            date: todayString,
+        });
+    }
+
+    // 3. Large transactions of the last days; transfers between accounts only move money around.
+    const since = toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() - LARGE_TRANSACTION_DAYS));
+    transactions.forEach(t => {
+        const amount = Math.abs(t.base_amount ?? parseFloat(t.amount));
+        if (t.transaction_date <= since || t.transaction_date > todayString || amount < largeTransaction) return;
+        if (classifyTransaction(t) === 'transfer') return;
+        add({
+            id: `large-${t.id}`,
+            severity: 'info',
+            title: `Large ${t.type === 'Income' ? 'income' : 'expense'}: ${formatMoney(amount, baseCurrency)}`,
+            message: `"${t.description}" on ${formatDate(t.transaction_date)}.`,
+            date: t.transaction_date,
+            link: `${periodLink(t.transaction_date)}&date_from=${t.transaction_date}&date_to=${t.transaction_date}`,
+        });
+    });
+
+    // 4. Scheduled payments coming up.
+    const soon = toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + UPCOMING_CHARGE_DAYS));
+    recurringOccurrences.filter(o => o.kind === 'expense' && !o.due && o.transaction_date <= soon).forEach(o => {
+        add({
+            id: `upcoming-${o.id}-${o.transaction_date}`,
+            severity: 'info',
+            title: `Upcoming payment: ${o.description}`,
+            message: `${formatMoney(Math.abs(parseFloat(o.amount)), o.currency)} on ${formatDate(o.transaction_date)}.`,
+            date: o.transaction_date,
+            link: periodLink(todayString),
+        });
+    });
+
+    // 5. The balance forecast to go negative.
+    const forecast = buildForecast({ transactions, balance, accounts, recurringIncomes, recurringExpenses, exchangeRates, baseCurrency, months: FORECAST_MONTHS, today });
+    if (forecast.negativeDays.length > 0) {
+        const first = forecast.negativeDays[0];
+        add({
+            id: `forecast-negative-${first.date}`,
+            severity: 'danger',
+            title: 'Balance forecast to go negative',
+            message: `From ${formatDate(first.date)}; lowest ${formatMoney(forecast.lowest.balance, baseCurrency)} on ${formatDate(forecast.lowest.date)}.`,
+            date: first.date,
+            link: '/forecast',
+        });
+    }
+
+    // 6. Contracts to cancel or about to renew.
+    subscriptionAlerts(recurringExpenses, today).forEach(alert => {
+        add({
+            id: `contract-${alert.key}`,
+            severity: alert.type === 'cancel' ? 'warning' : 'info',
+            title: alert.type === 'cancel' ? 'Cancellation deadline' : alert.type === 'renewal' ? 'Contract renewal' : 'Contract ending',
+            message: describeSubscriptionAlert(alert),
+            date: alert.date,
+            link: '/subscriptions',
+        });
+    });
+
+    return notifications.sort((a, b) => b.date.localeCompare(a.date));
+};
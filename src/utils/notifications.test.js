@@ -0,0 +1,92 @@
+// src/utils/notifications.test.js
+
+import { notificationQueries, buildNotifications } from './notifications';
+
+// 19 October 2026.
+const today = new Date(2026, 9, 19);
+
+const groceries = { id: 1, category_id: 5, category_name: 'Groceries', category_type: 'Needs', monthly_limit: '100', start_date: '2026-01-01', rollover: '0' };
+
+const transaction = (fields) => ({
+    id: 1, description: 'Lidl', amount: '-10', base_amount: -10, type: 'Expense', currency: 'EUR',
+    category_id: 5, category_type: 'Needs', transaction_date: '2026-10-05', ...fields,
+});
+
+const build = (fields) => buildNotifications({
+    transactions: [], balance: 1000, budgetSettings: [], categoryBudgets: [], accounts: [],
+    recurringIncomes: [], recurringExpenses: [], recurringOccurrences: [], exchangeRates: [], baseCurrency: 'EUR',
+    largeTransaction: 500, today, ...fields,
+});
+
+const idsOf = (notifications) => notifications.map(n => n.id);
+
+describe('notificationQueries', () => {
+    test('loads from 30 days ago, or from the start of the month when that is earlier', () => {
+        expect(notificationQueries([], today)).toEqual([{ date_from: '2026-09-19' }]);
+        expect(notificationQueries([], new Date(2026, 9, 31))).toEqual([{ date_from: '2026-10-01' }]);
+    });
+
+    test('adds the earlier expenses of the envelopes that roll over', () => {
+        expect(notificationQueries([groceries], today)).toEqual([{ date_from: '2026-09-19' }]);
+        expect(notificationQueries([{ ...groceries, rollover: '1' }], today)).toEqual([
+            { date_from: '2026-09-19' },
+            { type: 'Expense', category_id: '5', date_from: '2026-01-01', date_to: '2026-09-18' },
+        ]);
+    });
+});
+
+describe('buildNotifications', () => {
+    test('reports nothing when nothing happened', () => {
+        expect(build()).toEqual([]);
+    });
+
+    test('reports a category budget that is exceeded, and spending beyond income', () => {
+        const notifications = build({ categoryBudgets: [groceries], transactions: [transaction({ amount: '-120', base_amount: -120 })] });
+        expect(idsOf(notifications)).toEqual(expect.arrayContaining(['budget-5-2026-10-100', 'income-spent-2026-10']));
+        expect(notifications.find(n => n.id === 'budget-5-2026-10-100')).toMatchObject({ severity: 'danger', link: '/?period=2026-10' });
+    });
+
+    test('warns about a budget share of the rule passing 80%', () => {
+        const notifications = build({
+            budgetSettings: [{ name: '50/30/20', needs_ratio: 50, wants_ratio: 30, savings_ratio: 20, start_date: '2026-01-01' }],
+            largeTransaction: 5000,
+            transactions: [
+                transaction({ id: 1, amount: '1000', base_amount: 1000, type: 'Income', category_type: 'Income' }),
+                transaction({ id: 2, amount: '-450', base_amount: -450 }),
+            ],
+        });
+        expect(idsOf(notifications)).toEqual(['allocation-Needs-2026-10-80']);
+    });
+
+    test('reports large transactions of the last 30 days, but not transfers or future ones', () => {
+        const notifications = build({
+            transactions: [
+                transaction({ id: 1, amount: '600', base_amount: 600, type: 'Income', category_type: 'Income', transaction_date: '2026-10-10' }),
+                transaction({ id: 2, amount: '-700', base_amount: -700, transaction_date: '2026-09-10' }),
+                transaction({ id: 3, amount: '-800', base_amount: -800, transfer_group: 'abc', category_id: null, category_type: null }),
+                transaction({ id: 4, amount: '-900', base_amount: -900, transaction_date: '2026-10-25' }),
+            ],
+        });
+        expect(idsOf(notifications).filter(id => id.startsWith('large-'))).toEqual(['large-1']);
+    });
+
+    test('announces scheduled payments due in the next 3 days', () => {
+        const notifications = build({
+            recurringOccurrences: [
+                { id: 3, kind: 'expense', due: false, description: 'Gym', amount: '30', currency: 'EUR', transaction_date: '2026-10-21' },
+                { id: 4, kind: 'expense', due: false, description: 'Rent', amount: '500', currency: 'EUR', transaction_date: '2026-10-28' },
+                { id: 5, kind: 'income', due: false, description: 'Salary', amount: '2000', currency: 'EUR', transaction_date: '2026-10-20' },
+            ],
+        });
+        expect(idsOf(notifications)).toEqual(['upcoming-3-2026-10-21']);
+    });
+
+    test('warns when the balance is forecast to go negative', () => {
+        const notifications = build({
+            balance: 100,
+            transactions: [transaction({ id: 7, amount: '-150', base_amount: -150, transaction_date: '2026-11-02' })],
+        });
+        expect(idsOf(notifications)).toEqual(['forecast-negative-2026-11-02']);
+        expect(notifications[0]).toMatchObject({ severity: 'danger', link: '/forecast' });
+    });
+});
@@ -0,0 +1,169 @@
+// src/utils/recurrence.js
+
+// The patterns a recurring schedule can follow (see api/recurenta.php, which generates the transactions).
+// `unit` names what `interval_count` counts, in the singular.
+export const RECURRENCE_PATTERNS = [
+    { value: 'daily', label: 'Daily', unit: 'day' },
+    { value: 'weekly', label: 'Weekly', unit: 'week' },
+    { value: 'biweekly', label: 'Every two weeks', unit: 'fortnight' },
+    { value: 'monthly', label: 'Monthly', unit: 'month' },
+    { value: 'quarterly', label: 'Quarterly', unit: 'quarter' },
+    { value: 'yearly', label: 'Yearly', unit: 'year' },
+    { value: 'last_business_day', label: 'Last business day of the month', unit: 'month' },
+];
+
+// How many days ahead the "Upcoming & pending" panel lists the schedules' occurrences.
+export const UPCOMING_DAYS = 14;
+
+// ISO days of the week, as stored in `weekday`.
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// The patterns that fall on a day of the month (`recurrence_day`), and the ones that can fall on a day of the week.
+export const usesDayOfMonth = (frequency) => ['monthly', 'quarterly', 'yearly'].includes(frequency);
+export const usesWeekday = (frequency) => ['weekly', 'biweekly'].includes(frequency);
+
+const MONTH_STEPS = { monthly: 1, quarterly: 3, yearly: 12, last_business_day: 1 };
+
+// Parses a "YYYY-MM-DD" string as a local date at midnight.
+const parseDate = (dateString) => new Date(dateString + 'T00:00:00');
+
+/**
+ * @function occurrenceInMonth
+ * @description The date a schedule falls on in a given month. A recurrence day the month doesn't have
+ * (e.g., the 31st in February) is clamped to the month's last day.
+ * @param {number} year - The full year.
+ * @param {number} monthIndex - The month, 0 to 11.
+ * @param {number} recurrenceDay - The schedule's day of the month (1 to 31).
+ * @returns {Date} The occurrence date.
+ */
+export const occurrenceInMonth = (year, monthIndex, recurrenceDay) => {
+    const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+    return new Date(year, monthIndex, Math.min(recurrenceDay, lastDay));
+};
+
+/**
+ * @function nthOccurrence
+ * @description The date of a schedule's n-th occurrence (counting from 0), before its start and end dates are applied.
+ * Weekly patterns start on the first chosen weekday on or after the start date; month-based ones count the months
+ * from the month of the start date. The last business day is the month's last Monday to Friday.
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {Date} startDate - The schedule's start date.
+ * @param {number} n - Which occurrence.
+ * @returns {Date} The occurrence date.
+ */
+const nthOccurrence = (schedule, startDate, n) => {
+    const frequency = schedule.frequency || 'monthly';
+    const step = Math.max(1, parseInt(schedule.interval_count, 10) || 1);
+    const year = startDate.getFullYear();
+    const month = startDate.getMonth();
+
+    if (frequency === 'daily') return new Date(year, month, startDate.getDate() + n * step);
+    if (usesWeekday(frequency)) {
+        const isoDay = startDate.getDay() || 7;
+        const offset = schedule.weekday ? (parseInt(schedule.weekday, 10) - isoDay + 7) % 7 : 0;
+        const days = frequency === 'biweekly' ? 14 : 7;
+        return new Date(year, month, startDate.getDate() + offset + n * step * days);
+    }
+
+    const monthIndex = month + n * step * MONTH_STEPS[frequency];
+    if (frequency === 'last_business_day') {
+        const date = new Date(year, monthIndex + 1, 0);
+        while (date.getDay() === 0 || date.getDay() === 6) date.setDate(date.getDate() - 1);
+        return date;
+    }
+    const recurrenceDay = parseInt(schedule.recurrence_day, 10) || startDate.getDate();
+    const first = new Date(year, monthIndex, 1);
+    return occurrenceInMonth(first.getFullYear(), first.getMonth(), recurrenceDay);
+};
+
+/**
+ * @function recurrenceDates
+ * @description Lists the dates a schedule's pattern falls on, from its start date, after `fromDate` and up to `toDate`.
+ * The end date is left to the caller (see scheduleOccurrences in forecast.js).
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {Date|null} fromDate - Occurrences on or before this date are excluded; null to include all of them.
+ * @param {Date} toDate - The last date to include.
+ * @returns {Array<Date>} The occurrence dates, in order.
+ */
+export const recurrenceDates = (schedule, fromDate, toDate) => {
+    const startDate = parseDate(schedule.start_date);
+    const dates = [];
+    // The occurrences only move forward, so the first one past `toDate` ends the list.
+    for (let n = 0, date = nthOccurrence(schedule, startDate, 0); date <= toDate; n++, date = nthOccurrence(schedule, startDate, n)) {
+        // A monthly occurrence can fall before the start date in the first month (e.g., the 10th, starting on the 25th).
+        if (date >= startDate && (!fromDate || date > fromDate)) dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * @function nextOccurrence
+ * @description The next date a schedule will generate a transaction on, from today.
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {Date|null} The date, or null when the schedule has ended.
+ */
+export const nextOccurrence = (schedule, today = new Date()) => {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const end = schedule.end_date ? parseDate(schedule.end_date) : new Date(start.getFullYear() + 2, start.getMonth(), start.getDate());
+    if (end < start) return null;
+    const yesterday = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+    return recurrenceDates(schedule, yesterday, end)[0] || null;
+};
+
+/**
+ * @function describeRecurrence
+ * @description Describes a schedule's pattern in words, e.g. "Monthly on day 15", "Every 2 weeks on Friday",
+ * "Every 3 months on day 1" or "Last business day of every month".
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @returns {string} The description.
+ */
+export const describeRecurrence = (schedule) => {
+    const frequency = schedule.frequency || 'monthly';
+    const step = Math.max(1, parseInt(schedule.interval_count, 10) || 1);
+    const pattern = RECURRENCE_PATTERNS.find(p => p.value === frequency) || RECURRENCE_PATTERNS[3];
+
+    if (frequency === 'last_business_day') return step === 1 ? 'Last business day of every month' : `Last business day of every ${step} months`;
+    let text = step === 1 ? pattern.label : `Every ${step} ${pattern.unit}s`;
+    if (usesWeekday(frequency) && schedule.weekday) text += ` on ${WEEKDAYS[parseInt(schedule.weekday, 10) - 1]}`;
+    if (usesDayOfMonth(frequency)) {
+        text += ` on day ${schedule.recurrence_day}`;
+        if (frequency === 'yearly') text += ` of ${new Intl.DateTimeFormat('en-GB', { month: 'long' }).format(parseDate(schedule.start_date))}`;
+    }
+    return text;
+};
+
+/**
+ * @function amountOn
+ * @description The amount of a schedule valid on a date: the latest of its dated revisions (`amount_history`) from
+ * on or before that date, or the schedule's own amount before the first one (as the server's processors do).
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {string} dateString - The date, "YYYY-MM-DD".
+ * @returns {number} The amount, as stored (positive).
+ */
+export const amountOn = (schedule, dateString) => {
+    const revision = (schedule.amount_history || []).filter(r => r.valid_from <= dateString).pop();
+    return parseFloat(revision ? revision.amount : schedule.amount);
+};
+
+/**
+ * @function yearOverYearChange
+ * @description Compares what a schedule costs now with what it cost a year ago: the amount valid today against the
+ * amount valid on the same day last year, and the difference over a year of occurrences at the current pattern.
+ * @param {Object} schedule - A recurring income or expense as returned by the API.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {{ before: number, now: number, change: number, perYear: number }|null} `change` is a fraction (0.19 for +19%);
+ * null when the schedule is younger than a year or its amount hasn't changed since.
+ */
+export const yearOverYearChange = (schedule, today = new Date()) => {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const yearAgo = new Date(start.getFullYear() - 1, start.getMonth(), start.getDate());
+    if (parseDate(schedule.start_date) > yearAgo) return null;
+
+    const format = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const before = amountOn(schedule, format(yearAgo));
+    const now = amountOn(schedule, format(start));
+    if (before === now || before === 0) return null;
+    const occurrences = recurrenceDates(schedule, yearAgo, start).length;
+    return { before, now, change: (now - before) / before, perYear: (now - before) * occurrences };
+};
@@ -0,0 +1,100 @@
+// src/utils/recurrence.test.js
+
+import { occurrenceInMonth, recurrenceDates, nextOccurrence, describeRecurrence, amountOn, yearOverYearChange } from './recurrence';
+import { toDateString } from './forecast';
+
+const datesOf = (schedule, from, to) => recurrenceDates(schedule, from, new Date(to + 'T00:00:00')).map(toDateString);
+
+describe('occurrenceInMonth', () => {
+    test('clamps a day the month does not have to its last day', () => {
+        expect(toDateString(occurrenceInMonth(2025, 1, 31))).toBe('2025-02-28');
+        expect(toDateString(occurrenceInMonth(2024, 1, 31))).toBe('2024-02-29');
+        expect(toDateString(occurrenceInMonth(2025, 3, 15))).toBe('2025-04-15');
+    });
+});
+
+describe('recurrenceDates', () => {
+    test('repeats monthly on the recurrence day, clamped in short months', () => {
+        const schedule = { frequency: 'monthly', recurrence_day: 31, start_date: '2025-01-31' };
+        expect(datesOf(schedule, null, '2025-04-30')).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+
+    test('skips a first-month occurrence before the start date and the ones up to fromDate', () => {
+        const schedule = { frequency: 'monthly', recurrence_day: 10, start_date: '2025-01-25' };
+        expect(datesOf(schedule, null, '2025-03-31')).toEqual(['2025-02-10', '2025-03-10']);
+        expect(datesOf(schedule, new Date('2025-02-10T00:00:00'), '2025-03-31')).toEqual(['2025-03-10']);
+    });
+
+    test('starts weekly patterns on the first chosen weekday and applies the interval', () => {
+        // 2025-03-03 is a Monday; weekday 5 is Friday.
+        const schedule = { frequency: 'weekly', weekday: 5, interval_count: 2, start_date: '2025-03-03' };
+        expect(datesOf(schedule, null, '2025-04-01')).toEqual(['2025-03-07', '2025-03-21']);
+    });
+
+    test('counts quarters and years from the start month', () => {
+        expect(datesOf({ frequency: 'quarterly', recurrence_day: 1, start_date: '2025-01-01' }, null, '2025-12-31'))
+            .toEqual(['2025-01-01', '2025-04-01', '2025-07-01', '2025-10-01']);
+        expect(datesOf({ frequency: 'yearly', recurrence_day: 29, start_date: '2024-02-29' }, null, '2026-03-01'))
+            .toEqual(['2024-02-29', '2025-02-28', '2026-02-28']);
+    });
+
+    test('moves the last business day off the weekend', () => {
+        // 31 May 2025 is a Saturday and 31 August 2025 a Sunday.
+        const schedule = { frequency: 'last_business_day', start_date: '2025-05-01' };
+        expect(datesOf(schedule, null, '2025-08-31')).toEqual(['2025-05-30', '2025-06-30', '2025-07-31', '2025-08-29']);
+    });
+
+    test('steps daily patterns by their interval', () => {
+        expect(datesOf({ frequency: 'daily', interval_count: 3, start_date: '2025-01-30' }, null, '2025-02-06'))
+            .toEqual(['2025-01-30', '2025-02-02', '2025-02-05']);
+    });
+});
+
+describe('nextOccurrence', () => {
+    const schedule = { frequency: 'monthly', recurrence_day: 15, start_date: '2025-01-15' };
+
+    test('finds the next date from today, today included', () => {
+        expect(toDateString(nextOccurrence(schedule, new Date(2025, 2, 15)))).toBe('2025-03-15');
+        expect(toDateString(nextOccurrence(schedule, new Date(2025, 2, 16)))).toBe('2025-04-15');
+    });
+
+    test('returns null once the schedule has ended', () => {
+        expect(nextOccurrence({ ...schedule, end_date: '2025-02-28' }, new Date(2025, 2, 1))).toBeNull();
+    });
+});
+
+describe('describeRecurrence', () => {
+    test('describes each kind of pattern', () => {
+        expect(describeRecurrence({ frequency: 'monthly', recurrence_day: 15 })).toBe('Monthly on day 15');
+        expect(describeRecurrence({ frequency: 'weekly', interval_count: 2, weekday: 5 })).toBe('Every 2 weeks on Friday');
+        expect(describeRecurrence({ frequency: 'quarterly', interval_count: 1, recurrence_day: 1 })).toBe('Quarterly on day 1');
+        expect(describeRecurrence({ frequency: 'yearly', recurrence_day: 3, start_date: '2025-06-03' })).toBe('Yearly on day 3 of June');
+        expect(describeRecurrence({ frequency: 'last_business_day', interval_count: 3 })).toBe('Last business day of every 3 months');
+    });
+});
+
+describe('amountOn and yearOverYearChange', () => {
+    const schedule = {
+        frequency: 'monthly', recurrence_day: 1, start_date: '2024-01-01', amount: '12.99',
+        amount_history: [{ valid_from: '2025-09-01', amount: '15.49' }],
+    };
+
+    test('uses the latest revision valid on the date', () => {
+        expect(amountOn(schedule, '2025-08-31')).toBe(12.99);
+        expect(amountOn(schedule, '2025-09-01')).toBe(15.49);
+        expect(amountOn({ amount: '10' }, '2025-01-01')).toBe(10);
+    });
+
+    test('compares the amount now with the one a year ago', () => {
+        const result = yearOverYearChange(schedule, new Date(2025, 9, 15));
+        expect(result.before).toBe(12.99);
+        expect(result.now).toBe(15.49);
+        expect(result.change).toBeCloseTo(2.5 / 12.99);
+        expect(result.perYear).toBeCloseTo(2.5 * 12);
+    });
+
+    test('returns null for a young schedule or an unchanged amount', () => {
+        expect(yearOverYearChange({ ...schedule, start_date: '2025-01-01' }, new Date(2025, 9, 15))).toBeNull();
+        expect(yearOverYearChange({ ...schedule, amount_history: [] }, new Date(2025, 9, 15))).toBeNull();
+    });
+});
@@ -0,0 +1,138 @@
+// src/utils/subscriptions.js
+
+import { toDateString, scheduleOccurrences } from './forecast';
+import { amountOn, occurrenceInMonth } from './recurrence';
+
+// How many days before a deadline a subscription is flagged, when the schedule doesn't say (`reminder_days`).
+export const DEFAULT_REMINDER_DAYS = 30;
+
+// How many times a year each pattern repeats, before `interval_count` is applied.
+const PER_YEAR = { daily: 365, weekly: 52, biweekly: 26, monthly: 12, quarterly: 4, yearly: 1, last_business_day: 12 };
+
+// Parses a "YYYY-MM-DD" string as a local date at midnight.
+const parseDate = (dateString) => new Date(dateString + 'T00:00:00');
+
+// Whole days from one "YYYY-MM-DD" date to another (negative when `to` is earlier).
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / 86400000);
+
+// A date moved by a number of months, keeping its day of the month where the month has it.
+const addMonths = (dateString, months) => {
+    const date = parseDate(dateString);
+    return toDateString(occurrenceInMonth(date.getFullYear(), date.getMonth() + months, date.getDate()));
+};
+
+// A date moved by a number of days.
+const addDays = (dateString, days) => {
+    const date = parseDate(dateString);
+    return toDateString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+/**
+ * @function annualCost
+ * @description What a recurring expense costs over a year at its current amount and pattern, in its own currency.
+ * @param {Object} schedule - A recurring expense as returned by the API.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {number} The yearly cost (divide by 12 for the monthly one).
+ */
+export const annualCost = (schedule, today = new Date()) => {
+    const step = Math.max(1, parseInt(schedule.interval_count, 10) || 1);
+    const perYear = (PER_YEAR[schedule.frequency || 'monthly'] || 12) / step;
+    return Math.abs(amountOn(schedule, toDateString(today))) * perYear;
+};
+
+/**
+ * @function contractTerms
+ * @description Works out where a payment under contract stands today. A contract that renews on its own
+ * (`renewal_months`) is moved on by whole terms until its end is today or later. The notice period (`notice_days`)
+ * gives the last day it can be cancelled before that end; once that day has passed, a renewing contract can only
+ * be left at the end of the following term.
+ * @param {Object} schedule - A recurring expense as returned by the API.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {Object|null} { end, renews, renewalMonths, noticeDays, cancelBy, daysToEnd, daysToCancelBy, exitDate, ended },
+ * all dates as "YYYY-MM-DD"; `exitDate` is the earliest date the payments can stop. Null when there is no contract.
+ */
+export const contractTerms = (schedule, today = new Date()) => {
+    if (!schedule.contract_end_date) return null;
+    const todayString = toDateString(today);
+    const renewalMonths = parseInt(schedule.renewal_months, 10) || 0;
+    const noticeDays = parseInt(schedule.notice_days, 10) || 0;
+
+    let end = schedule.contract_end_date;
+    for (let terms = 1; renewalMonths > 0 && end < todayString; terms++) {
+        end = addMonths(schedule.contract_end_date, terms * renewalMonths);
+    }
+    const ended = end < todayString;
+    const cancelBy = addDays(end, -noticeDays);
+    let exitDate = end;
+    if (ended) exitDate = todayString;
+    else if (cancelBy < todayString && renewalMonths > 0) exitDate = addMonths(end, renewalMonths);
+
+    return {
+        end, renews: renewalMonths > 0, renewalMonths, noticeDays, cancelBy, exitDate, ended,
+        daysToEnd: daysBetween(todayString, end),
+        daysToCancelBy: daysBetween(todayString, cancelBy),
+    };
+};
+
+/**
+ * @function savingsIfCancelled
+ * @description How much cancelling a recurring expense would save over the next months, in its own currency:
+ * every occurrence after the earliest date it can stop (see contractTerms), at the amount valid on its date.
+ * @param {Object} schedule - A recurring expense as returned by the API.
+ * @param {number} [months=12] - How far ahead to count.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {number} The amount saved.
+ */
+export const savingsIfCancelled = (schedule, months = 12, today = new Date()) => {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const horizon = new Date(start.getFullYear(), start.getMonth() + months, start.getDate());
+    const terms = contractTerms(schedule, start);
+    const from = terms && terms.exitDate > toDateString(start) ? parseDate(terms.exitDate) : start;
+    return scheduleOccurrences(schedule, from, horizon)
+        .reduce((sum, date) => sum + Math.abs(amountOn(schedule, toDateString(date))), 0);
+};
+
+/**
+ * @function subscriptionAlerts
+ * @description The reminders for payments under contract whose deadlines are near: the last day to cancel
+ * (give notice), and the day the contract renews on its own or ends. Each is raised `reminder_days` days ahead.
+ * Schedules that have already stopped are left out.
+ * @param {Array} schedules - The recurring expenses as returned by the API.
+ * @param {Date} [today] - Defaults to today.
+ * @returns {Array<Object>} { key, schedule, type ('cancel', 'renewal' or 'end'), date, days }, soonest first.
+ */
+export const subscriptionAlerts = (schedules, today = new Date()) => {
+    const todayString = toDateString(today);
+    const alerts = [];
+    schedules.forEach(schedule => {
+        if (schedule.end_date && schedule.end_date < todayString) return;
+        const terms = contractTerms(schedule, today);
+        if (!terms || terms.ended) return;
+        const reminderDays = schedule.reminder_days !== undefined && schedule.reminder_days !== null && schedule.reminder_days !== ''
+            ? parseInt(schedule.reminder_days, 10) : DEFAULT_REMINDER_DAYS;
+        const add = (type, date, days) => {
+            if (days >= 0 && days <= reminderDays) alerts.push({ key: `${schedule.id}-${type}-${date}`, schedule, type, date, days });
+        };
+        // The notice deadline only matters when it comes before the end (a notice period of 0 days is the end itself).
+        if (terms.noticeDays > 0) add('cancel', terms.cancelBy, terms.daysToCancelBy);
+        add(terms.renews ? 'renewal' : 'end', terms.end, terms.daysToEnd);
+    });
+    return alerts.sort((a, b) => a.days - b.days);
+};
+
+// "in 5 days", "tomorrow" or "today".
+const inDays = (days) => (days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`);
+
+/**
+ * @function describeSubscriptionAlert
+ * @description The sentence shown for a reminder from subscriptionAlerts, e.g. 'Last day to cancel "Gym" is in 5 days (24 October 2026).'
+ * @param {Object} alert - The reminder.
+ * @returns {string} The sentence.
+ */
+export const describeSubscriptionAlert = (alert) => {
+    const name = `"${alert.schedule.description}"`;
+    const date = new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }).format(parseDate(alert.date));
+    if (alert.type === 'cancel') return `Last day to cancel ${name} is ${inDays(alert.days)} (${date}).`;
+    if (alert.type === 'renewal') return `${name} renews automatically ${inDays(alert.days)} (${date}).`;
+    return `The contract for ${name} ends ${inDays(alert.days)} (${date}).`;
+};
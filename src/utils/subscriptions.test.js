@@ -0,0 +1,62 @@
+// src/utils/subscriptions.test.js
+
+import { annualCost, contractTerms, savingsIfCancelled, subscriptionAlerts, describeSubscriptionAlert } from './subscriptions';
+
+const today = new Date(2025, 2, 15);
+const expense = (fields) => ({ id: 1, description: 'Gym', amount: '10', frequency: 'monthly', recurrence_day: 1, start_date: '2025-01-01', end_date: null, ...fields });
+
+describe('annualCost', () => {
+    test('multiplies the current amount by the occurrences in a year', () => {
+        expect(annualCost(expense(), today)).toBe(120);
+        expect(annualCost(expense({ frequency: 'weekly', interval_count: 2, amount: '5' }), today)).toBe(130);
+        expect(annualCost(expense({ frequency: 'quarterly', amount: '30' }), today)).toBe(120);
+        expect(annualCost(expense({ amount_history: [{ valid_from: '2025-03-01', amount: '12' }] }), today)).toBe(144);
+    });
+});
+
+describe('contractTerms', () => {
+    test('moves a renewing contract on by whole terms', () => {
+        expect(contractTerms(expense({ contract_end_date: '2025-01-31', renewal_months: '12', notice_days: '30' }), today)).toEqual({
+            end: '2026-01-31', renews: true, renewalMonths: 12, noticeDays: 30, cancelBy: '2026-01-01',
+            exitDate: '2026-01-31', ended: false, daysToEnd: 322, daysToCancelBy: 292,
+        });
+    });
+
+    test('keeps a renewing contract one more term once the notice deadline has passed', () => {
+        expect(contractTerms(expense({ contract_end_date: '2025-03-31', renewal_months: '12', notice_days: '30' }), today).exitDate).toBe('2026-03-31');
+    });
+
+    test('lets an ended contract stop today and returns null without a contract', () => {
+        expect(contractTerms(expense({ contract_end_date: '2025-02-28' }), today)).toMatchObject({ ended: true, exitDate: '2025-03-15' });
+        expect(contractTerms(expense(), today)).toBeNull();
+    });
+});
+
+describe('savingsIfCancelled', () => {
+    test('counts the occurrences after the earliest date the payments can stop', () => {
+        expect(savingsIfCancelled(expense(), 12, today)).toBe(120);
+        expect(savingsIfCancelled(expense({ contract_end_date: '2025-06-30' }), 12, today)).toBe(90);
+    });
+});
+
+describe('subscriptionAlerts', () => {
+    test('raises the notice and end reminders due within the reminder window, soonest first', () => {
+        const alerts = subscriptionAlerts([
+            expense({ id: 1, contract_end_date: '2025-04-10', renewal_months: '12', notice_days: '30' }),
+            expense({ id: 2, contract_end_date: '2025-03-20', reminder_days: '7' }),
+            expense({ id: 3, contract_end_date: '2025-04-30', notice_days: '40' }),
+            expense({ id: 4, contract_end_date: '2025-03-20', end_date: '2025-03-01' }),
+            expense({ id: 5, contract_end_date: '2025-03-25', reminder_days: '0' }),
+        ], today);
+        expect(alerts.map(a => [a.key, a.days])).toEqual([['2-end-2025-03-20', 5], ['3-cancel-2025-03-21', 6], ['1-renewal-2025-04-10', 26]]);
+    });
+});
+
+describe('describeSubscriptionAlert', () => {
+    test('words each kind of reminder', () => {
+        const schedule = expense();
+        expect(describeSubscriptionAlert({ schedule, type: 'cancel', date: '2025-03-21', days: 6 })).toBe('Last day to cancel "Gym" is in 6 days (21 March 2025).');
+        expect(describeSubscriptionAlert({ schedule, type: 'renewal', date: '2025-03-16', days: 1 })).toBe('"Gym" renews automatically tomorrow (16 March 2025).');
+        expect(describeSubscriptionAlert({ schedule, type: 'end', date: '2025-03-15', days: 0 })).toBe('The contract for "Gym" ends today (15 March 2025).');
+    });
+});
@@ -0,0 +1,72 @@
+// src/utils/tableFilters.js
+
+// The category types, in the order they are offered as filters.
+export const CATEGORY_TYPES = ['Needs', 'Wants', 'Savings', 'Income'];
+
+// The table's filters when nothing is selected. The names match the transactions endpoint's query parameters,
+// so the same object is written to the page URL and sent to the API.
+export const EMPTY_TABLE_FILTERS = {
+    q: '',
+    date_from: '',
+    date_to: '',
+    account_id: '',
+    category_id: [],
+    category_type: [],
+    type: '',
+    recurring: '',
+    amount_min: '',
+    amount_max: '',
+    sort: 'date',
+    order: 'desc',
+};
+
+// The filters that can hold several values; they are comma-separated in the query string.
+const LIST_KEYS = ['category_id', 'category_type'];
+
+// The filters in the collapsible "More filters" panel, counted on its toggle button.
+const PANEL_KEYS = ['category_id', 'category_type', 'type', 'recurring', 'amount_min', 'amount_max'];
+
+/**
+ * @function readTableFilters
+ * @description Reads the table's filters from the page's query string. Missing parameters keep their empty value.
+ * @param {URLSearchParams} searchParams - The query string, as given by React Router's useSearchParams.
+ * @returns {Object} The filters, shaped like EMPTY_TABLE_FILTERS.
+ */
+export const readTableFilters = (searchParams) => {
+    const filters = { ...EMPTY_TABLE_FILTERS };
+    Object.keys(EMPTY_TABLE_FILTERS).forEach(key => {
+        const value = searchParams.get(key);
+        if (value === null || value === '') return;
+        filters[key] = LIST_KEYS.includes(key) ? value.split(',').filter(Boolean) : value;
+    });
+    if (filters.order !== 'asc') filters.order = 'desc';
+    return filters;
+};
+
+/**
+ * @function toTableQuery
+ * @description Turns the table's filters into query-string parameters, leaving out empty filters and the default sort,
+ * so an unfiltered table has a clean URL.
+ * @param {Object} filters - The filters, shaped like EMPTY_TABLE_FILTERS.
+ * @returns {Object<string, string>} The parameters, e.g. { q: 'rent', category_type: 'Needs,Wants' }.
+ */
+export const toTableQuery = (filters) => {
+    const query = {};
+    Object.entries(filters).forEach(([key, value]) => {
+        const text = Array.isArray(value) ? value.join(',') : String(value ?? '').trim();
+        if (text === '' || text === EMPTY_TABLE_FILTERS[key]) return;
+        query[key] = text;
+    });
+    return query;
+};
+
+/**
+ * @function countPanelFilters
+ * @description Counts how many of the "More filters" panel's filters are in use (an amount range counts once per bound).
+ * @param {Object} filters - The filters, shaped like EMPTY_TABLE_FILTERS.
+ * @returns {number} The number of filters in use.
+ */
+export const countPanelFilters = (filters) => PANEL_KEYS.filter(key => {
+    const value = filters[key];
+    return Array.isArray(value) ? value.length > 0 : value !== '';
+}).length;
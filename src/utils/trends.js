@@ -0,0 +1,113 @@
+// src/utils/trends.js
+
+import { isAccountTransfer } from './accounts';
+import { expandCategoryLines } from './categoryLines';
+import { toDateString } from './forecast';
+
+/**
+ * @function classifyTransaction
+ * @description Says how a transaction counts in the Dashboard's trend charts, the notifications and the
+ * other figures worked out in the browser. The selected-period summary is computed on the server, by executaSUMMARY
+ * in api/transactions.php, which applies the same rules in PHP; a change here must be made there too:
+ * - 'transfer': a transfer between the user's own accounts; neither income nor spending.
+ * - 'income': money coming in (an Income outside the Savings categories).
+ * - 'withdrawal': money taken out of savings (an Income in a Savings category); not counted as income.
+ * - 'savings': money moved into savings (an Expense in a Savings category); not counted as spending.
+ * - 'spending': every other Expense.
+ * @param {Object} transaction - A transaction as returned by the API.
+ * @returns {string} One of the kinds above.
+ */
+export const classifyTransaction = (transaction) => {
+    if (isAccountTransfer(transaction)) return 'transfer';
+    if (transaction.type === 'Income') return transaction.category_type === 'Savings' ? 'withdrawal' : 'income';
+    return transaction.category_type === 'Savings' ? 'savings' : 'spending';
+};
+
+// The number of periods the trend charts can show, per granularity.
+export const TREND_RANGES = { month: [6, 12, 24], year: [3, 5, 10] };
+
+/**
+ * @function trendRange
+ * @description The dates summarizeTrends covers: from the first day of the first period to the last day of the last one.
+ * @param {Object} options - { granularity, count, endDate }, as for summarizeTrends.
+ * @returns {Object} { date_from, date_to }, as "YYYY-MM-DD", in the form the transactions endpoint expects.
+ */
+export const trendRange = ({ granularity, count, endDate = new Date() }) => {
+    const isYearly = granularity === 'year';
+    const first = isYearly ? new Date(endDate.getFullYear() - count + 1, 0, 1) : new Date(endDate.getFullYear(), endDate.getMonth() - count + 1, 1);
+    const last = isYearly ? new Date(endDate.getFullYear(), 11, 31) : new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0);
+    return { date_from: toDateString(first), date_to: toDateString(last) };
+};
+
+/**
+ * @function summarizeTrends
+ * @description Totals income, spending and savings for each of the last `count` months or years, ending with the
+ * period that contains `endDate`. All amounts are in the base currency (`base_amount`).
+ * A transaction split across several categories counts each line in its own category.
+ * @param {Array} transactions - The transactions of the range (see trendRange); earlier ones only add to the savings pot.
+ * @param {Object} options - The range to summarize.
+ * @param {string} options.granularity - 'month' or 'year'.
+ * @param {number} options.count - How many periods to include.
+ * @param {Date} [options.endDate] - A date within the last period. Defaults to today.
+ * @param {number} [options.openingPot] - The savings pot before the first period (e.g. the summary's `savings_pot`
+ * on the day before it), when the transactions before the range aren't given.
+ * @returns {Array<Object>} One bucket per period, oldest first: { year, month (null for years), income, spending,
+ * savings (moved into savings), withdrawals, net (income minus spending), savingsPot (the pot's total at the
+ * end of the period), categories ({ [name]: spending }) }.
+ */
+export const summarizeTrends = (transactions, { granularity, count, endDate = new Date(), openingPot = 0 }) => {
+    const isYearly = granularity === 'year';
+    // Periods are identified by a sortable key: "YYYY" or "YYYY-MM".
+    const keyOf = (dateString) => (isYearly ? dateString.slice(0, 4) : dateString.slice(0, 7));
+
+    const buckets = [];
+    for (let i = count - 1; i >= 0; i--) {
+        const date = isYearly
+            ? new Date(endDate.getFullYear() - i, 0, 1)
+            : new Date(endDate.getFullYear(), endDate.getMonth() - i, 1);
+        const year = date.getFullYear();
+        const month = isYearly ? null : date.getMonth() + 1;
+        buckets.push({
+            key: isYearly ? `${year}` : `${year}-${String(month).padStart(2, '0')}`,
+            year, month,
+            income: 0, spending: 0, savings: 0, withdrawals: 0, net: 0, savingsPot: 0,
+            categories: {},
+        });
+    }
+    const bucketByKey = new Map(buckets.map(b => [b.key, b]));
+    const lastKey = buckets[buckets.length - 1].key;
+
+    // The savings pot before the first period; each bucket's pot is then the running total.
+    let pot = openingPot;
+    const potChangeByKey = new Map();
+    for (const t of expandCategoryLines(transactions)) {
+        const amount = t.base_amount ?? parseFloat(t.amount);
+        const key = keyOf(t.transaction_date);
+        if (key > lastKey) continue;
+        const kind = classifyTransaction(t);
+
+        // The pot grows with every move into savings and shrinks with every withdrawal, like on the Dashboard.
+        if (kind === 'savings' || kind === 'withdrawal') {
+            if (key < buckets[0].key) pot -= amount;
+            else potChangeByKey.set(key, (potChangeByKey.get(key) || 0) - amount);
+        }
+
+        const bucket = bucketByKey.get(key);
+        if (!bucket) continue;
+        if (kind === 'income') bucket.income += amount;
+        else if (kind === 'savings') bucket.savings -= amount;
+        else if (kind === 'withdrawal') bucket.withdrawals += amount;
+        else if (kind === 'spending') {
+            bucket.spending -= amount;
+            const name = t.category_name || 'Uncategorized';
+            bucket.categories[name] = (bucket.categories[name] || 0) - amount;
+        }
+    }
+
+    for (const bucket of buckets) {
+        pot += potChangeByKey.get(bucket.key) || 0;
+        bucket.savingsPot = pot;
+        bucket.net = bucket.income - bucket.spending;
+    }
+    return buckets;
+};
@@ -0,0 +1,47 @@
+// src/utils/trends.test.js
+
+import { classifyTransaction, trendRange, summarizeTrends } from './trends';
+
+const row = (date, type, amount, fields) => ({ transaction_date: date, type, amount: String(amount), category_type: 'Needs', category_name: 'Groceries', ...fields });
+
+describe('classifyTransaction', () => {
+    test('tells income, spending, savings, withdrawals and transfers apart', () => {
+        expect(classifyTransaction({ type: 'Income', category_type: 'Needs' })).toBe('income');
+        expect(classifyTransaction({ type: 'Income', category_type: 'Savings' })).toBe('withdrawal');
+        expect(classifyTransaction({ type: 'Expense', category_type: 'Savings' })).toBe('savings');
+        expect(classifyTransaction({ type: 'Expense', category_type: 'Wants' })).toBe('spending');
+        expect(classifyTransaction({ type: 'Expense', transfer_group: 'abc' })).toBe('transfer');
+    });
+});
+
+describe('trendRange', () => {
+    test('covers whole months or whole years', () => {
+        expect(trendRange({ granularity: 'month', count: 3, endDate: new Date(2025, 1, 10) })).toEqual({ date_from: '2024-12-01', date_to: '2025-02-28' });
+        expect(trendRange({ granularity: 'year', count: 2, endDate: new Date(2025, 1, 10) })).toEqual({ date_from: '2024-01-01', date_to: '2025-12-31' });
+    });
+});
+
+describe('summarizeTrends', () => {
+    const transactions = [
+        row('2024-12-15', 'Expense', -200, { category_type: 'Savings', category_name: 'Emergency fund' }),
+        row('2025-01-05', 'Income', 1000, { base_amount: 1000 }),
+        row('2025-01-10', 'Expense', -120),
+        row('2025-01-12', 'Expense', -30, { category_name: null }),
+        row('2025-02-01', 'Expense', -300, { category_type: 'Savings', category_name: 'Emergency fund' }),
+        row('2025-02-20', 'Income', 50, { category_type: 'Savings', category_name: 'Emergency fund' }),
+        row('2025-02-21', 'Expense', -500, { transfer_group: 'abc' }),
+        row('2025-03-01', 'Expense', -999),
+    ];
+
+    test('totals each month and keeps the savings pot running', () => {
+        const [january, february] = summarizeTrends(transactions, { granularity: 'month', count: 2, endDate: new Date(2025, 1, 15) });
+        expect(january).toMatchObject({ year: 2025, month: 1, income: 1000, spending: 150, savings: 0, net: 850, savingsPot: 200 });
+        expect(january.categories).toEqual({ Groceries: 120, Uncategorized: 30 });
+        expect(february).toMatchObject({ income: 0, spending: 0, savings: 300, withdrawals: 50, net: 0, savingsPot: 450 });
+    });
+
+    test('starts the pot from the opening amount and totals whole years', () => {
+        const [year] = summarizeTrends(transactions.slice(1), { granularity: 'year', count: 1, endDate: new Date(2025, 5, 1), openingPot: 200 });
+        expect(year).toMatchObject({ year: 2025, month: null, income: 1000, spending: 1149, savings: 300, withdrawals: 50, savingsPot: 450 });
+    });
+});